@@ -0,0 +1,199 @@
+// ============================================================================
+// Amino Crypto Worker
+//
+// Runs AES-GCM, JSON parse/stringify and the bulk IndexedDB reads and writes
+// of the record pipeline off the main thread, so hydration, unlock and
+// logout don't freeze the grid. data-layer.js starts one worker per page,
+// hands it the CryptoKey once and then sends batches.
+//
+// PROTOCOL (postMessage):
+//   in:  { op: 'init', key, dbName, dbVersion }      no reply
+//        { id, op: 'read', storeName, field, indexName?, key?, ids? }
+//        { id, op: 'write', storeName, field, entries, defer }
+//        { id, op: 'encrypt-store', storeName, field }
+//   out: { id, result } | { id, error } | { id, progress: { done, total } }
+//
+// `field` names the property holding the payload (records: 'fields',
+// search_index: 'data'). At rest it is either an ArrayBuffer (IV +
+// ciphertext) or a plaintext JSON string (deferred-encryption session).
+// `read` returns entries with the payload parsed; `write` serialises it.
+//
+// The worker never upgrades the schema: it opens the database at the
+// version data-layer.js owns and closes it whenever that version changes.
+// ============================================================================
+
+'use strict';
+
+var BATCH_SIZE = 200;
+
+var _key = null;
+var _dbName = null;
+var _dbVersion = null;
+var _dbPromise = null;
+
+// ============ Encryption (same format as data-layer.js) ============
+
+async function encrypt(plaintext) {
+    var iv = crypto.getRandomValues(new Uint8Array(12));
+    var ciphertext = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv: iv },
+        _key,
+        new TextEncoder().encode(plaintext)
+    );
+    var result = new Uint8Array(iv.length + ciphertext.byteLength);
+    result.set(iv, 0);
+    result.set(new Uint8Array(ciphertext), iv.length);
+    return result.buffer;
+}
+
+async function decrypt(encryptedBuffer) {
+    var data = new Uint8Array(encryptedBuffer);
+    var decrypted = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: data.slice(0, 12) },
+        _key,
+        data.slice(12)
+    );
+    return new TextDecoder().decode(decrypted);
+}
+
+async function decodePayload(value) {
+    return JSON.parse(typeof value === 'string' ? value : await decrypt(value));
+}
+
+// ============ IndexedDB ============
+
+function openDatabase() {
+    if (_dbPromise) return _dbPromise;
+    _dbPromise = new Promise(function(resolve, reject) {
+        var request = indexedDB.open(_dbName, _dbVersion);
+        request.onupgradeneeded = function() {
+            // Schema changes belong to the main thread — never create stores here
+            request.transaction.abort();
+        };
+        request.onsuccess = function() {
+            var db = request.result;
+            db.onversionchange = function() {
+                db.close();
+                _dbPromise = null;
+            };
+            resolve(db);
+        };
+        request.onerror = function() {
+            _dbPromise = null;
+            reject(request.error || new Error('Could not open ' + _dbName));
+        };
+    });
+    return _dbPromise;
+}
+
+function requestResult(request) {
+    return new Promise(function(resolve, reject) {
+        request.onsuccess = function() { resolve(request.result); };
+        request.onerror = function() { reject(request.error); };
+    });
+}
+
+function txDone(tx) {
+    return new Promise(function(resolve, reject) {
+        tx.oncomplete = function() { resolve(); };
+        tx.onerror = function() { reject(tx.error); };
+        tx.onabort = function() { reject(tx.error || new Error('Transaction aborted')); };
+    });
+}
+
+// ============ Operations ============
+
+async function readEntries(msg) {
+    var db = await openDatabase();
+    var store = db.transaction(msg.storeName, 'readonly').objectStore(msg.storeName);
+    var entries;
+    if (msg.ids) {
+        entries = await Promise.all(msg.ids.map(function(id) { return requestResult(store.get(id)); }));
+    } else {
+        var source = msg.indexName ? store.index(msg.indexName) : store;
+        entries = await requestResult(msg.key !== undefined && msg.key !== null ? source.getAll(msg.key) : source.getAll());
+    }
+
+    for (var i = 0; i < entries.length; i++) {
+        if (entries[i] && entries[i][msg.field] != null) entries[i][msg.field] = await decodePayload(entries[i][msg.field]);
+        if ((i + 1) % BATCH_SIZE === 0) postProgress(msg.id, i + 1, entries.length);
+    }
+    return entries;
+}
+
+async function writeEntries(msg) {
+    var entries = msg.entries;
+    for (var i = 0; i < entries.length; i++) {
+        var json = JSON.stringify(entries[i][msg.field]);
+        entries[i][msg.field] = msg.defer ? json : await encrypt(json);
+    }
+    // Encrypt first, then write in one go — a transaction closes as soon
+    // as it sits idle across a non-IndexedDB await.
+    var db = await openDatabase();
+    var tx = db.transaction(msg.storeName, 'readwrite');
+    var store = tx.objectStore(msg.storeName);
+    for (var j = 0; j < entries.length; j++) store.put(entries[j]);
+    await txDone(tx);
+    return entries.length;
+}
+
+// Encrypt every plaintext payload in a store. Entries rewritten while a
+// batch was being encrypted are left for the next pass.
+async function encryptStore(msg) {
+    var db = await openDatabase();
+    var all = await requestResult(db.transaction(msg.storeName, 'readonly').objectStore(msg.storeName).getAll());
+    var pending = all.filter(function(entry) { return typeof entry[msg.field] === 'string'; });
+    var encrypted = 0;
+
+    for (var b = 0; b < pending.length; b += BATCH_SIZE) {
+        var batch = pending.slice(b, b + BATCH_SIZE);
+        var ciphertexts = [];
+        for (var i = 0; i < batch.length; i++) ciphertexts.push(await encrypt(batch[i][msg.field]));
+
+        var tx = db.transaction(msg.storeName, 'readwrite');
+        var store = tx.objectStore(msg.storeName);
+        for (var j = 0; j < batch.length; j++) {
+            var current = await requestResult(store.get(batch[j][store.keyPath]));
+            if (!current || current[msg.field] !== batch[j][msg.field]) continue;
+            current[msg.field] = ciphertexts[j];
+            store.put(current);
+            encrypted++;
+        }
+        await txDone(tx);
+        postProgress(msg.id, Math.min(b + BATCH_SIZE, pending.length), pending.length);
+    }
+    return encrypted;
+}
+
+var OPERATIONS = {
+    'read': readEntries,
+    'write': writeEntries,
+    'encrypt-store': encryptStore
+};
+
+function postProgress(id, done, total) {
+    self.postMessage({ id: id, progress: { done: done, total: total } });
+}
+
+self.onmessage = async function(event) {
+    var msg = event.data || {};
+    if (msg.op === 'init') {
+        _key = msg.key;
+        if (_dbName !== msg.dbName || _dbVersion !== msg.dbVersion) {
+            if (_dbPromise) _dbPromise.then(function(db) { db.close(); }, function() {});
+            _dbPromise = null;
+            _dbName = msg.dbName;
+            _dbVersion = msg.dbVersion;
+        }
+        return;
+    }
+
+    try {
+        var operation = OPERATIONS[msg.op];
+        if (!operation) throw new Error('Unknown crypto worker operation: ' + msg.op);
+        if (!_key) throw new Error('Crypto worker has no key');
+        self.postMessage({ id: msg.id, result: await operation(msg) });
+    } catch (err) {
+        self.postMessage({ id: msg.id, error: (err && err.message) || String(err) });
+    }
+};
@@ -1,7 +1,7 @@
 // ============================================================================
 // Amino Client Data Layer
-// Treats IndexedDB as the primary read source, and uses n8n webhook APIs
-// only to backfill/sync local state so the on-device mirror stays current.
+// Treats IndexedDB as the primary read source, and uses the backend transport
+// (transport.js — n8n webhooks by default) only to backfill/sync local state so the on-device mirror stays current.
 // Stores data in IndexedDB encrypted at rest (AES-GCM), keeps data in sync
 // via HTTP polling against Postgres. Matrix is used for auth, views, messaging,
 // and org config — not for record data sync.
@@ -11,14 +11,11 @@ var AminoData = (function() {
     'use strict';
 
     // ============ Constants ============
-    var WEBHOOK_BASE_URL = 'https://n8n.intelechia.com/webhook';
     var DB_NAME = 'amino-data-layer';
-    var DB_VERSION = 2;
+    var DB_VERSION = 10; // version of the last entry in MIGRATIONS
     var DEFAULT_POLL_INTERVAL = 15000; // 15 seconds
     var SYNAPSE_SALT_PREFIX = 'amino-local-encrypt:';
     var ENCRYPTION_ALGORITHM = 'aes-gcm-256';
-    var AIRTABLE_SYNC_WEBHOOK = 'https://n8n.intelechia.com/webhook/c875f674-9228-45ae-b6ec-10870df8a403';
-    var BOX_DOWNLOAD_WEBHOOK = 'https://n8n.intelechia.com/webhook/box-download';
     var AIRTABLE_SYNC_COOLDOWN = 180000; // 180 seconds (3 min) minimum between triggers
     var CONNECTIVITY_CHECK_INTERVAL = 30000; // 30 seconds
     var DEFAULT_OFFLINE_ACCESS_MAX_DAYS = 30; // configurable per org
@@ -28,7 +25,7 @@ var AminoData = (function() {
     var _cryptoKey = null;
     var _accessToken = null;
     var _userId = null;
-    var _pollInterval = null;
+    var _pollTimer = null;
     var _tableIds = [];
     var _offlineMode = false;
     var _onlineOnlyMode = false;     // when true, skip IndexedDB reads/writes — always fetch from API
@@ -44,6 +41,8 @@ var AminoData = (function() {
     var _tableRecordIdIndex = {};    // tableId -> { recordId: true }
     var _tableCacheHydrated = {};    // tableId -> true when full table is cached
     var _keyDerivationCache = { fingerprint: null, key: null };
+    var _pendingDeletes = {};        // recordId -> true while a delete awaits server confirmation
+    var _tempIdMap = {};             // temporary local id -> server-assigned id (this session)
     var _deferEncryption = false;        // when true, IndexedDB stores plaintext JSON (encrypt on logout)
 
     // ============ Sync Deduplication ============
@@ -51,9 +50,14 @@ var AminoData = (function() {
     // These thin wrappers maintain the internal API surface.
 
     // ============ Search Index (Pre-built for fast local search) ============
-    // Maps recordId -> lowercased concatenated searchable text.
-    // Built lazily per-table when first searched, invalidated on record updates.
-    var _searchIndex = {};           // recordId -> lowercased searchable string
+    // Inverted index of record tokens per table, with a forward index so a
+    // record update swaps only its own tokens. Loaded from the search_index
+    // store on unlock and kept current as records are cached (see Search
+    // Index Persistence).
+    var _searchPostings = {};        // tableId -> { token -> { recordId: true } } (inverted index)
+    var _searchRecordTokens = {};    // recordId -> { tableId, tokens } (forward index for incremental updates)
+    var _searchVocab = {};           // tableId -> { tokens, folded } cached token lists, null when tokens were added/removed
+    var _searchIndexLoaded = {};     // tableId -> true when the index covers every local record of the table
     var _searchIndexVersion = 0;     // bumped on any index change so UI can detect staleness
 
     // ============ Encryption ============
@@ -83,12 +87,20 @@ var AminoData = (function() {
     }
 
     async function encrypt(key, plaintext) {
-        var encoder = new TextEncoder();
+        return encryptBytes(key, new TextEncoder().encode(plaintext));
+    }
+
+    async function decrypt(key, encryptedBuffer) {
+        return new TextDecoder().decode(await decryptBytes(key, encryptedBuffer));
+    }
+
+    // Binary variants for file contents (attachment blobs)
+    async function encryptBytes(key, bytes) {
         var iv = crypto.getRandomValues(new Uint8Array(12)); // 96-bit IV for AES-GCM
         var ciphertext = await crypto.subtle.encrypt(
             { name: 'AES-GCM', iv: iv },
             key,
-            encoder.encode(plaintext)
+            bytes
         );
         // Return IV + ciphertext as a single ArrayBuffer
         var result = new Uint8Array(iv.length + ciphertext.byteLength);
@@ -97,16 +109,15 @@ var AminoData = (function() {
         return result.buffer;
     }
 
-    async function decrypt(key, encryptedBuffer) {
+    async function decryptBytes(key, encryptedBuffer) {
         var data = new Uint8Array(encryptedBuffer);
         var iv = data.slice(0, 12);
         var ciphertext = data.slice(12);
-        var decrypted = await crypto.subtle.decrypt(
+        return crypto.subtle.decrypt(
             { name: 'AES-GCM', iv: iv },
             key,
             ciphertext
         );
-        return new TextDecoder().decode(decrypted);
     }
 
     // ============ Synapse-Derived Encryption ============
@@ -272,56 +283,507 @@ var AminoData = (function() {
         return migrated;
     }
 
-    // ============ Database ============
+    // ============ Key Rotation ============
+    // Re-encrypts everything at rest under a new key, e.g. after a Synapse
+    // password change or when an admin forces rotation. Resumable: the
+    // crypto store's `rotation` entry holds each key wrapped under the other,
+    // the verification token for each side and a per-store cursor. Stores
+    // are migrated in key order and every batch commits together with its
+    // cursor, so a crash loses at most one batch of work. Unlocking with
+    // the new password afterwards rolls forward; the old password rolls
+    // back. Queue and dead-letter entries keep their content in `data`;
+    // entries from before that was sealed have none and are skipped until
+    // their data migration seals them. Attachment blobs are raw bytes
+    // (binary) and large, so they go a few at a time. index.html's own
+    // database has its own key; its password-change flow rotates that
+    // (rotateUIEncryption) after calling this.
+
+    var ROTATION_STORES = [
+        { storeName: 'records', field: 'fields' },
+        { storeName: 'search_index', field: 'data' },
+        { storeName: 'events', field: 'payload' },
+        { storeName: 'attachments', field: 'meta' },
+        { storeName: 'attachment_blobs', field: 'data', binary: true, batchSize: 5 },
+        { storeName: 'pending_mutations', field: 'data' },
+        { storeName: 'dead_letters', field: 'data' }
+    ];
+    var ROTATION_BATCH_SIZE = 200;
+    var _rotationFromKey = null;     // previous key while a rotation is in progress
+    var _rotationPromise = null;
+
+    // Decrypt data at rest. Mid-rotation, entries not yet migrated are
+    // still under the previous key.
+    async function _decryptAtRest(buffer) {
+        try {
+            return await decrypt(_cryptoKey, buffer);
+        } catch (err) {
+            if (!_rotationFromKey) throw err;
+            return decrypt(_rotationFromKey, buffer);
+        }
+    }
 
-    async function openDatabase() {
-        return new Promise(function(resolve, reject) {
-            var request = indexedDB.open(DB_NAME, DB_VERSION);
+    async function _decryptBytesAtRest(buffer) {
+        try {
+            return await decryptBytes(_cryptoKey, buffer);
+        } catch (err) {
+            if (!_rotationFromKey) throw err;
+            return decryptBytes(_rotationFromKey, buffer);
+        }
+    }
 
-            request.onupgradeneeded = function(event) {
-                var db = event.target.result;
+    async function _wrapKey(wrappingKey, key) {
+        var raw = await crypto.subtle.exportKey('raw', key);
+        return arrayBufferToBase64(await encrypt(wrappingKey, arrayBufferToBase64(raw)));
+    }
+
+    async function _unwrapKey(wrappingKey, wrapped) {
+        var raw = await decrypt(wrappingKey, base64ToArrayBuffer(wrapped));
+        return crypto.subtle.importKey(
+            'raw', base64ToArrayBuffer(raw), { name: 'AES-GCM' }, true, ['encrypt', 'decrypt']
+        );
+    }
+
+    function _sameBytes(a, b) {
+        if (!a || !b || typeof a === 'string' || typeof b === 'string' || a.byteLength !== b.byteLength) return false;
+        var x = new Uint8Array(a);
+        var y = new Uint8Array(b);
+        for (var i = 0; i < x.length; i++) {
+            if (x[i] !== y[i]) return false;
+        }
+        return true;
+    }
+
+    // Move one store's ciphertext from fromKey to toKey, starting after the
+    // saved cursor. Entries fromKey can't open are already on toKey (or were
+    // written under toKey since the rotation began) and are skipped.
+    async function _rotateStore(rotation, spec, fromKey, toKey) {
+        var storeName = spec.storeName;
+        var field = spec.field;
+        var batchSize = spec.batchSize || ROTATION_BATCH_SIZE;
+        var total = await idbCount(_db.transaction(storeName, 'readonly').objectStore(storeName));
+        var processed = 0;
+
+        while (true) {
+            var readStore = _db.transaction(storeName, 'readonly').objectStore(storeName);
+            var batch = await idbGetBatch(readStore, rotation.cursors[storeName], batchSize);
+            if (!batch.length) break;
+
+            var keyPath = readStore.keyPath;
+            var rewrites = [];
+            for (var i = 0; i < batch.length; i++) {
+                var payload = batch[i][field];
+                if (payload == null || typeof payload === 'string') continue; // plaintext or empty
+                var plaintext;
+                try {
+                    plaintext = spec.binary ? await decryptBytes(fromKey, payload) : await decrypt(fromKey, payload);
+                } catch (e) {
+                    continue;
+                }
+                rewrites.push({
+                    entry: batch[i],
+                    ciphertext: spec.binary ? await encryptBytes(toKey, plaintext) : await encrypt(toKey, plaintext)
+                });
+            }
+
+            // Each batch commits together with its cursor
+            var tx = _db.transaction([storeName, 'crypto'], 'readwrite');
+            var store = tx.objectStore(storeName);
+            var migrated = 0;
+            for (var j = 0; j < rewrites.length; j++) {
+                var original = rewrites[j].entry;
+                var current = await idbGet(store, original[keyPath]);
+                // Rewritten since we read it — the new write already used toKey
+                if (!current || !_sameBytes(current[field], original[field])) continue;
+                current[field] = rewrites[j].ciphertext;
+                store.put(current);
+                migrated++;
+            }
+            rotation.cursors[storeName] = batch[batch.length - 1][keyPath];
+            rotation.migrated[storeName] = (rotation.migrated[storeName] || 0) + migrated;
+            tx.objectStore('crypto').put(rotation);
+            await idbTxDone(tx);
+
+            processed += batch.length;
+            window.dispatchEvent(new CustomEvent('amino:key-rotation-progress', {
+                detail: { storeName: storeName, processed: processed, total: total, migrated: rotation.migrated[storeName] }
+            }));
+            if (batch.length < batchSize) break;
+        }
+
+        rotation.completed[storeName] = true;
+        var doneTx = _db.transaction('crypto', 'readwrite');
+        doneTx.objectStore('crypto').put(rotation);
+        await idbTxDone(doneTx);
+    }
+
+    async function _runKeyRotation(rotation, fromKey, toKey, resumed) {
+        // New writes use toKey from here on; reads fall back to fromKey.
+        // The worker only holds one key, so it sits out until we're done.
+        _rotationFromKey = fromKey;
+        _cryptoKey = toKey;
+        _stopCryptoWorker();
+
+        for (var i = 0; i < ROTATION_STORES.length; i++) {
+            if (!rotation.completed[ROTATION_STORES[i].storeName]) {
+                await _rotateStore(rotation, ROTATION_STORES[i], fromKey, toKey);
+            }
+        }
+
+        // Everything is on toKey — its token becomes the one unlock checks
+        var tx = _db.transaction('crypto', 'readwrite');
+        var cryptoStore = tx.objectStore('crypto');
+        cryptoStore.put({ key: 'verify', value: rotation.toVerify });
+        cryptoStore.delete('rotation');
+        await idbTxDone(tx);
+        _rotationFromKey = null;
+        _postTabMessage({ type: 'key-rotation-complete' });
+
+        var migrated = 0;
+        for (var storeName in rotation.migrated) migrated += rotation.migrated[storeName];
+        console.log('[AminoData] Key rotation ' + (resumed ? 'resumed and ' : '') + 'complete:', migrated, 'entries re-encrypted');
+        window.dispatchEvent(new CustomEvent('amino:key-rotated', {
+            detail: { migrated: migrated, stores: rotation.migrated, resumed: !!resumed }
+        }));
+        return { migrated: migrated, stores: rotation.migrated };
+    }
+
+    // Re-encrypt all local data under the key derived from newPassword.
+    // Call after the user's Synapse password has changed. Other open tabs
+    // switch to the new key immediately.
+    async function rotateEncryptionKey(newPassword) {
+        if (!_initialized || !_db || !_cryptoKey) throw new Error('Data layer not initialized');
+        if (!newPassword) throw new Error('newPassword is required');
+        if (_rotationPromise) throw new Error('A key rotation is already in progress');
+
+        _rotationPromise = (async function() {
+            var oldKey = _cryptoKey;
+            var newKey = await deriveSynapseKey(newPassword, _userId);
+
+            var readTx = _db.transaction('crypto', 'readonly');
+            var verifyEntry = await idbGet(readTx.objectStore('crypto'), 'verify');
+            if (verifyEntry && await verifyEncryptionKey(newKey, verifyEntry.value)) {
+                return { migrated: 0, stores: {} }; // same password — nothing to do
+            }
+
+            var rotation = {
+                key: 'rotation',
+                startedAt: new Date().toISOString(),
+                // Each key wrapped under the other, so either password can finish
+                fromKeyWrapped: await _wrapKey(newKey, oldKey),
+                toKeyWrapped: await _wrapKey(oldKey, newKey),
+                fromVerify: verifyEntry ? verifyEntry.value : await createVerificationToken(oldKey),
+                toVerify: await createVerificationToken(newKey),
+                cursors: {},
+                completed: {},
+                migrated: {}
+            };
+            var tx = _db.transaction('crypto', 'readwrite');
+            await idbPut(tx.objectStore('crypto'), rotation);
+            await idbTxDone(tx);
+
+            _postTabMessage({ type: 'key-rotation', key: newKey, fromKey: oldKey });
+            await exportKeyToStorage(newKey);
+            return _runKeyRotation(rotation, oldKey, newKey, false);
+        })();
+
+        try {
+            return await _rotationPromise;
+        } finally {
+            _rotationPromise = null;
+        }
+    }
+
+    // Finish a rotation interrupted by a crash or closed tab. `key` is the
+    // key the user just unlocked with: the new key rolls the rotation
+    // forward, the old key rolls it back. Returns the verification token now
+    // in force, or null when there was nothing to resume or `key` fits
+    // neither side; the rotation entry then stays for a key that does.
+    async function _resumeKeyRotation(key) {
+        var tx = _db.transaction('crypto', 'readonly');
+        var rotation = await idbGet(tx.objectStore('crypto'), 'rotation');
+        if (!rotation) return null;
+
+        if (await verifyEncryptionKey(key, rotation.toVerify)) {
+            console.log('[AminoData] Resuming interrupted key rotation');
+            await _runKeyRotation(rotation, await _unwrapKey(key, rotation.fromKeyWrapped), key, true);
+            return rotation.toVerify;
+        }
+        if (await verifyEncryptionKey(key, rotation.fromVerify)) {
+            // Unlocked with the old password — migrate back to it from the start
+            console.log('[AminoData] Rolling back interrupted key rotation');
+            var rollback = {
+                key: 'rotation',
+                startedAt: new Date().toISOString(),
+                fromKeyWrapped: rotation.toKeyWrapped,
+                toKeyWrapped: rotation.fromKeyWrapped,
+                fromVerify: rotation.toVerify,
+                toVerify: rotation.fromVerify,
+                cursors: {},
+                completed: {},
+                migrated: {}
+            };
+            var writeTx = _db.transaction('crypto', 'readwrite');
+            await idbPut(writeTx.objectStore('crypto'), rollback);
+            await idbTxDone(writeTx);
+            await _runKeyRotation(rollback, await _unwrapKey(key, rotation.toKeyWrapped), key, true);
+            return rollback.toVerify;
+        }
+
+        // Leave it for a password that fits one side
+        console.warn('[AminoData] Interrupted key rotation does not match this key — leaving it in place');
+        return null;
+    }
 
+    // ============ Database ============
+    // The schema is an ordered registry of migrations, one per DB_VERSION.
+    // On open, every `schema` step above the stored version runs in order
+    // inside the single upgrade transaction, so a browser that skipped
+    // versions still gets each step, and a step that throws aborts the whole
+    // upgrade with the old database intact. Steps must be idempotent (check
+    // before creating). A step may also carry a `data` transform over an
+    // encrypted store (it may return a promise); that can't run inside the
+    // upgrade (no key, and the transaction would close across crypto), so it
+    // is logged as pending in the `migrations` store and run in batches
+    // after unlock — see Data Migrations below.
+
+    var MIGRATIONS = [
+        {
+            version: 1,
+            name: 'core-stores',
+            schema: function(db) {
                 // Records store — one entry per Airtable record
                 if (!db.objectStoreNames.contains('records')) {
                     var recordStore = db.createObjectStore('records', { keyPath: 'id' });
                     recordStore.createIndex('byTable', 'tableId', { unique: false });
                     recordStore.createIndex('byLastSynced', 'lastSynced', { unique: false });
                 }
-
                 // Tables store — metadata about each table
                 if (!db.objectStoreNames.contains('tables')) {
                     db.createObjectStore('tables', { keyPath: 'table_id' });
                 }
-
                 // Sync metadata — tracks last sync time per table
                 if (!db.objectStoreNames.contains('sync')) {
                     db.createObjectStore('sync', { keyPath: 'tableId' });
                 }
-
                 // Crypto store — stores the salt (unencrypted)
                 if (!db.objectStoreNames.contains('crypto')) {
                     db.createObjectStore('crypto', { keyPath: 'key' });
                 }
-
-                // Pending mutations store — queued writes created while offline
+            }
+        },
+        {
+            version: 2,
+            name: 'pending-mutations',
+            schema: function(db) {
+                // Queued writes created while offline
                 if (!db.objectStoreNames.contains('pending_mutations')) {
                     var mutStore = db.createObjectStore('pending_mutations', { keyPath: 'id' });
                     mutStore.createIndex('byTable', 'tableId', { unique: false });
                     mutStore.createIndex('byStatus', 'status', { unique: false });
                     mutStore.createIndex('byTimestamp', 'timestamp', { unique: false });
                 }
+            }
+        },
+        {
+            version: 3,
+            name: 'dead-letters',
+            schema: function(db) {
+                // Mutations discarded by the flush (4xx or retries
+                // exhausted), kept so the user can fix and requeue them
+                if (!db.objectStoreNames.contains('dead_letters')) {
+                    var deadStore = db.createObjectStore('dead_letters', { keyPath: 'id' });
+                    deadStore.createIndex('byTable', 'tableId', { unique: false });
+                    deadStore.createIndex('byDiscardedAt', 'discardedAt', { unique: false });
+                }
+            }
+        },
+        {
+            version: 4,
+            name: 'search-index',
+            schema: function(db) {
+                // Inverted index shards per table ({tableId}:{shard},
+                // encrypted like records) plus a {tableId}:meta entry
+                // marking whether the shards are complete
+                if (!db.objectStoreNames.contains('search_index')) {
+                    var searchStore = db.createObjectStore('search_index', { keyPath: 'id' });
+                    searchStore.createIndex('byTable', 'tableId', { unique: false });
+                }
+            }
+        },
+        {
+            version: 5,
+            name: 'migration-log',
+            schema: function(db) {
+                // One entry per migration: when it was applied and how far
+                // its data step got
+                if (!db.objectStoreNames.contains('migrations')) {
+                    db.createObjectStore('migrations', { keyPath: 'version' });
+                }
+            }
+        },
+        {
+            version: 6,
+            name: 'parse-string-record-fields',
+            // Incremental sync used to store JSONB columns that n8n returned
+            // as strings without parsing them, so some records hold their
+            // fields as a JSON string. Unparseable payloads are left alone.
+            data: {
+                storeName: 'records',
+                field: 'fields',
+                transform: function(fields) {
+                    if (typeof fields !== 'string') return undefined;
+                    try {
+                        var parsed = JSON.parse(fields);
+                        return parsed && typeof parsed === 'object' ? parsed : undefined;
+                    } catch (e) {
+                        return undefined;
+                    }
+                }
+            }
+        },
+        {
+            version: 7,
+            name: 'event-store',
+            schema: function(db) {
+                // Event log entries seen by this device, payload encrypted
+                // like records (see Local Event Store)
+                if (!db.objectStoreNames.contains('events')) {
+                    var eventStore = db.createObjectStore('events', { keyPath: 'id' });
+                    eventStore.createIndex('byRecord', 'recordId', { unique: false });
+                    eventStore.createIndex('byTable', 'tableId', { unique: false });
+                }
+            }
+        },
+        {
+            version: 8,
+            name: 'attachment-store',
+            schema: function(db) {
+                // Offline copies of record attachments (see Offline
+                // Attachments). Metadata and file bytes live apart so
+                // listing and quota accounting never load the files.
+                if (!db.objectStoreNames.contains('attachments')) {
+                    var attachmentStore = db.createObjectStore('attachments', { keyPath: 'id' });
+                    attachmentStore.createIndex('byPin', 'pinnedBy', { unique: false, multiEntry: true });
+                }
+                if (!db.objectStoreNames.contains('attachment_blobs')) {
+                    db.createObjectStore('attachment_blobs', { keyPath: 'id' });
+                }
+            }
+        },
+        {
+            version: 9,
+            name: 'seal-pending-mutations',
+            // Queued writes used to be stored as plaintext; seal them like
+            // new ones (see Pending Mutations)
+            data: {
+                storeName: 'pending_mutations',
+                transform: function(entry) {
+                    return entry.data == null ? _sealMutation(entry) : undefined;
+                }
+            }
+        },
+        {
+            version: 10,
+            name: 'seal-dead-letters',
+            data: {
+                storeName: 'dead_letters',
+                transform: function(entry) {
+                    return entry.data == null ? _sealMutation(entry) : undefined;
+                }
+            }
+        }
+    ];
+    var MIGRATION_LOG_VERSION = 5;
+
+    async function openDatabase() {
+        if (MIGRATIONS[MIGRATIONS.length - 1].version !== DB_VERSION) {
+            throw new Error('DB_VERSION must match the last migration');
+        }
+        return new Promise(function(resolve, reject) {
+            var request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = function(event) {
+                _applySchemaMigrations(event.target.result, event.target.transaction, event.oldVersion);
+            };
+
+            request.onblocked = function() {
+                // Another tab still holds the old version open; it closes on
+                // versionchange, after which this open proceeds
+                console.warn('[AminoData] Database upgrade waiting for other tabs to close the old version');
+                window.dispatchEvent(new CustomEvent('amino:db-upgrade-blocked', {
+                    detail: { version: DB_VERSION }
+                }));
             };
 
             request.onsuccess = function(event) {
-                resolve(event.target.result);
+                resolve(_watchVersionChange(event.target.result));
             };
 
             request.onerror = function(event) {
-                reject(new Error('Failed to open IndexedDB: ' + event.target.error));
+                var error = event.target.error;
+                if (error && error.name === 'VersionError') {
+                    // A newer build already upgraded this database. Schema
+                    // steps only ever add, so open it at its own version
+                    // rather than locking the user out.
+                    console.warn('[AminoData] Database is newer than this build (v' + DB_VERSION + ') — opening it as is');
+                    var fallback = indexedDB.open(DB_NAME);
+                    fallback.onsuccess = function() { resolve(_watchVersionChange(fallback.result)); };
+                    fallback.onerror = function() {
+                        reject(new Error('Failed to open IndexedDB: ' + fallback.error));
+                    };
+                    return;
+                }
+                reject(new Error('Failed to open IndexedDB: ' + error));
             };
         });
     }
 
+    // Runs inside the versionchange transaction — IndexedDB calls only.
+    function _applySchemaMigrations(db, tx, oldVersion) {
+        var now = new Date().toISOString();
+        for (var i = 0; i < MIGRATIONS.length; i++) {
+            var migration = MIGRATIONS[i];
+            if (migration.version <= oldVersion) continue;
+            if (migration.schema) migration.schema(db, tx);
+            console.log('[AminoData] Applied schema migration', migration.version, migration.name);
+        }
+
+        // When the log is created, backfill entries for the steps that ran
+        // before it existed
+        var log = tx.objectStore('migrations');
+        for (var j = 0; j < MIGRATIONS.length; j++) {
+            var step = MIGRATIONS[j];
+            var alreadyApplied = step.version <= oldVersion;
+            if (alreadyApplied && oldVersion >= MIGRATION_LOG_VERSION) continue;
+            log.put({
+                version: step.version,
+                name: step.name,
+                appliedAt: alreadyApplied ? null : now,
+                // A brand-new database has no data to transform
+                status: step.data && !alreadyApplied && oldVersion > 0 ? 'pending' : 'done',
+                cursor: null,
+                processed: 0,
+                changed: 0,
+                startedAt: null,
+                finishedAt: step.data ? null : now,
+                error: null
+            });
+        }
+    }
+
+    // Close this connection when another tab upgrades or deletes the
+    // database, so that tab isn't blocked; this tab then has to reload.
+    function _watchVersionChange(db) {
+        db.onversionchange = function(event) {
+            db.close();
+            console.warn('[AminoData] Database changed by another tab (v' + event.newVersion + ') — reload required');
+            window.dispatchEvent(new CustomEvent('amino:db-upgrade-required', {
+                detail: { oldVersion: event.oldVersion, newVersion: event.newVersion }
+            }));
+        };
+        return db;
+    }
+
     // IDB transaction helpers (promise-based wrappers)
 
     function idbPut(store, value) {
@@ -348,6 +810,25 @@ var AminoData = (function() {
         });
     }
 
+    // Up to `count` entries in key order, starting after `afterKey` (null
+    // for the first batch) — for walking a whole store in batches.
+    function idbGetBatch(store, afterKey, count) {
+        return new Promise(function(resolve, reject) {
+            var range = afterKey == null ? null : IDBKeyRange.lowerBound(afterKey, true);
+            var request = store.getAll(range, count);
+            request.onsuccess = function() { resolve(request.result); };
+            request.onerror = function() { reject(request.error); };
+        });
+    }
+
+    function idbCount(store) {
+        return new Promise(function(resolve, reject) {
+            var request = store.count();
+            request.onsuccess = function() { resolve(request.result); };
+            request.onerror = function() { reject(request.error); };
+        });
+    }
+
     function idbTxDone(tx) {
         return new Promise(function(resolve, reject) {
             tx.oncomplete = function() { resolve(); };
@@ -356,125 +837,307 @@ var AminoData = (function() {
         });
     }
 
-    // ============ Sync Dedup Helpers ============
-    // Delegated to AminoHydration module — thin wrappers for internal use.
-
-    function _trackOptimisticWrite(recordId, changedFields) {
-        AminoHydration.trackOptimisticWrite(recordId, changedFields);
+    // ============ Data Migrations ============
+    // Pending `data` steps run after unlock, oldest first, one tab at a time
+    // (Web Lock). Each batch is written together with its cursor in the
+    // migration log, so a closed tab or crash resumes at the next batch. An
+    // entry rewritten while its batch was being transformed keeps the newer
+    // write. A failing step is logged as 'failed' and retried on the next
+    // unlock; it never blocks sign-in.
+
+    var MIGRATION_BATCH_SIZE = 200;
+    var MIGRATION_LOCK_NAME = 'amino-data-migrations';
+    var _migrationsRunning = null;
+
+    /**
+     * Run pending data migrations. With { dryRun: true } nothing is written:
+     * each pending step is walked and the entries it would change counted.
+     *
+     * @param {{dryRun?: boolean}} [options]
+     * @returns {Promise<Array<{version: number, name: string, status: string,
+     *           processed: number, changed: number, sample?: string[], error?: string}>>}
+     *   sample: up to 20 keys the dry run would change.
+     */
+    function runMigrations(options) {
+        options = options || {};
+        if (!_db || !_cryptoKey) return Promise.reject(new Error('Data layer not initialized'));
+        if (options.dryRun) return _dryRunMigrations();
+        if (_migrationsRunning) return _migrationsRunning;
+        _migrationsRunning = _withMigrationLock(_runPendingMigrations).finally(function() {
+            _migrationsRunning = null;
+        });
+        return _migrationsRunning;
     }
 
-    // ============ API Client ============
-
-    async function apiFetch(path, intent) {
-        if (!_accessToken) {
-            throw new Error('Not authenticated');
+    function _withMigrationLock(fn) {
+        if (typeof navigator !== 'undefined' && navigator.locks && typeof navigator.locks.request === 'function') {
+            return navigator.locks.request(MIGRATION_LOCK_NAME, fn);
         }
+        return fn();
+    }
 
-        // Guardrail: APIs are for keeping local IndexedDB in sync/mirror mode,
-        // not for ad-hoc context lookups at read time.
-        var allowedIntents = {
-            metadataSync: true,
-            fullBackfill: true,
-            incrementalBackfill: true,
-            onlineRead: true
-        };
-        if (!allowedIntents[intent]) {
-            throw new Error('apiFetch requires a sync intent (metadataSync/fullBackfill/incrementalBackfill/onlineRead)');
-        }
+    async function _getMigrationLog() {
+        var log = {};
+        if (!_db.objectStoreNames.contains('migrations')) return log;
+        var tx = _db.transaction('migrations', 'readonly');
+        var entries = await idbGetAll(tx.objectStore('migrations'));
+        for (var i = 0; i < entries.length; i++) log[entries[i].version] = entries[i];
+        return log;
+    }
 
-        // Prefer the live Matrix access token when available so the n8n
-        // webhook can authenticate against the homeserver on behalf of the user.
-        var matrixToken = (typeof MatrixClient !== 'undefined' && MatrixClient.getAccessToken && MatrixClient.getAccessToken())
-            ? MatrixClient.getAccessToken()
-            : _accessToken;
+    function _pendingDataMigrations(log) {
+        return MIGRATIONS.filter(function(migration) {
+            return migration.data && log[migration.version] && log[migration.version].status !== 'done';
+        });
+    }
 
-        var MAX_RETRIES = 2;
-        var lastErr = null;
+    async function _runPendingMigrations() {
+        // Re-read inside the lock — another tab may have finished them
+        var log = await _getMigrationLog();
+        var results = [];
+        var pending = _pendingDataMigrations(log);
+        for (var i = 0; i < pending.length; i++) {
+            results.push(await _runDataMigration(pending[i], log[pending[i].version]));
+        }
+        return results;
+    }
 
-        for (var attempt = 0; attempt <= MAX_RETRIES; attempt++) {
-            if (attempt > 0) {
-                var delay = attempt === 1 ? 1000 : 3000;
-                console.log('[AminoData] Retry ' + attempt + '/' + MAX_RETRIES + ' for ' + path + ' (waiting ' + delay + 'ms)');
-                await new Promise(function(r) { setTimeout(r, delay); });
+    // Transform one batch. Returns [{ original, updated }] for the entries
+    // the step changes.
+    async function _transformMigrationBatch(spec, batch) {
+        var changes = [];
+        for (var i = 0; i < batch.length; i++) {
+            var entry = batch[i];
+            var payload = spec.field ? (entry[spec.field] == null ? null : await _decodeStoredPayload(entry[spec.field])) : entry;
+            var next = await spec.transform(payload, entry);
+            if (next === undefined) continue;
+            var updated = next;
+            if (spec.field) {
+                updated = Object.assign({}, entry);
+                var json = JSON.stringify(next);
+                updated[spec.field] = _deferEncryption ? json : await encrypt(_cryptoKey, json);
             }
+            changes.push({ original: entry, updated: updated });
+        }
+        return changes;
+    }
 
-            // Auth: GET with access_token in query-param (n8n webhooks default to GET).
-            var separator = path.indexOf('?') === -1 ? '?' : '&';
-            var url = WEBHOOK_BASE_URL + path + separator + 'access_token=' + encodeURIComponent(matrixToken);
+    async function _runDataMigration(migration, entry) {
+        var spec = migration.data;
+        entry.status = 'running';
+        entry.startedAt = entry.startedAt || new Date().toISOString();
+        entry.error = null;
+        var startTx = _db.transaction('migrations', 'readwrite');
+        startTx.objectStore('migrations').put(entry);
+        await idbTxDone(startTx);
+        console.log('[AminoData] Running data migration', migration.version, migration.name,
+            entry.cursor != null ? '(resuming after ' + entry.cursor + ')' : '');
 
-            var response;
-            try {
-                response = await fetch(url);
-            } catch (fetchErr) {
-                // Network / CORS failure — try header auth as last resort
-                console.warn('[AminoData] GET fetch failed (' + fetchErr.message + '), retrying with header auth for ' + path);
-                try {
-                    response = await fetch(WEBHOOK_BASE_URL + path, {
-                        headers: {
-                            'Authorization': 'Bearer ' + matrixToken
-                        }
-                    });
-                } catch (headerErr) {
-                    lastErr = new Error('API unreachable (CORS/network): ' + headerErr.message);
-                    continue;
+        try {
+            var countTx = _db.transaction(spec.storeName, 'readonly');
+            var total = await idbCount(countTx.objectStore(spec.storeName));
+            while (true) {
+                var readTx = _db.transaction(spec.storeName, 'readonly');
+                var readStore = readTx.objectStore(spec.storeName);
+                var keyPath = readStore.keyPath;
+                var batch = await idbGetBatch(readStore, entry.cursor, MIGRATION_BATCH_SIZE);
+                if (!batch.length) break;
+                var changes = await _transformMigrationBatch(spec, batch);
+
+                var tx = _db.transaction([spec.storeName, 'migrations'], 'readwrite');
+                var store = tx.objectStore(spec.storeName);
+                for (var i = 0; i < changes.length; i++) {
+                    var current = await idbGet(store, changes[i].original[keyPath]);
+                    if (!current) continue;
+                    var before = spec.field ? current[spec.field] : current;
+                    var read = spec.field ? changes[i].original[spec.field] : changes[i].original;
+                    var untouched = spec.field
+                        ? (before === read || _sameBytes(before, read))
+                        : JSON.stringify(before) === JSON.stringify(read);
+                    if (!untouched) continue;
+                    store.put(changes[i].updated);
+                    entry.changed++;
                 }
+                entry.cursor = batch[batch.length - 1][keyPath];
+                entry.processed += batch.length;
+                tx.objectStore('migrations').put(entry);
+                await idbTxDone(tx);
+
+                window.dispatchEvent(new CustomEvent('amino:migration-progress', {
+                    detail: { version: migration.version, name: migration.name, processed: entry.processed, total: total }
+                }));
             }
+            entry.status = 'done';
+            entry.finishedAt = new Date().toISOString();
+            console.log('[AminoData] Data migration', migration.version, migration.name, 'done:',
+                entry.changed, 'of', entry.processed, 'entries changed');
+        } catch (err) {
+            entry.status = 'failed';
+            entry.error = (err && err.message) || String(err);
+            console.error('[AminoData] Data migration', migration.version, migration.name, 'failed (will retry on next unlock):', err);
+        }
 
-            if (response.status === 401) {
-                // Token may not have been picked up — retry with header auth
-                console.warn('[AminoData] 401, retrying with header auth for ' + path);
-                try {
-                    response = await fetch(WEBHOOK_BASE_URL + path, {
-                        headers: {
-                            'Authorization': 'Bearer ' + matrixToken
-                        }
-                    });
-                } catch (headerErr) {
-                    var err = new Error('Authentication expired (CORS/network)');
-                    err.status = 401;
-                    throw err;
-                }
-                if (response.status === 401) {
-                    var err2 = new Error('Authentication expired');
-                    err2.status = 401;
-                    throw err2;
+        var endTx = _db.transaction('migrations', 'readwrite');
+        endTx.objectStore('migrations').put(entry);
+        await idbTxDone(endTx);
+        return { version: migration.version, name: migration.name, status: entry.status,
+            processed: entry.processed, changed: entry.changed, error: entry.error || undefined };
+    }
+
+    async function _dryRunMigrations() {
+        var log = await _getMigrationLog();
+        var pending = _pendingDataMigrations(log);
+        var report = [];
+        for (var m = 0; m < pending.length; m++) {
+            var migration = pending[m];
+            var result = { version: migration.version, name: migration.name, status: log[migration.version].status,
+                processed: 0, changed: 0, sample: [] };
+            var cursor = log[migration.version].cursor;
+            while (true) {
+                var tx = _db.transaction(migration.data.storeName, 'readonly');
+                var store = tx.objectStore(migration.data.storeName);
+                var batch = await idbGetBatch(store, cursor, MIGRATION_BATCH_SIZE);
+                if (!batch.length) break;
+                var changes = await _transformMigrationBatch(migration.data, batch);
+                result.processed += batch.length;
+                result.changed += changes.length;
+                for (var i = 0; i < changes.length && result.sample.length < 20; i++) {
+                    result.sample.push(changes[i].original[store.keyPath]);
                 }
+                cursor = batch[batch.length - 1][store.keyPath];
             }
+            report.push(result);
+        }
+        return report;
+    }
 
-            // Retry on 5xx server errors (transient failures, n8n overload, etc.)
-            if (response.status >= 500) {
-                var errBody = '';
-                try { errBody = await response.text(); } catch (e) {}
-                console.warn('[AminoData] Server error ' + response.status + ' for ' + path + (errBody ? ' — body: ' + errBody.substring(0, 200) : ''));
-                lastErr = new Error('API error: ' + response.status + (errBody ? ' (' + errBody.substring(0, 100) + ')' : ''));
-                continue;
-            }
+    // Put data steps newer than `fromVersion` back to pending — after a
+    // restore brings back entries written by an older schema.
+    async function _requeueDataMigrations(db, fromVersion) {
+        var tx = db.transaction('migrations', 'readwrite');
+        var store = tx.objectStore('migrations');
+        for (var i = 0; i < MIGRATIONS.length; i++) {
+            var migration = MIGRATIONS[i];
+            if (!migration.data || migration.version <= fromVersion) continue;
+            var entry = (await idbGet(store, migration.version)) || { version: migration.version, name: migration.name };
+            entry.status = 'pending';
+            entry.cursor = null;
+            entry.processed = 0;
+            entry.changed = 0;
+            entry.startedAt = null;
+            entry.finishedAt = null;
+            entry.error = null;
+            store.put(entry);
+        }
+        await idbTxDone(tx);
+    }
 
-            if (!response.ok) {
-                var errMsg = 'API error: ' + response.status;
-                try {
-                    var body = await response.json();
-                    if (body.error) errMsg = body.error;
-                } catch (e) { /* ignore parse errors */ }
-                throw new Error(errMsg);
-            }
+    /**
+     * Schema and data migration state.
+     * @returns {Promise<{dbVersion: number, codeVersion: number,
+     *           migrations: Array<{version: number, name: string, hasData: boolean,
+     *           status: string, appliedAt: string|null, processed: number,
+     *           changed: number, finishedAt: string|null, error: string|null}>}>}
+     *   status: 'done' | 'pending' | 'running' | 'failed' | 'not-applied'
+     */
+    async function getMigrationStatus() {
+        if (!_db) throw new Error('Database not open');
+        var log = await _getMigrationLog();
+        return {
+            dbVersion: _db.version,
+            codeVersion: DB_VERSION,
+            migrations: MIGRATIONS.map(function(migration) {
+                var entry = log[migration.version] || {};
+                return {
+                    version: migration.version,
+                    name: migration.name,
+                    hasData: !!migration.data,
+                    status: entry.status || (migration.version <= _db.version ? 'done' : 'not-applied'),
+                    appliedAt: entry.appliedAt || null,
+                    processed: entry.processed || 0,
+                    changed: entry.changed || 0,
+                    finishedAt: entry.finishedAt || null,
+                    error: entry.error || null
+                };
+            })
+        };
+    }
 
-            var text = await response.text();
-            if (!text || !text.trim()) {
-                console.log('[AminoData] Empty response for ' + path + ' — treating as empty result set');
-                return { records: [] };
-            }
-            return JSON.parse(text);
+    // ============ Sync Dedup Helpers ============
+    // Delegated to AminoHydration module — thin wrappers for internal use.
+
+    function _trackOptimisticWrite(recordId, changedFields) {
+        AminoHydration.trackOptimisticWrite(recordId, changedFields);
+    }
+
+    // ============ API Client ============
+    // All backend traffic goes through a pluggable transport adapter
+    // (transport.js). The default talks to the production n8n webhooks;
+    // a persisted config or setTransport() can point elsewhere.
+
+    var _transport = null;
+
+    // Prefer the live Matrix access token when available so the n8n
+    // webhook can authenticate against the homeserver on behalf of the user.
+    function _getReadToken() {
+        return (typeof MatrixClient !== 'undefined' && MatrixClient.getAccessToken && MatrixClient.getAccessToken())
+            ? MatrixClient.getAccessToken()
+            : _accessToken;
+    }
+
+    // Backend URLs live in the transport config; the data layer only
+    // supplies the tokens.
+    function _transportAuth() {
+        return {
+            getAuthToken: _getReadToken,
+            getAccessToken: function() { return _accessToken; }
+        };
+    }
+
+    function getTransport() {
+        if (!_transport) {
+            _transport = AminoTransport.createFromConfig(AminoTransport.getStoredConfig(), _transportAuth());
+            console.log('[AminoData] Using ' + _transport.type + ' transport');
         }
+        return _transport;
+    }
 
-        // All retries exhausted
-        throw lastErr || new Error('API failed after ' + (MAX_RETRIES + 1) + ' attempts');
+    /**
+     * Replace the backend transport.
+     *
+     * @param {Object|string|null} adapter - A transport adapter, a config object
+     *   ({ type: 'n8n'|'memory'|'local-http', baseUrl, ... }), or null to reset
+     *   to the persisted/default configuration.
+     * @param {Object} [options] - { persist: true } saves a config object to
+     *   localStorage so it is used on the next page load.
+     */
+    function setTransport(adapter, options) {
+        options = options || {};
+        if (!adapter) {
+            if (options.persist) AminoTransport.setStoredConfig(null);
+            _transport = null;
+            return getTransport();
+        }
+        if (typeof adapter === 'string') adapter = { type: adapter };
+        if (typeof adapter.fetchRecords !== 'function') {
+            if (options.persist) AminoTransport.setStoredConfig(adapter);
+            adapter = AminoTransport.createFromConfig(adapter, _transportAuth());
+        }
+        var required = ['listTables', 'fetchRecords', 'fetchRecord', 'writeMutation', 'fetchEvents', 'triggerSync'];
+        for (var i = 0; i < required.length; i++) {
+            if (typeof adapter[required[i]] !== 'function') {
+                throw new Error('Transport is missing ' + required[i] + '()');
+            }
+        }
+        _transport = adapter;
+        console.log('[AminoData] Switched to ' + (adapter.type || 'custom') + ' transport');
+        return adapter;
     }
 
     // ============ Table Operations ============
 
     async function fetchAndStoreTables() {
-        var data = await apiFetch('/amino-tables', 'metadataSync');
+        var data = await getTransport().listTables('metadataSync');
         var tables = data.tables || [];
 
         var tx = _db.transaction('tables', 'readwrite');
@@ -529,6 +1192,8 @@ var AminoData = (function() {
     }
 
     async function prepareEncryptedRecords(records, tableId) {
+        // A delete still waiting for the server must not be undone by sync
+        records = records.filter(function(record) { return !_pendingDeletes[record.id]; });
         return Promise.all(records.map(async function(record) {
             var normalizedRecord = {
                 id: record.id,
@@ -563,7 +1228,7 @@ var AminoData = (function() {
             fields = JSON.parse(entry.fields);
         } else {
             // Encrypted ArrayBuffer — decrypt with crypto key
-            fields = JSON.parse(await decrypt(_cryptoKey, entry.fields));
+            fields = JSON.parse(await _decryptAtRest(entry.fields));
         }
         return {
             id: entry.id,
@@ -574,66 +1239,271 @@ var AminoData = (function() {
         };
     }
 
+    // ============ Crypto Worker ============
+    // Bulk decrypt, encrypt-and-write and encrypt-on-logout run in
+    // crypto-worker.js so AES-GCM and JSON work stay off the main thread.
+    // The worker gets the CryptoKey once and reads/writes IndexedDB itself;
+    // the main thread only receives parsed entries and progress messages.
+    // Every call falls back to the main thread when workers are unavailable.
+
+    var CRYPTO_WORKER_URL = (typeof document !== 'undefined' && document.currentScript && document.currentScript.src)
+        ? new URL('crypto-worker.js', document.currentScript.src).href
+        : 'crypto-worker.js';
+    var _cryptoWorker = null;
+    var _cryptoWorkerKey = null;       // CryptoKey last sent to the worker
+    var _cryptoWorkerDisabled = false; // set once the worker can't start; main thread from then on
+    var _cryptoWorkerSeq = 0;
+    var _cryptoWorkerCalls = {};       // request id -> { resolve, reject, onProgress }
+
+    function _getCryptoWorker() {
+        // Mid-rotation reads need both keys, which only the main thread has
+        if (_cryptoWorkerDisabled || !_cryptoKey || _rotationFromKey) return null;
+        if (!_cryptoWorker) {
+            if (typeof Worker === 'undefined') {
+                _cryptoWorkerDisabled = true;
+                return null;
+            }
+            try {
+                _cryptoWorker = new Worker(CRYPTO_WORKER_URL);
+            } catch (e) {
+                console.warn('[AminoData] Crypto worker unavailable, using main thread:', e.message || e);
+                _cryptoWorkerDisabled = true;
+                return null;
+            }
+            _cryptoWorker.onmessage = _onCryptoWorkerMessage;
+            _cryptoWorker.onerror = function(event) {
+                _failCryptoWorker(new Error((event && event.message) || 'Crypto worker failed to load'));
+            };
+        }
+        if (_cryptoWorkerKey !== _cryptoKey) {
+            try {
+                _cryptoWorker.postMessage({ op: 'init', key: _cryptoKey, dbName: DB_NAME, dbVersion: _db.version });
+            } catch (e) {
+                // e.g. DataCloneError for a key that cannot be structured-cloned
+                _failCryptoWorker(e);
+                return null;
+            }
+            _cryptoWorkerKey = _cryptoKey;
+        }
+        return _cryptoWorker;
+    }
 
-    function cloneRecord(record) {
-        if (typeof structuredClone === 'function') {
-            return structuredClone(record);
+    function _onCryptoWorkerMessage(event) {
+        var msg = event.data || {};
+        var call = _cryptoWorkerCalls[msg.id];
+        if (!call) return;
+        if (msg.progress) {
+            if (call.onProgress) call.onProgress(msg.progress);
+            return;
         }
-        return JSON.parse(JSON.stringify(record));
+        delete _cryptoWorkerCalls[msg.id];
+        if (msg.error) call.reject(new Error(msg.error));
+        else call.resolve(msg.result);
     }
 
-    function clearRecordCache() {
-        _recordCacheById = {};
-        _tableRecordIdIndex = {};
-        _tableCacheHydrated = {};
-        _searchIndex = {};
-        _searchIndexVersion++;
+    function _failCryptoWorker(err) {
+        console.warn('[AminoData] Crypto worker stopped, using main thread:', err.message || err);
+        _cryptoWorkerDisabled = true;
+        _stopCryptoWorker();
     }
 
-    function clearTableCache(tableId) {
-        var tableIndex = _tableRecordIdIndex[tableId] || {};
-        var recordIds = Object.keys(tableIndex);
-        for (var i = 0; i < recordIds.length; i++) {
-            delete _recordCacheById[recordIds[i]];
-            delete _searchIndex[recordIds[i]];
+    // Terminate the worker (closing its IndexedDB connection) and fail any
+    // in-flight calls so they re-run on the main thread.
+    function _stopCryptoWorker() {
+        if (_cryptoWorker) {
+            _cryptoWorker.terminate();
+            _cryptoWorker = null;
         }
-        delete _tableRecordIdIndex[tableId];
-        delete _tableCacheHydrated[tableId];
-        _searchIndexVersion++;
+        _cryptoWorkerKey = null;
+        var calls = _cryptoWorkerCalls;
+        _cryptoWorkerCalls = {};
+        for (var id in calls) calls[id].reject(new Error('Crypto worker stopped'));
     }
 
-    // ============ Encrypt-on-Logout: Bulk Encryption ============
+    // Run a worker operation, or `fallback` on the main thread when there is
+    // no worker or the worker call fails.
+    async function _withCryptoWorker(message, fallback, onProgress) {
+        var worker = _getCryptoWorker();
+        if (!worker) return fallback();
+        try {
+            return await new Promise(function(resolve, reject) {
+                message.id = ++_cryptoWorkerSeq;
+                _cryptoWorkerCalls[message.id] = { resolve: resolve, reject: reject, onProgress: onProgress };
+                worker.postMessage(message);
+            });
+        } catch (err) {
+            delete _cryptoWorkerCalls[message.id];
+            console.warn('[AminoData] Crypto worker', message.op, 'failed, retrying on main thread:', err.message || err);
+            return fallback();
+        }
+    }
 
-    // Encrypt all plaintext records in IndexedDB. Called on logout to ensure
-    // data-at-rest is encrypted. Processes in batches to avoid memory pressure.
-    // Returns the number of records encrypted.
-    async function encryptAllRecords() {
-        if (!_db || !_cryptoKey) return 0;
+    function _cryptoProgressReporter(op, storeName, tableId) {
+        return function(progress) {
+            window.dispatchEvent(new CustomEvent('amino:crypto-progress', {
+                detail: { op: op, storeName: storeName, tableId: tableId || null, done: progress.done, total: progress.total }
+            }));
+        };
+    }
 
-        var tx = _db.transaction('records', 'readonly');
-        var allEntries = await idbGetAll(tx.objectStore('records'));
-        var BATCH_SIZE = 200;
-        var encrypted = 0;
+    async function _decodeStoredPayload(value) {
+        return JSON.parse(typeof value === 'string' ? value : await _decryptAtRest(value));
+    }
 
-        for (var b = 0; b < allEntries.length; b += BATCH_SIZE) {
-            var batch = allEntries.slice(b, b + BATCH_SIZE);
-            var writeTx = _db.transaction('records', 'readwrite');
-            var store = writeTx.objectStore('records');
+    // Read entries of `storeName` with their `field` payload decrypted and
+    // parsed. `query` is { ids } (missing ids come back as null) or
+    // { indexName, key } (omit both for the whole store).
+    async function _readDecrypted(storeName, field, query, onProgress) {
+        var message = {
+            op: 'read', storeName: storeName, field: field,
+            ids: query.ids || null, indexName: query.indexName || null, key: query.key
+        };
+        return _withCryptoWorker(message, async function() {
+            var store = _db.transaction(storeName, 'readonly').objectStore(storeName);
+            var entries;
+            if (query.ids) {
+                entries = await Promise.all(query.ids.map(function(id) { return idbGet(store, id); }));
+            } else {
+                entries = await idbGetAll(query.indexName ? store.index(query.indexName) : store, query.key);
+            }
+            for (var i = 0; i < entries.length; i++) {
+                if (entries[i] && entries[i][field] != null) {
+                    entries[i][field] = await _decodeStoredPayload(entries[i][field]);
+                }
+            }
+            return entries;
+        }, onProgress);
+    }
 
-            for (var i = 0; i < batch.length; i++) {
-                var entry = batch[i];
-                // Only encrypt entries that are currently plaintext strings
-                if (typeof entry.fields === 'string') {
-                    var encryptedFields = await encrypt(_cryptoKey, entry.fields);
-                    entry.fields = encryptedFields;
-                    await idbPut(store, entry);
+    // Serialise each entry's `field` payload, encrypt it unless encryption
+    // is deferred, and put the entries into `storeName`.
+    async function _writeEncrypted(storeName, field, entries) {
+        var message = { op: 'write', storeName: storeName, field: field, entries: entries, defer: _deferEncryption };
+        return _withCryptoWorker(message, async function() {
+            var stored = [];
+            for (var i = 0; i < entries.length; i++) {
+                var entry = Object.assign({}, entries[i]);
+                var json = JSON.stringify(entry[field]);
+                entry[field] = _deferEncryption ? json : await encrypt(_cryptoKey, json);
+                stored.push(entry);
+            }
+            var tx = _db.transaction(storeName, 'readwrite');
+            var store = tx.objectStore(storeName);
+            for (var j = 0; j < stored.length; j++) store.put(stored[j]);
+            await idbTxDone(tx);
+            return stored.length;
+        });
+    }
+
+    // Encrypt every plaintext payload left in `storeName`. Entries rewritten
+    // while a batch was being encrypted are skipped (the next pass gets them).
+    async function _encryptPlaintextStore(storeName, field, onProgress) {
+        var message = { op: 'encrypt-store', storeName: storeName, field: field };
+        return _withCryptoWorker(message, async function() {
+            var all = await idbGetAll(_db.transaction(storeName, 'readonly').objectStore(storeName));
+            var pending = all.filter(function(entry) { return typeof entry[field] === 'string'; });
+            var BATCH_SIZE = 200;
+            var encrypted = 0;
+            for (var b = 0; b < pending.length; b += BATCH_SIZE) {
+                var batch = pending.slice(b, b + BATCH_SIZE);
+                var ciphertexts = [];
+                for (var i = 0; i < batch.length; i++) {
+                    ciphertexts.push(await encrypt(_cryptoKey, batch[i][field]));
+                }
+                var tx = _db.transaction(storeName, 'readwrite');
+                var store = tx.objectStore(storeName);
+                for (var j = 0; j < batch.length; j++) {
+                    var current = await idbGet(store, batch[j][store.keyPath]);
+                    if (!current || current[field] !== batch[j][field]) continue;
+                    current[field] = ciphertexts[j];
+                    store.put(current);
                     encrypted++;
                 }
+                await idbTxDone(tx);
+                if (onProgress) onProgress({ done: Math.min(b + BATCH_SIZE, pending.length), total: pending.length });
             }
-            await idbTxDone(writeTx);
+            return encrypted;
+        }, onProgress);
+    }
+
+    // Encrypt (unless deferred), write and cache a batch of API records.
+    // Used by hydration for every record it downloads.
+    async function writeRecordBatch(records, tableId) {
+        var prepared = records.filter(function(record) { return !_pendingDeletes[record.id]; }).map(function(record) {
+            return {
+                id: record.id,
+                tableId: tableId,
+                tableName: record.tableName || tableId,
+                fields: record.fields || {},
+                lastSynced: record.lastSynced || new Date().toISOString()
+            };
+        });
+        if (!prepared.length) return 0;
+        await _writeEncrypted('records', 'fields', prepared);
+        for (var i = 0; i < prepared.length; i++) cacheRecord(prepared[i]);
+        return prepared.length;
+    }
+
+
+    function cloneRecord(record) {
+        if (typeof structuredClone === 'function') {
+            return structuredClone(record);
+        }
+        return JSON.parse(JSON.stringify(record));
+    }
+
+    function clearRecordCache() {
+        _recordCacheById = {};
+        _tableRecordIdIndex = {};
+        _tableCacheHydrated = {};
+        _searchPostings = {};
+        _searchRecordTokens = {};
+        _searchVocab = {};
+        _searchIndexLoaded = {};
+        _searchDirtyShards = {};
+        _searchPersistState = {};
+        _fieldIndexRecordKeys = {};
+        _fieldIndexSorted = {};
+        for (var tableId in _fieldIndexes) _resetFieldIndexes(tableId);
+        if (_searchPersistTimer) {
+            clearTimeout(_searchPersistTimer);
+            _searchPersistTimer = null;
+        }
+        _searchIndexVersion++;
+    }
+
+    function clearTableCache(tableId) {
+        var tableIndex = _tableRecordIdIndex[tableId] || {};
+        var recordIds = Object.keys(tableIndex);
+        for (var i = 0; i < recordIds.length; i++) {
+            delete _recordCacheById[recordIds[i]];
+            _markRecordDirty(tableId, recordIds[i]);
+        }
+        delete _tableRecordIdIndex[tableId];
+        delete _tableCacheHydrated[tableId];
+        _resetFieldIndexes(tableId);
+    }
+
+    // ============ Encrypt-on-Logout: Bulk Encryption ============
+
+    // Encrypt all plaintext records in IndexedDB. Called on logout to ensure
+    // data-at-rest is encrypted. Runs in the crypto worker in batches,
+    // reporting amino:crypto-progress. Returns the number of records encrypted.
+    async function encryptAllRecords() {
+        if (!_db || !_cryptoKey) return 0;
+
+        var encrypted = await _encryptPlaintextStore('records', 'fields', _cryptoProgressReporter('encrypt', 'records'));
+
+        // Flush pending search index changes, then encrypt its shards too
+        await persistSearchIndex();
+        var shards = await _encryptSearchIndex();
+        var events = await _encryptPlaintextStore('events', 'payload');
+        var queued = 0;
+        for (var m = 0; m < MUTATION_STORES.length; m++) {
+            queued += await _encryptPlaintextStore(MUTATION_STORES[m], 'data');
         }
 
-        console.log('[AminoData] Encrypted', encrypted, 'plaintext records on logout');
+        console.log('[AminoData] Encrypted', encrypted, 'plaintext records,', shards, 'search index shards,', events, 'events and', queued, 'queued writes on logout');
         return encrypted;
     }
 
@@ -644,22 +1514,57 @@ var AminoData = (function() {
 
     function cacheRecord(record) {
         if (!record || !record.id || !record.tableId) return;
-        // Skip tombstoned records — they should not appear in queries
-        if (_isTombstone(record)) return;
+        // Tombstoned records (and records with a delete still queued for the
+        // server) must not appear in queries — evict any cached copy.
+        if (_isTombstone(record) || _pendingDeletes[record.id]) {
+            _evictCachedRecord(record.tableId, record.id);
+            return;
+        }
         _recordCacheById[record.id] = cloneRecord(record);
         if (!_tableRecordIdIndex[record.tableId]) {
             _tableRecordIdIndex[record.tableId] = {};
         }
         _tableRecordIdIndex[record.tableId][record.id] = true;
-        // Build search index entry for this record
-        _searchIndex[record.id] = _buildSearchText(record);
-        _searchIndexVersion++;
+        for (var c = 0; c < _changeCollectors.length; c++) {
+            _changeCollectors[c][record.id] = true;
+        }
+        // Update this record's search index entry (no-op if its text is unchanged)
+        _indexRecordTokens(record.tableId, record.id, _tokenizeSearchText(_buildSearchText(record)));
+        _indexRecordFields(record);
+        _markRecordDirty(record.tableId, record.id);
+    }
+
+    function _evictCachedRecord(tableId, recordId) {
+        _unindexRecord(recordId);
+        _unindexRecordFields(recordId);
+        if (!_recordCacheById[recordId]) return;
+        delete _recordCacheById[recordId];
+        if (_tableRecordIdIndex[tableId]) delete _tableRecordIdIndex[tableId][recordId];
+        _markRecordDirty(tableId, recordId);
     }
 
     function cacheFullTable(tableId, records) {
         clearTableCache(tableId);
+        var present = {};
         for (var i = 0; i < records.length; i++) {
             cacheRecord(records[i]);
+            present[records[i].id] = true;
+        }
+        // The search index survives clearTableCache (unchanged records cost
+        // nothing to re-cache) — drop entries for records no longer present.
+        var indexedIds = Object.keys(_searchRecordTokens);
+        for (var j = 0; j < indexedIds.length; j++) {
+            if (_searchRecordTokens[indexedIds[j]].tableId === tableId && !present[indexedIds[j]]) {
+                _unindexRecord(indexedIds[j]);
+            }
+        }
+        if (!_searchIndexLoaded[tableId]) {
+            // First complete index for this table — rewrite every shard so no
+            // stale data from an abandoned build survives
+            _searchIndexLoaded[tableId] = true;
+            for (var s = 0; s < SEARCH_INDEX_SHARDS; s++) {
+                _markSearchShardDirty(tableId, s);
+            }
         }
         _tableCacheHydrated[tableId] = true;
     }
@@ -706,29 +1611,310 @@ var AminoData = (function() {
         return parts.join(' ').toLowerCase();
     }
 
-    // Ensure the search index is built for a table. Uses the in-memory cache.
-    // Returns true if the index was ready, false if the table cache isn't hydrated.
-    function _ensureSearchIndex(tableId) {
-        if (!_tableCacheHydrated[tableId]) return false;
-        var tableIndex = _tableRecordIdIndex[tableId] || {};
-        var ids = Object.keys(tableIndex);
-        var needsRebuild = false;
-        for (var i = 0; i < ids.length; i++) {
-            if (_searchIndex[ids[i]] === undefined) {
-                needsRebuild = true;
-                break;
+    // Split search text into its distinct whitespace-separated tokens.
+    // Query fragments never contain whitespace, so "fragment is a substring
+    // of the text" is the same as "fragment is a substring of some token".
+    function _tokenizeSearchText(text) {
+        var parts = text.split(/\s+/);
+        var seen = {};
+        var tokens = [];
+        for (var i = 0; i < parts.length; i++) {
+            if (parts[i] && !seen[parts[i]]) {
+                seen[parts[i]] = true;
+                tokens.push(parts[i]);
             }
         }
-        if (!needsRebuild) return true;
+        return tokens;
+    }
+
+    function _hasKeys(obj) {
+        for (var k in obj) {
+            if (Object.prototype.hasOwnProperty.call(obj, k)) return true;
+        }
+        return false;
+    }
 
-        for (var j = 0; j < ids.length; j++) {
-            var rec = _recordCacheById[ids[j]];
-            if (rec && _searchIndex[ids[j]] === undefined) {
-                _searchIndex[ids[j]] = _buildSearchText(rec);
+    // Replace a record's entry in the inverted index. Re-caching a record
+    // whose tokens are unchanged leaves the index (and its shards) untouched.
+    function _indexRecordTokens(tableId, recordId, tokens) {
+        var prev = _searchRecordTokens[recordId];
+        var postings = _searchPostings[tableId] || (_searchPostings[tableId] = {});
+        if (prev && prev.tableId === tableId && prev.tokens.length === tokens.length) {
+            var same = true;
+            for (var i = 0; i < tokens.length; i++) {
+                if (!postings[tokens[i]] || !postings[tokens[i]][recordId]) { same = false; break; }
+            }
+            if (same) return;
+        }
+        _unindexRecord(recordId);
+        for (var j = 0; j < tokens.length; j++) {
+            var token = tokens[j];
+            if (!postings[token]) {
+                postings[token] = {};
+                _searchVocab[tableId] = null;
             }
+            postings[token][recordId] = true;
+            _markSearchShardDirty(tableId, _searchShardOf(token));
         }
+        _searchRecordTokens[recordId] = { tableId: tableId, tokens: tokens };
         _searchIndexVersion++;
-        return true;
+    }
+
+    function _unindexRecord(recordId) {
+        var prev = _searchRecordTokens[recordId];
+        if (!prev) return;
+        var postings = _searchPostings[prev.tableId] || {};
+        for (var i = 0; i < prev.tokens.length; i++) {
+            var token = prev.tokens[i];
+            var ids = postings[token];
+            if (!ids) continue;
+            delete ids[recordId];
+            if (!_hasKeys(ids)) {
+                delete postings[token];
+                _searchVocab[prev.tableId] = null;
+            }
+            _markSearchShardDirty(prev.tableId, _searchShardOf(token));
+        }
+        delete _searchRecordTokens[recordId];
+        _searchIndexVersion++;
+    }
+
+    function _getSearchVocab(tableId) {
+        if (!_searchVocab[tableId]) {
+            _searchVocab[tableId] = { tokens: Object.keys(_searchPostings[tableId] || {}), folded: null };
+        }
+        return _searchVocab[tableId];
+    }
+
+    // Record ids whose indexed text contains `fragment` (lowercased, no
+    // whitespace). Scans the table's vocabulary, not its records.
+    function _searchCandidates(tableId, fragment) {
+        var postings = _searchPostings[tableId] || {};
+        var out = {};
+        var vocab = _getSearchVocab(tableId).tokens;
+        for (var i = 0; i < vocab.length; i++) {
+            if (vocab[i].indexOf(fragment) === -1) continue;
+            for (var id in postings[vocab[i]]) out[id] = true;
+        }
+        return out;
+    }
+
+    // Ids of records containing every whitespace-separated fragment of the
+    // given terms, as a { recordId: true } set. Null when there are no terms.
+    function _searchMatchingIds(tableId, terms) {
+        var fragments = [];
+        var seen = {};
+        for (var i = 0; i < terms.length; i++) {
+            var parts = String(terms[i]).toLowerCase().split(/\s+/);
+            for (var p = 0; p < parts.length; p++) {
+                if (parts[p] && !seen[parts[p]]) {
+                    seen[parts[p]] = true;
+                    fragments.push(parts[p]);
+                }
+            }
+        }
+        if (!fragments.length) return null;
+
+        // Longest fragments are the most selective — intersect from there
+        fragments.sort(function(a, b) { return b.length - a.length; });
+        var result = null;
+        for (var f = 0; f < fragments.length; f++) {
+            var candidates = _searchCandidates(tableId, fragments[f]);
+            if (result === null) {
+                result = candidates;
+            } else {
+                var next = {};
+                for (var id in result) {
+                    if (candidates[id]) next[id] = true;
+                }
+                result = next;
+            }
+            if (!_hasKeys(result)) break;
+        }
+        return result;
+    }
+
+    // ============ Search Index Persistence ============
+    // The inverted index is persisted per table in SEARCH_INDEX_SHARDS shards
+    // (token → record ids), stored like records: plaintext during a session,
+    // encrypted on logout. Changes mark shards dirty and are written after a
+    // short idle delay. The {tableId}:meta entry is flipped to incomplete as
+    // soon as the in-memory index diverges, so an index left behind by a
+    // crash is discarded on load and rebuilt on the next full table load.
+
+    var SEARCH_INDEX_SHARDS = 32;
+    var SEARCH_INDEX_FORMAT = 1;
+    var SEARCH_INDEX_PERSIST_DELAY = 2000; // ms of quiet before writing dirty shards
+
+    var _searchDirtyShards = {};     // tableId -> { shard: true }
+    var _searchPersistState = {};    // tableId -> 'dirty' | 'persisting' (absent = persisted)
+    var _searchPersistTimer = null;
+
+    function _searchShardOf(token) {
+        var hash = 0;
+        for (var i = 0; i < token.length; i++) {
+            hash = (hash * 31 + token.charCodeAt(i)) | 0;
+        }
+        return (hash >>> 0) % SEARCH_INDEX_SHARDS;
+    }
+
+    // Only the leader writes shards; followers keep their copy in memory
+    function _canPersistSearchIndex() {
+        return !!(_db && _cryptoKey && !_onlineOnlyMode && _isLeader);
+    }
+
+    function _markSearchShardDirty(tableId, shard) {
+        if (!_searchDirtyShards[tableId]) _searchDirtyShards[tableId] = {};
+        _searchDirtyShards[tableId][shard] = true;
+        if (!_searchIndexLoaded[tableId] || !_canPersistSearchIndex()) return;
+        if (_searchPersistState[tableId] !== 'dirty') {
+            _searchPersistState[tableId] = 'dirty';
+            _writeSearchMeta(tableId, false);
+        }
+        if (!_searchPersistTimer) {
+            _searchPersistTimer = setTimeout(function() {
+                _searchPersistTimer = null;
+                persistSearchIndex().catch(function(err) {
+                    console.warn('[AminoData] Search index persist failed:', err);
+                });
+            }, SEARCH_INDEX_PERSIST_DELAY);
+        }
+    }
+
+    // Fire-and-forget meta write. The transaction is created synchronously, so
+    // it is ordered after any shard write already in flight for the table.
+    function _writeSearchMeta(tableId, complete) {
+        try {
+            var tx = _db.transaction('search_index', 'readwrite');
+            tx.objectStore('search_index').put(_searchMetaEntry(tableId, complete));
+            idbTxDone(tx).catch(function(err) {
+                console.warn('[AminoData] Search index meta write failed:', err);
+            });
+        } catch (err) {
+            console.warn('[AminoData] Search index meta write failed:', err);
+        }
+    }
+
+    function _searchMetaEntry(tableId, complete) {
+        return {
+            id: tableId + ':meta',
+            tableId: tableId,
+            shard: -1,
+            complete: complete,
+            format: SEARCH_INDEX_FORMAT,
+            updatedAt: new Date().toISOString()
+        };
+    }
+
+    // Write all dirty shards of fully indexed tables. Returns the number of
+    // shard entries written.
+    async function persistSearchIndex() {
+        if (_searchPersistTimer) {
+            clearTimeout(_searchPersistTimer);
+            _searchPersistTimer = null;
+        }
+        if (!_canPersistSearchIndex()) return 0;
+
+        var written = 0;
+        var tableIds = Object.keys(_searchDirtyShards);
+        for (var t = 0; t < tableIds.length; t++) {
+            var tableId = tableIds[t];
+            if (!_searchIndexLoaded[tableId]) continue;
+            var dirty = _searchDirtyShards[tableId];
+            delete _searchDirtyShards[tableId];
+            _searchPersistState[tableId] = 'persisting';
+
+            // Snapshot dirty shards synchronously, then encrypt
+            var shards = {};
+            for (var s in dirty) shards[s] = {};
+            var postings = _searchPostings[tableId] || {};
+            for (var token in postings) {
+                var shard = shards[_searchShardOf(token)];
+                if (shard) shard[token] = Object.keys(postings[token]);
+            }
+            var entries = [];
+            for (var key in shards) {
+                var json = JSON.stringify(shards[key]);
+                entries.push({
+                    id: tableId + ':' + key,
+                    tableId: tableId,
+                    shard: Number(key),
+                    data: _deferEncryption ? json : await encrypt(_cryptoKey, json)
+                });
+            }
+            if (!_db) return written;
+
+            var tx = _db.transaction('search_index', 'readwrite');
+            var store = tx.objectStore('search_index');
+            for (var e = 0; e < entries.length; e++) {
+                store.put(entries[e]);
+            }
+            // Changes made while encrypting are not in this snapshot — leave
+            // the index marked incomplete until the next write catches up.
+            store.put(_searchMetaEntry(tableId, _searchPersistState[tableId] === 'persisting'));
+            await idbTxDone(tx);
+            if (_searchPersistState[tableId] === 'persisting') delete _searchPersistState[tableId];
+            written += entries.length;
+        }
+        return written;
+    }
+
+    // Load persisted indexes for every table with a complete index. Called
+    // after unlock, before any record is cached for the session. Shards are
+    // decrypted in the crypto worker, one table at a time.
+    async function _loadSearchIndex() {
+        if (_onlineOnlyMode || !_db) return;
+        var tx = _db.transaction('search_index', 'readonly');
+        var store = tx.objectStore('search_index');
+        var metas = await Promise.all(_tableIds.map(function(tableId) {
+            return idbGet(store, tableId + ':meta');
+        }));
+
+        var loadedTables = 0;
+        for (var t = 0; t < metas.length; t++) {
+            var meta = metas[t];
+            if (!meta || !meta.complete || meta.format !== SEARCH_INDEX_FORMAT) continue;
+            var tableId = meta.tableId;
+
+            var postings = {};
+            var forward = {};
+            try {
+                var shards = await _readDecrypted('search_index', 'data', { indexName: 'byTable', key: tableId });
+                for (var s = 0; s < shards.length; s++) {
+                    if (shards[s].shard === -1) continue;
+                    var parsed = shards[s].data;
+                    for (var token in parsed) {
+                        var ids = parsed[token];
+                        postings[token] = {};
+                        for (var r = 0; r < ids.length; r++) {
+                            postings[token][ids[r]] = true;
+                            (forward[ids[r]] || (forward[ids[r]] = [])).push(token);
+                        }
+                    }
+                }
+            } catch (err) {
+                // e.g. shards written under a previous key — rebuild instead
+                console.warn('[AminoData] Discarding unreadable search index for', tableId, err);
+                continue;
+            }
+
+            _searchPostings[tableId] = postings;
+            _searchVocab[tableId] = null;
+            for (var recordId in forward) {
+                _searchRecordTokens[recordId] = { tableId: tableId, tokens: forward[recordId] };
+            }
+            _searchIndexLoaded[tableId] = true;
+            loadedTables++;
+        }
+        _searchIndexVersion++;
+        if (loadedTables) {
+            console.log('[AminoData] Loaded persisted search index for', loadedTables, 'tables');
+        }
+    }
+
+    // Encrypt plaintext search shards (companion to encryptAllRecords).
+    async function _encryptSearchIndex() {
+        return _encryptPlaintextStore('search_index', 'data');
     }
 
     function normalizeFieldOps(content) {
@@ -760,6 +1946,257 @@ var AminoData = (function() {
         clearTableCache(tableId);
     }
 
+    // ============ Field Indexes ============
+    // Secondary indexes over field values, declared per table with
+    // defineIndex(tableId, fieldName). Each one maps a value to the ids of
+    // the records holding it and lives in memory only, beside the decrypted
+    // record cache — nothing derived from plaintext is written to IndexedDB.
+    // cacheRecord and _evictCachedRecord keep them current; clearTableCache
+    // drops a table's entries and the next full load rebuilds them. Array
+    // values (multi-selects, linked records) index every element, and linked
+    // record objects index their id. A lookup is only trusted once the
+    // table's cache is complete.
+
+    var _fieldIndexes = {};          // tableId -> { fieldName -> { key -> { value, ids: { recordId: true } } } }
+    var _fieldIndexRecordKeys = {};  // recordId -> { tableId, keys: { fieldName -> [key] } } (forward index for updates)
+    var _fieldIndexSorted = {};      // tableId + '\n' + fieldName -> entries sorted by value, null when stale
+
+    // Values a field contributes to its index, each with a type-tagged key
+    // so that 5 and '5' stay distinct.
+    function _fieldIndexValues(value, out) {
+        out = out || [];
+        if (value == null || value === '') return out;
+        if (Array.isArray(value)) {
+            for (var i = 0; i < value.length; i++) _fieldIndexValues(value[i], out);
+            return out;
+        }
+        if (typeof value === 'string') {
+            var trimmed = value.trim();
+            if (trimmed) out.push({ key: 's:' + trimmed, value: trimmed });
+        } else if (typeof value === 'number') {
+            if (!isNaN(value)) out.push({ key: 'n:' + value, value: value });
+        } else if (typeof value === 'boolean') {
+            out.push({ key: 'b:' + value, value: value });
+        } else if (typeof value === 'object') {
+            var id = typeof value.id === 'string' ? value.id : value.recordId;
+            if (typeof id === 'string' && id.trim()) out.push({ key: 's:' + id.trim(), value: id.trim() });
+        }
+        return out;
+    }
+
+    function _indexRecordFields(record) {
+        var indexes = _fieldIndexes[record.tableId];
+        if (!indexes) return;
+        _unindexRecordFields(record.id);
+        var keys = {};
+        var fields = record.fields || {};
+        for (var fieldName in indexes) {
+            var values = _fieldIndexValues(fields[fieldName]);
+            if (!values.length) continue;
+            var index = indexes[fieldName];
+            keys[fieldName] = [];
+            for (var i = 0; i < values.length; i++) {
+                var entry = index[values[i].key];
+                if (!entry) {
+                    entry = index[values[i].key] = { value: values[i].value, ids: {} };
+                    _fieldIndexSorted[record.tableId + '\n' + fieldName] = null;
+                }
+                entry.ids[record.id] = true;
+                keys[fieldName].push(values[i].key);
+            }
+        }
+        _fieldIndexRecordKeys[record.id] = { tableId: record.tableId, keys: keys };
+    }
+
+    function _unindexRecordFields(recordId) {
+        var prev = _fieldIndexRecordKeys[recordId];
+        if (!prev) return;
+        var indexes = _fieldIndexes[prev.tableId] || {};
+        for (var fieldName in prev.keys) {
+            var index = indexes[fieldName];
+            if (!index) continue;
+            for (var i = 0; i < prev.keys[fieldName].length; i++) {
+                var key = prev.keys[fieldName][i];
+                if (!index[key]) continue;
+                delete index[key].ids[recordId];
+                if (!_hasKeys(index[key].ids)) {
+                    delete index[key];
+                    _fieldIndexSorted[prev.tableId + '\n' + fieldName] = null;
+                }
+            }
+        }
+        delete _fieldIndexRecordKeys[recordId];
+    }
+
+    // Forget every indexed value of a table, keeping the definitions.
+    function _resetFieldIndexes(tableId) {
+        var indexes = _fieldIndexes[tableId];
+        if (!indexes) return;
+        for (var recordId in _fieldIndexRecordKeys) {
+            if (_fieldIndexRecordKeys[recordId].tableId === tableId) delete _fieldIndexRecordKeys[recordId];
+        }
+        for (var fieldName in indexes) {
+            indexes[fieldName] = {};
+            _fieldIndexSorted[tableId + '\n' + fieldName] = null;
+        }
+    }
+
+    function _getFieldIndex(tableId, fieldName) {
+        var index = _fieldIndexes[tableId] && _fieldIndexes[tableId][fieldName];
+        if (!index) throw new Error('No index on ' + tableId + '.' + fieldName + ' — call defineIndex first');
+        return index;
+    }
+
+    // Declare an index on one field of a table. Defining an index on a table
+    // that is already cached builds it from the cache straight away.
+    function defineIndex(tableId, fieldName) {
+        if (!tableId || !fieldName) throw new Error('defineIndex requires a tableId and a field name');
+        if (!_fieldIndexes[tableId]) _fieldIndexes[tableId] = {};
+        if (_fieldIndexes[tableId][fieldName]) return;
+        _fieldIndexes[tableId][fieldName] = {};
+        var cachedIds = Object.keys(_tableRecordIdIndex[tableId] || {});
+        for (var i = 0; i < cachedIds.length; i++) {
+            var record = _recordCacheById[cachedIds[i]];
+            if (record) _indexRecordFields(record);
+        }
+    }
+
+    // Declare several indexes at once: { tableId: ['Client', 'Status'], ... }
+    function defineIndexes(definitions) {
+        for (var tableId in definitions || {}) {
+            var fieldNames = definitions[tableId] || [];
+            for (var i = 0; i < fieldNames.length; i++) defineIndex(tableId, fieldNames[i]);
+        }
+    }
+
+    function dropIndex(tableId, fieldName) {
+        if (!_fieldIndexes[tableId] || !_fieldIndexes[tableId][fieldName]) return;
+        delete _fieldIndexes[tableId][fieldName];
+        delete _fieldIndexSorted[tableId + '\n' + fieldName];
+        for (var recordId in _fieldIndexRecordKeys) {
+            var entry = _fieldIndexRecordKeys[recordId];
+            if (entry.tableId === tableId) delete entry.keys[fieldName];
+        }
+        if (!_hasKeys(_fieldIndexes[tableId])) delete _fieldIndexes[tableId];
+    }
+
+    // Declared indexes as { tableId: [fieldName, ...] }.
+    function getIndexDefinitions() {
+        var definitions = {};
+        for (var tableId in _fieldIndexes) definitions[tableId] = Object.keys(_fieldIndexes[tableId]);
+        return definitions;
+    }
+
+    // Ids of records whose field holds `value` (or any element of it, when
+    // `value` is an array), as a { recordId: true } set.
+    function _indexEqualIds(tableId, fieldName, value) {
+        var index = _getFieldIndex(tableId, fieldName);
+        var values = _fieldIndexValues(value);
+        var ids = {};
+        for (var i = 0; i < values.length; i++) {
+            var entry = index[values[i].key];
+            if (!entry) continue;
+            for (var id in entry.ids) ids[id] = true;
+        }
+        return ids;
+    }
+
+    function _sortedIndexEntries(tableId, fieldName) {
+        var cacheKey = tableId + '\n' + fieldName;
+        if (!_fieldIndexSorted[cacheKey]) {
+            var index = _getFieldIndex(tableId, fieldName);
+            _fieldIndexSorted[cacheKey] = Object.keys(index).map(function(key) { return index[key]; })
+                .sort(function(a, b) { return _compareIndexValues(a.value, b.value); });
+        }
+        return _fieldIndexSorted[cacheKey];
+    }
+
+    // Numbers before strings before booleans; within a type, natural order
+    // (ISO dates sort correctly as strings).
+    var INDEX_TYPE_ORDER = { number: 0, string: 1, boolean: 2 };
+    function _compareIndexValues(a, b) {
+        var ta = INDEX_TYPE_ORDER[typeof a];
+        var tb = INDEX_TYPE_ORDER[typeof b];
+        if (ta !== tb) return ta - tb;
+        return a < b ? -1 : (a > b ? 1 : 0);
+    }
+
+    // Ids of records with a value inside the range, in ascending value
+    // order. Bounds: { gt, gte, lt, lte }; only values of the bounds' type
+    // match, so a numeric range never picks up strings.
+    function _indexRangeIds(tableId, fieldName, range) {
+        range = range || {};
+        var lower = range.gte !== undefined ? range.gte : range.gt;
+        var upper = range.lte !== undefined ? range.lte : range.lt;
+        var boundType = typeof (lower !== undefined ? lower : upper);
+        if (lower === undefined && upper === undefined) throw new Error('Range lookup needs at least one bound');
+        if (!(boundType in INDEX_TYPE_ORDER)) throw new Error('Range bounds must be numbers, strings or booleans');
+
+        var entries = _sortedIndexEntries(tableId, fieldName);
+        // Binary search for the first entry at or above the lower bound — or,
+        // without one, for the first entry of the bounds' type
+        var lo = 0;
+        var hi = entries.length;
+        while (lo < hi) {
+            var mid = (lo + hi) >> 1;
+            var below = lower !== undefined
+                ? _compareIndexValues(entries[mid].value, lower) < 0
+                : INDEX_TYPE_ORDER[typeof entries[mid].value] < INDEX_TYPE_ORDER[boundType];
+            if (below) lo = mid + 1;
+            else hi = mid;
+        }
+
+        var ids = [];
+        var seen = {};
+        for (var i = lo; i < entries.length; i++) {
+            var value = entries[i].value;
+            if (typeof value !== boundType) break;
+            if (range.gt !== undefined && !(value > range.gt)) continue;
+            if (range.lt !== undefined && !(value < range.lt)) break;
+            if (range.lte !== undefined && value > range.lte) break;
+            for (var id in entries[i].ids) {
+                if (!seen[id]) {
+                    seen[id] = true;
+                    ids.push(id);
+                }
+            }
+        }
+        return ids;
+    }
+
+    function _idsToCachedRecords(ids) {
+        var records = [];
+        for (var i = 0; i < ids.length; i++) {
+            if (_recordCacheById[ids[i]]) records.push(cloneRecord(_recordCacheById[ids[i]]));
+        }
+        return records;
+    }
+
+    // Records of a table whose field equals `value` (any of, for an array).
+    // Loads the table into the cache on first use; later lookups read the
+    // index only.
+    async function findByIndex(tableId, fieldName, value) {
+        _getFieldIndex(tableId, fieldName);
+        if (!_tableCacheHydrated[tableId]) await getTableRecords(tableId);
+        return _idsToCachedRecords(Object.keys(_indexEqualIds(tableId, fieldName, value)));
+    }
+
+    // Records of a table whose field lies in a range, ascending by value.
+    // range: { gt?, gte?, lt?, lte? }
+    async function findByIndexRange(tableId, fieldName, range) {
+        _getFieldIndex(tableId, fieldName);
+        if (!_tableCacheHydrated[tableId]) await getTableRecords(tableId);
+        return _idsToCachedRecords(_indexRangeIds(tableId, fieldName, range));
+    }
+
+    // Synchronous lookup for render paths: ids of matching records, or null
+    // when the table isn't fully cached (or has no such index) and the
+    // caller has to fall back to scanning.
+    function findIdsByIndexCached(tableId, fieldName, value) {
+        if (!_tableCacheHydrated[tableId] || !_fieldIndexes[tableId] || !_fieldIndexes[tableId][fieldName]) return null;
+        return Object.keys(_indexEqualIds(tableId, fieldName, value));
+    }
+
     // ============ Hydration & Sync ============
     // Core hydration logic is delegated to the AminoHydration module.
     // These functions build a HydrationContext and call through.
@@ -767,16 +2204,14 @@ var AminoData = (function() {
     function _buildHydrationCtx() {
         return {
             db: _db,
-            tableIds: _tableIds,
+            // Evicted tables are left for rehydrateTable() on next read
+            tableIds: _tableIds.filter(function(tableId) { return !_evictedTables[tableId]; }),
             tables: _tables,
             onlineOnlyMode: _onlineOnlyMode,
             deferEncryption: _deferEncryption,
-            BOX_DOWNLOAD_WEBHOOK: BOX_DOWNLOAD_WEBHOOK,
+            boxDownloadUrl: getTransport().boxDownloadUrl || null,
 
-            getAuthToken: function() {
-                return (typeof MatrixClient !== 'undefined' && MatrixClient.getAccessToken && MatrixClient.getAccessToken())
-                    ? MatrixClient.getAccessToken() : _accessToken;
-            },
+            getAuthToken: _getReadToken,
 
             idbPut: idbPut,
             idbGet: idbGet,
@@ -784,14 +2219,19 @@ var AminoData = (function() {
             idbTxDone: idbTxDone,
 
             prepareEncryptedRecords: prepareEncryptedRecords,
+            writeRecords: writeRecordBatch,
             cacheRecord: cacheRecord,
             cacheFullTable: cacheFullTable,
             deleteTableRecords: deleteTableRecords,
+            readRecords: function(ids) {
+                return _readDecrypted('records', 'fields', { ids: ids });
+            },
+            storeEvents: _storeEvents,
 
             encrypt: function(plaintext) { return encrypt(_cryptoKey, plaintext); },
             decrypt: function(ciphertext) { return decrypt(_cryptoKey, ciphertext); },
 
-            apiFetch: apiFetch,
+            transport: getTransport(),
 
             emitEvent: function(name, detail) {
                 window.dispatchEvent(new CustomEvent(name, { detail: detail }));
@@ -811,50 +2251,500 @@ var AminoData = (function() {
         return result.count;
     }
 
-    // ============ View Deletion Tracking & Propagation ============
+    // One pass over the global event log (see EVENT STREAM in hydration.js).
+    // Tables it reports a gap for are queued for a per-table catch-up by the
+    // poll loop.
+    async function syncEventStream() {
+        var result = await AminoHydration.syncFromEventStream(_buildHydrationCtx());
+        var gapTables = result.gap === 'all' ? _tableIds : result.gapTables;
+        for (var i = 0; i < gapTables.length; i++) _streamGapTables[gapTables[i]] = true;
+        if (gapTables.length) {
+            console.log('[AminoData] Event stream gap (' + (result.gapReason || 'per table') + ') — syncing ' +
+                gapTables.length + ' table(s) individually');
+        }
+        return result;
+    }
 
-    // Process a law.firm.view.delete event received via sync.
-    // Emits amino:view-delete or amino:view-restore custom events
-    // so the UI can react (remove view from sidebar, show undo toast, etc.)
-    function processViewDeleteEvent(event) {
-        var content = event.content;
-        if (!content || !content.viewId || !content.tableId) return;
+    // ============ Deletion Reconciliation ============
+    // Incremental sync only returns records changed since the cursor, so a
+    // record deleted or merged upstream would otherwise live on locally.
+    // The leader periodically compares each table's local ids with the
+    // server's — a hash first (one small request when nothing changed),
+    // the full id list only when the hashes differ. Local records missing
+    // upstream become tombstones (_deleted + _deletedUpstream, plus
+    // _mergedInto when the server reports a merge) so stale links can say
+    // where the record went. The IndexedDB entry carries a plaintext
+    // `deleted` flag so the next pass needn't decrypt the table. Upstream
+    // tombstones are purged after UPSTREAM_TOMBSTONE_RETENTION; a record
+    // that reappears upstream is simply overwritten by the next sync.
+
+    var RECONCILE_INTERVAL = 6 * 60 * 60 * 1000;                  // per table
+    var UPSTREAM_TOMBSTONE_RETENTION = 180 * 24 * 60 * 60 * 1000;
+    // Refuse to tombstone more than this share of a table in one pass
+    // (a truncated id list must not wipe the mirror) unless forced
+    var RECONCILE_MAX_REMOVAL_RATIO = 0.5;
+    var RECONCILE_MIN_GUARDED = 20;
+
+    var _reconciliations = {};     // tableId -> in-flight reconciliation promise
+
+    /**
+     * Compare a table's local records with the server and tombstone those
+     * deleted or merged upstream. Concurrent callers share one pass.
+     *
+     * @param {string} tableId
+     * @param {{force?: boolean}} [options] - force: skip the mass-removal guard
+     * @returns {Promise<{tableId: string, unchanged: boolean,
+     *           removed: Array<{recordId: string, mergedInto: string|null}>,
+     *           missing: string[], skipped: string[], purged: number,
+     *           reconciledAt: string}>}
+     *   missing: ids the server has but this device doesn't (a full hydrate
+     *   brings them back); skipped: removed upstream but with queued edits.
+     */
+    function reconcileTable(tableId, options) {
+        if (_reconciliations[tableId]) return _reconciliations[tableId];
+        _reconciliations[tableId] = _runReconciliation(tableId, options || {});
+        return _reconciliations[tableId].finally(function() {
+            delete _reconciliations[tableId];
+        });
+    }
 
-        var op = content.op || 'NUL';
+    async function _runReconciliation(tableId, options) {
+        if (!_db || _onlineOnlyMode) throw new Error('Data layer not initialized');
+        if (_evictedTables[tableId]) throw new Error('Table ' + tableId + ' is evicted — nothing to reconcile');
+        var transport = getTransport();
+        if (!transport.fetchRecordIds) throw new Error('Transport "' + transport.type + '" cannot list record ids');
 
-        if (op === 'NUL') {
-            // View was deleted — notify UI
-            window.dispatchEvent(new CustomEvent('amino:view-delete', {
-                detail: {
-                    eventId: event.event_id || null,
-                    sender: event.sender || null,
-                    timestamp: event.origin_server_ts || Date.now(),
-                    tableId: content.tableId,
-                    viewId: content.viewId,
-                    deletedBy: content.deletedBy || event.sender || null,
-                    viewSnapshot: content.viewSnapshot || null
-                }
-            }));
-        } else if (op === 'INS') {
-            // View was restored — notify UI
-            window.dispatchEvent(new CustomEvent('amino:view-restore', {
-                detail: {
-                    eventId: event.event_id || null,
-                    sender: event.sender || null,
-                    timestamp: event.origin_server_ts || Date.now(),
-                    tableId: content.tableId,
-                    viewId: content.viewId,
-                    restoredBy: content.restoredBy || event.sender || null,
-                    viewSnapshot: content.viewSnapshot || null
-                }
-            }));
+        // Snapshot local ids before asking the server, so a record synced
+        // in while the request is in flight is never mistaken for a ghost
+        var tx = _db.transaction('records', 'readonly');
+        var entries = await idbGetAll(tx.objectStore('records').index('byTable'), tableId);
+        var live = [];
+        var upstreamTombstones = [];
+        for (var i = 0; i < entries.length; i++) {
+            var entry = entries[i];
+            if (entry.deleted) upstreamTombstones.push(entry);
+            else if (!_pendingDeletes[entry.id] && !isTempRecordId(entry.id)) live.push(entry.id);
         }
-    }
 
-    // Process timeline events from a Matrix /sync response scoped to the org space.
-    // Looks for law.firm.view.delete events and dispatches them.
-    function processViewSyncResponse(syncData) {
-        if (!syncData || !syncData.rooms || !syncData.rooms.join || !_orgSpaceId) return 0;
+        var reconciledAt = new Date().toISOString();
+        var result = {
+            tableId: tableId, unchanged: false, removed: [], missing: [], skipped: [],
+            purged: await _purgeUpstreamTombstones(upstreamTombstones), reconciledAt: reconciledAt
+        };
+
+        var localHash = await AminoTransport.hashRecordIds(live);
+        var summary = await transport.fetchRecordIds(tableId, { hashOnly: true });
+        if (summary && summary.hash && summary.hash === localHash) {
+            result.unchanged = true;
+            await _recordReconciliation(tableId, result);
+            return result;
+        }
+
+        var server = summary && summary.ids ? summary : await transport.fetchRecordIds(tableId, { hashOnly: false });
+        if (!server || !Array.isArray(server.ids)) throw new Error('Server returned no id list for ' + tableId);
+        if (typeof server.count === 'number' && server.count !== server.ids.length) {
+            throw new Error('Server id list for ' + tableId + ' is incomplete (' + server.ids.length + ' of ' + server.count + ')');
+        }
+
+        var serverIds = {};
+        for (var s = 0; s < server.ids.length; s++) serverIds[server.ids[s]] = true;
+        var localIds = {};
+        for (var l = 0; l < live.length; l++) localIds[live[l]] = true;
+        var merged = server.merged || {};
+
+        var edited = _pendingRecordIds(await getPendingMutations());
+
+        var gone = [];
+        for (var g = 0; g < live.length; g++) {
+            if (serverIds[live[g]]) continue;
+            if (edited[live[g]]) result.skipped.push(live[g]);
+            else gone.push(live[g]);
+        }
+        result.missing = server.ids.filter(function(id) { return !localIds[id] && !_pendingDeletes[id]; });
+
+        if (!options.force && gone.length >= RECONCILE_MIN_GUARDED && gone.length > live.length * RECONCILE_MAX_REMOVAL_RATIO) {
+            throw new Error('Reconciliation would remove ' + gone.length + ' of ' + live.length + ' records in ' + tableId +
+                ' — refusing without { force: true }');
+        }
+
+        if (gone.length) await _tombstoneUpstream(tableId, gone, merged, reconciledAt);
+        result.removed = gone.map(function(id) { return { recordId: id, mergedInto: merged[id] || null }; });
+
+        if (result.removed.length || result.skipped.length || result.missing.length) {
+            console.log('[AminoData] Reconciled', tableId + ':', result.removed.length, 'removed upstream,',
+                result.skipped.length, 'kept for queued edits,', result.missing.length, 'missing locally');
+        }
+        await _recordReconciliation(tableId, result);
+
+        if (gone.length) {
+            window.dispatchEvent(new CustomEvent('amino:sync', {
+                detail: { tableId: tableId, updatedCount: gone.length, recordIds: gone, reconciled: true }
+            }));
+        }
+        window.dispatchEvent(new CustomEvent('amino:records-reconciled', { detail: result }));
+        return result;
+    }
+
+    async function _tombstoneUpstream(tableId, recordIds, merged, deletedAt) {
+        var BATCH_SIZE = 200;
+        for (var b = 0; b < recordIds.length; b += BATCH_SIZE) {
+            var records = await _readDecrypted('records', 'fields', { ids: recordIds.slice(b, b + BATCH_SIZE) });
+            var tombstones = records.filter(Boolean).map(function(record) {
+                var fields = record.fields || {};
+                fields._deleted = true;
+                fields._deletedAt = deletedAt;
+                fields._deletedUpstream = true;
+                if (merged[record.id]) fields._mergedInto = merged[record.id];
+                record.fields = fields;
+                record.deleted = true;
+                record.deletedAt = deletedAt;
+                return record;
+            });
+            await _writeEncrypted('records', 'fields', tombstones);
+            for (var i = 0; i < tombstones.length; i++) _evictCachedRecord(tableId, tombstones[i].id);
+        }
+    }
+
+    async function _purgeUpstreamTombstones(tombstones) {
+        var cutoff = new Date(Date.now() - UPSTREAM_TOMBSTONE_RETENTION).toISOString();
+        var expired = tombstones.filter(function(entry) { return entry.deletedAt && entry.deletedAt < cutoff; });
+        if (!expired.length) return 0;
+        var tx = _db.transaction('records', 'readwrite');
+        for (var i = 0; i < expired.length; i++) tx.objectStore('records').delete(expired[i].id);
+        await idbTxDone(tx);
+        return expired.length;
+    }
+
+    async function _recordReconciliation(tableId, result) {
+        var tx = _db.transaction('sync', 'readwrite');
+        var store = tx.objectStore('sync');
+        var entry = (await idbGet(store, tableId)) || { tableId: tableId };
+        entry.lastReconciledAt = result.reconciledAt;
+        entry.lastReconcileResult = {
+            removed: result.removed.length,
+            missing: result.missing.length,
+            skipped: result.skipped.length,
+            purged: result.purged
+        };
+        store.put(entry);
+        await idbTxDone(tx);
+    }
+
+    /**
+     * Why a record id no longer resolves: its tombstone, or null when the
+     * record is live or unknown.
+     * @returns {Promise<{recordId: string, tableId: string, deletedAt: string|null,
+     *           upstream: boolean, mergedInto: string|null}|null>}
+     */
+    async function getRecordTombstone(recordId) {
+        if (!_db || _onlineOnlyMode) return null;
+        var tx = _db.transaction('records', 'readonly');
+        var entry = await idbGet(tx.objectStore('records'), recordId);
+        if (!entry) return null;
+        var record = await decryptRecord(entry);
+        if (!_isTombstone(record)) return null;
+        return {
+            recordId: recordId,
+            tableId: record.tableId,
+            deletedAt: record.fields._deletedAt || null,
+            upstream: !!record.fields._deletedUpstream,
+            mergedInto: record.fields._mergedInto || null
+        };
+    }
+
+    // Per-table { tableId, lastReconciledAt, removed, missing, skipped, purged }.
+    async function getReconciliationStatus() {
+        if (!_db || _onlineOnlyMode) return [];
+        var tx = _db.transaction('sync', 'readonly');
+        var entries = await idbGetAll(tx.objectStore('sync'));
+        var byTable = {};
+        for (var i = 0; i < entries.length; i++) byTable[entries[i].tableId] = entries[i];
+        return _tableIds.map(function(tableId) {
+            var entry = byTable[tableId] || {};
+            var last = entry.lastReconcileResult || {};
+            return {
+                tableId: tableId,
+                lastReconciledAt: entry.lastReconciledAt || null,
+                removed: last.removed || 0,
+                missing: last.missing || 0,
+                skipped: last.skipped || 0,
+                purged: last.purged || 0
+            };
+        });
+    }
+
+    // ============ Integrity Verification ============
+    // Proves the local mirror matches amino.current_state without shipping
+    // the table: both sides hash canonicalised record fields into the same
+    // Merkle-style tree (see AminoTransport.buildIntegrityTree). Equal table
+    // hashes end the check; otherwise only the differing buckets are fetched
+    // as per-record hashes, and only the divergent records are repaired.
+    // Records with queued edits are expected to differ until they flush —
+    // they are reported, never overwritten.
+
+    var INTEGRITY_INTERVAL = 24 * 60 * 60 * 1000;   // per table
+    var INTEGRITY_SINGLE_FETCH_LIMIT = 20;          // above this, one table fetch instead of per-record
+    var _verifications = {};       // tableId -> in-flight verification promise
+
+    /**
+     * Compare a table's local records with the server's content hashes and,
+     * unless options.repair is false, re-fetch or tombstone the records that
+     * differ. Concurrent callers share one pass.
+     *
+     * @param {string} tableId
+     * @param {{repair?: boolean}} [options]
+     * @returns {Promise<{tableId: string, status: string, localCount: number,
+     *           serverCount: number, driftedBuckets: number[], changed: string[],
+     *           missing: string[], extra: string[], pending: string[],
+     *           repaired: number, verifiedAt: string}>}
+     *   status: 'in-sync' | 'repaired' | 'drifted' (repair disabled) |
+     *   'pending-edits' (only records with queued edits differ).
+     */
+    function verifyTableIntegrity(tableId, options) {
+        if (_verifications[tableId]) return _verifications[tableId];
+        _verifications[tableId] = _runVerification(tableId, options || {});
+        return _verifications[tableId].finally(function() {
+            delete _verifications[tableId];
+        });
+    }
+
+    async function _runVerification(tableId, options) {
+        if (!_db || _onlineOnlyMode) throw new Error('Data layer not initialized');
+        if (_evictedTables[tableId]) throw new Error('Table ' + tableId + ' is evicted — nothing to verify');
+        var transport = getTransport();
+        if (!transport.fetchIntegrity) throw new Error('Transport "' + transport.type + '" cannot serve integrity hashes');
+
+        var entries = await _readDecrypted('records', 'fields', { indexName: 'byTable', key: tableId },
+            _cryptoProgressReporter('decrypt', 'records', tableId));
+        // Upstream tombstones are gone from the server as well
+        var local = await AminoTransport.buildIntegrityTree(entries.filter(function(entry) { return !entry.deleted; }));
+        var server = await transport.fetchIntegrity(tableId, {});
+
+        var result = {
+            tableId: tableId, status: 'in-sync', localCount: local.count, serverCount: server.count || 0,
+            driftedBuckets: [], changed: [], missing: [], extra: [], pending: [], repaired: 0,
+            verifiedAt: new Date().toISOString()
+        };
+
+        if (server.tableHash !== local.tableHash) {
+            var serverBuckets = server.buckets || [];
+            for (var b = 0; b < local.buckets.length; b++) {
+                if (serverBuckets[b] !== local.buckets[b]) result.driftedBuckets.push(b);
+            }
+            var drill = await transport.fetchIntegrity(tableId, { buckets: result.driftedBuckets });
+            var serverRecords = (drill && drill.records) || {};
+            var drifted = {};
+            result.driftedBuckets.forEach(function(bucket) { drifted[bucket] = true; });
+
+            // Queued edits (TXN operations included) and records still under
+            // a temp id are ours, not drift — reconcileTable skips them too
+            var edited = _pendingRecordIds(await getPendingMutations());
+            var classify = function(list, recordId) {
+                (edited[recordId] || isTempRecordId(recordId) ? result.pending : list).push(recordId);
+            };
+            for (var id in local.records) {
+                if (!drifted[local.records[id].bucket]) continue;
+                if (!Object.prototype.hasOwnProperty.call(serverRecords, id)) classify(result.extra, id);
+                else if (serverRecords[id] !== local.records[id].hash) classify(result.changed, id);
+            }
+            for (var serverId in serverRecords) {
+                if (!local.records[serverId]) classify(result.missing, serverId);
+            }
+
+            // Same guard as reconciliation: a bad drill-down must not wipe the mirror
+            var massRemoval = result.extra.length >= RECONCILE_MIN_GUARDED &&
+                result.extra.length > local.count * RECONCILE_MAX_REMOVAL_RATIO;
+            if (!result.changed.length && !result.missing.length && !result.extra.length) {
+                result.status = 'pending-edits';
+            } else if (options.repair === false || massRemoval) {
+                result.status = 'drifted';
+            } else {
+                result.repaired = await _repairDivergent(tableId, result);
+                result.status = 'repaired';
+            }
+            console.warn('[AminoData] Integrity', tableId + ':', result.status, '—', result.changed.length, 'changed,',
+                result.missing.length, 'missing,', result.extra.length, 'extra,', result.pending.length, 'with queued edits');
+        }
+
+        await _recordIntegrity(tableId, result);
+        window.dispatchEvent(new CustomEvent('amino:integrity-checked', { detail: result }));
+        return result;
+    }
+
+    // Re-fetch changed/missing records and tombstone extras. Returns the
+    // number of records written.
+    async function _repairDivergent(tableId, result) {
+        var refetch = result.changed.concat(result.missing);
+        var transport = getTransport();
+        var fresh = [];
+        if (refetch.length > INTEGRITY_SINGLE_FETCH_LIMIT) {
+            var wanted = {};
+            refetch.forEach(function(id) { wanted[id] = true; });
+            var data = await transport.fetchRecords(tableId, null, 'fullBackfill');
+            fresh = (data.records || []).filter(function(record) { return wanted[record.id]; });
+        } else {
+            for (var i = 0; i < refetch.length; i++) {
+                var single = await transport.fetchRecord(refetch[i], 'incrementalBackfill');
+                if (single && single.record) fresh.push(single.record);
+            }
+        }
+        fresh = fresh.map(function(record) { return AminoHydration.normalizeRecord(record, tableId); });
+
+        if (fresh.length) await writeRecordBatch(fresh, tableId);
+        if (result.extra.length) await _tombstoneUpstream(tableId, result.extra, {}, result.verifiedAt);
+
+        var touched = refetch.concat(result.extra);
+        window.dispatchEvent(new CustomEvent('amino:sync', {
+            detail: { tableId: tableId, updatedCount: touched.length, recordIds: touched, repaired: true }
+        }));
+        return fresh.length + result.extra.length;
+    }
+
+    async function _recordIntegrity(tableId, result) {
+        var tx = _db.transaction('sync', 'readwrite');
+        var store = tx.objectStore('sync');
+        var entry = (await idbGet(store, tableId)) || { tableId: tableId };
+        entry.lastVerifiedAt = result.verifiedAt;
+        entry.integrity = {
+            status: result.status,
+            localCount: result.localCount,
+            serverCount: result.serverCount,
+            divergent: result.changed.length + result.missing.length + result.extra.length,
+            pending: result.pending.length,
+            repaired: result.repaired
+        };
+        store.put(entry);
+        await idbTxDone(tx);
+    }
+
+    // Per-table { tableId, name, status, lastVerifiedAt, localCount,
+    // serverCount, divergent, pending, repaired }; status is 'unverified'
+    // until the first check.
+    async function getIntegrityStatus() {
+        if (!_db || _onlineOnlyMode) return [];
+        var tx = _db.transaction('sync', 'readonly');
+        var entries = await idbGetAll(tx.objectStore('sync'));
+        var byTable = {};
+        for (var i = 0; i < entries.length; i++) byTable[entries[i].tableId] = entries[i];
+        return _tables.map(function(table) {
+            var entry = byTable[table.table_id] || {};
+            var integrity = entry.integrity || {};
+            return {
+                tableId: table.table_id,
+                name: table.table_name || table.table_id,
+                status: integrity.status || 'unverified',
+                lastVerifiedAt: entry.lastVerifiedAt || null,
+                localCount: integrity.localCount || 0,
+                serverCount: integrity.serverCount || 0,
+                divergent: integrity.divergent || 0,
+                pending: integrity.pending || 0,
+                repaired: integrity.repaired || 0
+            };
+        });
+    }
+
+    // ============ Background Table Checks ============
+    // Run by the leader after each poll cycle. Each check takes its most
+    // overdue table (by the sync-entry field `lastKey`), one table per check
+    // per cycle, so id lists and hash trees are spread out. A failed or
+    // refused pass waits out the interval like a successful one.
+
+    var TABLE_CHECKS = [
+        { label: 'Deletion reconciliation', capability: 'fetchRecordIds', lastKey: 'lastReconciledAt',
+            interval: RECONCILE_INTERVAL, run: reconcileTable },
+        { label: 'Integrity verification', capability: 'fetchIntegrity', lastKey: 'lastVerifiedAt',
+            interval: INTEGRITY_INTERVAL, run: verifyTableIntegrity }
+    ];
+    var _tableCheckAttempts = {};  // label + ':' + tableId -> ms of the last scheduled attempt
+    var _tableChecksRunning = false;
+
+    async function _runDueTableChecks() {
+        if (_tableChecksRunning || !_isLeader || _offlineMode || _onlineOnlyMode || !_db) return;
+        _tableChecksRunning = true;
+        try {
+            var tx = _db.transaction('sync', 'readonly');
+            var entries = await idbGetAll(tx.objectStore('sync'));
+            var byTable = {};
+            for (var i = 0; i < entries.length; i++) byTable[entries[i].tableId] = entries[i];
+
+            var transport = getTransport();
+            for (var c = 0; c < TABLE_CHECKS.length; c++) {
+                var check = TABLE_CHECKS[c];
+                if (!transport[check.capability]) continue;
+                var tableId = _pickDueTable(check, byTable, Date.now());
+                if (!tableId) continue;
+                _tableCheckAttempts[check.label + ':' + tableId] = Date.now();
+                try {
+                    await check.run(tableId);
+                } catch (err) {
+                    console.warn('[AminoData] ' + check.label + ' failed for ' + tableId + ':', err.message || err);
+                }
+            }
+        } catch (err) {
+            console.warn('[AminoData] Background table checks failed:', err.message || err);
+        } finally {
+            _tableChecksRunning = false;
+        }
+    }
+
+    function _pickDueTable(check, byTable, now) {
+        var lastRun = function(tableId) {
+            return (byTable[tableId] && byTable[tableId][check.lastKey]) || '';
+        };
+        var due = _tableIds.filter(function(tableId) {
+            var last = lastRun(tableId);
+            return !_evictedTables[tableId] && !(_tableSchedule[tableId] && _tableSchedule[tableId].failures) &&
+                now - (_tableCheckAttempts[check.label + ':' + tableId] || 0) >= check.interval &&
+                (!last || now - new Date(last).getTime() >= check.interval);
+        });
+        due.sort(function(a, b) { return lastRun(a).localeCompare(lastRun(b)); });
+        return due[0] || null;
+    }
+
+    // ============ View Deletion Tracking & Propagation ============
+
+    // Process a law.firm.view.delete event received via sync.
+    // Emits amino:view-delete or amino:view-restore custom events
+    // so the UI can react (remove view from sidebar, show undo toast, etc.)
+    function processViewDeleteEvent(event) {
+        var content = event.content;
+        if (!content || !content.viewId || !content.tableId) return;
+
+        var op = content.op || 'NUL';
+
+        if (op === 'NUL') {
+            // View was deleted — notify UI
+            window.dispatchEvent(new CustomEvent('amino:view-delete', {
+                detail: {
+                    eventId: event.event_id || null,
+                    sender: event.sender || null,
+                    timestamp: event.origin_server_ts || Date.now(),
+                    tableId: content.tableId,
+                    viewId: content.viewId,
+                    deletedBy: content.deletedBy || event.sender || null,
+                    viewSnapshot: content.viewSnapshot || null
+                }
+            }));
+        } else if (op === 'INS') {
+            // View was restored — notify UI
+            window.dispatchEvent(new CustomEvent('amino:view-restore', {
+                detail: {
+                    eventId: event.event_id || null,
+                    sender: event.sender || null,
+                    timestamp: event.origin_server_ts || Date.now(),
+                    tableId: content.tableId,
+                    viewId: content.viewId,
+                    restoredBy: content.restoredBy || event.sender || null,
+                    viewSnapshot: content.viewSnapshot || null
+                }
+            }));
+        }
+    }
+
+    // Process timeline events from a Matrix /sync response scoped to the org space.
+    // Looks for law.firm.view.delete events and dispatches them.
+    function processViewSyncResponse(syncData) {
+        if (!syncData || !syncData.rooms || !syncData.rooms.join || !_orgSpaceId) return 0;
 
         var joinedRooms = syncData.rooms.join;
         var orgRoom = joinedRooms[_orgSpaceId];
@@ -887,6 +2777,12 @@ var AminoData = (function() {
         }
 
         _orgSpaceId = orgSpaceId;
+        _viewSyncOrgSpaceId = orgSpaceId;
+        if (!_isLeader) {
+            // The leader forwards amino:view-delete / amino:view-restore
+            console.log('[AminoData] Following — view deletion sync left to the leader tab');
+            return true;
+        }
         _viewSyncRunning = true;
         console.log('[AminoData] Starting view deletion sync for org space:', orgSpaceId);
 
@@ -966,6 +2862,7 @@ var AminoData = (function() {
 
     function stopViewDeletionSync() {
         _viewSyncRunning = false;
+        _viewSyncOrgSpaceId = null;
         if (_viewSyncAbort) {
             _viewSyncAbort.abort();
             _viewSyncAbort = null;
@@ -1069,10 +2966,8 @@ var AminoData = (function() {
         _lastAirtableSyncTrigger = now;
 
         try {
-            console.log('[AminoData] Triggering Airtable sync via n8n webhook');
-            var response = await fetch(AIRTABLE_SYNC_WEBHOOK, {
-                method: 'GET'
-            });
+            console.log('[AminoData] Triggering Airtable sync via ' + getTransport().type + ' transport');
+            var response = await getTransport().triggerSync();
 
             if (!response.ok) {
                 var errMsg = 'Airtable sync webhook returned ' + response.status;
@@ -1104,69 +2999,324 @@ var AminoData = (function() {
     }
 
     // ============ Polling ============
+    // Each table keeps its own schedule. The table open in a visible tab is
+    // polled every POLL_ACTIVE_INTERVAL; other tables start at the base
+    // interval and stretch by POLL_IDLE_GROWTH after every poll that finds
+    // nothing, up to POLL_COLD_INTERVAL, snapping back as soon as one brings
+    // changes. A failing table backs off exponentially (with jitter) and is
+    // retried, never dropped. A Retry-After hint from the server pauses every
+    // table until it has passed — they all go through the same webhooks.
+    //
+    // In 'event-stream' sync mode (AminoHydration.setSyncMode) a cycle is
+    // one request to the global event log instead, on a single schedule kept
+    // under EVENT_STREAM_CURSOR_ID. Tables are synced one by one only after
+    // the stream reports a gap for them, and leave the gap list once caught up.
+
+    var POLL_ACTIVE_INTERVAL = 5000;       // table open in a visible tab
+    var POLL_IDLE_GROWTH = 1.5;            // interval multiplier per poll without changes
+    var POLL_COLD_INTERVAL = 600000;       // 10 minutes — ceiling for idle tables
+    var POLL_BACKOFF_MAX = 900000;         // 15 minutes — ceiling for failing tables
+    var POLL_MIN_WAKE = 1000;
 
     var _pollIntervalMs = DEFAULT_POLL_INTERVAL;
     var _pollVisibilityHandler = null;
-    var _perTableFailures = {};          // B-5 fix: per-table failure tracking
-    var MAX_TABLE_POLL_FAILURES = 5;     // Skip table after this many consecutive failures
-
+    var _tableSchedule = {};             // tableId -> { interval, nextPollAt, failures, lastPolledAt, lastChangeAt, lastError }
+    var _pollPausedUntil = 0;            // Retry-After from the server
+    var _pollRunning = false;
+    var _pollAgain = false;
+    var _activeTableId = null;           // table open in this tab (setActiveTable)
+    var _tabActiveTables = {};           // tabId -> table open in that tab (as last reported)
+    var _streamGapTables = {};           // tableId -> true while it needs a per-table catch-up (event stream)
+
+    // Only the leader tab polls (see Cross-Tab Leadership); followers
+    // remember the request and start polling if they take over.
     function startPolling(intervalMs) {
         _pollIntervalMs = intervalMs || DEFAULT_POLL_INTERVAL;
+        _pollRequested = true;
+        if (!_isLeader) {
+            console.log('[AminoData] Following tab ' + (_leaderTabId || '(pending)') + ' — polling left to the leader');
+            return;
+        }
+        _startPollLoop();
+    }
+
+    // Tell the scheduler which table this tab is showing (null for none).
+    // It is polled at POLL_ACTIVE_INTERVAL from now on, starting right away.
+    function setActiveTable(tableId) {
+        tableId = tableId || null;
+        if (tableId === _activeTableId) return;
+        _activeTableId = tableId;
+        _postTabMessage({ type: 'visibility', visible: !document.hidden, activeTable: _activeTableId });
+        _focusTable(tableId);
+    }
+
+    // Bring a newly opened table forward so it refreshes without waiting out
+    // an idle interval.
+    function _focusTable(tableId) {
+        var schedule = tableId && _tableSchedule[tableId];
+        if (!schedule || schedule.failures) return;
+        schedule.interval = _pollIntervalMs;
+        schedule.nextPollAt = 0;
+        if (_isLeader && _pollTimer) _runPollCycle();
+    }
 
-        if (_pollInterval) {
-            clearInterval(_pollInterval);
+    // Tables open in this tab or in another visible one.
+    function _activeTables() {
+        var active = {};
+        if (_activeTableId && !(typeof document !== 'undefined' && document.hidden)) active[_activeTableId] = true;
+        for (var tabId in _tabActiveTables) {
+            if (_tabActiveTables[tabId] && _tabVisibility[tabId]) active[_tabActiveTables[tabId]] = true;
         }
+        return active;
+    }
 
-        var poll = async function() {
-            // Skip if tab is hidden — will resume on visibilitychange
-            if (typeof document !== 'undefined' && document.hidden) return;
+    function _getTableSchedule(tableId) {
+        if (!_tableSchedule[tableId]) {
+            _tableSchedule[tableId] = {
+                interval: _pollIntervalMs,
+                nextPollAt: 0,
+                failures: 0,
+                lastPolledAt: null,
+                lastChangeAt: null,
+                lastError: null
+            };
+        }
+        return _tableSchedule[tableId];
+    }
 
-            for (var i = 0; i < _tableIds.length; i++) {
-                var tableId = _tableIds[i];
+    function _recordPollSuccess(schedule, count, now) {
+        schedule.failures = 0;
+        schedule.lastError = null;
+        schedule.lastPolledAt = new Date(now).toISOString();
+        if (count > 0) {
+            schedule.lastChangeAt = schedule.lastPolledAt;
+            schedule.interval = _pollIntervalMs;
+        } else {
+            schedule.interval = Math.min(POLL_COLD_INTERVAL, Math.round(schedule.interval * POLL_IDLE_GROWTH));
+        }
+        schedule.nextPollAt = now + schedule.interval;
+    }
 
-                // B-5 fix: Skip tables that have individually failed too many times
-                // (they'll be retried after a successful poll cycle or re-init)
-                if (_perTableFailures[tableId] >= MAX_TABLE_POLL_FAILURES) {
-                    continue;
+    // Exponential backoff with jitter: base × 2^(failures-1), capped, then
+    // scaled by 50–100% so tables that failed together don't retry together.
+    function _recordPollFailure(schedule, err, now) {
+        schedule.failures++;
+        schedule.lastError = (err && err.message) || String(err);
+        var backoff = Math.min(POLL_BACKOFF_MAX, _pollIntervalMs * Math.pow(2, schedule.failures - 1));
+        backoff = Math.round(backoff * (0.5 + Math.random() / 2));
+        if (err && err.retryAfterMs !== undefined) {
+            backoff = Math.max(backoff, err.retryAfterMs);
+            _pollPausedUntil = Math.max(_pollPausedUntil, now + err.retryAfterMs);
+        }
+        schedule.nextPollAt = now + backoff;
+        return backoff;
+    }
+
+    // Tables due now, the active ones first, then the most overdue.
+    function _dueTables(now, active) {
+        var due = [];
+        for (var i = 0; i < _tableIds.length; i++) {
+            var tableId = _tableIds[i];
+            // Evicted tables re-hydrate in full when next read
+            if (_evictedTables[tableId]) continue;
+            var schedule = _getTableSchedule(tableId);
+            if (active[tableId] && !schedule.failures) {
+                schedule.nextPollAt = Math.min(schedule.nextPollAt, (schedule.lastPolledAt ? new Date(schedule.lastPolledAt).getTime() : 0) + POLL_ACTIVE_INTERVAL);
+            }
+            if (schedule.nextPollAt <= now) due.push(tableId);
+        }
+        due.sort(function(a, b) {
+            if (!!active[a] !== !!active[b]) return active[a] ? -1 : 1;
+            return _tableSchedule[a].nextPollAt - _tableSchedule[b].nextPollAt;
+        });
+        return due;
+    }
+
+    // Poll the due tables one after another, then sleep until the next one
+    // is due (at most the base interval, so new and newly active tables are
+    // picked up promptly).
+    async function _runPollCycle() {
+        if (_pollRunning) {
+            _pollAgain = true;
+            return;
+        }
+        _pollRunning = true;
+        try {
+            do {
+                _pollAgain = false;
+                if (!(await _pollDueTables())) return;
+            } while (_pollAgain);
+            _broadcastLeaderStatus();
+            _maybeEnforceStoragePolicy();
+            _maybeRefreshAttachmentPins();
+            _runDueTableChecks();
+        } finally {
+            _pollRunning = false;
+            _scheduleNextPoll();
+        }
+    }
+
+    // Returns false when polling has to stop (auth expired).
+    async function _pollDueTables() {
+        // Skip while no tab is visible — resumes on visibilitychange
+        if (typeof document !== 'undefined' && document.hidden && !_otherTabVisible()) return true;
+        if (Date.now() < _pollPausedUntil) return true;
+
+        if (_eventStreamMode()) return _pollEventStream();
+        return _pollTables(_dueTables(Date.now(), _activeTables()));
+    }
+
+    // Sync the given tables one after another. Returns false when polling
+    // has to stop (auth expired).
+    async function _pollTables(tableIds) {
+        for (var i = 0; i < tableIds.length; i++) {
+            var tableId = tableIds[i];
+            var schedule = _getTableSchedule(tableId);
+            try {
+                var count = 0;
+                var changedIds = await _collectChanges(async function() {
+                    count = await syncTable(tableId);
+                });
+                _recordPollSuccess(schedule, count, Date.now());
+                delete _streamGapTables[tableId];
+                if (count > 0) {
+                    // recordIds lets follower tabs refresh just these records
+                    window.dispatchEvent(new CustomEvent('amino:sync', {
+                        detail: { tableId: tableId, updatedCount: count, recordIds: changedIds }
+                    }));
+                }
+            } catch (err) {
+                if (err.status === 401) {
+                    stopPolling();
+                    window.dispatchEvent(new CustomEvent('amino:auth-expired'));
+                    return false;
                 }
+                var backoff = _recordPollFailure(schedule, err, Date.now());
+                console.error('[AminoData] Sync failed for ' + tableId + ' (attempt ' + schedule.failures +
+                    ', retrying in ' + Math.round(backoff / 1000) + 's):', err);
+                // The server asked everyone to wait — stop this round
+                if (err.retryAfterMs !== undefined) break;
+            }
+        }
+        return true;
+    }
 
-                try {
-                    var count = await syncTable(tableId);
-                    _perTableFailures[tableId] = 0; // Reset on success
-                    if (count > 0) {
-                        window.dispatchEvent(new CustomEvent('amino:sync', {
-                            detail: { tableId: tableId, updatedCount: count }
-                        }));
-                    }
-                } catch (err) {
-                    _perTableFailures[tableId] = (_perTableFailures[tableId] || 0) + 1;
-                    console.error('[AminoData] Sync failed for ' + tableId + ' (' + _perTableFailures[tableId] + '/' + MAX_TABLE_POLL_FAILURES + '):', err);
-                    if (err.status === 401) {
-                        stopPolling();
-                        window.dispatchEvent(new CustomEvent('amino:auth-expired'));
-                        return;
-                    }
-                    // B-5 fix: Continue to next table instead of aborting
+    function _eventStreamMode() {
+        return AminoHydration.getSyncMode() === 'event-stream' &&
+            typeof getTransport().fetchEvents === 'function';
+    }
+
+    function _streamSchedule() {
+        return _getTableSchedule(AminoHydration.EVENT_STREAM_CURSOR_ID);
+    }
+
+    // Tables waiting on a per-table catch-up whose own backoff has passed,
+    // the active ones first.
+    function _dueGapTables(now, active) {
+        var due = _tableIds.filter(function(tableId) {
+            if (!_streamGapTables[tableId] || _evictedTables[tableId]) return false;
+            var schedule = _getTableSchedule(tableId);
+            return !schedule.failures || schedule.nextPollAt <= now;
+        });
+        due.sort(function(a, b) {
+            return (active[a] ? 0 : 1) - (active[b] ? 0 : 1);
+        });
+        return due;
+    }
+
+    async function _pollEventStream() {
+        var now = Date.now();
+        var active = _activeTables();
+        var schedule = _streamSchedule();
+        // Any table open in a visible tab keeps the whole stream at the active rate
+        if (Object.keys(active).length && !schedule.failures) {
+            schedule.nextPollAt = Math.min(schedule.nextPollAt, (schedule.lastPolledAt ? new Date(schedule.lastPolledAt).getTime() : 0) + POLL_ACTIVE_INTERVAL);
+        }
+
+        if (schedule.nextPollAt <= now) {
+            try {
+                var result = await syncEventStream();
+                var updated = 0;
+                for (var tableId in result.tables) {
+                    var recordIds = result.tables[tableId];
+                    updated += recordIds.length;
+                    window.dispatchEvent(new CustomEvent('amino:sync', {
+                        detail: { tableId: tableId, updatedCount: recordIds.length, recordIds: recordIds }
+                    }));
+                }
+                _recordPollSuccess(schedule, updated, Date.now());
+                // Page limit reached — keep reading on the next wake-up
+                if (result.more) schedule.nextPollAt = 0;
+            } catch (err) {
+                if (err.status === 401) {
+                    stopPolling();
+                    window.dispatchEvent(new CustomEvent('amino:auth-expired'));
+                    return false;
                 }
+                var backoff = _recordPollFailure(schedule, err, Date.now());
+                console.error('[AminoData] Event stream sync failed (attempt ' + schedule.failures +
+                    ', retrying in ' + Math.round(backoff / 1000) + 's):', err);
+                if (err.retryAfterMs !== undefined) return true;
             }
-        };
+        }
+
+        return _pollTables(_dueGapTables(Date.now(), active));
+    }
+
+    function _scheduleNextPoll() {
+        if (!_pollRequested || !_isLeader || !_pollTimer) return;
+        var now = Date.now();
+        var next = now + _pollIntervalMs;
+        var active = _activeTables();
+        if (_eventStreamMode()) {
+            next = _nextEventStreamPoll(now, next, active);
+        } else {
+            for (var i = 0; i < _tableIds.length; i++) {
+                var schedule = _tableSchedule[_tableIds[i]];
+                if (!schedule || _evictedTables[_tableIds[i]]) continue;
+                var at = schedule.nextPollAt;
+                if (active[_tableIds[i]] && !schedule.failures) at = Math.min(at, now + POLL_ACTIVE_INTERVAL);
+                next = Math.min(next, at);
+            }
+        }
+        next = Math.max(next, _pollPausedUntil);
+        clearTimeout(_pollTimer);
+        _pollTimer = setTimeout(_runPollCycle, Math.max(POLL_MIN_WAKE, next - now));
+    }
 
-        _pollInterval = setInterval(poll, _pollIntervalMs);
-        poll(); // Run immediately on start
+    // Earliest wake-up in event-stream mode: the stream itself, or a gap
+    // table (right away unless it is backing off).
+    function _nextEventStreamPoll(now, next, active) {
+        var stream = _streamSchedule();
+        var at = stream.nextPollAt;
+        if (Object.keys(active).length && !stream.failures) at = Math.min(at, now + POLL_ACTIVE_INTERVAL);
+        next = Math.min(next, at);
+        for (var tableId in _streamGapTables) {
+            var schedule = _tableSchedule[tableId];
+            if (_evictedTables[tableId]) continue;
+            next = Math.min(next, schedule && schedule.failures ? schedule.nextPollAt : now);
+        }
+        return next;
+    }
+
+    function _startPollLoop() {
+        if (_pollTimer) clearTimeout(_pollTimer);
+        // Placeholder until the first cycle schedules the real wake-up
+        _pollTimer = setTimeout(_runPollCycle, 0);
 
         // Pause/resume polling on tab visibility changes
         if (typeof document !== 'undefined' && !_pollVisibilityHandler) {
             _pollVisibilityHandler = function() {
+                if (!_isLeader) return;
                 if (document.hidden) {
-                    // Tab hidden — pause polling
-                    if (_pollInterval) {
-                        clearInterval(_pollInterval);
-                        _pollInterval = null;
+                    // Tab hidden — pause polling unless another tab is in view
+                    if (_pollTimer && !_otherTabVisible()) {
+                        clearTimeout(_pollTimer);
+                        _pollTimer = null;
                     }
-                } else if (!_pollInterval && _tableIds.length > 0) {
+                } else if (!_pollTimer && _pollRequested && _tableIds.length > 0) {
                     // Tab visible again — resume polling
-                    _pollInterval = setInterval(poll, _pollIntervalMs);
-                    poll();
+                    _startPollLoop();
                 }
             };
             document.addEventListener('visibilitychange', _pollVisibilityHandler);
@@ -1174,9 +3324,10 @@ var AminoData = (function() {
     }
 
     function stopPolling() {
-        if (_pollInterval) {
-            clearInterval(_pollInterval);
-            _pollInterval = null;
+        _pollRequested = false;
+        if (_pollTimer) {
+            clearTimeout(_pollTimer);
+            _pollTimer = null;
         }
         if (_pollVisibilityHandler) {
             document.removeEventListener('visibilitychange', _pollVisibilityHandler);
@@ -1184,39 +3335,462 @@ var AminoData = (function() {
         }
     }
 
-    // ============ Data Accessors (Decrypted) ============
+    // Per-table poll schedule for status displays. In follower tabs this is
+    // empty — the leader polls.
+    function getPollingSchedule() {
+        var active = _activeTables();
+        var now = Date.now();
+        var names = {};
+        for (var i = 0; i < _tables.length; i++) names[_tables[i].table_id] = _tables[i].table_name;
+        return _tableIds.map(function(tableId) {
+            var schedule = _tableSchedule[tableId] || {};
+            return {
+                tableId: tableId,
+                name: names[tableId] || tableId,
+                active: !!active[tableId],
+                evicted: !!_evictedTables[tableId],
+                interval: active[tableId] && !schedule.failures ? POLL_ACTIVE_INTERVAL : (schedule.interval || _pollIntervalMs),
+                nextPollAt: schedule.nextPollAt ? new Date(Math.max(schedule.nextPollAt, _pollPausedUntil, now)).toISOString() : null,
+                failures: schedule.failures || 0,
+                lastPolledAt: schedule.lastPolledAt || null,
+                lastChangeAt: schedule.lastChangeAt || null,
+                lastError: schedule.lastError || null
+            };
+        });
+    }
 
-    async function getTableRecords(tableId) {
-        // Online-only mode: serve from in-memory cache if available,
-        // otherwise fetch directly from the API (skip IndexedDB entirely).
-        if (_onlineOnlyMode) {
-            if (_tableCacheHydrated[tableId]) {
-                var cachedIds = Object.keys(_tableRecordIdIndex[tableId] || {});
-                return cachedIds.map(function(recordId) {
-                    return cloneRecord(_recordCacheById[recordId]);
-                });
-            }
-            // Fetch fresh from API
-            var data = await apiFetch('/amino-records?tableId=' + encodeURIComponent(tableId), 'onlineRead');
-            var apiRecords = (data.records || []).map(function(rec) {
-                var recFields = rec.fields;
-                if (typeof recFields === 'string') {
-                    try { recFields = JSON.parse(recFields); } catch (e) { recFields = {}; }
-                }
-                return {
-                    id: rec.id,
-                    tableId: tableId,
-                    tableName: rec.tableName || tableId,
-                    fields: recFields || {},
-                    lastSynced: rec.lastSynced || new Date().toISOString()
-                };
-            }).filter(function(r) { return !_isTombstone(r); });
-            cacheFullTable(tableId, apiRecords);
-            return apiRecords.map(function(record) { return cloneRecord(record); });
+    // ============ Cross-Tab Leadership ============
+    // Tabs share one IndexedDB, so only one of them — the leader — talks to
+    // the backend in the background: polling, hydration, view deletion sync,
+    // the connectivity monitor, mutation flushing and search index writes.
+    // The leader holds a Web Lock for its lifetime; other tabs queue on the
+    // same lock, so when the leader closes the browser hands it to the next
+    // tab, which resumes whatever duties had been requested of it.
+    //
+    // Tabs talk over a BroadcastChannel. Record events (amino:sync,
+    // amino:record-update, ...) are forwarded to every other tab, which
+    // re-reads the affected records from IndexedDB before re-dispatching the
+    // event locally (detail._fromTab marks forwarded events). Without Web
+    // Locks or BroadcastChannel every tab leads, as before.
+
+    var LEADER_LOCK_NAME = 'amino-data-leader';
+    var TAB_CHANNEL_NAME = 'amino-data-tabs';
+    var LEADER_HELLO_TIMEOUT = 3000;     // follower waits this long for a leader status reply
+
+    // Events whose effects other tabs must see
+    var FORWARDED_TAB_EVENTS = [
+        'amino:sync',
+        'amino:record-update',
+        'amino:record-id-reconciled',
+        'amino:view-delete',
+        'amino:view-restore',
+        'amino:offline-mutation-queued',
+        'amino:offline-mutations-flushed',
+        'amino:mutation-conflict',
+        'amino:mutation-conflict-resolved',
+        'amino:mutation-discarded',
+        'amino:mutations-unreadable',
+        'amino:transaction-rolled-back',
+        'amino:connectivity-restored',
+        'amino:backup-restored',
+        'amino:table-evicted',
+        'amino:records-reconciled',
+        'amino:integrity-checked',
+        'amino:auth-expired'
+    ];
+
+    var _tabId = 'tab_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+    var _isLeader = false;
+    var _leaderTabId = null;
+    var _leaderStatus = null;            // last sync status broadcast by the leader (followers)
+    var _tabChannel = null;
+    var _electionSettled = null;         // resolves once this tab knows whether it leads
+    var _releaseLeadership = null;       // resolves the promise holding the lock
+    var _leaderQueueAbort = null;
+    var _tabVisibility = {};             // tabId -> visible (as last reported)
+    var _hydrationWaiters = [];          // followers waiting on the leader's hydration
+    var _leaderHydration = null;         // { totalRecords } once this session hydrated (leader)
+    var _changeCollectors = [];          // active record-id collectors (see _collectChanges)
+
+    // Duties requested while following, started on becoming leader
+    var _pollRequested = false;
+    var _viewSyncOrgSpaceId = null;
+    var _connectivityRequested = false;
+
+    function _leaderElectionSupported() {
+        return typeof navigator !== 'undefined' && navigator.locks &&
+            typeof navigator.locks.request === 'function' &&
+            typeof BroadcastChannel !== 'undefined';
+    }
+
+    function _postTabMessage(message) {
+        if (!_tabChannel) return;
+        message.from = _tabId;
+        try {
+            _tabChannel.postMessage(message);
+        } catch (err) {
+            console.warn('[AminoData] Could not post to other tabs:', err);
+        }
+    }
+
+    // Start (once per session) competing for leadership. Returns a promise
+    // that resolves when this tab knows whether it is the leader.
+    function _startLeaderElection() {
+        if (_electionSettled) return _electionSettled;
+
+        if (!_leaderElectionSupported()) {
+            console.log('[AminoData] Web Locks/BroadcastChannel unavailable — this tab leads on its own');
+            _isLeader = true;
+            _leaderTabId = _tabId;
+            _electionSettled = Promise.resolve();
+            return _electionSettled;
+        }
+
+        _tabChannel = new BroadcastChannel(TAB_CHANNEL_NAME);
+        _tabChannel.onmessage = function(event) {
+            _onTabMessage(event.data).catch(function(err) {
+                console.warn('[AminoData] Tab message handling failed:', err);
+            });
+        };
+        for (var i = 0; i < FORWARDED_TAB_EVENTS.length; i++) {
+            window.addEventListener(FORWARDED_TAB_EVENTS[i], _forwardEventToTabs);
+        }
+        document.addEventListener('visibilitychange', _tabVisibilityHandler);
+        window.addEventListener('pagehide', _tabPageHideHandler);
+
+        _electionSettled = new Promise(function(resolve) {
+            navigator.locks.request(LEADER_LOCK_NAME, { ifAvailable: true }, function(lock) {
+                if (lock) {
+                    resolve();
+                    return _holdLeadership();
+                }
+                // Another tab leads — queue for the handover
+                _leaderQueueAbort = new AbortController();
+                navigator.locks.request(LEADER_LOCK_NAME, { signal: _leaderQueueAbort.signal }, _holdLeadership)
+                    .catch(function(err) {
+                        if (err.name !== 'AbortError') console.warn('[AminoData] Leader lock request failed:', err);
+                    });
+                resolve();
+                return null;
+            }).catch(function(err) {
+                // Locks unusable (e.g. opaque origin) — fall back to leading alone
+                console.warn('[AminoData] Leader election failed, leading alone:', err);
+                _becomeLeader();
+                resolve();
+            });
+        });
+        _postTabMessage({ type: 'hello', visible: !document.hidden, activeTable: _activeTableId });
+        return _electionSettled;
+    }
+
+    // Lock callback: the returned promise keeps the lock until released.
+    function _holdLeadership() {
+        return new Promise(function(release) {
+            _releaseLeadership = release;
+            _becomeLeader();
+        });
+    }
+
+    function _becomeLeader() {
+        _isLeader = true;
+        _leaderTabId = _tabId;
+        _leaderQueueAbort = null;
+        console.log('[AminoData] This tab is now the sync leader (' + _tabId + ')');
+        _postTabMessage({ type: 'leader' });
+
+        // Followers waiting on a hydration that will now never be announced
+        var waiters = _hydrationWaiters;
+        _hydrationWaiters = [];
+        for (var i = 0; i < waiters.length; i++) waiters[i](null);
+
+        // Resume duties requested while following
+        if (_pollRequested && !_pollTimer) _startPollLoop();
+        if (_viewSyncOrgSpaceId && !_viewSyncRunning) startViewDeletionSync(_viewSyncOrgSpaceId);
+        if (_connectivityRequested && _offlineMode) startConnectivityMonitor();
+        if (_initialized && !_offlineMode) {
+            flushPendingMutations().catch(function(err) {
+                console.warn('[AminoData] Flush after taking leadership failed:', err);
+            });
+        }
+        if (_hasKeys(_searchDirtyShards)) {
+            persistSearchIndex().catch(function(err) {
+                console.warn('[AminoData] Search index persist failed:', err);
+            });
+        }
+
+        window.dispatchEvent(new CustomEvent('amino:leadership-changed', {
+            detail: { isLeader: true, tabId: _tabId, leaderTabId: _tabId }
+        }));
+    }
+
+    // Give up leadership and leave the tab group (logout).
+    function _stopLeaderElection() {
+        if (!_electionSettled) return;
+        _postTabMessage({ type: 'bye' });
+        if (_releaseLeadership) _releaseLeadership();
+        if (_leaderQueueAbort) _leaderQueueAbort.abort();
+        if (_tabChannel) _tabChannel.close();
+        for (var i = 0; i < FORWARDED_TAB_EVENTS.length; i++) {
+            window.removeEventListener(FORWARDED_TAB_EVENTS[i], _forwardEventToTabs);
+        }
+        document.removeEventListener('visibilitychange', _tabVisibilityHandler);
+        window.removeEventListener('pagehide', _tabPageHideHandler);
+
+        var waiters = _hydrationWaiters;
+        for (var w = 0; w < waiters.length; w++) waiters[w](null);
+
+        _tabChannel = null;
+        _electionSettled = null;
+        _releaseLeadership = null;
+        _leaderQueueAbort = null;
+        _isLeader = false;
+        _leaderTabId = null;
+        _leaderStatus = null;
+        _tabVisibility = {};
+        _tabActiveTables = {};
+        _hydrationWaiters = [];
+        _leaderHydration = null;
+        _pollRequested = false;
+        _viewSyncOrgSpaceId = null;
+        _connectivityRequested = false;
+    }
+
+    var _tabVisibilityHandler = function() {
+        _postTabMessage({ type: 'visibility', visible: !document.hidden, activeTable: _activeTableId });
+    };
+
+    var _tabPageHideHandler = function() {
+        _postTabMessage({ type: 'bye' });
+    };
+
+    // Does any other tab report being visible? Lets a hidden leader keep
+    // polling on behalf of the tab the user is looking at.
+    function _otherTabVisible() {
+        for (var id in _tabVisibility) {
+            if (_tabVisibility[id]) return true;
+        }
+        return false;
+    }
+
+    function _forwardEventToTabs(event) {
+        if (!_tabChannel || (event.detail && event.detail._fromTab)) return;
+        _postTabMessage({ type: 'event', name: event.type, detail: event.detail || null });
+    }
+
+    function _leaderStatusSnapshot() {
+        return {
+            polling: !!_pollTimer,
+            offline: _offlineMode,
+            hydrated: !!_leaderHydration,
+            totalRecords: _leaderHydration ? _leaderHydration.totalRecords : null,
+            tableFailures: _tableFailureCounts(),
+            updatedAt: new Date().toISOString()
+        };
+    }
+
+    function _tableFailureCounts() {
+        var failures = {};
+        for (var tableId in _tableSchedule) {
+            if (_tableSchedule[tableId].failures) failures[tableId] = _tableSchedule[tableId].failures;
+        }
+        return failures;
+    }
+
+    function _broadcastLeaderStatus() {
+        if (_isLeader) _postTabMessage({ type: 'status', status: _leaderStatusSnapshot() });
+    }
+
+    async function _onTabMessage(message) {
+        if (!message || message.from === _tabId) return;
+
+        if (message.type === 'hello' || message.type === 'visibility') {
+            _tabVisibility[message.from] = !!message.visible;
+            if (message.activeTable !== _tabActiveTables[message.from]) {
+                _tabActiveTables[message.from] = message.activeTable || null;
+                if (_isLeader) _focusTable(message.activeTable);
+            }
+            if (message.type === 'hello' && _isLeader) {
+                _postTabMessage({ type: 'leader' });
+                _broadcastLeaderStatus();
+            }
+            // A tab became visible — a paused leader resumes polling for it
+            if (_isLeader && message.visible && _pollRequested && !_pollTimer) _startPollLoop();
+        } else if (message.type === 'bye') {
+            delete _tabVisibility[message.from];
+            delete _tabActiveTables[message.from];
+        } else if (message.type === 'leader') {
+            _leaderTabId = message.from;
+            _postTabMessage({ type: 'visibility', visible: !document.hidden, activeTable: _activeTableId });
+            window.dispatchEvent(new CustomEvent('amino:leadership-changed', {
+                detail: { isLeader: _isLeader, tabId: _tabId, leaderTabId: _leaderTabId }
+            }));
+        } else if (message.type === 'status') {
+            _leaderTabId = message.from;
+            _leaderStatus = message.status;
+            if (message.status && message.status.hydrated) _resolveHydrationWaiters(message.status.totalRecords);
+            window.dispatchEvent(new CustomEvent('amino:leader-status', { detail: message.status }));
+        } else if (message.type === 'status-request') {
+            _broadcastLeaderStatus();
+        } else if (message.type === 'hydration-progress') {
+            for (var i = 0; i < _hydrationWaiters.length; i++) {
+                if (_hydrationWaiters[i].onProgress) _hydrationWaiters[i].onProgress(message.progress);
+            }
+        } else if (message.type === 'key-rotation' && _initialized) {
+            // Another tab is rotating the key — write under the new one now
+            _rotationFromKey = message.fromKey;
+            _cryptoKey = message.key;
+            _keyDerivationCache = { fingerprint: null, key: null };
+            _stopCryptoWorker();
+        } else if (message.type === 'key-rotation-complete') {
+            _rotationFromKey = null;
+        } else if (message.type === 'flush-request') {
+            if (_isLeader && _initialized && !_offlineMode) await flushPendingMutations();
+        } else if (message.type === 'event') {
+            if (_initialized) await _applyRemoteEvent(message.name, message.detail || {});
+            var detail = {};
+            for (var key in message.detail || {}) detail[key] = message.detail[key];
+            detail._fromTab = message.from;
+            window.dispatchEvent(new CustomEvent(message.name, { detail: detail }));
+        }
+    }
+
+    function _resolveHydrationWaiters(totalRecords) {
+        var waiters = _hydrationWaiters;
+        _hydrationWaiters = [];
+        for (var i = 0; i < waiters.length; i++) waiters[i]({ totalRecords: totalRecords || 0 });
+    }
+
+    // Follower side of hydrateAll: wait for the leader to finish. Resolves
+    // { totalRecords }, or null if this tab became leader in the meantime.
+    function _awaitLeaderHydration(onProgress) {
+        return new Promise(function(resolve) {
+            var waiter = function(result) { resolve(result); };
+            waiter.onProgress = onProgress;
+            _hydrationWaiters.push(waiter);
+            _postTabMessage({ type: 'status-request' });
+            // A leader that never answers (e.g. frozen background tab) must not
+            // block this tab forever — fall back to the local copy.
+            setTimeout(function() {
+                if (_hydrationWaiters.indexOf(waiter) === -1 || _leaderStatus) return;
+                _hydrationWaiters.splice(_hydrationWaiters.indexOf(waiter), 1);
+                console.warn('[AminoData] No answer from sync leader — using local data');
+                resolve({ totalRecords: 0 });
+            }, LEADER_HELLO_TIMEOUT);
+        });
+    }
+
+    // Re-read records another tab changed so this tab's cache, search index
+    // and subscriptions see the change.
+    async function _refreshRecordsFromStore(tableId, recordIds) {
+        if (_onlineOnlyMode || !_db || !recordIds.length) return;
+        var records = await _readDecrypted('records', 'fields', { ids: recordIds });
+        for (var i = 0; i < recordIds.length; i++) {
+            if (!records[i]) {
+                _evictCachedRecord(tableId, recordIds[i]);
+                continue;
+            }
+            cacheRecord(records[i]);
+        }
+    }
+
+    async function _applyRemoteEvent(name, detail) {
+        if (name === 'amino:record-update' && detail.recordId) {
+            if (detail.removed || detail.restored) await _loadPendingDeletes();
+            await _refreshRecordsFromStore(detail.tableId, [detail.recordId]);
+        } else if (name === 'amino:sync' && detail.tableId) {
+            if (detail.rehydrated) delete _evictedTables[detail.tableId];
+            if (detail.recordIds) {
+                await _refreshRecordsFromStore(detail.tableId, detail.recordIds);
+            } else if (_tableCacheHydrated[detail.tableId]) {
+                // Unknown extent — reload the table from IndexedDB on next read
+                delete _tableCacheHydrated[detail.tableId];
+            }
+        } else if (name === 'amino:record-id-reconciled') {
+            _tempIdMap[detail.tempId] = detail.recordId;
+            _evictCachedRecord(detail.tableId, detail.tempId);
+            await _refreshRecordsFromStore(detail.tableId, [detail.recordId]);
+        } else if (name === 'amino:offline-mutation-queued' || name === 'amino:offline-mutations-flushed') {
+            await _loadPendingDeletes();
+        } else if (name === 'amino:backup-restored') {
+            await _reloadAfterRestore();
+        } else if (name === 'amino:table-evicted') {
+            _evictedTables[detail.tableId] = new Date().toISOString();
+            clearTableCache(detail.tableId);
+            _dropTableSearchIndex(detail.tableId);
+        }
+    }
+
+    // Run fn and collect the ids of records cached while it runs.
+    async function _collectChanges(fn) {
+        var collector = {};
+        _changeCollectors.push(collector);
+        try {
+            await fn();
+        } finally {
+            _changeCollectors.splice(_changeCollectors.indexOf(collector), 1);
+        }
+        return Object.keys(collector);
+    }
+
+    /**
+     * This tab's role in the tab group.
+     * @returns {{isLeader: boolean, tabId: string, leaderTabId: string|null,
+     *            supported: boolean, leaderStatus: Object|null}}
+     *   leaderStatus is the sync status last broadcast by the leader
+     *   (this tab's own status when it leads).
+     */
+    function getLeadershipStatus() {
+        return {
+            isLeader: _isLeader,
+            tabId: _tabId,
+            leaderTabId: _leaderTabId,
+            supported: !!_leaderElectionSupported(),
+            leaderStatus: _isLeader ? _leaderStatusSnapshot() : _leaderStatus
+        };
+    }
+
+    // ============ Data Accessors (Decrypted) ============
+
+    async function getTableRecords(tableId) {
+        // Online-only mode: serve from in-memory cache if available,
+        // otherwise fetch directly from the API (skip IndexedDB entirely).
+        if (_onlineOnlyMode) {
+            if (_tableCacheHydrated[tableId]) {
+                var cachedIds = Object.keys(_tableRecordIdIndex[tableId] || {});
+                return cachedIds.map(function(recordId) {
+                    return cloneRecord(_recordCacheById[recordId]);
+                });
+            }
+            // Fetch fresh from API
+            var data = await getTransport().fetchRecords(tableId, null, 'onlineRead');
+            var apiRecords = (data.records || []).map(function(rec) {
+                var recFields = rec.fields;
+                if (typeof recFields === 'string') {
+                    try { recFields = JSON.parse(recFields); } catch (e) { recFields = {}; }
+                }
+                return {
+                    id: rec.id,
+                    tableId: tableId,
+                    tableName: rec.tableName || tableId,
+                    fields: recFields || {},
+                    lastSynced: rec.lastSynced || new Date().toISOString()
+                };
+            }).filter(function(r) { return !_isTombstone(r); });
+            cacheFullTable(tableId, apiRecords);
+            return apiRecords.map(function(record) { return cloneRecord(record); });
         }
 
         if (!_db || !_cryptoKey) throw new Error('Data layer not initialized');
 
+        _touchTable(tableId);
+        if (_evictedTables[tableId]) {
+            if (_offlineMode) {
+                console.warn('[AminoData] Table', tableId, 'was evicted to free space and cannot be re-hydrated offline');
+                return [];
+            }
+            await rehydrateTable(tableId);
+        }
+
         if (_tableCacheHydrated[tableId]) {
             var cachedIds = Object.keys(_tableRecordIdIndex[tableId] || {});
             return cachedIds.map(function(recordId) {
@@ -1224,13 +3798,8 @@ var AminoData = (function() {
             });
         }
 
-        var tx = _db.transaction('records', 'readonly');
-        var index = tx.objectStore('records').index('byTable');
-        var entries = await idbGetAll(index, tableId);
-
-        var results = await Promise.all(entries.map(function(entry) {
-            return decryptRecord(entry);
-        }));
+        var results = await _readDecrypted('records', 'fields', { indexName: 'byTable', key: tableId },
+            _cryptoProgressReporter('decrypt', 'records', tableId));
         // Filter out tombstoned records before caching and returning
         results = results.filter(function(r) { return !_isTombstone(r); });
         cacheFullTable(tableId, results);
@@ -1238,6 +3807,7 @@ var AminoData = (function() {
     }
 
     async function getRecord(recordId) {
+        if (_tempIdMap[recordId]) recordId = _tempIdMap[recordId];
         // Online-only mode: serve from in-memory cache, fall back to API.
         if (_onlineOnlyMode) {
             if (_recordCacheById[recordId]) {
@@ -1245,7 +3815,7 @@ var AminoData = (function() {
             }
             // Fetch single record from API when not in cache
             try {
-                var data = await apiFetch('/amino-record?recordId=' + encodeURIComponent(recordId), 'onlineRead');
+                var data = await getTransport().fetchRecord(recordId, 'onlineRead');
                 if (data && data.record) {
                     var rec = data.record;
                     var record = {
@@ -1294,47 +3864,44 @@ var AminoData = (function() {
         });
     }
 
-    // Fast full-text search across all fields of a table using the pre-built index.
-    // Returns matching records (cloned). Supports multi-word AND queries.
-    // Much faster than searchRecords() for general-purpose searching.
+    // Full-text search across all fields of a table using the inverted index.
+    // Accepts the ranked search syntax (see Ranked Search) and returns the
+    // matching records (cloned), best match first. With a persisted index, a
+    // cold-start search decrypts only candidate records instead of hydrating
+    // the whole table. Use searchRanked() for scores and match highlights.
     async function searchRecordsFast(tableId, query) {
         if (!query || !query.trim()) return await getTableRecords(tableId);
+        var results = await searchRanked(tableId, query);
+        return results.map(function(result) { return result.record; });
+    }
 
-        // Ensure records are cached
-        if (!_tableCacheHydrated[tableId]) {
-            await getTableRecords(tableId); // populates cache
-        }
-        _ensureSearchIndex(tableId);
-
-        var tokens = query.toLowerCase().trim().split(/\s+/).filter(function(t) { return t.length > 0; });
-        if (!tokens.length) return await getTableRecords(tableId);
-
-        var tableIndex = _tableRecordIdIndex[tableId] || {};
-        var ids = Object.keys(tableIndex);
+    // Read, decrypt and cache specific records of a table from IndexedDB.
+    async function _loadRecordsById(tableId, recordIds) {
+        if (!recordIds.length) return [];
+        var records = await _readDecrypted('records', 'fields', { ids: recordIds });
         var results = [];
-
-        for (var i = 0; i < ids.length; i++) {
-            var haystack = _searchIndex[ids[i]];
-            if (!haystack) continue;
-            var match = true;
-            for (var t = 0; t < tokens.length; t++) {
-                if (haystack.indexOf(tokens[t]) === -1) { match = false; break; }
-            }
-            if (match) {
-                results.push(cloneRecord(_recordCacheById[ids[i]]));
-            }
+        for (var i = 0; i < records.length; i++) {
+            var record = records[i];
+            if (!record || record.tableId !== tableId || _pendingDeletes[record.id]) continue;
+            if (_isTombstone(record)) continue;
+            cacheRecord(record);
+            results.push(cloneRecord(record));
         }
         return results;
     }
 
-    // Get the pre-built search index for use by the UI layer.
-    // Returns { index: { recordId: searchText }, version: number }
+    // Get the search index for use by the UI layer.
+    // Returns { index: { recordId: searchText }, version: number } where
+    // searchText is the record's distinct lowercased tokens joined by spaces.
     // The UI can cache this and re-fetch only when version changes.
     function getSearchIndex(tableId) {
-        if (tableId) {
-            _ensureSearchIndex(tableId);
+        var index = {};
+        for (var recordId in _searchRecordTokens) {
+            var entry = _searchRecordTokens[recordId];
+            if (tableId && entry.tableId !== tableId) continue;
+            index[recordId] = entry.tokens.join(' ');
         }
-        return { index: _searchIndex, version: _searchIndexVersion };
+        return { index: index, version: _searchIndexVersion };
     }
 
     // Get cached records without cloning (read-only, do not mutate!).
@@ -1362,797 +3929,4431 @@ var AminoData = (function() {
         return idbGetAll(tx.objectStore('tables'));
     }
 
-    // ============ Initialization ============
-
-    // Core initialization logic shared by init() and initWithKey().
-    // Accepts a pre-derived CryptoKey and an optional raw password
-    // (needed only for legacy salt migration).
-    async function _initCore(accessToken, userId, cryptoKey, password) {
-        _accessToken = accessToken;
-        _userId = userId;
-        clearRecordCache();
-
-        // Open database
-        _db = await openDatabase();
-        _cryptoKey = cryptoKey;
+    // ============ Ranked Search ============
+    // Query syntax shared by searchRanked, searchRecordsFast and the command palette:
+    //   garcia               word in any field (substring; typo-tolerant from 4 letters)
+    //   "in review"          exact phrase
+    //   name:garcia          word scoped to a field (case/space-insensitive; "name" also
+    //                        finds "Client Name" when no field is called just "Name")
+    //   status:"in review"   scoped phrase; quote field names with spaces: "case type":asylum
+    //   -closed              exclude records containing the word (also -status:closed)
+    // Case and diacritics are folded (José matches jose). Each positive term
+    // scores its best match quality × field weight; the table's primary field
+    // weighs most. Candidates come from the inverted index, so only records
+    // that can match are read.
+
+    var SEARCH_PRIMARY_FIELD_WEIGHT = 4;
+    var SEARCH_FIELD_WEIGHT = 1;
+    var SEARCH_FUZZY_MIN_LENGTH = 4;    // shorter words must match exactly
+    var SEARCH_FUZZY2_MIN_LENGTH = 8;   // words this long tolerate two edits
+    var SEARCH_WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+    var _foldCharCache = {};
+
+    // Lowercase and strip diacritics one character at a time, so offsets in
+    // the folded string are offsets in the original (used for highlights).
+    function _foldSearchText(text) {
+        var out = '';
+        for (var i = 0; i < text.length; i++) {
+            var ch = text[i];
+            var code = text.charCodeAt(i);
+            if (code < 128) {
+                out += (code >= 65 && code <= 90) ? String.fromCharCode(code + 32) : ch;
+                continue;
+            }
+            var folded = _foldCharCache[ch];
+            if (folded === undefined) {
+                folded = ch.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+                if (folded.length !== 1) {
+                    folded = ch.toLowerCase();
+                    if (folded.length !== 1) folded = ch;
+                }
+                _foldCharCache[ch] = folded;
+            }
+            out += folded;
+        }
+        return out;
+    }
 
-        // Check for existing encryption state and migrate if necessary
-        var cryptoTx = _db.transaction('crypto', 'readonly');
-        var saltEntry = await idbGet(cryptoTx.objectStore('crypto'), 'salt');
-        var verifyEntry = await idbGet(cryptoTx.objectStore('crypto'), 'verify');
+    // Field names compare without case, spaces or punctuation: "Case Type",
+    // "case_type" and "casetype" are the same field.
+    function _searchFieldKey(name) {
+        return _foldSearchText(String(name)).replace(/[^\p{L}\p{N}]+/gu, '');
+    }
 
-        if (saltEntry && saltEntry.value !== 'synapse-derived') {
-            if (password) {
-                // Legacy random salt exists — migrate to Synapse-derived key
-                console.log('[AminoData] Detected legacy random salt, migrating to Synapse-derived encryption');
-                var oldSalt = new Uint8Array(saltEntry.value);
-                var oldKey = await deriveKey(password, oldSalt);
-                var migrated = await migrateEncryptionKey(oldKey, _cryptoKey);
+    function _readSearchWord(query, i) {
+        if (query[i] === '"') {
+            var close = query.indexOf('"', i + 1);
+            if (close === -1) close = query.length;
+            return { text: query.substring(i + 1, close), quoted: true, end: Math.min(close + 1, query.length) };
+        }
+        var j = i;
+        while (j < query.length && !/\s/.test(query[j])) {
+            // An unquoted leading word ending in ':' is a field prefix (not "10:30")
+            if (query[j] === ':' && j > i && /^[\p{L}_][\p{L}\p{N}_]*$/u.test(query.substring(i, j))) break;
+            j++;
+        }
+        return { text: query.substring(i, j), quoted: false, end: j };
+    }
 
-                if (migrated === -1) {
-                    // Neither key works — clear stale data and re-hydrate
-                    console.warn('[AminoData] Clearing stale encrypted data for re-hydration');
-                    var clearTx = _db.transaction(['records', 'sync'], 'readwrite');
-                    clearTx.objectStore('records').clear();
-                    clearTx.objectStore('sync').clear();
-                    await idbTxDone(clearTx);
-                    clearRecordCache();
-                }
-            } else {
-                // No password available for legacy migration — clear and re-hydrate
-                console.warn('[AminoData] Legacy salt detected but no password for migration — clearing data');
-                var clearTx = _db.transaction(['records', 'sync'], 'readwrite');
-                clearTx.objectStore('records').clear();
-                clearTx.objectStore('sync').clear();
-                await idbTxDone(clearTx);
-                clearRecordCache();
+    /**
+     * Parse search syntax into terms.
+     * @returns {Array<{field: string|null, text: string, phrase: boolean, negate: boolean}>}
+     *   text is folded; field is the raw field name as typed. Quoted terms
+     *   (phrase) match exactly, without typo tolerance.
+     */
+    function parseSearchQuery(query) {
+        var q = String(query || '');
+        var terms = [];
+        var i = 0;
+        while (i < q.length) {
+            while (i < q.length && /\s/.test(q[i])) i++;
+            if (i >= q.length) break;
+
+            var negate = false;
+            if (q[i] === '-' && i + 1 < q.length && !/\s/.test(q[i + 1])) {
+                negate = true;
+                i++;
             }
-        } else if (verifyEntry) {
-            // Synapse-derived key already in use — verify it still matches
-            var keyValid = await verifyEncryptionKey(_cryptoKey, verifyEntry.value);
-            if (!keyValid) {
-                // Password changed — data needs re-encryption or re-hydration
-                console.warn('[AminoData] Synapse password changed — clearing local data for re-hydration');
-                var clearTx2 = _db.transaction(['records', 'sync'], 'readwrite');
-                clearTx2.objectStore('records').clear();
-                clearTx2.objectStore('sync').clear();
-                await idbTxDone(clearTx2);
-                clearRecordCache();
+            var word = _readSearchWord(q, i);
+            i = word.end;
+            var field = null;
+            if (q[i] === ':' && word.text) {
+                field = word.text;
+                i++;
+                word = (i < q.length && !/\s/.test(q[i])) ? _readSearchWord(q, i) : { text: '', quoted: false };
+                if (word.end) i = word.end;
             }
+            var text = _foldSearchText(word.text).trim();
+            if (!text) continue;
+            terms.push({
+                field: field,
+                text: text,
+                phrase: word.quoted,
+                negate: negate
+            });
         }
+        return terms;
+    }
 
-        // Store Synapse-derived marker and verification token
-        var verifyToken = await createVerificationToken(_cryptoKey);
-        var metaTx = _db.transaction('crypto', 'readwrite');
-        var metaStore = metaTx.objectStore('crypto');
-        await idbPut(metaStore, { key: 'salt', value: 'synapse-derived', userId: userId });
-        await idbPut(metaStore, { key: 'verify', value: verifyToken });
-        await idbPut(metaStore, { key: 'lastOnlineAuth', value: Date.now() });
-        await idbTxDone(metaTx);
-
-        // Load cached tables immediately (fast startup + offline support),
-        // then refresh from API when network is available.
-        var cachedTables = await loadTablesFromCache();
-        try {
-            await fetchAndStoreTables();
-            _offlineMode = false;
-        } catch (err) {
-            if (!cachedTables.length) {
-                throw err;
+    // Optimal string alignment distance, abandoning once it exceeds `max`.
+    function _boundedEditDistance(a, b, max) {
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+        var prevPrev = null;
+        var prev = [];
+        for (var j = 0; j <= b.length; j++) prev.push(j);
+        for (var i = 1; i <= a.length; i++) {
+            var row = [i];
+            var rowMin = i;
+            for (var k = 1; k <= b.length; k++) {
+                var cost = a[i - 1] === b[k - 1] ? 0 : 1;
+                var v = Math.min(prev[k] + 1, row[k - 1] + 1, prev[k - 1] + cost);
+                if (prevPrev && i > 1 && k > 1 && a[i - 1] === b[k - 2] && a[i - 2] === b[k - 1]) {
+                    v = Math.min(v, prevPrev[k - 2] + 1);
+                }
+                row.push(v);
+                if (v < rowMin) rowMin = v;
             }
-            _offlineMode = true;
-            console.warn('[AminoData] Using cached table metadata (offline):', err.message || err);
+            if (rowMin > max) return max + 1;
+            prevPrev = prev;
+            prev = row;
         }
+        return prev[b.length];
+    }
 
-        // Store exported key in localStorage for sub-page access
-        await exportKeyToStorage(_cryptoKey);
-
-        // Enable deferred encryption: store plaintext in IndexedDB during
-        // the active session, encrypt everything on logout. Any records left
-        // unencrypted from a previous crash are safe to read (dual-format
-        // detection in decryptRecord handles both), and will be encrypted
-        // on the next clean logout.
-        _deferEncryption = true;
-
-        // G-9 fix: Re-register global event listeners (may have been removed by previous logout)
-        _reregisterGlobalListeners();
-
-        _initialized = true;
-        console.log('[AminoData] Initialized with', _tables.length, 'tables (Synapse-derived encryption, encrypt-on-logout)');
-
-        return _tables;
+    function _maxSearchEdits(term) {
+        if (term.phrase || term.negate || !/^[\p{L}\p{N}]+$/u.test(term.text)) return 0;
+        if (term.text.length >= SEARCH_FUZZY2_MIN_LENGTH) return 2;
+        if (term.text.length >= SEARCH_FUZZY_MIN_LENGTH) return 1;
+        return 0;
     }
 
-    async function init(accessToken, userId, password) {
-        if (!accessToken || !userId || !password) {
-            throw new Error('accessToken, userId, and password are required');
+    // Candidate record ids for one positive term, from the folded vocabulary.
+    function _rankedTermCandidates(tableId, term) {
+        var vocab = _getSearchVocab(tableId);
+        if (!vocab.folded) vocab.folded = vocab.tokens.map(_foldSearchText);
+        var postings = _searchPostings[tableId] || {};
+        var fragments = term.text.split(/\s+/);
+        var maxEdits = _maxSearchEdits(term);
+        var result = null;
+
+        for (var f = 0; f < fragments.length; f++) {
+            var out = {};
+            for (var i = 0; i < vocab.folded.length; i++) {
+                var token = vocab.folded[i];
+                var hit = token.indexOf(fragments[f]) !== -1;
+                if (!hit && maxEdits) {
+                    var words = token.match(SEARCH_WORD_PATTERN) || [];
+                    for (var w = 0; w < words.length && !hit; w++) {
+                        hit = _boundedEditDistance(words[w], fragments[f], maxEdits) <= maxEdits;
+                    }
+                }
+                if (!hit) continue;
+                for (var id in postings[vocab.tokens[i]]) out[id] = true;
+            }
+            if (result === null) {
+                result = out;
+            } else {
+                var next = {};
+                for (var rid in result) {
+                    if (out[rid]) next[rid] = true;
+                }
+                result = next;
+            }
         }
+        return result || {};
+    }
 
-        var key = await deriveSynapseKey(password, userId);
-        return _initCore(accessToken, userId, key, password);
+    function _isSearchWordChar(ch) {
+        return !!ch && /[\p{L}\p{N}]/u.test(ch);
     }
 
-    // Initialize using a pre-derived CryptoKey or a previously exported key from localStorage.
-    // Used by sub-pages (layout builder, client profile) that don't have the password.
-    // If cryptoKey is provided, uses it directly; otherwise loads from localStorage.
-    async function initWithKey(accessToken, userId, cryptoKey) {
-        if (!accessToken || !userId) {
-            throw new Error('accessToken and userId are required');
+    // Match one term against one field's folded text.
+    // Returns { quality, ranges } (quality 0 = no match).
+    function _matchSearchField(folded, term) {
+        var ranges = [];
+        var quality = 0;
+        var idx = folded.indexOf(term.text);
+        while (idx !== -1) {
+            var end = idx + term.text.length;
+            var q = 1;                                        // substring
+            if (idx === 0 && end === folded.length) q = 3;    // whole value
+            else if (!_isSearchWordChar(folded[idx - 1])) {
+                q = _isSearchWordChar(folded[end]) ? 1.5 : 2; // word prefix / whole word
+            }
+            if (q > quality) quality = q;
+            ranges.push([idx, end]);
+            idx = folded.indexOf(term.text, end);
         }
-        var key = cryptoKey || (await importKeyFromStorage());
-        if (!key) {
-            throw new Error('No stored encryption key found. Please log in from the main app first.');
+        if (quality) return { quality: quality, ranges: ranges };
+
+        var maxEdits = _maxSearchEdits(term);
+        if (!maxEdits) return { quality: 0, ranges: ranges };
+        SEARCH_WORD_PATTERN.lastIndex = 0;
+        var m;
+        while ((m = SEARCH_WORD_PATTERN.exec(folded)) !== null) {
+            var d = _boundedEditDistance(m[0], term.text, maxEdits);
+            if (d > maxEdits) continue;
+            var fq = d === 1 ? 0.6 : 0.3;
+            if (fq > quality) quality = fq;
+            ranges.push([m.index, m.index + m[0].length]);
         }
-        return _initCore(accessToken, userId, key, null);
+        return { quality: quality, ranges: ranges };
     }
 
-    // Derive and store the encryption key without full initialization.
-    // Called by the main app after Synapse login so sub-pages can use initWithKey().
-    async function prepareKey(password, userId) {
-        if (!password || !userId) return;
-        var key = await deriveSynapseKey(password, userId);
-        await exportKeyToStorage(key);
+    // Resolve the field that should weigh most: table metadata first, then
+    // the first name/title-like field (same heuristic as the palette).
+    function _primarySearchField(tableId, records) {
+        for (var i = 0; i < _tables.length; i++) {
+            if (_tables[i].table_id === tableId && _tables[i].primary_field) {
+                return _tables[i].primary_field;
+            }
+        }
+        for (var r = 0; r < records.length && r < 20; r++) {
+            for (var name in records[r].fields || {}) {
+                if (/(name|title)/i.test(name)) return name;
+            }
+        }
+        return null;
     }
 
-    async function hydrateAll(onProgress) {
-        if (!_initialized) throw new Error('Call init() first');
+    // Score a record. Returns { score, matches } or null when excluded.
+    function _scoreSearchRecord(record, terms, weightFor) {
+        var fields = record.fields || {};
+        var entries = [];
+        for (var name in fields) {
+            if (!Object.prototype.hasOwnProperty.call(fields, name)) continue;
+            var text = _collectText(fields[name]);
+            if (!text) continue;
+            entries.push({ name: name, key: _searchFieldKey(name), text: text, folded: _foldSearchText(text) });
+        }
 
-        var ctx = _buildHydrationCtx();
-        var result = await AminoHydration.run(ctx, { onProgress: onProgress });
-        console.log('[AminoData] Hydration complete via AminoHydration:', result.totalRecords,
-            'records (tier:', result.tier || 'none', ')');
-        return result.totalRecords || 0;
-    }
+        var score = 0;
+        var matches = {};
+        for (var t = 0; t < terms.length; t++) {
+            var term = terms[t];
+            var fieldKey = term.field ? _searchFieldKey(term.field) : null;
+            // name: means the field "Name" if there is one, else any field
+            // whose name contains it ("Client Name")
+            var exactField = false;
+            for (var x = 0; fieldKey && x < entries.length; x++) {
+                if (entries[x].key === fieldKey) { exactField = true; break; }
+            }
+            var best = 0;
+            for (var e = 0; e < entries.length; e++) {
+                var entry = entries[e];
+                if (fieldKey && (exactField ? entry.key !== fieldKey : entry.key.indexOf(fieldKey) === -1)) continue;
+                var result = _matchSearchField(entry.folded, term);
+                if (!result.quality) continue;
+                if (term.negate) return null;
+                best = Math.max(best, result.quality * weightFor(entry.name));
+                var m = matches[entry.name] || (matches[entry.name] = { field: entry.name, text: entry.text, ranges: [] });
+                m.ranges = m.ranges.concat(result.ranges);
+            }
+            // Unscoped terms may also name the record by id
+            if (!best && !fieldKey && _foldSearchText(record.id).indexOf(term.text) !== -1) {
+                if (term.negate) return null;
+                best = SEARCH_FIELD_WEIGHT;
+            }
+            if (!term.negate && !best) return null;
+            score += best;
+        }
 
-    // Convenience wrapper — can still be called directly from Settings → Refresh.
-    async function hydrateAllFromPostgres(onProgress) {
-        if (!_initialized) throw new Error('Call init() first');
+        var list = Object.keys(matches).map(function(key) {
+            var m = matches[key];
+            m.ranges = _mergeSearchRanges(m.ranges);
+            return m;
+        });
+        return { score: score, matches: list };
+    }
 
-        var ctx = _buildHydrationCtx();
-        var result = await AminoHydration.tierPostgres(ctx, { onProgress: onProgress });
-        return result.totalRecords || 0;
+    function _mergeSearchRanges(ranges) {
+        ranges.sort(function(a, b) { return a[0] - b[0]; });
+        var out = [];
+        for (var i = 0; i < ranges.length; i++) {
+            var last = out[out.length - 1];
+            if (last && ranges[i][0] <= last[1]) last[1] = Math.max(last[1], ranges[i][1]);
+            else out.push([ranges[i][0], ranges[i][1]]);
+        }
+        return out;
     }
 
-    async function initAndHydrate(accessToken, userId, password, options) {
+    /**
+     * Ranked search over one table.
+     *
+     * @param {string} tableId
+     * @param {string} query - Search syntax (see above)
+     * @param {Object} [options]
+     * @param {number} [options.limit] - Maximum results (default: all)
+     * @param {string} [options.primaryField] - Override the primary field
+     * @param {Object} [options.fieldWeights] - { fieldName: weight } overrides
+     * @returns {Promise<Array<{record, score, matches: Array<{field, text, ranges}>}>>}
+     *   Best match first. `ranges` are [start, end) offsets into `text`, the
+     *   field's display text, ready for highlighting.
+     */
+    async function searchRanked(tableId, query, options) {
         options = options || {};
-        var pollInterval = options.pollInterval || DEFAULT_POLL_INTERVAL;
-        var onProgress = options.onProgress || null;
+        var terms = parseSearchQuery(query);
+        if (!terms.length) return [];
 
-        // Apply online-only mode from options or persisted localStorage setting
-        if (options.onlineOnly !== undefined) {
-            _onlineOnlyMode = !!options.onlineOnly;
+        // No complete index yet — hydrating the table indexes every record
+        if (!_searchIndexLoaded[tableId] && !_tableCacheHydrated[tableId]) {
+            await getTableRecords(tableId);
+        }
+
+        var positive = terms.filter(function(term) { return !term.negate; });
+        var records;
+        if (positive.length) {
+            var candidates = null;
+            for (var p = 0; p < positive.length; p++) {
+                var termIds = _rankedTermCandidates(tableId, positive[p]);
+                if (candidates === null) {
+                    candidates = termIds;
+                } else {
+                    var next = {};
+                    for (var id in candidates) {
+                        if (termIds[id]) next[id] = true;
+                    }
+                    candidates = next;
+                }
+            }
+            if (_tableCacheHydrated[tableId]) {
+                records = Object.keys(_tableRecordIdIndex[tableId] || {}).filter(function(rid) {
+                    return candidates[rid] && _recordCacheById[rid];
+                }).map(function(rid) { return _recordCacheById[rid]; });
+            } else {
+                records = await _loadRecordsById(tableId, Object.keys(candidates));
+            }
         } else {
-            _onlineOnlyMode = localStorage.getItem('amino_online_only_mode') === 'true';
+            records = getTableRecordsCached(tableId) || await getTableRecords(tableId);
         }
 
-        var tables = await init(accessToken, userId, password);
-        var totalRecords = await hydrateAll(onProgress);
+        var primary = options.primaryField || _primarySearchField(tableId, records);
+        var weights = options.fieldWeights || {};
+        var weightFor = function(name) {
+            if (Object.prototype.hasOwnProperty.call(weights, name)) return weights[name];
+            return name === primary ? SEARCH_PRIMARY_FIELD_WEIGHT : SEARCH_FIELD_WEIGHT;
+        };
 
-        // Use HTTP polling for record updates
-        console.log('[AminoData] Using HTTP polling for updates');
-        startPolling(pollInterval);
+        var results = [];
+        for (var r = 0; r < records.length; r++) {
+            var scored = _scoreSearchRecord(records[r], terms, weightFor);
+            if (!scored) continue;
+            results.push({ index: r, record: records[r], score: scored.score, matches: scored.matches });
+        }
+        results.sort(function(a, b) { return (b.score - a.score) || (a.index - b.index); });
+        if (options.limit != null) results = results.slice(0, Math.max(0, options.limit));
 
-        return {
-            tables: tables,
-            totalRecords: totalRecords,
-            tableRoomMap: getTableRoomMap(),
-            onlineOnlyMode: _onlineOnlyMode,
-            stopPolling: stopPolling
-        };
+        return results.map(function(result) {
+            return {
+                record: cloneRecord(result.record),
+                score: result.score,
+                matches: result.matches
+            };
+        });
     }
 
-    // ============ Online-Only Mode ============
-
-    // Toggle online-only mode. When enabled, the data layer fetches all data
-    // directly from the API and keeps it only in memory — nothing is written
-    // to or read from IndexedDB. This is useful on shared/public machines
-    // where no data should persist after the session ends.
-    function setOnlineOnlyMode(enabled) {
-        var wasEnabled = _onlineOnlyMode;
-        _onlineOnlyMode = !!enabled;
-        localStorage.setItem('amino_online_only_mode', _onlineOnlyMode ? 'true' : 'false');
-        console.log('[AminoData] Online-only mode:', _onlineOnlyMode ? 'ENABLED' : 'DISABLED');
+    // ============ Structured Query ============
+    // One query engine for views, widgets and the command palette.
+    // `where` uses the same nested filter-group shape as the grid:
+    //   { logic: 'AND'|'OR', conditions: [
+    //       { type: 'condition', fieldId, operator, value, fieldType? },
+    //       { type: 'group', logic, conditions: [...] } ] }
+    // `orderBy` uses the grid's sort shape: [{ fieldId, direction: 'asc'|'desc' }].
+
+    // Operators that compare typed values rather than lowercased strings
+    var QUERY_RANGE_OPERATORS = { gt: true, gte: true, lt: true, lte: true, before: true, after: true };
+    var ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+    // Read a field value. Conditions may name the field by id or by name
+    // (records from Postgres are keyed by field name, grid filters by id).
+    function _queryFieldValue(record, cond) {
+        var fields = record.fields || {};
+        var value = fields[cond.fieldId];
+        if (value === undefined && cond.fieldName) value = fields[cond.fieldName];
+        return value;
+    }
 
-        if (_onlineOnlyMode && !wasEnabled) {
-            // Entering online-only mode: clear local IndexedDB data
-            // so no data lingers from previous sessions.
-            if (_db) {
-                try {
-                    var storeNames = ['records', 'sync'];
-                    var tx = _db.transaction(storeNames, 'readwrite');
-                    storeNames.forEach(function(name) { tx.objectStore(name).clear(); });
-                    console.log('[AminoData] Cleared IndexedDB records/sync stores (online-only mode)');
-                } catch (e) {
-                    console.warn('[AminoData] Could not clear IndexedDB on online-only switch:', e);
+    // Same flattening the grid uses (valueToString in index.html) so that
+    // string operators behave identically in the data layer and the UI.
+    function _queryValueToString(value) {
+        if (value == null) return '';
+        if (Array.isArray(value)) {
+            return value.map(function(v) {
+                if (typeof v === 'object' && v !== null) {
+                    return v.name || v.filename || v.email || v.id || JSON.stringify(v);
                 }
-            }
-            // (no local data in online-only mode)
+                return String(v);
+            }).join(' ');
         }
-
-        window.dispatchEvent(new CustomEvent('amino:online-only-mode-changed', {
-            detail: { enabled: _onlineOnlyMode }
-        }));
+        if (typeof value === 'object') {
+            return value.name || value.filename || value.email || value.url || JSON.stringify(value);
+        }
+        return String(value);
     }
 
-    function isOnlineOnly() {
-        return _onlineOnlyMode;
+    function _isEmptyValue(value) {
+        return value == null || value === '' || (Array.isArray(value) && value.length === 0);
     }
 
-    // ============ Session Lifecycle ============
-
-    function setAccessToken(token) {
-        _accessToken = token;
+    // Coerce a value to something orderable. Uses the explicit fieldType hint
+    // when given, otherwise infers number → ISO date → lowercased string.
+    // Returns { kind: 'number'|'date'|'string', v } or null for empty values.
+    function _toComparable(value, fieldType) {
+        if (_isEmptyValue(value)) return null;
+        if (Array.isArray(value) && value.length === 1) value = value[0];
+        if (typeof value === 'boolean') return { kind: 'number', v: value ? 1 : 0 };
+        if (typeof value === 'number') return { kind: 'number', v: value };
+
+        var str = _queryValueToString(value).trim();
+        if (fieldType === 'number' || fieldType === 'currency' || fieldType === 'percent' ||
+            fieldType === 'rating' || fieldType === 'duration') {
+            var n = parseFloat(str);
+            return isNaN(n) ? null : { kind: 'number', v: n };
+        }
+        if (fieldType === 'date' || fieldType === 'dateTime' || ISO_DATE_PATTERN.test(str)) {
+            var t = Date.parse(str);
+            if (!isNaN(t)) return { kind: 'date', v: t };
+        }
+        if (!fieldType && str !== '' && !isNaN(Number(str))) {
+            return { kind: 'number', v: Number(str) };
+        }
+        return { kind: 'string', v: str.toLowerCase() };
     }
 
-    async function restoreSession(accessToken, userId, password) {
-        // For page reloads: re-derive key, incremental sync
-        return init(accessToken, userId, password);
+    function _compareComparables(a, b) {
+        if (a.kind !== b.kind) {
+            // Mixed kinds: fall back to string ordering so results stay stable
+            var sa = String(a.v), sb = String(b.v);
+            return sa < sb ? -1 : sa > sb ? 1 : 0;
+        }
+        if (a.kind === 'string') return a.v.localeCompare(b.v);
+        return a.v - b.v;
     }
 
-    async function logout(clearData) {
-        stopPolling();
-        stopViewDeletionSync();
-        _removeGlobalListeners(); // G-9 fix: clean up all event listeners
-        clearKeyFromStorage();
+    // Evaluate a single condition. String operators mirror matchesFilter in
+    // index.html; range operators compare typed values.
+    function _matchesQueryCondition(record, cond) {
+        var value = _queryFieldValue(record, cond);
+        var op = cond.operator;
+
+        if (op === 'is_empty') return _isEmptyValue(value);
+        if (op === 'is_not_empty') return !_isEmptyValue(value);
+
+        if (QUERY_RANGE_OPERATORS[op]) {
+            var left = _toComparable(value, cond.fieldType);
+            var right = _toComparable(cond.value, cond.fieldType);
+            if (!left || !right) return false;
+            var cmp = _compareComparables(left, right);
+            if (op === 'gt' || op === 'after') return cmp > 0;
+            if (op === 'gte') return cmp >= 0;
+            if (op === 'lt' || op === 'before') return cmp < 0;
+            return cmp <= 0; // lte
+        }
 
-        // Encrypt all plaintext records before clearing state.
-        // Must happen while _cryptoKey and _db are still available.
-        // Skip encryption in online-only mode (no persistent IDB data).
-        if (_deferEncryption && _cryptoKey && _db && !clearData && !_onlineOnlyMode) {
-            try {
-                await encryptAllRecords();
-            } catch (encErr) {
-                console.error('[AminoData] Failed to encrypt records on logout:', encErr);
+        if (op === 'in' || op === 'not_in') {
+            var options = Array.isArray(cond.value) ? cond.value : [cond.value];
+            var values = Array.isArray(value) ? value : [value];
+            var hit = false;
+            for (var i = 0; i < values.length && !hit; i++) {
+                var sv = _queryValueToString(values[i]).toLowerCase();
+                for (var j = 0; j < options.length; j++) {
+                    if (sv === String(options[j] == null ? '' : options[j]).toLowerCase()) { hit = true; break; }
+                }
             }
+            return op === 'in' ? hit : !hit;
         }
-        _deferEncryption = false;
-
-        _cryptoKey = null;
-        _accessToken = null;
-        _userId = null;
-        _tableRoomMap = {};
-        _roomTableMap = {};
-        _orgSpaceId = null;
-        _offlineMode = false;
-        // Note: _onlineOnlyMode is NOT reset on logout — it persists via localStorage
-        // so the preference survives across sessions.
-        _initialized = false;
-        _keyDerivationCache = { fingerprint: null, key: null };
-        AminoHydration.reset();
-        _perTableFailures = {};
-        clearRecordCache();
 
-        if (clearData && _db) {
-            // Clear all data from IndexedDB
-            var storeNames = ['records', 'tables', 'sync'];
-            var tx = _db.transaction(storeNames, 'readwrite');
-            storeNames.forEach(function(name) {
-                tx.objectStore(name).clear();
-            });
-            // Note: crypto store (salt) is kept for session restore
+        var strValue = _queryValueToString(value).toLowerCase();
+        var filterValue = String(cond.value == null ? '' : cond.value).toLowerCase();
+        switch (op) {
+            case 'contains':
+                return strValue.indexOf(filterValue) !== -1;
+            case 'not_contains':
+                return strValue.indexOf(filterValue) === -1;
+            case 'equals':
+                if (cond.fieldType || typeof cond.value === 'number') {
+                    var l = _toComparable(value, cond.fieldType);
+                    var r = _toComparable(cond.value, cond.fieldType);
+                    if (l && r && l.kind !== 'string' && l.kind === r.kind) return l.v === r.v;
+                }
+                return strValue === filterValue;
+            case 'not_equals':
+                return strValue !== filterValue;
+            default:
+                return true;
         }
+    }
 
-        if (_db) {
-            _db.close();
-            _db = null;
+    function _isQueryGroup(c) {
+        return c && (c.type === 'group' || (c.logic && Array.isArray(c.conditions)));
+    }
+
+    // Recursively evaluate a filter group (same semantics as matchesFilterGroup).
+    function _matchesQueryGroup(record, group) {
+        if (!group || !group.conditions || group.conditions.length === 0) return true;
+        var isAnd = group.logic !== 'OR';
+        for (var i = 0; i < group.conditions.length; i++) {
+            var c = group.conditions[i];
+            var result = _isQueryGroup(c) ? _matchesQueryGroup(record, c) : _matchesQueryCondition(record, c);
+            if (isAnd && !result) return false;
+            if (!isAnd && result) return true;
         }
+        return isAnd;
     }
 
-    function destroy() {
-        // Full destruction — remove the entire database
-        logout(false);
-        return new Promise(function(resolve, reject) {
-            var request = indexedDB.deleteDatabase(DB_NAME);
-            request.onsuccess = function() { resolve(); };
-            request.onerror = function() { reject(request.error); };
-        });
+    // Collect lowercased substrings every match must contain. Only AND-reachable
+    // untyped `contains`/`equals` conditions on a string qualify — the search
+    // index holds all field text, so these act as a cheap pre-filter before
+    // full evaluation. A typed `equals` compares coerced values ('5' matches
+    // 5.0, dates in any format), so its text need not appear in the record.
+    function _requiredIndexTerms(group, out) {
+        out = out || [];
+        if (!group || !group.conditions || group.logic === 'OR') return out;
+        for (var i = 0; i < group.conditions.length; i++) {
+            var c = group.conditions[i];
+            if (_isQueryGroup(c)) {
+                _requiredIndexTerms(c, out);
+            } else if ((c.operator === 'contains' || c.operator === 'equals') && !c.fieldType &&
+                       typeof c.value === 'string' && c.value.trim()) {
+                out.push(c.value.toLowerCase());
+            }
+        }
+        return out;
     }
 
+    function _compareForOrder(a, b, orderBy) {
+        for (var i = 0; i < orderBy.length; i++) {
+            var sort = orderBy[i];
+            var desc = sort.direction === 'desc';
+            var va = a.keys[i], vb = b.keys[i];
+            if (va === null && vb === null) continue;
+            // Empty values sort first ascending, last descending (matches compareValues)
+            if (va === null) return desc ? 1 : -1;
+            if (vb === null) return desc ? -1 : 1;
+            var cmp = _compareComparables(va, vb);
+            if (cmp !== 0) return desc ? -cmp : cmp;
+        }
+        return a.index - b.index;
+    }
 
-    // ============ Offline Session Manager ============
+    // Evaluate a query against the in-memory cache. The table must already
+    // be hydrated into the cache. Returns uncloned record references:
+    // { page, total, offset, limit }.
+    function _runQueryCached(options) {
+        var tableId = options.tableId;
+        var where = options.where || null;
+        var orderBy = options.orderBy || [];
+        var offset = Math.max(0, options.offset || 0);
+        var limit = options.limit != null ? Math.max(0, options.limit) : null;
 
-    // Check if we can reach the Matrix homeserver
-    async function checkConnectivity() {
-        var homeserverUrl = null;
+        var ids = Object.keys(_tableRecordIdIndex[tableId] || {});
+        var candidates = _searchMatchingIds(tableId, _requiredIndexTerms(where));
+        var matches = [];
 
-        // Try MatrixClient first
-        if (typeof MatrixClient !== 'undefined' && MatrixClient.getHomeserverUrl) {
-            homeserverUrl = MatrixClient.getHomeserverUrl();
+        for (var i = 0; i < ids.length; i++) {
+            if (candidates && !candidates[ids[i]]) continue;
+            var rec = _recordCacheById[ids[i]];
+            if (!rec) continue;
+            if (where && !_matchesQueryGroup(rec, where)) continue;
+            matches.push(rec);
         }
 
-        // Fall back to localStorage session
-        if (!homeserverUrl) {
-            try {
-                var raw = localStorage.getItem('amino_synapse_session')
-                       || localStorage.getItem('matrix_session')
-                       || '{}';
-                var session = JSON.parse(raw);
-                homeserverUrl = session.homeserverUrl;
-            } catch (e) { /* ignore */ }
+        if (orderBy.length && matches.length > 1) {
+            // Pre-compute sort keys once per record (O(n) instead of O(n log n) coercions)
+            var keyed = matches.map(function(rec, idx) {
+                return {
+                    rec: rec,
+                    index: idx,
+                    keys: orderBy.map(function(sort) {
+                        return _toComparable(_queryFieldValue(rec, sort), sort.fieldType);
+                    })
+                };
+            });
+            keyed.sort(function(a, b) { return _compareForOrder(a, b, orderBy); });
+            matches = keyed.map(function(k) { return k.rec; });
         }
 
-        if (!homeserverUrl) return false;
+        return {
+            page: limit === null ? matches.slice(offset) : matches.slice(offset, offset + limit),
+            total: matches.length,
+            offset: offset,
+            limit: limit
+        };
+    }
 
-        try {
-            var controller = new AbortController();
-            var timeoutId = setTimeout(function() { controller.abort(); }, 5000);
-            var response = await fetch(homeserverUrl + '/_matrix/client/versions', {
-                signal: controller.signal
-            });
-            clearTimeout(timeoutId);
-            return response.ok;
-        } catch (e) {
-            return false;
+    // Run a structured query against a table's local records.
+    //
+    // Parameters (single options object):
+    //   tableId  — required
+    //   where    — filter group (see above); omitted means "all records"
+    //   orderBy  — array of { fieldId, direction, fieldType? }
+    //   limit    — page size (default: all)
+    //   offset   — records to skip (default: 0)
+    //
+    // Returns { records, total, offset, limit } where total is the number
+    // of matches before paging.
+    async function query(options) {
+        options = options || {};
+        if (!options.tableId) throw new Error('query requires a tableId');
+
+        if (!_tableCacheHydrated[options.tableId]) {
+            await getTableRecords(options.tableId); // populates cache
         }
-    }
 
-    // Check if offline access has expired (too many days since last online auth)
-    async function checkOfflineAccessExpiry(db) {
-        var targetDb = db || _db;
-        if (!targetDb) return false;
+        var result = _runQueryCached(options);
+        return {
+            records: result.page.map(function(rec) { return cloneRecord(rec); }),
+            total: result.total,
+            offset: result.offset,
+            limit: result.limit
+        };
+    }
 
-        try {
-            var cryptoTx = targetDb.transaction('crypto', 'readonly');
-            var lastOnlineAuth = await idbGet(cryptoTx.objectStore('crypto'), 'lastOnlineAuth');
-            if (!lastOnlineAuth || !lastOnlineAuth.value) return false;
+    // Evaluate a filter group against a single record without touching storage.
+    // Exposed so UI code holding records in memory shares the engine's semantics.
+    function matchesQuery(record, where) {
+        return _matchesQueryGroup(record, where);
+    }
 
-            // Read configurable max days from cached org config, or use default
-            var maxDays = DEFAULT_OFFLINE_ACCESS_MAX_DAYS;
-            try {
-                var configStr = localStorage.getItem('amino_offline_max_days');
-                if (configStr) {
-                    var parsed = parseInt(configStr, 10);
-                    if (parsed > 0) maxDays = parsed;
-                }
-            } catch (e) { /* use default */ }
+    // ============ Live Query Subscriptions ============
+    // Each subscription keeps a materialized result set and receives diffs
+    // when cached records of its table change. Every write path (hydration
+    // tiers, syncTable, applyLocalMutation) funnels through cacheRecord /
+    // clearTableCache, which mark records dirty; dirty records are coalesced
+    // and flushed on the next tick so a hydration batch yields one diff.
+
+    var _subscriptions = {};         // subId -> subscription
+    var _subscriptionSeq = 0;
+    var _recordVersions = {};        // recordId -> monotonically increasing version
+    var _dirtyRecordsByTable = {};   // tableId -> { recordId: true }
+    var _subscriptionFlushTimer = null;
+
+    function _markRecordDirty(tableId, recordId) {
+        _recordVersions[recordId] = (_recordVersions[recordId] || 0) + 1;
+        if (!_dirtyRecordsByTable[tableId]) _dirtyRecordsByTable[tableId] = {};
+        _dirtyRecordsByTable[tableId][recordId] = true;
+        _scheduleSubscriptionFlush();
+    }
 
-            var daysSinceAuth = (Date.now() - lastOnlineAuth.value) / (1000 * 60 * 60 * 24);
-            return daysSinceAuth <= maxDays;
-        } catch (e) {
-            return false;
+    function _scheduleSubscriptionFlush() {
+        if (_subscriptionFlushTimer) return;
+        var hasSubs = false;
+        for (var k in _subscriptions) { hasSubs = true; break; }
+        if (!hasSubs) {
+            _dirtyRecordsByTable = {};
+            return;
         }
+        _subscriptionFlushTimer = setTimeout(_flushSubscriptions, 0);
     }
 
-    // Attempt offline unlock using stored verification token.
-    // Requires a previous successful online login (verification token in IndexedDB).
-    // Returns session info on success, throws on failure.
-    async function offlineUnlock(password) {
-        // 1. Get userId from localStorage session
-        //    Check both 'amino_synapse_session' (index.html) and 'matrix_session' (legacy)
-        var session;
-        try {
-            var raw = localStorage.getItem('amino_synapse_session')
-                   || localStorage.getItem('matrix_session')
-                   || '{}';
-            session = JSON.parse(raw);
-        } catch (e) {
-            throw new Error('No saved session found');
-        }
-        if (!session.userId) {
-            throw new Error('No saved session found. You must log in online first.');
+    function _flushSubscriptions() {
+        _subscriptionFlushTimer = null;
+        var tableIds = Object.keys(_dirtyRecordsByTable);
+        for (var t = 0; t < tableIds.length; t++) {
+            var tableId = tableIds[t];
+            // Mid-hydration (clear-before-write in progress) — wait until the
+            // table is fully cached again so subscribers never see a half table.
+            if (!_tableCacheHydrated[tableId]) continue;
+            var dirty = _dirtyRecordsByTable[tableId];
+            delete _dirtyRecordsByTable[tableId];
+
+            var subIds = Object.keys(_subscriptions);
+            for (var s = 0; s < subIds.length; s++) {
+                var sub = _subscriptions[subIds[s]];
+                if (!sub || !sub.ready || sub.options.tableId !== tableId) continue;
+                try {
+                    _refreshSubscription(sub, dirty);
+                } catch (err) {
+                    console.error('[AminoData] Subscription refresh failed:', err);
+                }
+            }
         }
+    }
 
-        // 2. Open IndexedDB
-        var db = await openDatabase();
+    // Whether a subscription's result depends only on per-record membership
+    // (no ordering or paging), so dirty records can be evaluated one by one.
+    function _isIncrementalSubscription(sub) {
+        var o = sub.options;
+        return !(o.orderBy && o.orderBy.length) && o.limit == null && !o.offset;
+    }
 
-        // 3. Check offline access expiry
-        var accessValid = await checkOfflineAccessExpiry(db);
-        if (!accessValid) {
-            db.close();
-            throw new Error('Offline access has expired. Connect to the internet to re-authenticate.');
+    function _refreshSubscription(sub, dirty) {
+        var added = [], removed = [], changed = [];
+        var nextIds;
+
+        if (_isIncrementalSubscription(sub) && dirty) {
+            var dirtyIds = Object.keys(dirty);
+            var inResult = {};
+            for (var i = 0; i < sub.recordIds.length; i++) inResult[sub.recordIds[i]] = true;
+            for (var d = 0; d < dirtyIds.length; d++) {
+                var id = dirtyIds[d];
+                var rec = _recordCacheById[id];
+                var matches = !!rec && (!sub.options.where || _matchesQueryGroup(rec, sub.options.where));
+                if (matches && !inResult[id]) {
+                    added.push(id);
+                    inResult[id] = true;
+                } else if (!matches && inResult[id]) {
+                    removed.push(id);
+                    delete inResult[id];
+                } else if (matches && sub.versions[id] !== _recordVersions[id]) {
+                    changed.push(id);
+                }
+            }
+            if (!added.length && !removed.length && !changed.length) return;
+            nextIds = sub.recordIds.filter(function(rid) { return inResult[rid]; }).concat(added);
+            sub.total = nextIds.length;
+        } else {
+            var result = _runQueryCached(sub.options);
+            nextIds = result.page.map(function(r) { return r.id; });
+            var prev = {};
+            for (var p = 0; p < sub.recordIds.length; p++) prev[sub.recordIds[p]] = true;
+            var next = {};
+            for (var n = 0; n < nextIds.length; n++) {
+                var nid = nextIds[n];
+                next[nid] = true;
+                if (!prev[nid]) added.push(nid);
+                else if (sub.versions[nid] !== _recordVersions[nid]) changed.push(nid);
+            }
+            for (var q = 0; q < sub.recordIds.length; q++) {
+                if (!next[sub.recordIds[q]]) removed.push(sub.recordIds[q]);
+            }
+            var orderChanged = sub.recordIds.join('\u0000') !== nextIds.join('\u0000');
+            var totalChanged = sub.total !== result.total;
+            sub.total = result.total;
+            if (!added.length && !removed.length && !changed.length && !orderChanged && !totalChanged) return;
         }
 
-        // 4. Read verification token
-        var cryptoTx = db.transaction('crypto', 'readonly');
-        var verifyEntry = await idbGet(cryptoTx.objectStore('crypto'), 'verify');
-        if (!verifyEntry || !verifyEntry.value) {
-            db.close();
-            throw new Error('No cached data available. Connect to internet for initial login.');
+        _emitSubscription(sub, nextIds, added, removed, changed, false);
+    }
+
+    function _emitSubscription(sub, nextIds, added, removed, changed, initial) {
+        var versions = {};
+        for (var i = 0; i < nextIds.length; i++) versions[nextIds[i]] = _recordVersions[nextIds[i]];
+        sub.recordIds = nextIds;
+        sub.versions = versions;
+
+        var toRecords = function(ids) {
+            return ids.map(function(id) { return cloneRecord(_recordCacheById[id]); });
+        };
+        sub.callback({
+            subscriptionId: sub.id,
+            initial: initial,
+            added: toRecords(added),
+            removed: removed,
+            changed: toRecords(changed),
+            recordIds: nextIds.slice(),
+            total: sub.total
+        });
+    }
+
+    // Subscribe to a structured query (same options as query()). The callback
+    // is invoked once with the initial result (initial: true, every record in
+    // `added`) and afterwards with diffs:
+    //   { subscriptionId, initial, added: [record], removed: [recordId],
+    //     changed: [record], recordIds: [ordered page ids], total }
+    // Returns an unsubscribe function.
+    function subscribe(queryOptions, callback) {
+        if (!queryOptions || !queryOptions.tableId) throw new Error('subscribe requires a tableId');
+        if (typeof callback !== 'function') throw new Error('subscribe requires a callback');
+
+        var sub = {
+            id: 'sub_' + (++_subscriptionSeq),
+            options: queryOptions,
+            callback: callback,
+            recordIds: [],
+            versions: {},
+            total: 0,
+            ready: false
+        };
+        _subscriptions[sub.id] = sub;
+
+        var tableId = queryOptions.tableId;
+        var loaded = _tableCacheHydrated[tableId] ? Promise.resolve() : getTableRecords(tableId);
+        loaded.then(function() {
+            if (!_subscriptions[sub.id]) return; // unsubscribed while loading
+            var result = _runQueryCached(queryOptions);
+            var ids = result.page.map(function(r) { return r.id; });
+            sub.total = result.total;
+            sub.ready = true;
+            _emitSubscription(sub, ids, ids, [], [], true);
+        }).catch(function(err) {
+            console.error('[AminoData] Subscription initial load failed for', tableId, ':', err);
+        });
+
+        return function unsubscribe() {
+            delete _subscriptions[sub.id];
+        };
+    }
+
+    // ============ Initialization ============
+
+    // Clear local data the session key cannot read, for re-hydration.
+    // Queue and dead-letter entries sealed under the old key go too; any
+    // still readable (plaintext from a deferred session) are kept.
+    async function _clearStaleLocalData() {
+        var clearTx = _db.transaction(['records', 'sync', 'search_index', 'events', 'attachments', 'attachment_blobs'], 'readwrite');
+        clearTx.objectStore('records').clear();
+        clearTx.objectStore('sync').clear();
+        clearTx.objectStore('search_index').clear();
+        clearTx.objectStore('events').clear();
+        clearTx.objectStore('attachments').clear();
+        clearTx.objectStore('attachment_blobs').clear();
+        await idbTxDone(clearTx);
+        clearRecordCache();
+        await _removeUnreadableMutations();
+    }
+
+    // Core initialization logic shared by init() and initWithKey().
+    // Accepts a pre-derived CryptoKey and an optional raw password
+    // (needed only for legacy salt migration).
+    async function _initCore(accessToken, userId, cryptoKey, password) {
+        _accessToken = accessToken;
+        _userId = userId;
+        clearRecordCache();
+
+        // Open database
+        _db = await openDatabase();
+        _cryptoKey = cryptoKey;
+
+        // Check for existing encryption state and migrate if necessary
+        var cryptoTx = _db.transaction('crypto', 'readonly');
+        var saltEntry = await idbGet(cryptoTx.objectStore('crypto'), 'salt');
+        var verifyEntry = await idbGet(cryptoTx.objectStore('crypto'), 'verify');
+
+        // Finish a key rotation a previous session left half done
+        var resumedToken = await _resumeKeyRotation(_cryptoKey);
+        if (resumedToken) {
+            verifyEntry = { key: 'verify', value: resumedToken };
+        } else if (await idbGet(_db.transaction('crypto', 'readonly').objectStore('crypto'), 'rotation')) {
+            // The key fits neither side of the rotation. Treating it as a
+            // password change would clear data either password can still read.
+            _cryptoKey = null;
+            var rotationErr = new Error('This password does not match the encryption key rotation in progress on this device');
+            rotationErr.code = 'key-mismatch';
+            throw rotationErr;
         }
 
-        // 5. Derive key and verify
-        var key = await deriveSynapseKey(password, session.userId);
-        var isValid = await verifyEncryptionKey(key, verifyEntry.value);
-        if (!isValid) {
-            db.close();
-            throw new Error('Incorrect password');
+        if (saltEntry && saltEntry.value !== 'synapse-derived') {
+            if (password) {
+                // Legacy random salt exists — migrate to Synapse-derived key
+                console.log('[AminoData] Detected legacy random salt, migrating to Synapse-derived encryption');
+                var oldSalt = new Uint8Array(saltEntry.value);
+                var oldKey = await deriveKey(password, oldSalt);
+                var migrated = await migrateEncryptionKey(oldKey, _cryptoKey);
+
+                if (migrated === -1) {
+                    // Neither key works — clear stale data and re-hydrate
+                    console.warn('[AminoData] Clearing stale encrypted data for re-hydration');
+                    await _clearStaleLocalData();
+                }
+            } else {
+                // No password available for legacy migration — clear and re-hydrate
+                console.warn('[AminoData] Legacy salt detected but no password for migration — clearing data');
+                await _clearStaleLocalData();
+            }
+        } else if (verifyEntry) {
+            // Synapse-derived key already in use — verify it still matches
+            var keyValid = await verifyEncryptionKey(_cryptoKey, verifyEntry.value);
+            if (!keyValid) {
+                // Password changed — data needs re-encryption or re-hydration
+                console.warn('[AminoData] Synapse password changed — clearing local data for re-hydration');
+                await _clearStaleLocalData();
+            }
         }
 
-        // 6. Success — set up offline session
-        _db = db;
-        _cryptoKey = key;
-        _userId = session.userId;
-        _offlineMode = true;
+        // Store Synapse-derived marker and verification token
+        var verifyToken = await createVerificationToken(_cryptoKey);
+        var metaTx = _db.transaction('crypto', 'readwrite');
+        var metaStore = metaTx.objectStore('crypto');
+        await idbPut(metaStore, { key: 'salt', value: 'synapse-derived', userId: userId });
+        await idbPut(metaStore, { key: 'verify', value: verifyToken });
+        await idbPut(metaStore, { key: 'lastOnlineAuth', value: Date.now() });
+        await idbTxDone(metaTx);
 
-        // 7. Load cached tables from IndexedDB
-        var tablesTx = db.transaction('tables', 'readonly');
-        _tables = await idbGetAll(tablesTx.objectStore('tables'));
-        _tableIds = _tables.map(function(t) { return t.table_id; });
+        // Load cached tables immediately (fast startup + offline support),
+        // then refresh from API when network is available.
+        var cachedTables = await loadTablesFromCache();
+        try {
+            await fetchAndStoreTables();
+            _offlineMode = false;
+        } catch (err) {
+            if (!cachedTables.length) {
+                throw err;
+            }
+            _offlineMode = true;
+            console.warn('[AminoData] Using cached table metadata (offline):', err.message || err);
+        }
+
+        // Store exported key in localStorage for sub-page access
+        await exportKeyToStorage(_cryptoKey);
 
+        // Enable deferred encryption: store plaintext in IndexedDB during
+        // the active session, encrypt everything on logout. Any records left
+        // unencrypted from a previous crash are safe to read (dual-format
+        // detection in decryptRecord handles both), and will be encrypted
+        // on the next clean logout.
         _deferEncryption = true;
+
+        await runMigrations();
+        await _loadPendingDeletes();
+        await _loadEvictedTables();
+        await _loadSearchIndex();
+        if (getStoragePolicy().requestPersistence) requestPersistentStorage();
+
+        // G-9 fix: Re-register global event listeners (may have been removed by previous logout)
+        _reregisterGlobalListeners();
+
+        await _startLeaderElection();
+
         _initialized = true;
+        console.log('[AminoData] Initialized with', _tables.length, 'tables (Synapse-derived encryption, encrypt-on-logout)');
 
-        // 8. Start connectivity monitoring
-        startConnectivityMonitor();
+        return _tables;
+    }
 
-        var lastSynced = await getLastSyncTime();
+    async function init(accessToken, userId, password) {
+        if (!accessToken || !userId || !password) {
+            throw new Error('accessToken, userId, and password are required');
+        }
 
-        console.log('[AminoData] Offline unlock successful for', session.userId,
-            '(' + _tables.length + ' cached tables, last synced:', lastSynced + ', encrypt-on-logout)');
+        var key = await deriveSynapseKey(password, userId);
+        return _initCore(accessToken, userId, key, password);
+    }
+
+    // Initialize using a pre-derived CryptoKey or a previously exported key from localStorage.
+    // Used by sub-pages (layout builder, client profile) that don't have the password.
+    // If cryptoKey is provided, uses it directly; otherwise loads from localStorage.
+    async function initWithKey(accessToken, userId, cryptoKey) {
+        if (!accessToken || !userId) {
+            throw new Error('accessToken and userId are required');
+        }
+        var key = cryptoKey || (await importKeyFromStorage());
+        if (!key) {
+            throw new Error('No stored encryption key found. Please log in from the main app first.');
+        }
+        return _initCore(accessToken, userId, key, null);
+    }
+
+    // Derive and store the encryption key without full initialization.
+    // Called by the main app after Synapse login so sub-pages can use initWithKey().
+    async function prepareKey(password, userId) {
+        if (!password || !userId) return;
+        var key = await deriveSynapseKey(password, userId);
+        await exportKeyToStorage(key);
+    }
+
+    async function hydrateAll(onProgress) {
+        if (!_initialized) throw new Error('Call init() first');
+
+        await _startLeaderElection();
+        if (!_isLeader) {
+            // The leader hydrates the shared IndexedDB; this tab reads from it
+            var followed = await _awaitLeaderHydration(onProgress);
+            if (followed) return followed.totalRecords;
+            // Became leader while waiting — hydrate here
+        }
+
+        var ctx = _buildHydrationCtx();
+        var result = await AminoHydration.run(ctx, {
+            onProgress: function(progress) {
+                _postTabMessage({ type: 'hydration-progress', progress: progress });
+                if (onProgress) onProgress(progress);
+            }
+        });
+        console.log('[AminoData] Hydration complete via AminoHydration:', result.totalRecords,
+            'records (tier:', result.tier || 'none', ')');
+        _leaderHydration = { totalRecords: result.totalRecords || 0 };
+        _broadcastLeaderStatus();
+        _maybeEnforceStoragePolicy();
+        _maybeRefreshAttachmentPins();
+        return result.totalRecords || 0;
+    }
+
+    // Convenience wrapper — can still be called directly from Settings → Refresh.
+    async function hydrateAllFromPostgres(onProgress) {
+        if (!_initialized) throw new Error('Call init() first');
+
+        var ctx = _buildHydrationCtx();
+        var result = await AminoHydration.tierPostgres(ctx, { onProgress: onProgress });
+        return result.totalRecords || 0;
+    }
+
+    async function initAndHydrate(accessToken, userId, password, options) {
+        options = options || {};
+        var pollInterval = options.pollInterval || DEFAULT_POLL_INTERVAL;
+        var onProgress = options.onProgress || null;
+
+        // Apply online-only mode from options or persisted localStorage setting
+        if (options.onlineOnly !== undefined) {
+            _onlineOnlyMode = !!options.onlineOnly;
+        } else {
+            _onlineOnlyMode = localStorage.getItem('amino_online_only_mode') === 'true';
+        }
+
+        var tables = await init(accessToken, userId, password);
+        var totalRecords = await hydrateAll(onProgress);
+
+        // Use HTTP polling for record updates
+        console.log('[AminoData] Using HTTP polling for updates');
+        startPolling(pollInterval);
 
         return {
-            userId: session.userId,
-            tables: _tables,
-            offlineMode: true,
-            lastSynced: lastSynced
+            tables: tables,
+            totalRecords: totalRecords,
+            tableRoomMap: getTableRoomMap(),
+            onlineOnlyMode: _onlineOnlyMode,
+            stopPolling: stopPolling
         };
     }
 
-    // Get the most recent sync timestamp across all tables
-    async function getLastSyncTime() {
-        if (!_db) return null;
-        try {
-            var tx = _db.transaction('sync', 'readonly');
-            var allSync = await idbGetAll(tx.objectStore('sync'));
-            if (allSync.length === 0) return null;
-            var latest = allSync.reduce(function(max, entry) {
-                return entry.lastSynced > max ? entry.lastSynced : max;
-            }, allSync[0].lastSynced);
-            return latest;
-        } catch (e) {
-            return null;
+    // ============ Online-Only Mode ============
+
+    // Toggle online-only mode. When enabled, the data layer fetches all data
+    // directly from the API and keeps it only in memory — nothing is written
+    // to or read from IndexedDB. This is useful on shared/public machines
+    // where no data should persist after the session ends.
+    function setOnlineOnlyMode(enabled) {
+        var wasEnabled = _onlineOnlyMode;
+        _onlineOnlyMode = !!enabled;
+        localStorage.setItem('amino_online_only_mode', _onlineOnlyMode ? 'true' : 'false');
+        console.log('[AminoData] Online-only mode:', _onlineOnlyMode ? 'ENABLED' : 'DISABLED');
+
+        if (_onlineOnlyMode && !wasEnabled) {
+            // Entering online-only mode: clear local IndexedDB data
+            // so no data lingers from previous sessions.
+            if (_db) {
+                try {
+                    var storeNames = ['records', 'sync', 'search_index', 'events', 'attachments', 'attachment_blobs'];
+                    var tx = _db.transaction(storeNames, 'readwrite');
+                    storeNames.forEach(function(name) { tx.objectStore(name).clear(); });
+                    console.log('[AminoData] Cleared IndexedDB records/sync/search_index/events/attachment stores (online-only mode)');
+                } catch (e) {
+                    console.warn('[AminoData] Could not clear IndexedDB on online-only switch:', e);
+                }
+            }
+            // (no local data in online-only mode)
         }
+
+        window.dispatchEvent(new CustomEvent('amino:online-only-mode-changed', {
+            detail: { enabled: _onlineOnlyMode }
+        }));
     }
 
-    // Returns the total number of records stored in IndexedDB across all tables.
-    // Uses the native IDBObjectStore.count() which is O(1) — no row iteration.
-    async function getLocalRecordCount() {
-        if (!_db) return 0;
-        try {
-            var tx = _db.transaction('records', 'readonly');
-            return await new Promise(function(resolve) {
-                var req = tx.objectStore('records').count();
-                req.onsuccess = function() { resolve(req.result); };
-                req.onerror = function() { resolve(0); };
-            });
-        } catch (e) {
-            return 0;
+    function isOnlineOnly() {
+        return _onlineOnlyMode;
+    }
+
+    // ============ Session Lifecycle ============
+
+    function setAccessToken(token) {
+        _accessToken = token;
+    }
+
+    async function restoreSession(accessToken, userId, password) {
+        // For page reloads: re-derive key, incremental sync
+        return init(accessToken, userId, password);
+    }
+
+    async function logout(clearData) {
+        stopPolling();
+        stopViewDeletionSync();
+        _removeGlobalListeners(); // G-9 fix: clean up all event listeners
+        clearKeyFromStorage();
+
+        // Encrypt all plaintext records before clearing state.
+        // Must happen while _cryptoKey and _db are still available.
+        // Skip encryption in online-only mode (no persistent IDB data).
+        if (_deferEncryption && _cryptoKey && _db && !clearData && !_onlineOnlyMode) {
+            try {
+                await encryptAllRecords();
+            } catch (encErr) {
+                console.error('[AminoData] Failed to encrypt records on logout:', encErr);
+            }
+        }
+        _deferEncryption = false;
+        _stopCryptoWorker();
+        _rotationFromKey = null;
+
+        // Hand leadership to another open tab (after the final search index write)
+        _stopLeaderElection();
+
+        _cryptoKey = null;
+        _accessToken = null;
+        _userId = null;
+        _orgSpaceId = null;
+        _offlineMode = false;
+        // Note: _onlineOnlyMode is NOT reset on logout — it persists via localStorage
+        // so the preference survives across sessions.
+        _initialized = false;
+        _keyDerivationCache = { fingerprint: null, key: null };
+        AminoHydration.reset();
+        _tableSchedule = {};
+        _streamGapTables = {};
+        _pollPausedUntil = 0;
+        _activeTableId = null;
+        _subscriptions = {};
+        _pendingDeletes = {};
+        _tempIdMap = {};
+        _undoStack = [];
+        _redoStack = [];
+        _openUndoGroups = 0;
+        _undoIdMap = {};
+        _evictedTables = {};
+        _lastStorageCheck = 0;
+        _attachmentDownloads = null;
+        _lastAttachmentRefresh = 0;
+        _tableCheckAttempts = {};
+        clearRecordCache();
+
+        if (clearData && _db) {
+            // Clear all data from IndexedDB
+            var storeNames = ['records', 'tables', 'sync', 'search_index', 'events', 'attachments', 'attachment_blobs'];
+            var tx = _db.transaction(storeNames, 'readwrite');
+            storeNames.forEach(function(name) {
+                tx.objectStore(name).clear();
+            });
+            localStorage.removeItem(ATTACHMENT_PINS_KEY);
+            // Note: crypto store (salt) is kept for session restore
+        }
+
+        if (_db) {
+            _db.close();
+            _db = null;
+        }
+    }
+
+    function destroy() {
+        // Full destruction — remove the entire database
+        logout(false);
+        return new Promise(function(resolve, reject) {
+            var request = indexedDB.deleteDatabase(DB_NAME);
+            request.onsuccess = function() { resolve(); };
+            request.onerror = function() { reject(request.error); };
+        });
+    }
+
+
+    // ============ Backup & Restore ============
+    // exportBackup() packs the local database into one passphrase-encrypted
+    // archive; importBackup() validates one and restores it into an empty
+    // profile (or over the current data with { overwrite: true }).
+    //
+    // Layout: 'AMINOBAK' | u32 header length | header JSON | frame...
+    // The header is plaintext and holds no data (format, KDF salt, source
+    // user, its last online login). Each frame is u32 length | IV + AES-GCM ciphertext of one batch
+    // { store, entries }, authenticated together with the header and the
+    // frame's position, so frames can't be dropped, reordered or spliced in
+    // from another archive. The last frame is { end: true, stores: counts }.
+    // Records and queue entries travel decrypted inside the archive and are
+    // re-encrypted under the restoring profile's key. The search index is
+    // rebuilt, not copied.
+    // Views, view folders and shared views live in index.html's database and
+    // travel as 'ui:*' stores through registered backup sources (format 2).
+
+    var BACKUP_MAGIC = 'AMINOBAK';
+    var BACKUP_FORMAT = 2;
+    var BACKUP_STORES = ['tables', 'sync', 'records', 'pending_mutations', 'dead_letters'];
+    // Everything a restore replaces — the same data stores logout clears,
+    // so nothing of a previous profile survives an overwrite
+    var RESTORE_CLEAR_STORES = BACKUP_STORES.concat(['search_index', 'events', 'attachments', 'attachment_blobs']);
+    var BACKUP_BATCH_SIZE = 500;
+    var BACKUP_KDF_ITERATIONS = 600000;
+
+    function _backupU32(value) {
+        var bytes = new Uint8Array(4);
+        new DataView(bytes.buffer).setUint32(0, value);
+        return bytes;
+    }
+
+    function _backupFrameAad(headerText, index) {
+        return new TextEncoder().encode(index + '\n' + headerText);
+    }
+
+    async function _deriveBackupKey(passphrase, kdf) {
+        var keyMaterial = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+        );
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt: new Uint8Array(base64ToArrayBuffer(kdf.salt)), iterations: kdf.iterations, hash: kdf.hash },
+            keyMaterial,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    function _backupProgress(phase, storeName, done) {
+        window.dispatchEvent(new CustomEvent('amino:backup-progress', {
+            detail: { phase: phase, storeName: storeName, done: done }
+        }));
+    }
+
+    // Stores kept outside this database — index.html's views, view folders
+    // and shared views — join the archive through registerBackupSource().
+    var _backupSources = {};    // name -> { read, write, clear }
+
+    // source.read() resolves the store's entries, source.write(entries)
+    // stores a batch of them and source.clear() empties the store before a
+    // restore. Names are archive store names, e.g. 'ui:views'.
+    function registerBackupSource(name, source) {
+        if (!name || BACKUP_STORES.indexOf(name) !== -1) throw new Error('Invalid backup source name: ' + name);
+        if (!source || typeof source.read !== 'function' || typeof source.write !== 'function' || typeof source.clear !== 'function') {
+            throw new Error('registerBackupSource expects { read, write, clear }');
+        }
+        _backupSources[name] = source;
+    }
+
+    function _isBackupSource(name) {
+        return Object.prototype.hasOwnProperty.call(_backupSources, name);
+    }
+
+    // Produces the archive chunk by chunk: next() resolves the magic and
+    // header first, then one frame per batch, then the end frame, then
+    // null. Only one batch is in memory at a time.
+    function _backupChunkReader(passphrase) {
+        if (!_initialized || !_db || !_cryptoKey) throw new Error('Data layer not initialized');
+        if (_onlineOnlyMode) throw new Error('Online-only mode keeps no local data to back up');
+        if (!passphrase) throw new Error('A backup passphrase is required');
+
+        var storeNames = BACKUP_STORES.concat(Object.keys(_backupSources));
+        var reader = { counts: {}, next: next };
+        var key = null;
+        var headerText = null;
+        var frameIndex = 0;
+        var s = 0;
+        var afterKey = null;
+        var sourceEntries = null;
+        var finished = false;
+
+        async function start() {
+            var kdf = {
+                name: 'PBKDF2',
+                hash: 'SHA-256',
+                iterations: BACKUP_KDF_ITERATIONS,
+                salt: arrayBufferToBase64(crypto.getRandomValues(new Uint8Array(16)).buffer)
+            };
+            key = await _deriveBackupKey(passphrase, kdf);
+            var authTx = _db.transaction('crypto', 'readonly');
+            var lastOnlineAuth = await idbGet(authTx.objectStore('crypto'), 'lastOnlineAuth');
+            headerText = JSON.stringify({
+                format: 'amino-backup',
+                version: BACKUP_FORMAT,
+                dbVersion: DB_VERSION,
+                createdAt: new Date().toISOString(),
+                userId: _userId,
+                // Restoring must not extend the offline-access window
+                lastOnlineAuth: lastOnlineAuth ? lastOnlineAuth.value : null,
+                kdf: kdf
+            });
+            var magic = new TextEncoder().encode(BACKUP_MAGIC);
+            var headerBytes = new TextEncoder().encode(headerText);
+            var chunk = new Uint8Array(magic.length + 4 + headerBytes.length);
+            chunk.set(magic, 0);
+            chunk.set(_backupU32(headerBytes.length), magic.length);
+            chunk.set(headerBytes, magic.length + 4);
+            return chunk;
+        }
+
+        async function frame(payload) {
+            var iv = crypto.getRandomValues(new Uint8Array(12));
+            var ciphertext = new Uint8Array(await crypto.subtle.encrypt(
+                { name: 'AES-GCM', iv: iv, additionalData: _backupFrameAad(headerText, frameIndex++) },
+                key,
+                new TextEncoder().encode(JSON.stringify(payload))
+            ));
+            var chunk = new Uint8Array(4 + iv.length + ciphertext.length);
+            chunk.set(_backupU32(iv.length + ciphertext.length), 0);
+            chunk.set(iv, 4);
+            chunk.set(ciphertext, 4 + iv.length);
+            return chunk;
+        }
+
+        async function readBatch(storeName) {
+            if (_isBackupSource(storeName)) {
+                if (!sourceEntries) sourceEntries = (await _backupSources[storeName].read()) || [];
+                return sourceEntries.slice(reader.counts[storeName], reader.counts[storeName] + BACKUP_BATCH_SIZE);
+            }
+            var store = _db.transaction(storeName, 'readonly').objectStore(storeName);
+            var entries = await idbGetBatch(store, afterKey, BACKUP_BATCH_SIZE);
+            if (entries.length) afterKey = entries[entries.length - 1][store.keyPath];
+            if (storeName === 'records') {
+                for (var i = 0; i < entries.length; i++) {
+                    entries[i].fields = await _decodeStoredPayload(entries[i].fields);
+                }
+            } else if (MUTATION_STORES.indexOf(storeName) !== -1) {
+                entries = await _openMutations(entries, storeName);
+            }
+            return entries;
+        }
+
+        async function next() {
+            if (finished) return null;
+            if (!key) return start();
+            while (s < storeNames.length) {
+                var storeName = storeNames[s];
+                if (!(storeName in reader.counts)) reader.counts[storeName] = 0;
+                var entries = await readBatch(storeName);
+                if (entries.length < BACKUP_BATCH_SIZE) {
+                    s++;
+                    afterKey = null;
+                    sourceEntries = null;
+                }
+                if (entries.length) {
+                    reader.counts[storeName] += entries.length;
+                    _backupProgress('export', storeName, reader.counts[storeName]);
+                    return frame({ store: storeName, entries: entries });
+                }
+            }
+            finished = true;
+            console.log('[AminoData] Exported backup:', JSON.stringify(reader.counts));
+            return frame({ end: true, stores: reader.counts });
+        }
+
+        return reader;
+    }
+
+    function _backupStream(reader) {
+        return new ReadableStream({
+            pull: async function(controller) {
+                var chunk = await reader.next();
+                if (chunk) controller.enqueue(chunk);
+                else controller.close();
+            }
+        });
+    }
+
+    // The archive as a ReadableStream of bytes. Each pull reads, encrypts
+    // and emits one batch, so the database is never held in memory whole.
+    function exportBackupStream(passphrase) {
+        return _backupStream(_backupChunkReader(passphrase));
+    }
+
+    // Export the local database as an encrypted archive. With
+    // options.writable (e.g. from showSaveFilePicker().createWritable())
+    // the archive streams straight into it and this resolves
+    // { stores: counts }; otherwise it resolves a Blob
+    // (application/octet-stream) the UI can offer as a download.
+    async function exportBackup(passphrase, options) {
+        options = options || {};
+        var reader = _backupChunkReader(passphrase);
+        if (options.writable) {
+            await _backupStream(reader).pipeTo(options.writable);
+            return { stores: reader.counts };
+        }
+        return new Response(_backupStream(reader), {
+            headers: { 'Content-Type': 'application/octet-stream' }
+        }).blob();
+    }
+
+    async function _readBlobBytes(file, start, end) {
+        if (end > file.size) throw new Error('Backup file is truncated');
+        return new Uint8Array(await file.slice(start, end).arrayBuffer());
+    }
+
+    // Parse and check the archive header; returns { header, headerText, offset }.
+    async function _readBackupHeader(file) {
+        var magic = new TextDecoder().decode(await _readBlobBytes(file, 0, BACKUP_MAGIC.length));
+        if (magic !== BACKUP_MAGIC) throw new Error('Not an Amino backup file');
+        var lengthBytes = await _readBlobBytes(file, BACKUP_MAGIC.length, BACKUP_MAGIC.length + 4);
+        var headerLength = new DataView(lengthBytes.buffer).getUint32(0);
+        var start = BACKUP_MAGIC.length + 4;
+        var headerText = new TextDecoder().decode(await _readBlobBytes(file, start, start + headerLength));
+        var header;
+        try {
+            header = JSON.parse(headerText);
+        } catch (e) {
+            throw new Error('Backup header is corrupt');
+        }
+        if (header.format !== 'amino-backup' || !header.kdf) throw new Error('Not an Amino backup file');
+        if (header.version > BACKUP_FORMAT || header.dbVersion > DB_VERSION) {
+            throw new Error('Backup was made by a newer version of Amino — update before restoring');
+        }
+        return { header: header, headerText: headerText, offset: start + headerLength };
+    }
+
+    // Decrypt frames in order, calling onFrame(payload) for each data frame.
+    // Throws on a wrong passphrase, tampering, truncation or trailing data.
+    async function _readBackupFrames(file, parsed, key, onFrame) {
+        var offset = parsed.offset;
+        var index = 0;
+        var counts = {};
+        while (true) {
+            var lengthBytes = await _readBlobBytes(file, offset, offset + 4);
+            var length = new DataView(lengthBytes.buffer).getUint32(0);
+            var frame = await _readBlobBytes(file, offset + 4, offset + 4 + length);
+            offset += 4 + length;
+
+            var plaintext;
+            try {
+                plaintext = await crypto.subtle.decrypt(
+                    { name: 'AES-GCM', iv: frame.slice(0, 12), additionalData: _backupFrameAad(parsed.headerText, index++) },
+                    key,
+                    frame.slice(12)
+                );
+            } catch (e) {
+                throw new Error(index === 1 ? 'Wrong backup passphrase' : 'Backup file is corrupt or was modified');
+            }
+            var payload = JSON.parse(new TextDecoder().decode(plaintext));
+
+            if (payload.end) {
+                if (offset !== file.size) throw new Error('Backup file has unexpected trailing data');
+                for (var storeName in payload.stores) {
+                    if ((counts[storeName] || 0) !== payload.stores[storeName]) {
+                        throw new Error('Backup is incomplete: ' + storeName + ' entry count does not match');
+                    }
+                }
+                return payload.stores;
+            }
+            var known = BACKUP_STORES.indexOf(payload.store) !== -1 || _isBackupSource(payload.store);
+            if (!known || !Array.isArray(payload.entries)) {
+                throw new Error('Backup contains an unknown store: ' + payload.store);
+            }
+            counts[payload.store] = (counts[payload.store] || 0) + payload.entries.length;
+            if (onFrame) await onFrame(payload);
+        }
+    }
+
+    // Validate and restore an archive made by exportBackup(). `file` is a
+    // Blob/File. Restores into the unlocked profile, or — before unlock,
+    // e.g. on a new laptop while the backend is down — into a fresh profile
+    // when options.password (the Synapse password of the backup's user) is
+    // given; offlineUnlock() then opens it. Refuses to mix into existing
+    // data unless options.overwrite is set. Resolves { stores: counts }.
+    async function importBackup(file, passphrase, options) {
+        options = options || {};
+        if (!file || typeof file.slice !== 'function') throw new Error('A backup file is required');
+        if (!passphrase) throw new Error('A backup passphrase is required');
+        if (_onlineOnlyMode) throw new Error('Turn off online-only mode before restoring a backup');
+
+        var parsed = await _readBackupHeader(file);
+        var header = parsed.header;
+        var backupKey = await _deriveBackupKey(passphrase, header.kdf);
+
+        // Pass 1: decrypt and check every frame before touching local data
+        var counts = await _readBackupFrames(file, parsed, backupKey, function(payload) {
+            _backupProgress('validate', payload.store, payload.entries.length);
+        });
+
+        var db = _db;
+        var key = _cryptoKey;
+        var userId = _userId;
+        var freshProfile = !_initialized;
+        if (freshProfile) {
+            if (!options.password) {
+                throw new Error('Unlock first, or pass { password } to restore into a fresh profile');
+            }
+            userId = header.userId;
+            key = await deriveSynapseKey(options.password, userId);
+            db = await openDatabase();
+            var verifyTx = db.transaction('crypto', 'readonly');
+            var verifyEntry = await idbGet(verifyTx.objectStore('crypto'), 'verify');
+            if (verifyEntry && !options.overwrite && !(await verifyEncryptionKey(key, verifyEntry.value))) {
+                db.close();
+                throw new Error('This profile belongs to another password; pass { overwrite: true } to replace it');
+            }
+        } else if (header.userId && header.userId !== _userId) {
+            throw new Error('Backup belongs to ' + header.userId + ', not the signed-in user');
+        }
+
+        try {
+            var countTx = db.transaction('records', 'readonly');
+            if (!options.overwrite && await idbCount(countTx.objectStore('records')) > 0) {
+                throw new Error('Local database is not empty; pass { overwrite: true } to replace it');
+            }
+            var clearTx = db.transaction(RESTORE_CLEAR_STORES, 'readwrite');
+            RESTORE_CLEAR_STORES.forEach(function(name) { clearTx.objectStore(name).clear(); });
+            await idbTxDone(clearTx);
+            localStorage.removeItem(ATTACHMENT_PINS_KEY);
+            // Outside stores are replaced only when the archive carries them
+            // (archives from before views were backed up leave views alone)
+            for (var sourceName in counts) {
+                if (_isBackupSource(sourceName)) await _backupSources[sourceName].clear();
+            }
+
+            // Pass 2: write. Records are encrypted under this profile's key
+            // (left as plaintext when the session defers encryption).
+            var deferred = !freshProfile && _deferEncryption;
+            var restored = {};
+            await _readBackupFrames(file, parsed, backupKey, async function(payload) {
+                var entries = payload.entries;
+                if (_isBackupSource(payload.store)) {
+                    await _backupSources[payload.store].write(entries);
+                    restored[payload.store] = (restored[payload.store] || 0) + entries.length;
+                    _backupProgress('restore', payload.store, restored[payload.store]);
+                    return;
+                }
+                if (payload.store === 'records') {
+                    for (var i = 0; i < entries.length; i++) {
+                        var json = JSON.stringify(entries[i].fields);
+                        entries[i].fields = deferred ? json : await encrypt(key, json);
+                    }
+                } else if (MUTATION_STORES.indexOf(payload.store) !== -1) {
+                    for (var m = 0; m < entries.length; m++) {
+                        entries[m] = await _sealMutation(entries[m], key, deferred);
+                    }
+                }
+                var tx = db.transaction(payload.store, 'readwrite');
+                var store = tx.objectStore(payload.store);
+                for (var j = 0; j < entries.length; j++) store.put(entries[j]);
+                await idbTxDone(tx);
+                restored[payload.store] = (restored[payload.store] || 0) + entries.length;
+                _backupProgress('restore', payload.store, restored[payload.store]);
+            });
+
+            // Entries from an older schema go through the newer data steps again
+            await _requeueDataMigrations(db, header.dbVersion || 0);
+
+            if (freshProfile) {
+                // Token first — the transaction would commit during the await
+                var verifyToken = await createVerificationToken(key);
+                var metaTx = db.transaction('crypto', 'readwrite');
+                var metaStore = metaTx.objectStore('crypto');
+                metaStore.delete('rotation');
+                metaStore.put({ key: 'salt', value: 'synapse-derived', userId: userId });
+                metaStore.put({ key: 'verify', value: verifyToken });
+                // Keep the source profile's last online login, so the offline
+                // grace period runs on from there. Without one, the next
+                // unlock has to go online (checkOfflineAccessExpiry).
+                if (header.lastOnlineAuth) {
+                    metaStore.put({ key: 'lastOnlineAuth', value: header.lastOnlineAuth });
+                } else {
+                    metaStore.delete('lastOnlineAuth');
+                }
+                await idbTxDone(metaTx);
+            }
+        } finally {
+            if (freshProfile) db.close();
+        }
+
+        if (!freshProfile) {
+            await runMigrations();
+            await _reloadAfterRestore();
+        }
+        console.log('[AminoData] Restored backup from', header.createdAt + ':', JSON.stringify(counts));
+        var detail = { stores: counts, createdAt: header.createdAt, userId: header.userId };
+        window.dispatchEvent(new CustomEvent('amino:backup-restored', { detail: detail }));
+        return { stores: counts };
+    }
+
+    // Drop in-memory state that a restore replaced underneath us.
+    async function _reloadAfterRestore() {
+        clearRecordCache();
+        clearUndoHistory();
+        await loadTablesFromCache();
+        await _loadPendingDeletes();
+        await _loadEvictedTables();
+    }
+
+    // ============ Offline Session Manager ============
+
+    // Check if we can reach the Matrix homeserver
+    async function checkConnectivity() {
+        var homeserverUrl = null;
+
+        // Try MatrixClient first
+        if (typeof MatrixClient !== 'undefined' && MatrixClient.getHomeserverUrl) {
+            homeserverUrl = MatrixClient.getHomeserverUrl();
+        }
+
+        // Fall back to localStorage session
+        if (!homeserverUrl) {
+            try {
+                var raw = localStorage.getItem('amino_synapse_session')
+                       || localStorage.getItem('matrix_session')
+                       || '{}';
+                var session = JSON.parse(raw);
+                homeserverUrl = session.homeserverUrl;
+            } catch (e) { /* ignore */ }
+        }
+
+        if (!homeserverUrl) return false;
+
+        try {
+            var controller = new AbortController();
+            var timeoutId = setTimeout(function() { controller.abort(); }, 5000);
+            var response = await fetch(homeserverUrl + '/_matrix/client/versions', {
+                signal: controller.signal
+            });
+            clearTimeout(timeoutId);
+            return response.ok;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    // Check if offline access has expired (too many days since last online auth)
+    async function checkOfflineAccessExpiry(db) {
+        var targetDb = db || _db;
+        if (!targetDb) return false;
+
+        try {
+            var cryptoTx = targetDb.transaction('crypto', 'readonly');
+            var lastOnlineAuth = await idbGet(cryptoTx.objectStore('crypto'), 'lastOnlineAuth');
+            if (!lastOnlineAuth || !lastOnlineAuth.value) return false;
+
+            // Read configurable max days from cached org config, or use default
+            var maxDays = DEFAULT_OFFLINE_ACCESS_MAX_DAYS;
+            try {
+                var configStr = localStorage.getItem('amino_offline_max_days');
+                if (configStr) {
+                    var parsed = parseInt(configStr, 10);
+                    if (parsed > 0) maxDays = parsed;
+                }
+            } catch (e) { /* use default */ }
+
+            var daysSinceAuth = (Date.now() - lastOnlineAuth.value) / (1000 * 60 * 60 * 24);
+            return daysSinceAuth <= maxDays;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    // Attempt offline unlock using stored verification token.
+    // Requires a previous successful online login (verification token in IndexedDB).
+    // Returns session info on success, throws on failure.
+    async function offlineUnlock(password) {
+        // 1. Get userId from localStorage session
+        //    Check both 'amino_synapse_session' (index.html) and 'matrix_session' (legacy)
+        var session;
+        try {
+            var raw = localStorage.getItem('amino_synapse_session')
+                   || localStorage.getItem('matrix_session')
+                   || '{}';
+            session = JSON.parse(raw);
+        } catch (e) {
+            throw new Error('No saved session found');
+        }
+        if (!session.userId) {
+            throw new Error('No saved session found. You must log in online first.');
+        }
+
+        // 2. Open IndexedDB
+        var db = await openDatabase();
+
+        // 3. Check offline access expiry
+        var accessValid = await checkOfflineAccessExpiry(db);
+        if (!accessValid) {
+            db.close();
+            throw new Error('Offline access has expired. Connect to the internet to re-authenticate.');
+        }
+
+        // 4. Read verification token
+        var cryptoTx = db.transaction('crypto', 'readonly');
+        var verifyEntry = await idbGet(cryptoTx.objectStore('crypto'), 'verify');
+        if (!verifyEntry || !verifyEntry.value) {
+            db.close();
+            throw new Error('No cached data available. Connect to internet for initial login.');
+        }
+
+        // 5. Derive key and verify (finishing any interrupted key rotation)
+        var key = await deriveSynapseKey(password, session.userId);
+        _db = db;
+        var resumedToken = await _resumeKeyRotation(key);
+        var isValid = await verifyEncryptionKey(key, resumedToken || verifyEntry.value);
+        if (!isValid) {
+            _db = null;
+            db.close();
+            throw new Error('Incorrect password');
+        }
+
+        // 6. Success — set up offline session
+        _db = db;
+        _cryptoKey = key;
+        _userId = session.userId;
+        _offlineMode = true;
+
+        // 7. Load cached tables from IndexedDB
+        var tablesTx = db.transaction('tables', 'readonly');
+        _tables = await idbGetAll(tablesTx.objectStore('tables'));
+        _tableIds = _tables.map(function(t) { return t.table_id; });
+
+        _deferEncryption = true;
+        _initialized = true;
+        await runMigrations();
+        await _loadPendingDeletes();
+        await _loadEvictedTables();
+        await _loadSearchIndex();
+        if (getStoragePolicy().requestPersistence) requestPersistentStorage();
+        await _startLeaderElection();
+
+        // 8. Start connectivity monitoring (leader tab only)
+        startConnectivityMonitor();
+
+        var lastSynced = await getLastSyncTime();
+
+        console.log('[AminoData] Offline unlock successful for', session.userId,
+            '(' + _tables.length + ' cached tables, last synced:', lastSynced + ', encrypt-on-logout)');
+
+        return {
+            userId: session.userId,
+            tables: _tables,
+            offlineMode: true,
+            lastSynced: lastSynced
+        };
+    }
+
+    // Get the most recent sync timestamp across all tables
+    async function getLastSyncTime() {
+        if (!_db) return null;
+        try {
+            var tx = _db.transaction('sync', 'readonly');
+            var allSync = await idbGetAll(tx.objectStore('sync'));
+            if (allSync.length === 0) return null;
+            var latest = allSync.reduce(function(max, entry) {
+                return entry.lastSynced > max ? entry.lastSynced : max;
+            }, allSync[0].lastSynced);
+            return latest;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // Returns the total number of records stored in IndexedDB across all tables.
+    // Uses the native IDBObjectStore.count() which is O(1) — no row iteration.
+    // Number of records stored locally — in total, or for one table.
+    // See getStorageReport() for per-table records and sizes.
+    async function getLocalRecordCount(tableId) {
+        if (!_db) return 0;
+        try {
+            var tx = _db.transaction('records', 'readonly');
+            var store = tx.objectStore('records');
+            return await new Promise(function(resolve) {
+                var req = tableId ? store.index('byTable').count(IDBKeyRange.only(tableId)) : store.count();
+                req.onsuccess = function() { resolve(req.result); };
+                req.onerror = function() { resolve(0); };
+            });
+        } catch (e) {
+            return 0;
+        }
+    }
+
+    // ============ Storage Quota & Eviction ============
+    // Tracks origin storage via navigator.storage and, when usage crosses
+    // the policy limit, evicts least-recently-read tables. An evicted table
+    // keeps its sync entry (cursor plus an `evicted` flag): polling and
+    // hydrateAll skip it, and the next read re-hydrates it in full. Pinned
+    // tables (essential offline) and tables with queued edits or live
+    // subscriptions are never evicted. Policy and read times live in
+    // localStorage; the evicted flag lives in IndexedDB next to the data.
+
+    var STORAGE_POLICY_KEY = 'amino_storage_policy';
+    var TABLE_ACCESS_KEY = 'amino_table_access';
+    var STORAGE_CHECK_INTERVAL = 5 * 60 * 1000;
+    var TABLE_ACCESS_SAVE_DELAY = 5000;
+    var DEFAULT_STORAGE_POLICY = {
+        enabled: true,
+        maxUsageRatio: 0.8,        // evict when origin usage exceeds this share of quota
+        targetUsageRatio: 0.6,     // ...until it is back under this share
+        maxLocalBytes: null,       // optional cap on this layer's own record bytes
+        maxAttachmentBytes: null,  // optional cap on offline document bytes
+        pinnedTables: [],          // never evicted
+        requestPersistence: true   // ask for persistent storage on unlock
+    };
+
+    var _evictedTables = {};       // tableId -> ISO time it was evicted
+    var _tableAccess = null;       // tableId -> ms of last read (lazy-loaded)
+    var _tableAccessSaveTimer = null;
+    var _lastStorageCheck = 0;
+    var _storageCheckRunning = null;
+    var _rehydrations = {};        // tableId -> in-flight re-hydration promise
+    var _storagePersisted = null;
+
+    function getStoragePolicy() {
+        var policy = {};
+        var stored = {};
+        try {
+            stored = JSON.parse(localStorage.getItem(STORAGE_POLICY_KEY) || '{}') || {};
+        } catch (e) { /* fall back to defaults */ }
+        for (var key in DEFAULT_STORAGE_POLICY) {
+            policy[key] = stored[key] !== undefined ? stored[key] : DEFAULT_STORAGE_POLICY[key];
+        }
+        policy.pinnedTables = (policy.pinnedTables || []).slice();
+        return policy;
+    }
+
+    // Merge `changes` into the stored policy. Returns the resulting policy.
+    function setStoragePolicy(changes) {
+        var policy = getStoragePolicy();
+        for (var key in changes || {}) {
+            if (!(key in DEFAULT_STORAGE_POLICY)) throw new Error('Unknown storage policy option: ' + key);
+            policy[key] = changes[key];
+        }
+        if (!(policy.targetUsageRatio > 0 && policy.targetUsageRatio < policy.maxUsageRatio && policy.maxUsageRatio <= 1)) {
+            throw new Error('Storage policy needs 0 < targetUsageRatio < maxUsageRatio <= 1');
+        }
+        localStorage.setItem(STORAGE_POLICY_KEY, JSON.stringify(policy));
+        return policy;
+    }
+
+    function setTablePinned(tableId, pinned) {
+        var pinnedTables = getStoragePolicy().pinnedTables.filter(function(id) { return id !== tableId; });
+        if (pinned) pinnedTables.push(tableId);
+        return setStoragePolicy({ pinnedTables: pinnedTables });
+    }
+
+    function _getTableAccess() {
+        if (!_tableAccess) {
+            try {
+                _tableAccess = JSON.parse(localStorage.getItem(TABLE_ACCESS_KEY) || '{}') || {};
+            } catch (e) {
+                _tableAccess = {};
+            }
+        }
+        return _tableAccess;
+    }
+
+    function _touchTable(tableId) {
+        _getTableAccess()[tableId] = Date.now();
+        if (_tableAccessSaveTimer) return;
+        _tableAccessSaveTimer = setTimeout(function() {
+            _tableAccessSaveTimer = null;
+            try {
+                localStorage.setItem(TABLE_ACCESS_KEY, JSON.stringify(_tableAccess));
+            } catch (e) { /* quota — recency is best-effort */ }
+        }, TABLE_ACCESS_SAVE_DELAY);
+    }
+
+    // { usage, quota, ratio, persisted } for the origin, or null when the
+    // browser has no StorageManager.
+    async function getStorageEstimate() {
+        if (typeof navigator === 'undefined' || !navigator.storage || !navigator.storage.estimate) return null;
+        var estimate = await navigator.storage.estimate();
+        if (_storagePersisted === null && navigator.storage.persisted) {
+            _storagePersisted = await navigator.storage.persisted();
+        }
+        return {
+            usage: estimate.usage || 0,
+            quota: estimate.quota || 0,
+            ratio: estimate.quota ? (estimate.usage || 0) / estimate.quota : 0,
+            persisted: !!_storagePersisted
+        };
+    }
+
+    // Ask the browser not to evict this origin's storage under pressure.
+    // Resolves true when storage is (now) persistent.
+    async function requestPersistentStorage() {
+        if (typeof navigator === 'undefined' || !navigator.storage || !navigator.storage.persist) return false;
+        try {
+            _storagePersisted = (navigator.storage.persisted && await navigator.storage.persisted()) ||
+                await navigator.storage.persist();
+        } catch (e) {
+            _storagePersisted = false;
+        }
+        if (!_storagePersisted) {
+            console.warn('[AminoData] Persistent storage not granted — the browser may clear offline data under pressure');
+        }
+        return _storagePersisted;
+    }
+
+    async function _loadEvictedTables() {
+        _evictedTables = {};
+        if (_onlineOnlyMode || !_db) return;
+        var tx = _db.transaction('sync', 'readonly');
+        var entries = await idbGetAll(tx.objectStore('sync'));
+        for (var i = 0; i < entries.length; i++) {
+            if (entries[i].evicted) _evictedTables[entries[i].tableId] = entries[i].evictedAt || true;
+        }
+    }
+
+    async function _setEvictedFlag(tableId, evicted) {
+        var tx = _db.transaction('sync', 'readwrite');
+        var store = tx.objectStore('sync');
+        var entry = (await idbGet(store, tableId)) || { tableId: tableId };
+        if (evicted) {
+            entry.evicted = true;
+            entry.evictedAt = new Date().toISOString();
+            _evictedTables[tableId] = entry.evictedAt;
+        } else {
+            delete entry.evicted;
+            delete entry.evictedAt;
+            delete _evictedTables[tableId];
+        }
+        store.put(entry);
+        await idbTxDone(tx);
+    }
+
+    // Per-table record counts and approximate stored bytes (payload + ids).
+    async function _measureTableUsage() {
+        var usage = {};
+        var tx = _db.transaction('records', 'readonly');
+        await new Promise(function(resolve, reject) {
+            var request = tx.objectStore('records').openCursor();
+            request.onsuccess = function(event) {
+                var cursor = event.target.result;
+                if (!cursor) {
+                    resolve();
+                    return;
+                }
+                var entry = cursor.value;
+                var fields = entry.fields;
+                var bytes = (typeof fields === 'string' ? fields.length : (fields && fields.byteLength) || 0) +
+                    String(entry.id).length + String(entry.tableId).length;
+                var table = usage[entry.tableId] || (usage[entry.tableId] = { records: 0, bytes: 0 });
+                table.records++;
+                table.bytes += bytes;
+                cursor.continue();
+            };
+            request.onerror = function() { reject(request.error); };
+        });
+        return usage;
+    }
+
+    // Storage overview for the sync status view: origin estimate, policy,
+    // one row per table (records, approximate bytes, last read, last
+    // synced, pinned/evicted) and offline document usage.
+    async function getStorageReport() {
+        var estimate = await getStorageEstimate();
+        var policy = getStoragePolicy();
+        if (_onlineOnlyMode || !_db) return { estimate: estimate, policy: policy, totalRecords: 0, totalBytes: 0, tables: [], attachments: null };
+
+        var usage = await _measureTableUsage();
+        var syncTx = _db.transaction('sync', 'readonly');
+        var syncEntries = await idbGetAll(syncTx.objectStore('sync'));
+        var cursors = {};
+        for (var i = 0; i < syncEntries.length; i++) cursors[syncEntries[i].tableId] = syncEntries[i];
+
+        var access = _getTableAccess();
+        var totalRecords = 0;
+        var totalBytes = 0;
+        var tables = _tables.map(function(table) {
+            var tableId = table.table_id;
+            var used = usage[tableId] || { records: 0, bytes: 0 };
+            totalRecords += used.records;
+            totalBytes += used.bytes;
+            return {
+                tableId: tableId,
+                name: table.table_name || tableId,
+                records: used.records,
+                bytes: used.bytes,
+                lastAccessed: access[tableId] ? new Date(access[tableId]).toISOString() : null,
+                lastSynced: cursors[tableId] ? cursors[tableId].lastSynced || null : null,
+                pinned: policy.pinnedTables.indexOf(tableId) !== -1,
+                evicted: !!_evictedTables[tableId],
+                evictedAt: _evictedTables[tableId] || null
+            };
+        });
+        return {
+            estimate: estimate, policy: policy, totalRecords: totalRecords, totalBytes: totalBytes, tables: tables,
+            attachments: await _measureAttachmentUsage()
+        };
+    }
+
+    // Tables with queued edits, counting every operation of a TXN entry
+    // (its own tableId is only the first operation's).
+    function _pendingTableIds(pending) {
+        var tables = {};
+        pending.forEach(function(m) {
+            tables[m.tableId] = true;
+            (m.operations || []).forEach(function(op) { tables[op.tableId] = true; });
+        });
+        return tables;
+    }
+
+    // Drop a table's local records and search index, keeping its sync
+    // entry so it can be re-hydrated on demand. Returns records removed.
+    async function evictTable(tableId, reason) {
+        if (!_db || _onlineOnlyMode) throw new Error('Data layer not initialized');
+        if (_pendingTableIds(await getPendingMutations())[tableId]) {
+            throw new Error('Table ' + tableId + ' has queued edits and cannot be evicted');
+        }
+        var removed = await getLocalRecordCount(tableId);
+
+        await deleteTableRecords(tableId);
+        _dropTableSearchIndex(tableId);
+        var tx = _db.transaction('search_index', 'readwrite');
+        var searchStore = tx.objectStore('search_index');
+        var keys = await new Promise(function(resolve, reject) {
+            var request = searchStore.index('byTable').getAllKeys(IDBKeyRange.only(tableId));
+            request.onsuccess = function() { resolve(request.result); };
+            request.onerror = function() { reject(request.error); };
+        });
+        for (var i = 0; i < keys.length; i++) searchStore.delete(keys[i]);
+        await idbTxDone(tx);
+        await _setEvictedFlag(tableId, true);
+
+        console.log('[AminoData] Evicted table', tableId, '(' + removed + ' records, ' + (reason || 'manual') + ')');
+        window.dispatchEvent(new CustomEvent('amino:table-evicted', {
+            detail: { tableId: tableId, records: removed, reason: reason || 'manual' }
+        }));
+        return removed;
+    }
+
+    function _dropTableSearchIndex(tableId) {
+        for (var recordId in _searchRecordTokens) {
+            if (_searchRecordTokens[recordId].tableId === tableId) delete _searchRecordTokens[recordId];
+        }
+        delete _searchPostings[tableId];
+        delete _searchVocab[tableId];
+        delete _searchIndexLoaded[tableId];
+        delete _searchDirtyShards[tableId];
+        delete _searchPersistState[tableId];
+        _searchIndexVersion++;
+    }
+
+    // Full re-hydration of an evicted table (needs the backend). Concurrent
+    // callers share one fetch. Returns the record count.
+    function rehydrateTable(tableId) {
+        if (_rehydrations[tableId]) return _rehydrations[tableId];
+        _rehydrations[tableId] = (async function() {
+            var count = await hydrateTable(tableId);
+            await _setEvictedFlag(tableId, false);
+            console.log('[AminoData] Re-hydrated evicted table', tableId, '(' + count + ' records)');
+            window.dispatchEvent(new CustomEvent('amino:sync', {
+                detail: { tableId: tableId, updatedCount: count, rehydrated: true }
+            }));
+            return count;
+        })();
+        return _rehydrations[tableId].finally(function() {
+            delete _rehydrations[tableId];
+        });
+    }
+
+    function _tableHasSubscribers(tableId) {
+        for (var id in _subscriptions) {
+            if (_subscriptions[id].options.tableId === tableId) return true;
+        }
+        return false;
+    }
+
+    // Evict least-recently-read tables while storage is over the policy
+    // limit, after unpinned offline documents. Returns { evicted: [tableId],
+    // attachmentBytesFreed, estimate }.
+    async function enforceStoragePolicy() {
+        if (_storageCheckRunning) return _storageCheckRunning;
+        _storageCheckRunning = (async function() {
+            _lastStorageCheck = Date.now();
+            var policy = getStoragePolicy();
+            var estimate = await getStorageEstimate();
+            var result = { evicted: [], attachmentBytesFreed: 0, estimate: estimate };
+            if (!policy.enabled || _onlineOnlyMode || !_db) return result;
+
+            // Unpinned offline documents are cheaper to lose than any table
+            var attachmentUsage = await _measureAttachmentUsage();
+            var attachmentExcess = policy.maxAttachmentBytes ? attachmentUsage.bytes - policy.maxAttachmentBytes : 0;
+            if (estimate && estimate.quota && estimate.ratio > policy.maxUsageRatio) {
+                attachmentExcess = Math.max(attachmentExcess, estimate.usage - estimate.quota * policy.targetUsageRatio);
+            }
+            result.attachmentBytesFreed = await _evictAttachments(attachmentExcess, 'storage-policy');
+            var usedBytes = estimate ? estimate.usage - result.attachmentBytesFreed : 0;
+
+            var usage = await _measureTableUsage();
+            var localBytes = 0;
+            for (var id in usage) localBytes += usage[id].bytes;
+            var overQuota = estimate && estimate.quota && usedBytes > estimate.quota * policy.maxUsageRatio;
+            var overCap = policy.maxLocalBytes && localBytes > policy.maxLocalBytes;
+            if (!overQuota && !overCap) return result;
+
+            window.dispatchEvent(new CustomEvent('amino:storage-pressure', {
+                detail: { estimate: estimate, localBytes: localBytes, policy: policy }
+            }));
+
+            var withEdits = _pendingTableIds(await getPendingMutations());
+            var access = _getTableAccess();
+            var candidates = Object.keys(usage).filter(function(tableId) {
+                return usage[tableId].records > 0 && !_evictedTables[tableId] &&
+                    policy.pinnedTables.indexOf(tableId) === -1 &&
+                    !withEdits[tableId] && !_tableHasSubscribers(tableId);
+            }).sort(function(a, b) {
+                return (access[a] || 0) - (access[b] || 0);
+            });
+
+            var freed = 0;
+            for (var i = 0; i < candidates.length; i++) {
+                var quotaOk = !overQuota || (usedBytes - freed) <= estimate.quota * policy.targetUsageRatio;
+                var capOk = !overCap || (localBytes - freed) <= policy.maxLocalBytes;
+                if (quotaOk && capOk) break;
+                await evictTable(candidates[i], 'storage-policy');
+                freed += usage[candidates[i]].bytes;
+                result.evicted.push(candidates[i]);
+            }
+            if (result.evicted.length) {
+                console.warn('[AminoData] Storage over limit — evicted', result.evicted.length, 'least-recently-used tables');
+            }
+            return result;
+        })();
+        try {
+            return await _storageCheckRunning;
+        } finally {
+            _storageCheckRunning = null;
+        }
+    }
+
+    // Throttled policy check, run by the leader after hydration and polls.
+    function _maybeEnforceStoragePolicy() {
+        if (!_isLeader || Date.now() - _lastStorageCheck < STORAGE_CHECK_INTERVAL) return;
+        enforceStoragePolicy().catch(function(err) {
+            console.warn('[AminoData] Storage policy check failed:', err);
+        });
+    }
+
+    // ============ Offline Attachments ============
+    // Encrypted local copies of record attachments and Box files, so a
+    // client's documents still open without connectivity. Pinning a record
+    // queues every file its fields reference (and, by default, the files of
+    // the records it links to) for download; a file opened online is cached
+    // as well, unpinned, and goes first under storage pressure. Metadata
+    // (`attachments`) and bytes (`attachment_blobs`) are separate stores so
+    // listing and quota accounting never load file contents. File names and
+    // bytes are encrypted under the session key even when record encryption
+    // is deferred. Pins live in localStorage next to the storage policy.
+
+    var ATTACHMENT_PINS_KEY = 'amino_attachment_pins';
+    var ATTACHMENT_RETRY_LIMIT = 3;
+    var ATTACHMENT_REFRESH_INTERVAL = 10 * 60 * 1000;
+    var BOX_FILE_URL_PATTERN = /^https?:\/\/(?:[\w-]+\.)*box\.com\/file\/(\d+)/i;
+    var RECORD_LINK_PATTERN = /^rec[A-Za-z0-9]{14}$/;
+
+    var _attachmentDownloads = null;   // in-flight download loop
+    var _lastAttachmentRefresh = 0;
+
+    function _assertAttachmentStore() {
+        if (_onlineOnlyMode) throw new Error('Offline documents are not available in online-only mode');
+        if (!_db) throw new Error('Data layer not initialized');
+    }
+
+    function _loadAttachmentPins() {
+        try {
+            return JSON.parse(localStorage.getItem(ATTACHMENT_PINS_KEY) || '{}') || {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    function _saveAttachmentPins(pins) {
+        localStorage.setItem(ATTACHMENT_PINS_KEY, JSON.stringify(pins));
+    }
+
+    // The file a field value points at: a Box file (an object carrying a
+    // Box file id, or a box.com/file/<id> link) or an uploaded attachment
+    // object with a url. Anything else is null.
+    function _attachmentRef(value, fieldName) {
+        if (typeof value === 'string') {
+            var match = BOX_FILE_URL_PATTERN.exec(value.trim());
+            if (!match) return null;
+            return { boxFileId: match[1], url: value.trim(), name: 'Box file ' + match[1], mimeType: null, field: fieldName };
+        }
+        if (!value || typeof value !== 'object' || Array.isArray(value)) return null;
+        var name = value.name || value.filename || null;
+        var mimeType = value.type || value.mimeType || null;
+        var boxFileId = value.boxFileId || value.box_file_id || null;
+        if (!boxFileId && typeof value.url === 'string') {
+            var urlMatch = BOX_FILE_URL_PATTERN.exec(value.url);
+            if (urlMatch) boxFileId = urlMatch[1];
+        }
+        if (boxFileId) {
+            return {
+                boxFileId: String(boxFileId), url: value.url || null,
+                name: name || 'Box file ' + boxFileId, mimeType: mimeType, field: fieldName
+            };
+        }
+        if (typeof value.url !== 'string' || !value.url) return null;
+        return {
+            attachmentId: value.id || null, url: value.url,
+            name: name || value.url.split('?')[0].split('/').pop(), mimeType: mimeType, field: fieldName
+        };
+    }
+
+    async function _attachmentKey(ref) {
+        if (ref.boxFileId) return 'box:' + ref.boxFileId;
+        if (ref.attachmentId) return 'att:' + ref.attachmentId;
+        // URLs often carry the file name — keep them out of the plaintext key
+        var digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(ref.url));
+        return 'url:' + Array.prototype.map.call(new Uint8Array(digest).slice(0, 16), function(b) {
+            return ('0' + b.toString(16)).slice(-2);
+        }).join('');
+    }
+
+    // Files referenced from one record's fields ({ key: ref }) and the ids
+    // of the records it links to.
+    async function _recordAttachmentRefs(recordId, fields) {
+        var refs = {};
+        var links = [];
+        for (var fieldName in fields || {}) {
+            var values = Array.isArray(fields[fieldName]) ? fields[fieldName] : [fields[fieldName]];
+            for (var i = 0; i < values.length; i++) {
+                var ref = _attachmentRef(values[i], fieldName);
+                if (ref) {
+                    ref.recordId = recordId;
+                    refs[await _attachmentKey(ref)] = ref;
+                } else if (typeof values[i] === 'string' && values[i] !== recordId &&
+                        (RECORD_LINK_PATTERN.test(values[i]) || isTempRecordId(values[i]))) {
+                    links.push(values[i]);
+                }
+            }
+        }
+        return { refs: refs, links: links };
+    }
+
+    // A record's files plus, with includeLinked, those of the records it
+    // links to (one hop, local records only). Null when the record itself
+    // is not stored locally.
+    async function _collectAttachmentRefs(recordId, includeLinked) {
+        var fields = await _readLocalFields(recordId);
+        if (!fields) return null;
+        var found = await _recordAttachmentRefs(recordId, fields);
+        if (includeLinked) {
+            for (var i = 0; i < found.links.length; i++) {
+                var linkedId = _tempIdMap[found.links[i]] || found.links[i];
+                var linkedFields = await _readLocalFields(linkedId);
+                if (!linkedFields) continue;
+                var linked = (await _recordAttachmentRefs(linkedId, linkedFields)).refs;
+                for (var key in linked) {
+                    if (!found.refs[key]) found.refs[key] = linked[key];
+                }
+            }
+        }
+        return found.refs;
+    }
+
+    function _attachmentMetaOf(ref) {
+        return {
+            name: ref.name, mimeType: ref.mimeType || null, field: ref.field || null,
+            url: ref.url || null, boxFileId: ref.boxFileId || null
+        };
+    }
+
+    async function _attachmentMeta(entry) {
+        return JSON.parse(await _decryptAtRest(entry.meta));
+    }
+
+    async function _getAttachmentEntries(indexName, key) {
+        var store = _db.transaction('attachments', 'readonly').objectStore('attachments');
+        return idbGetAll(indexName ? store.index(indexName) : store, key);
+    }
+
+    // Bytes held by cached files: { count, bytes, pinnedCount, pinnedBytes, queued, failed }
+    async function _measureAttachmentUsage() {
+        var usage = { count: 0, bytes: 0, pinnedCount: 0, pinnedBytes: 0, queued: 0, failed: 0 };
+        var entries = await _getAttachmentEntries();
+        for (var i = 0; i < entries.length; i++) {
+            var entry = entries[i];
+            if (entry.status === 'queued') usage.queued++;
+            if (entry.status === 'failed') usage.failed++;
+            if (entry.status !== 'cached') continue;
+            usage.count++;
+            usage.bytes += entry.size || 0;
+            if (entry.pinnedBy.length) {
+                usage.pinnedCount++;
+                usage.pinnedBytes += entry.size || 0;
+            }
+        }
+        return usage;
+    }
+
+    // Delete unpinned cached files, least recently opened first, until
+    // `bytes` are freed. Returns the bytes actually freed.
+    async function _evictAttachments(bytes, reason, exceptKey) {
+        if (!(bytes > 0)) return 0;
+        var candidates = (await _getAttachmentEntries()).filter(function(entry) {
+            return entry.status === 'cached' && !entry.pinnedBy.length && entry.id !== exceptKey;
+        }).sort(function(a, b) {
+            return String(a.lastOpenedAt || a.cachedAt).localeCompare(String(b.lastOpenedAt || b.cachedAt));
+        });
+
+        var freed = 0;
+        var keys = [];
+        for (var i = 0; i < candidates.length && freed < bytes; i++) {
+            keys.push(candidates[i].id);
+            freed += candidates[i].size || 0;
+        }
+        if (!keys.length) return 0;
+
+        var tx = _db.transaction(['attachments', 'attachment_blobs'], 'readwrite');
+        for (var j = 0; j < keys.length; j++) {
+            tx.objectStore('attachments').delete(keys[j]);
+            tx.objectStore('attachment_blobs').delete(keys[j]);
+        }
+        await idbTxDone(tx);
+
+        console.log('[AminoData] Evicted', keys.length, 'unpinned offline documents (' + freed + ' bytes, ' + reason + ')');
+        window.dispatchEvent(new CustomEvent('amino:attachments-evicted', {
+            detail: { keys: keys, bytes: freed, reason: reason }
+        }));
+        return freed;
+    }
+
+    // Make room for a file of `bytes` under the storage policy, evicting
+    // unpinned files if needed. Throws (code 'quota') when pinned files and
+    // other data leave no room.
+    async function _ensureAttachmentRoom(bytes, exceptKey) {
+        var policy = getStoragePolicy();
+        if (!policy.enabled) return;
+        var needed = 0;
+        if (policy.maxAttachmentBytes) {
+            var usage = await _measureAttachmentUsage();
+            needed = usage.bytes + bytes - policy.maxAttachmentBytes;
+        }
+        var estimate = await getStorageEstimate();
+        if (estimate && estimate.quota) {
+            needed = Math.max(needed, estimate.usage + bytes - estimate.quota * policy.maxUsageRatio);
+        }
+        if (needed <= 0) return;
+
+        var freed = await _evictAttachments(needed, 'quota', exceptKey);
+        if (freed < needed) {
+            var err = new Error('Not enough storage for this document (' + bytes + ' bytes) — unpin other documents or raise the storage limit');
+            err.code = 'quota';
+            throw err;
+        }
+    }
+
+    // Encrypt and store a downloaded file under `key`. The entry must still
+    // exist (it may have been unpinned mid-download) unless `newEntry` is
+    // given. Returns the stored entry, or null if it was dropped.
+    async function _storeAttachmentFile(key, file, meta, newEntry) {
+        await _ensureAttachmentRoom(file.size, key);
+        var ciphertext = await encryptBytes(_cryptoKey, file.data);
+        meta.mimeType = meta.mimeType || file.mimeType || 'application/octet-stream';
+        var metaCiphertext = await encrypt(_cryptoKey, JSON.stringify(meta));
+
+        var tx = _db.transaction(['attachments', 'attachment_blobs'], 'readwrite');
+        var store = tx.objectStore('attachments');
+        var entry = (await idbGet(store, key)) || newEntry;
+        if (!entry) {
+            await idbTxDone(tx);
+            return null;
+        }
+        entry.status = 'cached';
+        entry.size = file.size;
+        entry.error = null;
+        entry.cachedAt = new Date().toISOString();
+        entry.meta = metaCiphertext;
+        store.put(entry);
+        tx.objectStore('attachment_blobs').put({ id: key, data: ciphertext });
+        await idbTxDone(tx);
+        return entry;
+    }
+
+    async function _runAttachmentDownloads() {
+        var result = { downloaded: 0, failed: 0, remaining: 0 };
+        var transport = getTransport();
+        if (!transport.fetchAttachment) {
+            console.warn('[AminoData] The ' + transport.type + ' transport cannot download attachments');
+            return result;
+        }
+
+        while (_db && !_offlineMode) {
+            var queue = (await _getAttachmentEntries()).filter(function(entry) {
+                return entry.status === 'queued';
+            }).sort(function(a, b) {
+                return (a.attempts - b.attempts) || String(a.queuedAt).localeCompare(String(b.queuedAt));
+            });
+            result.remaining = queue.length;
+            if (!queue.length) break;
+
+            var entry = queue[0];
+            var meta = await _attachmentMeta(entry);
+            try {
+                var file = await transport.fetchAttachment({ boxFileId: meta.boxFileId, url: meta.url }, 'fullBackfill');
+                if (!_db) break;
+                if (await _storeAttachmentFile(entry.id, file, meta)) {
+                    result.downloaded++;
+                    window.dispatchEvent(new CustomEvent('amino:attachment-download', {
+                        detail: { key: entry.id, status: 'cached', size: file.size, remaining: queue.length - 1 }
+                    }));
+                }
+            } catch (err) {
+                if (!_db) break;
+                var permanent = (err.status >= 400 && err.status < 500) || err.code === 'quota';
+                entry.attempts = (entry.attempts || 0) + 1;
+                entry.error = err.message || String(err);
+                if (permanent || entry.attempts >= ATTACHMENT_RETRY_LIMIT) {
+                    entry.status = 'failed';
+                    result.failed++;
+                }
+                var tx = _db.transaction('attachments', 'readwrite');
+                var store = tx.objectStore('attachments');
+                // Skip the write if the file was unpinned meanwhile
+                if (await idbGet(store, entry.id)) store.put(entry);
+                await idbTxDone(tx);
+
+                console.warn('[AminoData] Offline document download failed (' + entry.id + ', attempt ' + entry.attempts + '):', entry.error);
+                window.dispatchEvent(new CustomEvent('amino:attachment-download', {
+                    detail: { key: entry.id, status: entry.status, error: entry.error, remaining: queue.length }
+                }));
+                // No status: the network is gone — leave the rest for later
+                if (!err.status && err.code !== 'quota') break;
+            }
+        }
+        return result;
+    }
+
+    // Work through the download queue. Concurrent callers share one run.
+    // Resolves { downloaded, failed, remaining }.
+    function downloadQueuedAttachments() {
+        if (_attachmentDownloads) return _attachmentDownloads;
+        if (!_db || _onlineOnlyMode || _offlineMode) return Promise.resolve({ downloaded: 0, failed: 0, remaining: 0 });
+        _attachmentDownloads = _runAttachmentDownloads();
+        return _attachmentDownloads.finally(function() {
+            _attachmentDownloads = null;
+        });
+    }
+
+    // Bring the attachment stores in line with the pins: queue files that
+    // pinned records (now) reference, retry failed ones and delete files no
+    // pin covers any more. Files cached ad hoc are left for eviction.
+    // Resolves { files, queued, removed }.
+    async function refreshAttachmentPins() {
+        _assertAttachmentStore();
+        _lastAttachmentRefresh = Date.now();
+        var pins = _loadAttachmentPins();
+        var existing = {};
+        var entries = await _getAttachmentEntries();
+        for (var e = 0; e < entries.length; e++) existing[entries[e].id] = entries[e];
+
+        var wanted = {};   // key -> { ref, pinnedBy, recordIds }
+        function want(key, pinId, ref, recordId) {
+            var item = wanted[key] || (wanted[key] = { ref: ref, pinnedBy: [], recordIds: [] });
+            if (item.pinnedBy.indexOf(pinId) === -1) item.pinnedBy.push(pinId);
+            if (recordId && item.recordIds.indexOf(recordId) === -1) item.recordIds.push(recordId);
+        }
+        for (var pinId in pins) {
+            var refs = await _collectAttachmentRefs(_tempIdMap[pinId] || pinId, pins[pinId].includeLinked);
+            if (!refs) {
+                // Record not stored locally (e.g. its table was evicted) —
+                // keep what it had rather than dropping the client's files
+                for (var held in existing) {
+                    if (existing[held].pinnedBy.indexOf(pinId) !== -1) want(held, pinId, null, null);
+                }
+                continue;
+            }
+            for (var key in refs) want(key, pinId, refs[key], refs[key].recordId);
+        }
+
+        var now = new Date().toISOString();
+        var puts = [];
+        var removals = [];
+        var queued = 0;
+        for (key in wanted) {
+            var entry = existing[key];
+            if (!entry) {
+                entry = {
+                    id: key, status: 'queued', size: 0, attempts: 0, error: null,
+                    queuedAt: now, cachedAt: null, lastOpenedAt: null,
+                    meta: await encrypt(_cryptoKey, JSON.stringify(_attachmentMetaOf(wanted[key].ref)))
+                };
+                queued++;
+            } else if (entry.status === 'failed') {
+                entry.status = 'queued';
+                entry.attempts = 0;
+                entry.queuedAt = now;
+                queued++;
+            }
+            entry.pinnedBy = wanted[key].pinnedBy;
+            entry.recordIds = wanted[key].recordIds.length ? wanted[key].recordIds : entry.recordIds;
+            puts.push(entry);
+        }
+        for (key in existing) {
+            if (!wanted[key] && existing[key].pinnedBy.length) removals.push(key);
+        }
+
+        var tx = _db.transaction(['attachments', 'attachment_blobs'], 'readwrite');
+        for (var p = 0; p < puts.length; p++) tx.objectStore('attachments').put(puts[p]);
+        for (var r = 0; r < removals.length; r++) {
+            tx.objectStore('attachments').delete(removals[r]);
+            tx.objectStore('attachment_blobs').delete(removals[r]);
+        }
+        await idbTxDone(tx);
+
+        if (queued || removals.length) {
+            console.log('[AminoData] Offline documents:', queued, 'queued for download,', removals.length, 'unpinned files removed');
+        }
+        if (queued) {
+            downloadQueuedAttachments().catch(function(err) {
+                console.warn('[AminoData] Offline document downloads stopped:', err);
+            });
+        }
+        return { files: Object.keys(wanted).length, queued: queued, removed: removals.length };
+    }
+
+    /**
+     * Keep a record's documents available offline ("make this client's
+     * documents available offline"). Downloads start right away when online.
+     *
+     * @param {string} recordId
+     * @param {Object} [options] - { includeLinked: true } also pins the
+     *   files of the records it links to (matters, evidence, forms).
+     */
+    async function pinRecordAttachments(recordId, options) {
+        _assertAttachmentStore();
+        recordId = _tempIdMap[recordId] || recordId;
+        if (!(await _readLocalFields(recordId))) throw new Error('Record ' + recordId + ' is not stored locally');
+        var pins = _loadAttachmentPins();
+        pins[recordId] = {
+            includeLinked: !options || options.includeLinked !== false,
+            pinnedAt: new Date().toISOString()
+        };
+        _saveAttachmentPins(pins);
+        var result = await refreshAttachmentPins();
+        window.dispatchEvent(new CustomEvent('amino:attachment-pins-changed', {
+            detail: { recordId: recordId, pinned: true, files: result.files }
+        }));
+        return result;
+    }
+
+    // Release a record's pin. Files no other pin covers are deleted.
+    async function unpinRecordAttachments(recordId) {
+        _assertAttachmentStore();
+        recordId = _tempIdMap[recordId] || recordId;
+        var pins = _loadAttachmentPins();
+        delete pins[recordId];
+        _saveAttachmentPins(pins);
+        var result = await refreshAttachmentPins();
+        window.dispatchEvent(new CustomEvent('amino:attachment-pins-changed', {
+            detail: { recordId: recordId, pinned: false }
+        }));
+        return result;
+    }
+
+    function isRecordPinnedOffline(recordId) {
+        return !!_loadAttachmentPins()[_tempIdMap[recordId] || recordId];
+    }
+
+    // One row per pinned record: { recordId, includeLinked, pinnedAt,
+    // files, cached, queued, failed, bytes }.
+    async function getAttachmentPins() {
+        _assertAttachmentStore();
+        var pins = _loadAttachmentPins();
+        var rows = [];
+        for (var recordId in pins) {
+            var entries = await _getAttachmentEntries('byPin', recordId);
+            var row = {
+                recordId: recordId, includeLinked: pins[recordId].includeLinked, pinnedAt: pins[recordId].pinnedAt,
+                files: entries.length, cached: 0, queued: 0, failed: 0, bytes: 0
+            };
+            for (var i = 0; i < entries.length; i++) {
+                row[entries[i].status]++;
+                if (entries[i].status === 'cached') row.bytes += entries[i].size || 0;
+            }
+            rows.push(row);
+        }
+        return rows;
+    }
+
+    /**
+     * List the documents a record references, with their offline status.
+     *
+     * @param {string} recordId
+     * @param {Object} [options] - { includeLinked: true } adds the files of
+     *   linked records (one hop)
+     * @returns {Promise<Array>} [{ key, name, mimeType, field, recordId,
+     *   boxFileId, url, status: 'cached'|'queued'|'failed'|'remote', size,
+     *   pinned, cachedAt, error }]
+     */
+    async function getRecordAttachments(recordId, options) {
+        if (!_db) throw new Error('Data layer not initialized');
+        recordId = _tempIdMap[recordId] || recordId;
+        var refs = await _collectAttachmentRefs(recordId, !options || options.includeLinked !== false);
+        if (!refs) return [];
+        var list = [];
+        for (var key in refs) {
+            var ref = refs[key];
+            var entry = _onlineOnlyMode ? null : await idbGet(_db.transaction('attachments', 'readonly').objectStore('attachments'), key);
+            list.push({
+                key: key,
+                name: ref.name,
+                mimeType: ref.mimeType || null,
+                field: ref.field,
+                recordId: ref.recordId,
+                boxFileId: ref.boxFileId || null,
+                url: ref.url || null,
+                status: entry ? entry.status : 'remote',
+                size: entry ? entry.size : null,
+                pinned: !!(entry && entry.pinnedBy.length),
+                cachedAt: entry ? entry.cachedAt : null,
+                error: entry ? entry.error : null
+            });
+        }
+        return list;
+    }
+
+    /**
+     * Open a document: the local copy when there is one, otherwise a
+     * download (cached unpinned for later unless { cache: false }).
+     *
+     * @param {Object|string} attachment - An item from getRecordAttachments,
+     *   or the key of a cached file
+     * @returns {Promise<Object>} { key, name, mimeType, size, blob, offline }
+     */
+    async function getAttachment(attachment, options) {
+        if (!_db) throw new Error('Data layer not initialized');
+        options = options || {};
+        var key = typeof attachment === 'string' ? attachment : attachment.key;
+        var entry = _onlineOnlyMode ? null
+            : await idbGet(_db.transaction('attachments', 'readonly').objectStore('attachments'), key);
+
+        if (entry && entry.status === 'cached') {
+            var stored = await idbGet(_db.transaction('attachment_blobs', 'readonly').objectStore('attachment_blobs'), key);
+            if (stored) {
+                var meta = await _attachmentMeta(entry);
+                var bytes = await _decryptBytesAtRest(stored.data);
+                entry.lastOpenedAt = new Date().toISOString();
+                var touchTx = _db.transaction('attachments', 'readwrite');
+                touchTx.objectStore('attachments').put(entry);
+                await idbTxDone(touchTx);
+                return {
+                    key: key, name: meta.name, mimeType: meta.mimeType, size: bytes.byteLength,
+                    blob: new Blob([bytes], { type: meta.mimeType }), offline: true
+                };
+            }
+        }
+
+        var ref = typeof attachment === 'string' ? (entry ? await _attachmentMeta(entry) : null) : attachment;
+        if (_offlineMode || !ref) {
+            var err = new Error('This document is not available offline');
+            err.code = 'offline';
+            throw err;
+        }
+        var transport = getTransport();
+        if (!transport.fetchAttachment) throw new Error('The ' + transport.type + ' transport cannot download attachments');
+        var file;
+        try {
+            file = await transport.fetchAttachment({ boxFileId: ref.boxFileId, url: ref.url }, 'onlineRead');
+        } catch (fetchErr) {
+            if (fetchErr.status) throw fetchErr;
+            // No response at all — the connection dropped before offline mode noticed
+            var networkErr = new Error('This document is not available offline');
+            networkErr.code = 'offline';
+            networkErr.cause = fetchErr;
+            throw networkErr;
+        }
+        var fileMeta = _attachmentMetaOf(ref);
+        fileMeta.mimeType = fileMeta.mimeType || file.mimeType || 'application/octet-stream';
+
+        if (!_onlineOnlyMode && options.cache !== false) {
+            try {
+                await _storeAttachmentFile(key, file, fileMeta, {
+                    id: key, status: 'queued', size: 0, attempts: 0, error: null,
+                    pinnedBy: [], recordIds: ref.recordId ? [ref.recordId] : [],
+                    queuedAt: null, cachedAt: null, lastOpenedAt: new Date().toISOString()
+                });
+            } catch (cacheErr) {
+                console.warn('[AminoData] Could not cache document for offline use:', cacheErr.message);
+            }
+        }
+        return {
+            key: key, name: fileMeta.name, mimeType: fileMeta.mimeType, size: file.size,
+            blob: new Blob([file.data], { type: fileMeta.mimeType }), offline: false
+        };
+    }
+
+    // Throttled pin refresh, run by the leader after hydration and polls
+    // (picks up files added to pinned records and retries failures).
+    function _maybeRefreshAttachmentPins() {
+        if (!_isLeader || _onlineOnlyMode || !_db || Date.now() - _lastAttachmentRefresh < ATTACHMENT_REFRESH_INTERVAL) return;
+        if (!Object.keys(_loadAttachmentPins()).length) return;
+        refreshAttachmentPins().catch(function(err) {
+            console.warn('[AminoData] Offline document refresh failed:', err);
+        });
+    }
+
+    // ============ Connectivity Monitor ============
+
+    var _onBrowserOnlineHandler = null; // G-9 fix: store reference for cleanup
+
+    function startConnectivityMonitor() {
+        _connectivityRequested = true;
+        // Followers hear amino:connectivity-restored from the leader
+        if (!_isLeader || _connectivityCheckTimer) return;
+
+        _connectivityCheckTimer = setInterval(async function() {
+            if (!_offlineMode) {
+                stopConnectivityMonitor();
+                return;
+            }
+            var online = await checkConnectivity();
+            if (online) {
+                window.dispatchEvent(new CustomEvent('amino:connectivity-restored'));
+            }
+        }, CONNECTIVITY_CHECK_INTERVAL);
+
+        // G-9 fix: Store reference so we can remove it on cleanup
+        if (!_onBrowserOnlineHandler) {
+            _onBrowserOnlineHandler = function() {
+                checkConnectivity().then(function(reachable) {
+                    if (reachable) {
+                        window.dispatchEvent(new CustomEvent('amino:connectivity-restored'));
+                    }
+                });
+            };
+            window.addEventListener('online', _onBrowserOnlineHandler);
+        }
+
+        console.log('[AminoData] Connectivity monitor started (checking every', CONNECTIVITY_CHECK_INTERVAL / 1000 + 's)');
+    }
+
+    function stopConnectivityMonitor() {
+        _connectivityRequested = false;
+        if (_connectivityCheckTimer) {
+            clearInterval(_connectivityCheckTimer);
+            _connectivityCheckTimer = null;
+        }
+        // G-9 fix: Remove browser online listener
+        if (_onBrowserOnlineHandler) {
+            window.removeEventListener('online', _onBrowserOnlineHandler);
+            _onBrowserOnlineHandler = null;
+        }
+    }
+
+    // Transition from offline to online mode.
+    // Verifies session, flushes pending mutations, resumes sync.
+    async function transitionToOnline(password) {
+        if (!_offlineMode) return { alreadyOnline: true };
+
+        // Verify we can actually reach the homeserver
+        var online = await checkConnectivity();
+        if (!online) {
+            throw new Error('Homeserver still unreachable');
+        }
+
+        // Check if the cached access token is still valid
+        var session;
+        try {
+            var raw = localStorage.getItem('amino_synapse_session')
+                   || localStorage.getItem('matrix_session')
+                   || '{}';
+            session = JSON.parse(raw);
+        } catch (e) {
+            throw new Error('No saved session');
+        }
+
+        var tokenValid = false;
+        if (session.accessToken && session.homeserverUrl) {
+            try {
+                var whoami = await fetch(session.homeserverUrl + '/_matrix/client/v3/account/whoami', {
+                    headers: { 'Authorization': 'Bearer ' + session.accessToken }
+                });
+                tokenValid = whoami.ok;
+            } catch (e) {
+                tokenValid = false;
+            }
+        }
+
+        if (!tokenValid) {
+            // Token expired or revoked — need full re-login
+            // If password is provided, attempt fresh login
+            if (password && session.homeserverUrl && session.userId) {
+                var localpart = session.userId.split(':')[0].replace(/^@/, '');
+                try {
+                    var loginResult = await MatrixClient.login(session.homeserverUrl, localpart, password);
+                    session.accessToken = loginResult.accessToken;
+                    _accessToken = loginResult.accessToken;
+                } catch (loginErr) {
+                    throw new Error('Re-authentication failed: ' + loginErr.message);
+                }
+            } else {
+                throw new Error('Session expired. Please log in again.');
+            }
+        } else {
+            // Restore Matrix session
+            _accessToken = session.accessToken;
+            if (typeof MatrixClient !== 'undefined' && MatrixClient.setSession) {
+                MatrixClient.setSession(session.homeserverUrl, session.accessToken, session.userId, session.deviceId);
+            }
+        }
+
+        // Update last online auth timestamp
+        var authTx = _db.transaction('crypto', 'readwrite');
+        await idbPut(authTx.objectStore('crypto'), { key: 'lastOnlineAuth', value: Date.now() });
+        await idbTxDone(authTx);
+
+        // Flush pending mutations
+        var flushResult = await flushPendingMutations();
+
+        // Resume normal sync
+        _offlineMode = false;
+        stopConnectivityMonitor();
+
+        // Incremental sync all tables
+        var syncedRecords = 0;
+        for (var i = 0; i < _tableIds.length; i++) {
+            try {
+                syncedRecords += await syncTable(_tableIds[i]);
+            } catch (err) {
+                console.warn('[AminoData] Sync failed for table', _tableIds[i], 'during online transition:', err.message);
+            }
+        }
+
+        // Resume HTTP polling for record updates
+        startPolling();
+
+        // Pinned documents that were queued while offline
+        if (_isLeader) {
+            downloadQueuedAttachments().catch(function(err) {
+                console.warn('[AminoData] Offline document downloads stopped:', err);
+            });
+        }
+
+        console.log('[AminoData] Transitioned to online mode.',
+            'Flushed:', flushResult.flushed, 'mutations.',
+            'Synced:', syncedRecords, 'records.');
+
+        window.dispatchEvent(new CustomEvent('amino:online-transition', {
+            detail: {
+                flushed: flushResult.flushed,
+                flushFailed: flushResult.failed,
+                syncedRecords: syncedRecords
+            }
+        }));
+
+        return {
+            flushed: flushResult.flushed,
+            flushFailed: flushResult.failed,
+            syncedRecords: syncedRecords
+        };
+    }
+
+    // ============ Write Validation (field registry) ============
+    // Every mutation is checked against its table's field definitions before
+    // it is queued. Unknown field names, values of the wrong type, select
+    // options that don't exist, links to records of another table, clearing
+    // a required field and writes to computed or read-only fields are
+    // rejected with structured errors rather than failing later at the
+    // server. Definitions come from setFieldRegistry() — index.html hands
+    // over META_FIELDS, filled from amino.field_registry. Tables without
+    // definitions are not validated.
+    //
+    // Error entry: { tableId, recordId?, field, fieldId, fieldName, code, message }
+    //   code: 'unknown-field' | 'read-only' | 'invalid-type' |
+    //         'invalid-choice' | 'invalid-link' | 'required'
+
+    // Mirror COMPUTED_FIELD_TYPES / READONLY_FIELD_TYPES / NUMBER_FIELD_TYPES in index.html
+    var COMPUTED_FIELD_TYPES = ['formula', 'rollup', 'lookup', 'count', 'autoNumber', 'createdTime', 'lastModifiedTime', 'createdBy', 'lastModifiedBy'];
+    var READONLY_FIELD_TYPES = ['button', 'externalSyncSource'];
+    var NUMBER_FIELD_TYPES = ['number', 'currency', 'percent', 'rating', 'duration'];
+    var TEXT_FIELD_TYPES = ['singleLineText', 'multilineText', 'richText', 'email', 'url', 'phoneNumber'];
+    var EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+    var _fieldRegistrySource = null;     // function(tableId) -> field definitions
+
+    // source(tableId) returns the table's fields as { fieldId: def } or
+    // [def], def = { fieldId, fieldName, fieldType, options?, required?,
+    // readOnly?, isComputed? }. null turns validation off.
+    function setFieldRegistry(source) {
+        if (source !== null && typeof source !== 'function') {
+            throw new Error('setFieldRegistry expects a function or null');
+        }
+        _fieldRegistrySource = source;
+    }
+
+    // { defs: [def], byKey: { fieldId or fieldName: def } }, or null when
+    // the table has no definitions.
+    function _tableFieldDefinitions(tableId) {
+        if (!_fieldRegistrySource) return null;
+        var source = _fieldRegistrySource(tableId);
+        if (!source) return null;
+        var defs = (Array.isArray(source) ? source : Object.keys(source).map(function(key) { return source[key]; }))
+            .filter(function(def) { return def && (def.fieldId || def.fieldName); });
+        if (defs.length === 0) return null;
+
+        var byKey = {};
+        for (var i = 0; i < defs.length; i++) {
+            if (defs[i].fieldId) byKey[defs[i].fieldId] = defs[i];
+        }
+        for (var j = 0; j < defs.length; j++) {
+            if (defs[j].fieldName && !byKey[defs[j].fieldName]) byKey[defs[j].fieldName] = defs[j];
+        }
+        return { defs: defs, byKey: byKey };
+    }
+
+    function _isReadOnlyFieldDef(def) {
+        return def.readOnly === true || def.isComputed === true ||
+            COMPUTED_FIELD_TYPES.indexOf(def.fieldType) !== -1 ||
+            READONLY_FIELD_TYPES.indexOf(def.fieldType) !== -1;
+    }
+
+    function _isEmptyFieldValue(value) {
+        return value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+    }
+
+    // Names and ids of a select field's choices, or null if it lists none.
+    function _selectChoices(def) {
+        var choices = def.options && def.options.choices;
+        if (!Array.isArray(choices)) return null;
+        var allowed = {};
+        for (var i = 0; i < choices.length; i++) {
+            var choice = choices[i];
+            if (typeof choice === 'string') allowed[choice] = true;
+            else if (choice) {
+                if (choice.name) allowed[choice.name] = true;
+                if (choice.id) allowed[choice.id] = true;
+            }
+        }
+        return allowed;
+    }
+
+    // Check a non-empty value against the field type.
+    // Returns { code, message } (message without the field name) or null.
+    function _checkFieldValue(def, value) {
+        var type = def.fieldType;
+        if (NUMBER_FIELD_TYPES.indexOf(type) !== -1) {
+            if (typeof value !== 'number' || !isFinite(value)) return { code: 'invalid-type', message: 'expects a number' };
+        } else if (TEXT_FIELD_TYPES.indexOf(type) !== -1) {
+            if (typeof value !== 'string') return { code: 'invalid-type', message: 'expects text' };
+            if (type === 'email' && !EMAIL_PATTERN.test(value)) return { code: 'invalid-type', message: 'expects an email address' };
+        } else if (type === 'checkbox') {
+            if (typeof value !== 'boolean') return { code: 'invalid-type', message: 'expects true or false' };
+        } else if (type === 'date' || type === 'dateTime') {
+            if (typeof value !== 'string' || isNaN(Date.parse(value))) return { code: 'invalid-type', message: 'expects a date' };
+        } else if (type === 'singleSelect' || type === 'multipleSelects') {
+            var values = type === 'singleSelect' ? [value] : value;
+            if (!Array.isArray(values)) return { code: 'invalid-type', message: 'expects a list of options' };
+            var allowed = _selectChoices(def);
+            for (var i = 0; i < values.length; i++) {
+                if (typeof values[i] !== 'string') return { code: 'invalid-type', message: 'expects option names' };
+                if (allowed && !allowed[values[i]]) return { code: 'invalid-choice', message: 'has no option "' + values[i] + '"' };
+            }
+        } else if (type === 'multipleRecordLinks') {
+            if (!Array.isArray(value) || value.some(function(id) { return typeof id !== 'string'; })) {
+                return { code: 'invalid-type', message: 'expects a list of record ids' };
+            }
+        } else if (type === 'multipleAttachments') {
+            if (!Array.isArray(value) || value.some(function(a) { return !a || typeof a !== 'object'; })) {
+                return { code: 'invalid-type', message: 'expects a list of attachments' };
+            }
+        }
+        return null;
+    }
+
+    // Linked ids must belong to the field's target table. Records that are
+    // not stored locally can't be checked and pass.
+    async function _checkLinkTargets(def, ids) {
+        var targetTableId = def.options && def.options.linkedTableId;
+        if (!targetTableId) return null;
+        for (var i = 0; i < ids.length; i++) {
+            var id = _tempIdMap[ids[i]] || ids[i];
+            var cached = _recordCacheById[id];
+            var tableId = cached ? cached.tableId : null;
+            if (!tableId && _db && !_onlineOnlyMode) {
+                var entry = await idbGet(_db.transaction('records', 'readonly').objectStore('records'), id);
+                tableId = entry ? entry.tableId : null;
+            }
+            if (tableId && tableId !== targetTableId) {
+                return { code: 'invalid-link', message: 'links to ' + targetTableId + ', but ' + ids[i] + ' is in ' + tableId };
+            }
+        }
+        return null;
+    }
+
+    // Validate one mutation (op: ALT, NUL, INS or CREATE — INS/CREATE also
+    // require every required field). Returns { valid, errors: [entry] }.
+    async function validateMutation(tableId, fields, op) {
+        op = op || 'ALT';
+        var errors = [];
+        var registry = _tableFieldDefinitions(tableId);
+        if (!registry) return { valid: true, errors: errors };
+
+        function reject(name, def, problem) {
+            var fieldName = (def && def.fieldName) || name;
+            errors.push({
+                tableId: tableId,
+                field: name,
+                fieldId: (def && def.fieldId) || null,
+                fieldName: fieldName,
+                code: problem.code,
+                message: fieldName + ' ' + problem.message
+            });
+        }
+
+        var names = Array.isArray(fields) ? fields : Object.keys(fields || {});
+        for (var i = 0; i < names.length; i++) {
+            var name = names[i];
+            var def = registry.byKey[name];
+            if (!def) {
+                reject(name, null, { code: 'unknown-field', message: 'is not a field of ' + tableId });
+                continue;
+            }
+            if (_isReadOnlyFieldDef(def)) {
+                reject(name, def, { code: 'read-only', message: 'is read-only (' + def.fieldType + ')' });
+                continue;
+            }
+            var value = op === 'NUL' ? null : fields[name];
+            if (_isEmptyFieldValue(value)) {
+                if (def.required) reject(name, def, { code: 'required', message: 'is required' });
+                continue;
+            }
+            var problem = _checkFieldValue(def, value);
+            if (!problem && def.fieldType === 'multipleRecordLinks') problem = await _checkLinkTargets(def, value);
+            if (problem) reject(name, def, problem);
+        }
+
+        if (op === 'INS' || op === 'CREATE') {
+            for (var r = 0; r < registry.defs.length; r++) {
+                var required = registry.defs[r];
+                if (!required.required || _isReadOnlyFieldDef(required)) continue;
+                var given = fields && (fields[required.fieldId] !== undefined ? fields[required.fieldId] : fields[required.fieldName]);
+                if (_isEmptyFieldValue(given)) reject(required.fieldName || required.fieldId, required, { code: 'required', message: 'is required' });
+            }
+        }
+
+        return { valid: errors.length === 0, errors: errors };
+    }
+
+    // Error thrown for a rejected write; err.validationErrors lists every
+    // problem so the UI can mark each field.
+    function _validationError(errors) {
+        var err = new Error('Invalid write: ' + errors.map(function(e) { return e.message; }).join('; '));
+        err.code = 'validation';
+        err.validationErrors = errors;
+        return err;
+    }
+
+    async function _assertValidMutation(tableId, recordId, fields, op) {
+        var result = await validateMutation(tableId, fields, op);
+        if (result.valid) return;
+        result.errors.forEach(function(e) { e.recordId = recordId; });
+        throw _validationError(result.errors);
+    }
+
+    // ============ Pending Mutations (Offline Write Queue) ============
+    // Queue and dead-letter entries are encrypted at rest like records: the
+    // keys their indexes need stay readable, the entry itself (field values
+    // included) goes into `data` — a JSON string while encryption is
+    // deferred. Entries written before that carry no `data` and read as is.
+
+    var MUTATION_STORES = ['pending_mutations', 'dead_letters'];
+    var MUTATION_INDEX_KEYS = ['id', 'tableId', 'status', 'timestamp', 'discardedAt'];
+
+    // The stored form of a queue entry. `key` and `deferred` default to the
+    // session's (a restore seals under the restoring profile's key).
+    async function _sealMutation(entry, key, deferred) {
+        if (key === undefined) {
+            key = _cryptoKey;
+            deferred = _deferEncryption;
+        }
+        var sealed = {};
+        MUTATION_INDEX_KEYS.forEach(function(name) {
+            if (entry[name] !== undefined) sealed[name] = entry[name];
+        });
+        var json = JSON.stringify(entry);
+        sealed.data = deferred ? json : await encrypt(key, json);
+        return sealed;
+    }
+
+    async function _openMutation(stored) {
+        if (!stored || stored.data == null) return stored;
+        return _decodeStoredPayload(stored.data);
+    }
+
+    // Open stored entries of `storeName`, leaving out (and reporting) any
+    // the session key cannot decrypt.
+    async function _openMutations(stored, storeName) {
+        var entries = [];
+        var unreadable = [];
+        for (var i = 0; i < stored.length; i++) {
+            try {
+                entries.push(await _openMutation(stored[i]));
+            } catch (err) {
+                unreadable.push(stored[i].id);
+            }
+        }
+        if (unreadable.length) _reportUnreadableMutations(storeName, unreadable, false);
+        return entries;
+    }
+
+    function _reportUnreadableMutations(storeName, ids, removed) {
+        console.warn('[AminoData]', removed ? 'Removed' : 'Skipping', ids.length,
+            'unreadable entries in', storeName, '(sealed under another key)');
+        window.dispatchEvent(new CustomEvent('amino:mutations-unreadable', {
+            detail: { storeName: storeName, mutationIds: ids, removed: removed }
+        }));
+    }
+
+    // Delete queue and dead-letter entries the session key cannot decrypt,
+    // e.g. ones sealed on logout before a password change. Returns how many
+    // were removed.
+    async function _removeUnreadableMutations() {
+        var removed = 0;
+        for (var s = 0; s < MUTATION_STORES.length; s++) {
+            var storeName = MUTATION_STORES[s];
+            var readTx = _db.transaction(storeName, 'readonly');
+            var stored = await idbGetAll(readTx.objectStore(storeName));
+            var ids = [];
+            for (var i = 0; i < stored.length; i++) {
+                try {
+                    await _openMutation(stored[i]);
+                } catch (err) {
+                    ids.push(stored[i].id);
+                }
+            }
+            if (!ids.length) continue;
+            var tx = _db.transaction(storeName, 'readwrite');
+            ids.forEach(function(id) { tx.objectStore(storeName).delete(id); });
+            await idbTxDone(tx);
+            _reportUnreadableMutations(storeName, ids, true);
+            removed += ids.length;
+        }
+        return removed;
+    }
+
+    // Queue a mutation for later sync. Applies optimistically to local IndexedDB.
+    // Records the base (pre-edit) value of every touched field so that the
+    // flush can detect fields a colleague changed server-side in the meantime.
+    // options.provenance is kept on the mutation and sent with it.
+    // The fields are validated first (see Write Validation) unless
+    // options.validate is false; the edit is recorded for undo (into
+    // options.undoGroup when given).
+    async function queueOfflineMutation(tableId, recordId, fields, op, options) {
+        options = options || {};
+        if (!_db) throw new Error('Database not open');
+        if (options.validate !== false) await _assertValidMutation(tableId, recordId, fields, op || 'ALT');
+
+        var base = await _captureMutationBase(recordId, fields);
+        var previous = _undoReplaying ? null : await _readLocalFields(recordId);
+        if (previous) previous = cloneRecord(previous);
+
+        var mutId = 'mut_' + Date.now() + '_' + Math.random().toString(36).substr(2, 6);
+        var entry = {
+            id: mutId,
+            tableId: tableId,
+            recordId: recordId,
+            op: op || 'ALT',
+            fields: fields,
+            base: base,
+            timestamp: Date.now(),
+            status: 'pending'
+        };
+        if (options.provenance) entry.provenance = options.provenance;
+        var sealed = await _sealMutation(entry);
+        var tx = _db.transaction('pending_mutations', 'readwrite');
+        await idbPut(tx.objectStore('pending_mutations'), sealed);
+        await idbTxDone(tx);
+
+        // Apply optimistically to local IndexedDB
+        await applyLocalMutation(tableId, recordId, fields, op);
+
+        if (previous) {
+            var names = Array.isArray(fields) ? fields : Object.keys(fields || {});
+            var fieldOps = {};
+            fieldOps[op || 'ALT'] = fields;
+            var next = AminoHydration.applyFieldOps(cloneRecord(previous), fieldOps);
+            _recordUndo(_undoEditLabel(names), [_fieldsUndoStep(tableId, recordId, previous, next, names)], options.undoGroup);
+        }
+
+        var queueDepth = await getPendingMutationCount();
+
+        window.dispatchEvent(new CustomEvent('amino:offline-mutation-queued', {
+            detail: { tableId: tableId, recordId: recordId, op: op || 'ALT', queueDepth: queueDepth, provenance: entry.provenance || null }
+        }));
+
+        return mutId;
+    }
+
+    // Read a record's current local fields (cache first, then IndexedDB).
+    // Returns null if the record does not exist locally.
+    async function _readLocalFields(recordId) {
+        if (_recordCacheById[recordId]) return _recordCacheById[recordId].fields || {};
+        var tx = _db.transaction('records', 'readonly');
+        var entry = await idbGet(tx.objectStore('records'), recordId);
+        if (!entry) return null;
+        return (await decryptRecord(entry)).fields;
+    }
+
+    // Capture the base value of each field a mutation touches. If an earlier
+    // pending mutation already touched the field, its base is inherited — the
+    // local value then reflects our own unflushed edit, not the server state.
+    async function _captureMutationBase(recordId, fields) {
+        var names = Array.isArray(fields) ? fields : Object.keys(fields || {});
+        var current = await _readLocalFields(recordId);
+        var earlier = (await getPendingMutations()).filter(function(m) {
+            return m.recordId === recordId && m.base;
+        });
+
+        var base = {};
+        for (var i = 0; i < names.length; i++) {
+            var name = names[i];
+            var inherited = false;
+            for (var j = 0; j < earlier.length; j++) {
+                if (Object.prototype.hasOwnProperty.call(earlier[j].base, name)) {
+                    base[name] = earlier[j].base[name];
+                    inherited = true;
+                    break;
+                }
+            }
+            if (!inherited) {
+                base[name] = current && current[name] !== undefined ? current[name] : null;
+            }
+        }
+        return base;
+    }
+
+    // Apply a mutation directly to the local IndexedDB record (optimistic update)
+    async function applyLocalMutation(tableId, recordId, fields, op) {
+        op = op || 'ALT';
+
+        // Read existing record
+        var readTx = _db.transaction('records', 'readonly');
+        var existing = await idbGet(readTx.objectStore('records'), recordId);
+
+        var currentFields;
+        if (existing) {
+            if (typeof existing.fields === 'string') {
+                currentFields = JSON.parse(existing.fields);
+            } else {
+                currentFields = JSON.parse(await _decryptAtRest(existing.fields));
+            }
+        } else {
+            currentFields = {};
+        }
+
+        // Apply operation
+        if (op === 'ALT' || op === 'INS') {
+            var keys = Object.keys(fields);
+            for (var i = 0; i < keys.length; i++) {
+                currentFields[keys[i]] = fields[keys[i]];
+            }
+        } else if (op === 'NUL') {
+            var nulKeys = Array.isArray(fields) ? fields : Object.keys(fields);
+            for (var j = 0; j < nulKeys.length; j++) {
+                delete currentFields[nulKeys[j]];
+            }
+        }
+
+        // Write back — plaintext when deferred, encrypted otherwise
+        var storedFields;
+        if (_deferEncryption) {
+            storedFields = JSON.stringify(currentFields);
+        } else {
+            storedFields = await encrypt(_cryptoKey, JSON.stringify(currentFields));
+        }
+        var writeTx = _db.transaction('records', 'readwrite');
+        await idbPut(writeTx.objectStore('records'), {
+            id: recordId,
+            tableId: tableId,
+            tableName: (existing && existing.tableName) || tableId,
+            fields: storedFields,
+            lastSynced: (existing && existing.lastSynced) || new Date().toISOString()
+        });
+        await idbTxDone(writeTx);
+
+        cacheRecord({
+            id: recordId,
+            tableId: tableId,
+            tableName: (existing && existing.tableName) || tableId,
+            fields: currentFields,
+            lastSynced: (existing && existing.lastSynced) || new Date().toISOString()
+        });
+
+        // Emit update event for UI
+        window.dispatchEvent(new CustomEvent('amino:record-update', {
+            detail: { recordId: recordId, tableId: tableId, source: 'offline-local' }
+        }));
+    }
+
+    var MAX_MUTATION_RETRIES = 3;  // G-7 fix: discard after this many permanent failures
+
+    // ============ Conflict Detection (three-way merge on flush) ============
+    // Each pending mutation carries `base` — the field values before the edit.
+    // On flush the server's current state is compared per field:
+    //   server == local          → already applied, nothing to send
+    //   server == base           → only we changed it, send
+    //   server != base && local  → both changed it: conflict
+    // Conflicts are resolved by the active policy or held on the mutation
+    // (status 'conflict') until resolveConflict() is called.
+
+    var CONFLICT_POLICIES = { 'manual': true, 'last-writer': true, 'server-wins': true, 'client-wins': true };
+    var _conflictPolicy = 'manual';
+
+    function setConflictPolicy(policy) {
+        if (!CONFLICT_POLICIES[policy]) {
+            throw new Error('Unknown conflict policy: ' + policy + ' (expected manual/last-writer/server-wins/client-wins)');
+        }
+        _conflictPolicy = policy;
+    }
+
+    function getConflictPolicy() {
+        return _conflictPolicy;
+    }
+
+    function _fieldValuesEqual(a, b) {
+        if (a === undefined) a = null;
+        if (b === undefined) b = null;
+        return AminoHydration.looseFieldEqual(a, b);
+    }
+
+    function _mutationFieldNames(mutation) {
+        return Array.isArray(mutation.fields) ? mutation.fields.slice() : Object.keys(mutation.fields || {});
+    }
+
+    // The value a mutation intends a field to have (null for NUL ops).
+    function _mutationLocalValue(mutation, name) {
+        if (mutation.op === 'NUL' || Array.isArray(mutation.fields)) return null;
+        return mutation.fields[name];
+    }
+
+    // Build the wire `fields` payload for a subset of a mutation's fields.
+    function _mutationFieldsSubset(mutation, names) {
+        if (mutation.op === 'NUL' || Array.isArray(mutation.fields)) return names.slice();
+        var subset = {};
+        for (var i = 0; i < names.length; i++) subset[names[i]] = mutation.fields[names[i]];
+        return subset;
+    }
+
+    // Fetch the server's current state for a record (memoized per flush).
+    // Returns { fields, lastSynced } or null when the server has no such record.
+    async function _fetchServerRecordState(recordId, memo) {
+        if (Object.prototype.hasOwnProperty.call(memo, recordId)) return memo[recordId];
+        var data = await getTransport().fetchRecord(recordId, 'onlineRead');
+        var state = null;
+        if (data && data.record) {
+            var normalized = AminoHydration.normalizeRecord(data.record);
+            state = { fields: normalized.fields, lastSynced: normalized.lastSynced };
+        }
+        memo[recordId] = state;
+        return state;
+    }
+
+    // Classify every field of a mutation against the server state.
+    // Returns { send: [names], conflicts: { name: { base, local, server } } }.
+    function _detectFieldConflicts(mutation, serverState) {
+        var names = _mutationFieldNames(mutation);
+        var send = [];
+        var conflicts = {};
+        for (var i = 0; i < names.length; i++) {
+            var name = names[i];
+            if (!mutation.base || !Object.prototype.hasOwnProperty.call(mutation.base, name)) {
+                send.push(name); // legacy mutation without a base — nothing to compare
+                continue;
+            }
+            var local = _mutationLocalValue(mutation, name);
+            var server = serverState.fields[name];
+            if (_fieldValuesEqual(server, local)) continue;
+            if (_fieldValuesEqual(server, mutation.base[name])) {
+                send.push(name);
+                continue;
+            }
+            conflicts[name] = {
+                base: mutation.base[name],
+                local: local,
+                server: server === undefined ? null : server
+            };
+        }
+        return { send: send, conflicts: conflicts };
+    }
+
+    // Decide a conflicted field under an automatic policy: 'client' or 'server'.
+    // Returns null under the manual policy (conflict is held for the user).
+    function _policyWinner(policy, mutation, serverState) {
+        if (policy === 'client-wins') return 'client';
+        if (policy === 'server-wins') return 'server';
+        if (policy === 'last-writer') {
+            var serverTs = Date.parse(serverState.lastSynced || '') || 0;
+            return mutation.timestamp >= serverTs ? 'client' : 'server';
+        }
+        return null;
+    }
+
+    // Overwrite local fields with server values (server-wins resolution).
+    async function _adoptServerValues(mutation, values) {
+        var alt = {};
+        var nul = [];
+        var names = Object.keys(values);
+        for (var i = 0; i < names.length; i++) {
+            if (values[names[i]] === null || values[names[i]] === undefined) nul.push(names[i]);
+            else alt[names[i]] = values[names[i]];
+        }
+        if (Object.keys(alt).length) await applyLocalMutation(mutation.tableId, mutation.recordId, alt, 'ALT');
+        if (nul.length) await applyLocalMutation(mutation.tableId, mutation.recordId, nul, 'NUL');
+    }
+
+    async function _putMutation(mutation) {
+        var sealed = await _sealMutation(mutation);
+        var tx = _db.transaction('pending_mutations', 'readwrite');
+        await idbPut(tx.objectStore('pending_mutations'), sealed);
+        await idbTxDone(tx);
+    }
+
+    async function _deleteMutation(mutationId) {
+        var tx = _db.transaction('pending_mutations', 'readwrite');
+        tx.objectStore('pending_mutations').delete(mutationId);
+        await idbTxDone(tx);
+    }
+
+    // Flush all pending mutations to the server (oldest first).
+    // G-7 fix: Classifies errors as transient (5xx, network) vs permanent (4xx).
+    // Permanent failures are discarded after MAX_MUTATION_RETRIES attempts.
+    // Fields changed on the server since the edit are held as conflicts
+    // (or resolved by the active conflict policy) instead of overwritten.
+    // Returns { flushed, failed, discarded, conflicts }.
+    async function flushPendingMutations() {
+        if (!_db) return { flushed: 0, failed: 0, discarded: 0, conflicts: 0 };
+        if (!_isLeader) {
+            // The queue is shared — ask the leader tab to flush it
+            _postTabMessage({ type: 'flush-request' });
+            return { flushed: 0, failed: 0, discarded: 0, conflicts: 0, delegated: true };
+        }
+
+        var tx = _db.transaction('pending_mutations', 'readonly');
+        var pending = await _openMutations(await idbGetAll(tx.objectStore('pending_mutations')), 'pending_mutations');
+
+        if (pending.length === 0) return { flushed: 0, failed: 0, discarded: 0, conflicts: 0 };
+
+        // Sort by timestamp (oldest first) to preserve operation order
+        pending.sort(function(a, b) { return a.timestamp - b.timestamp; });
+
+        var flushed = 0;
+        var failed = 0;
+        var discarded = 0;
+        var conflicted = 0;
+        var serverStates = {};  // recordId -> server state, fetched once per flush
+
+        for (var i = 0; i < pending.length; i++) {
+            var mutation = pending[i];
+
+            // Held conflicts wait for resolveConflict()
+            if (mutation.status === 'conflict') {
+                conflicted++;
+                continue;
+            }
+
+            try {
+                if (mutation.op === 'TXN') {
+                    var batchResult = await _flushTransaction(mutation);
+                    await _deleteMutation(mutation.id);
+                    var idMap = (batchResult && batchResult.idMap) || {};
+                    var tempIds = Object.keys(idMap);
+                    for (var m = 0; m < tempIds.length; m++) {
+                        await _reconcileTempId(tempIds[m], idMap[tempIds[m]], pending.slice(i + 1));
+                    }
+                    flushed++;
+                    continue;
+                }
+
+                if (mutation.op === 'CREATE') {
+                    var realId = await _flushCreate(mutation);
+                    await _deleteMutation(mutation.id);
+                    await _reconcileTempId(mutation.recordId, realId, pending.slice(i + 1));
+                    flushed++;
+                    continue;
+                }
+
+                if (mutation.op === 'DELETE') {
+                    await _flushDelete(mutation);
+                    await _deleteMutation(mutation.id);
+                    await _confirmDelete(mutation.tableId, mutation.recordId);
+                    flushed++;
+                    continue;
+                }
+
+                var sendNames = _mutationFieldNames(mutation);
+                var held = {};
+
+                if (mutation.base) {
+                    var serverState = await _fetchServerRecordState(mutation.recordId, serverStates);
+                    if (serverState) {
+                        var detection = _detectFieldConflicts(mutation, serverState);
+                        sendNames = detection.send;
+                        var conflictNames = Object.keys(detection.conflicts);
+                        var serverWins = {};
+                        for (var c = 0; c < conflictNames.length; c++) {
+                            var cname = conflictNames[c];
+                            var winner = _policyWinner(_conflictPolicy, mutation, serverState);
+                            if (winner === 'client') sendNames.push(cname);
+                            else if (winner === 'server') serverWins[cname] = detection.conflicts[cname].server;
+                            else held[cname] = detection.conflicts[cname];
+                        }
+                        if (Object.keys(serverWins).length) {
+                            await _adoptServerValues(mutation, serverWins);
+                        }
+                    }
+                }
+
+                if (sendNames.length > 0) {
+                    // Flush through the transport (same path as editRecord)
+                    await getTransport().writeMutation({
+                        kind: 'update',
+                        tableId: mutation.tableId,
+                        recordId: mutation.recordId,
+                        fields: _mutationFieldsSubset(mutation, sendNames),
+                        provenance: mutation.provenance
+                    });
+
+                    // The server now holds these values: advance the memoized
+                    // state and rebase later mutations of the same record so
+                    // they don't see our own write as a remote change.
+                    var memoState = serverStates[mutation.recordId];
+                    for (var s = 0; s < sendNames.length; s++) {
+                        var sent = _mutationLocalValue(mutation, sendNames[s]);
+                        if (memoState) memoState.fields[sendNames[s]] = sent;
+                        for (var k = i + 1; k < pending.length; k++) {
+                            var later = pending[k];
+                            if (later.recordId === mutation.recordId && later.base &&
+                                Object.prototype.hasOwnProperty.call(later.base, sendNames[s])) {
+                                later.base[sendNames[s]] = sent;
+                            }
+                        }
+                    }
+                }
+
+                if (Object.keys(held).length > 0) {
+                    // Keep only the conflicted fields on the mutation
+                    mutation.fields = _mutationFieldsSubset(mutation, Object.keys(held));
+                    mutation.conflicts = held;
+                    mutation.serverLastSynced = (serverStates[mutation.recordId] || {}).lastSynced || null;
+                    mutation.status = 'conflict';
+                    mutation.conflictDetectedAt = Date.now();
+                    await _putMutation(mutation);
+                    conflicted++;
+
+                    window.dispatchEvent(new CustomEvent('amino:mutation-conflict', {
+                        detail: {
+                            mutationId: mutation.id,
+                            recordId: mutation.recordId,
+                            tableId: mutation.tableId,
+                            conflicts: held
+                        }
+                    }));
+                } else {
+                    // Remove from queue on success
+                    await _deleteMutation(mutation.id);
+                    flushed++;
+                }
+            } catch (err) {
+                var isPermanent = err.status >= 400 && err.status < 500;
+                var retryCount = (mutation.retryCount || 0) + 1;
+
+                if (isPermanent || retryCount >= MAX_MUTATION_RETRIES) {
+                    // G-7 fix: Discard permanently failed mutations
+                    console.warn('[AminoData] Discarding permanently failed mutation:', mutation.id,
+                        '(status:', err.status || 'unknown', ', retries:', retryCount + ')');
+                    if (mutation.op === 'TXN') {
+                        await _rollbackTransaction(mutation);
+                    } else if (mutation.op === 'DELETE') {
+                        await _restoreTombstone(mutation.tableId, mutation.recordId);
+                    }
+                    await _moveToDeadLetters(mutation, err, retryCount, isPermanent);
+                    discarded++;
+
+                    window.dispatchEvent(new CustomEvent('amino:mutation-discarded', {
+                        detail: {
+                            mutationId: mutation.id,
+                            deadLetterId: mutation.id,
+                            recordId: mutation.recordId,
+                            tableId: mutation.tableId,
+                            error: err.message,
+                            retryCount: retryCount,
+                            permanent: isPermanent
+                        }
+                    }));
+                } else {
+                    // Transient failure — update retry count and leave in queue
+                    console.error('[AminoData] Transient failure flushing mutation:', mutation.id,
+                        '(retry', retryCount + '/' + MAX_MUTATION_RETRIES + '):', err.message || err);
+                    mutation.retryCount = retryCount;
+                    mutation.status = 'failed';
+                    await _putMutation(mutation);
+                    failed++;
+                }
+            }
+        }
+
+        if (flushed > 0 || failed > 0 || discarded > 0 || conflicted > 0) {
+            window.dispatchEvent(new CustomEvent('amino:offline-mutations-flushed', {
+                detail: { flushed: flushed, failed: failed, discarded: discarded, conflicts: conflicted, remaining: failed + conflicted }
+            }));
+        }
+
+        console.log('[AminoData] Flushed', flushed, 'pending mutations (' + failed + ' failed, ' + discarded + ' discarded, ' + conflicted + ' conflicted)');
+        return { flushed: flushed, failed: failed, discarded: discarded, conflicts: conflicted };
+    }
+
+    // Get all mutations currently held with unresolved field conflicts.
+    async function getConflicts() {
+        return (await getPendingMutations()).filter(function(m) { return m.status === 'conflict'; });
+    }
+
+    // Resolve a held conflict.
+    //
+    // Parameters:
+    //   mutationId — id of a mutation with status 'conflict'
+    //   resolution — 'client-wins' | 'server-wins' | 'last-writer' to decide every
+    //                field, or a per-field map { fieldName: 'client' | 'server' | { value } }
+    //
+    // Client/custom values are requeued as a fresh pending mutation whose base is
+    // the server value seen at conflict time; server values are applied locally.
+    // Returns { requeued: [fieldName], adopted: [fieldName] }.
+    async function resolveConflict(mutationId, resolution) {
+        if (!_db) throw new Error('Database not open');
+        var tx = _db.transaction('pending_mutations', 'readonly');
+        var mutation = await _openMutation(await idbGet(tx.objectStore('pending_mutations'), mutationId));
+        if (!mutation || mutation.status !== 'conflict') {
+            throw new Error('No held conflict for mutation ' + mutationId);
+        }
+
+        var conflicts = mutation.conflicts || {};
+        var names = Object.keys(conflicts);
+        var alt = {};
+        var nul = [];
+        var base = {};
+        var serverWins = {};
+        var requeued = [];
+        var adopted = [];
+
+        for (var i = 0; i < names.length; i++) {
+            var name = names[i];
+            var conflict = conflicts[name];
+            var choice = typeof resolution === 'string' ? resolution : (resolution || {})[name];
+            if (choice === 'client-wins') choice = 'client';
+            if (choice === 'server-wins') choice = 'server';
+            if (choice === 'last-writer') {
+                choice = _policyWinner('last-writer', mutation, { lastSynced: mutation.serverLastSynced });
+            }
+
+            if (choice === 'server') {
+                serverWins[name] = conflict.server;
+                adopted.push(name);
+                continue;
+            }
+
+            var value;
+            if (choice === 'client') {
+                value = conflict.local;
+            } else if (choice && typeof choice === 'object' && Object.prototype.hasOwnProperty.call(choice, 'value')) {
+                value = choice.value;
+            } else {
+                throw new Error('No resolution given for field "' + name + '"');
+            }
+            base[name] = conflict.server;
+            if (value === null || value === undefined) nul.push(name);
+            else alt[name] = value;
+            requeued.push(name);
+        }
+
+        await _deleteMutation(mutation.id);
+        if (Object.keys(serverWins).length) {
+            await _adoptServerValues(mutation, serverWins);
+        }
+
+        var now = Date.now();
+        var requeue = function(op, fields) {
+            var fieldBase = {};
+            var fieldNames = Array.isArray(fields) ? fields : Object.keys(fields);
+            for (var f = 0; f < fieldNames.length; f++) fieldBase[fieldNames[f]] = base[fieldNames[f]];
+            return _putMutation({
+                id: 'mut_' + now + '_' + Math.random().toString(36).substr(2, 6),
+                tableId: mutation.tableId,
+                recordId: mutation.recordId,
+                op: op,
+                fields: fields,
+                base: fieldBase,
+                timestamp: now,
+                status: 'pending',
+                resolvedFrom: mutation.id
+            });
+        };
+        if (Object.keys(alt).length) {
+            await requeue('ALT', alt);
+            await applyLocalMutation(mutation.tableId, mutation.recordId, alt, 'ALT');
+        }
+        if (nul.length) {
+            await requeue('NUL', nul);
+            await applyLocalMutation(mutation.tableId, mutation.recordId, nul, 'NUL');
+        }
+
+        window.dispatchEvent(new CustomEvent('amino:mutation-conflict-resolved', {
+            detail: {
+                mutationId: mutation.id,
+                recordId: mutation.recordId,
+                tableId: mutation.tableId,
+                requeued: requeued,
+                adopted: adopted
+            }
+        }));
+
+        return { requeued: requeued, adopted: adopted };
+    }
+
+    // ============ Dead-Letter Store (discarded mutations) ============
+    // Mutations the flush gives up on are moved here instead of being lost.
+    // Entries keep the original mutation plus the failure details, and can be
+    // edited and requeued or exported as JSON for manual recovery.
+
+    // Move a mutation from pending_mutations to dead_letters atomically.
+    async function _moveToDeadLetters(mutation, err, retryCount, permanent) {
+        var entry = cloneRecord(mutation);
+        entry.status = 'dead';
+        entry.retryCount = retryCount;
+        entry.error = err.message || String(err);
+        entry.httpStatus = err.status || null;
+        entry.responseBody = err.responseBody || null;
+        entry.permanent = !!permanent;
+        entry.discardedAt = Date.now();
+
+        var sealed = await _sealMutation(entry);
+        var tx = _db.transaction(['pending_mutations', 'dead_letters'], 'readwrite');
+        tx.objectStore('pending_mutations').delete(mutation.id);
+        await idbPut(tx.objectStore('dead_letters'), sealed);
+        await idbTxDone(tx);
+        return entry;
+    }
+
+    // Get all dead-lettered mutations, oldest discard first.
+    async function getDeadLetters() {
+        if (!_db) return [];
+        var stored;
+        try {
+            var tx = _db.transaction('dead_letters', 'readonly');
+            stored = await idbGetAll(tx.objectStore('dead_letters'));
+        } catch (e) {
+            return [];
+        }
+        var all = await _openMutations(stored, 'dead_letters');
+        all.sort(function(a, b) { return a.discardedAt - b.discardedAt; });
+        return all;
+    }
+
+    async function getDeadLetterCount() {
+        return (await getDeadLetters()).length;
+    }
+
+    async function _getDeadLetter(deadLetterId) {
+        var tx = _db.transaction('dead_letters', 'readonly');
+        var entry = await _openMutation(await idbGet(tx.objectStore('dead_letters'), deadLetterId));
+        if (!entry) throw new Error('Dead letter not found: ' + deadLetterId);
+        return entry;
+    }
+
+    // Replace the field values of a dead-lettered mutation (e.g. to fix the
+    // value that failed server validation). For transaction entries, pass the
+    // full operations array instead. Returns the updated entry.
+    async function updateDeadLetter(deadLetterId, fields) {
+        if (!_db) throw new Error('Database not open');
+        var entry = await _getDeadLetter(deadLetterId);
+        if (entry.op === 'TXN') {
+            if (!Array.isArray(fields)) throw new Error('Transaction dead letters are edited with an operations array');
+            entry.operations = fields;
+        } else {
+            entry.fields = fields;
+        }
+        entry.editedAt = Date.now();
+        var sealed = await _sealMutation(entry);
+        var tx = _db.transaction('dead_letters', 'readwrite');
+        await idbPut(tx.objectStore('dead_letters'), sealed);
+        await idbTxDone(tx);
+        return entry;
+    }
+
+    // Move a dead-lettered mutation back onto the write queue with a fresh
+    // retry budget, re-applying its (possibly edited) fields locally. A
+    // DELETE tombstones the record again; a CREATE re-applies its fields to
+    // the temporary record.
+    // Returns the mutation id.
+    async function requeueDeadLetter(deadLetterId) {
+        if (!_db) throw new Error('Database not open');
+        var entry = await _getDeadLetter(deadLetterId);
+
+        var mutation = {
+            id: entry.id,
+            tableId: entry.tableId,
+            recordId: entry.recordId,
+            op: entry.op || 'ALT',
+            fields: entry.fields,
+            base: entry.base,
+            timestamp: Date.now(),
+            status: 'pending',
+            requeuedFrom: 'dead_letters'
+        };
+        if (entry.op === 'TXN') mutation.operations = entry.operations;
+
+        // The delete was undone locally when it was discarded
+        var tombstone = mutation.op === 'DELETE' ? await _tombstoneEntry(mutation.tableId, mutation.recordId) : null;
+        var sealed = await _sealMutation(mutation);
+        var tx = _db.transaction(['records', 'pending_mutations', 'dead_letters'], 'readwrite');
+        tx.objectStore('dead_letters').delete(deadLetterId);
+        await idbPut(tx.objectStore('pending_mutations'), sealed);
+        if (tombstone) await idbPut(tx.objectStore('records'), tombstone);
+        await idbTxDone(tx);
+
+        if (mutation.op === 'TXN') {
+            // The transaction was rolled back when it was discarded — reapply it
+            await _applyOperationsLocally(mutation.operations, null);
+        } else if (mutation.op === 'DELETE') {
+            _pendingDeletes[mutation.recordId] = true;
+            _evictCachedRecord(mutation.tableId, mutation.recordId);
+            window.dispatchEvent(new CustomEvent('amino:record-update', {
+                detail: { recordId: mutation.recordId, tableId: mutation.tableId, source: 'offline-local', removed: true }
+            }));
+        } else {
+            var localOp = mutation.op === 'CREATE' ? 'INS' : mutation.op;
+            await applyLocalMutation(mutation.tableId, mutation.recordId, mutation.fields, localOp);
+        }
+
+        window.dispatchEvent(new CustomEvent('amino:offline-mutation-queued', {
+            detail: {
+                tableId: mutation.tableId,
+                recordId: mutation.recordId,
+                op: mutation.op,
+                queueDepth: await getPendingMutationCount(),
+                requeued: true
+            }
+        }));
+
+        return mutation.id;
+    }
+
+    // Permanently remove a dead-lettered mutation. Discarding a CREATE
+    // also removes the temporary record it would have created.
+    async function deleteDeadLetter(deadLetterId) {
+        if (!_db) throw new Error('Database not open');
+        var readTx = _db.transaction('dead_letters', 'readonly');
+        var entry = await _openMutation(await idbGet(readTx.objectStore('dead_letters'), deadLetterId));
+        var tx = _db.transaction('dead_letters', 'readwrite');
+        tx.objectStore('dead_letters').delete(deadLetterId);
+        await idbTxDone(tx);
+        if (entry && entry.op === 'CREATE' && isTempRecordId(entry.recordId) && !_tempIdMap[entry.recordId]) {
+            await _removeLocalRecord(entry.tableId, entry.recordId);
+        }
+    }
+
+    // Export dead letters as a JSON string (all, or the given ids) so the edits
+    // can be saved to disk or handed to an admin for manual re-entry.
+    async function exportDeadLetters(deadLetterIds) {
+        var entries = await getDeadLetters();
+        if (Array.isArray(deadLetterIds)) {
+            var wanted = {};
+            for (var i = 0; i < deadLetterIds.length; i++) wanted[deadLetterIds[i]] = true;
+            entries = entries.filter(function(e) { return wanted[e.id]; });
         }
+        return JSON.stringify({
+            format: 'amino-dead-letters',
+            version: 1,
+            exportedAt: new Date().toISOString(),
+            userId: _userId,
+            mutations: entries
+        }, null, 2);
     }
 
-    // ============ Connectivity Monitor ============
+    // ============ Transactions (atomic multi-record writes) ============
+    // Groups inserts/updates across tables into one unit:
+    //
+    //   var result = await AminoData.transaction(async function(tx) {
+    //       var clientId = tx.insert('tblClients', { Name: 'Ana Garcia' });
+    //       var matterId = tx.insert('tblMatters', { Client: [clientId] });
+    //       tx.update('tblTasks', 'recXYZ', { Matter: [matterId] });
+    //   });
+    //
+    // All changes are written locally in a single IndexedDB transaction
+    // together with one pending 'TXN' mutation, and flushed to the server as
+    // a single batch. If the server rejects the batch, the optimistic local
+    // state is rolled back before the entry moves to the dead-letter store.
 
-    var _onBrowserOnlineHandler = null; // G-9 fix: store reference for cleanup
+    var TEMP_RECORD_PREFIX = 'tmp';
 
-    function startConnectivityMonitor() {
-        if (_connectivityCheckTimer) return;
+    function _mintTempRecordId() {
+        return TEMP_RECORD_PREFIX + Date.now().toString(36) + Math.random().toString(36).substr(2, 8);
+    }
 
-        _connectivityCheckTimer = setInterval(async function() {
-            if (!_offlineMode) {
-                stopConnectivityMonitor();
-                return;
-            }
-            var online = await checkConnectivity();
-            if (online) {
-                window.dispatchEvent(new CustomEvent('amino:connectivity-restored'));
+    function isTempRecordId(recordId) {
+        return typeof recordId === 'string' && recordId.indexOf(TEMP_RECORD_PREFIX) === 0;
+    }
+
+    // Builder handed to the transaction callback. Only collects operations —
+    // nothing touches storage until the callback resolves.
+    function _createTransactionBuilder() {
+        var operations = [];
+        return {
+            operations: operations,
+            insert: function(tableId, fields) {
+                if (!tableId) throw new Error('tx.insert requires a tableId');
+                var recordId = _mintTempRecordId();
+                operations.push({ op: 'INS', tableId: tableId, recordId: recordId, fields: fields || {} });
+                return recordId;
+            },
+            update: function(tableId, recordId, fields) {
+                if (!tableId || !recordId) throw new Error('tx.update requires a tableId and recordId');
+                operations.push({ op: 'ALT', tableId: tableId, recordId: recordId, fields: fields || {} });
+                return recordId;
+            },
+            clear: function(tableId, recordId, fieldNames) {
+                if (!tableId || !recordId) throw new Error('tx.clear requires a tableId and recordId');
+                operations.push({ op: 'NUL', tableId: tableId, recordId: recordId, fields: fieldNames || [] });
+                return recordId;
             }
-        }, CONNECTIVITY_CHECK_INTERVAL);
+        };
+    }
 
-        // G-9 fix: Store reference so we can remove it on cleanup
-        if (!_onBrowserOnlineHandler) {
-            _onBrowserOnlineHandler = function() {
-                checkConnectivity().then(function(reachable) {
-                    if (reachable) {
-                        window.dispatchEvent(new CustomEvent('amino:connectivity-restored'));
-                    }
-                });
-            };
-            window.addEventListener('online', _onBrowserOnlineHandler);
+    // Apply a list of operations to local state in one IndexedDB transaction,
+    // optionally writing a pending mutation entry in the same transaction.
+    // Reads and encryption happen up front — awaiting crypto inside an IDB
+    // transaction would let it auto-commit halfway through.
+    async function _applyOperationsLocally(operations, pendingEntry) {
+        var ids = [];
+        var byId = {};
+        for (var i = 0; i < operations.length; i++) {
+            if (!byId[operations[i].recordId]) {
+                byId[operations[i].recordId] = null;
+                ids.push(operations[i].recordId);
+            }
         }
 
-        console.log('[AminoData] Connectivity monitor started (checking every', CONNECTIVITY_CHECK_INTERVAL / 1000 + 's)');
-    }
+        var readTx = _db.transaction('records', 'readonly');
+        var readStore = readTx.objectStore('records');
+        for (var r = 0; r < ids.length; r++) {
+            byId[ids[r]] = await idbGet(readStore, ids[r]);
+        }
 
-    function stopConnectivityMonitor() {
-        if (_connectivityCheckTimer) {
-            clearInterval(_connectivityCheckTimer);
-            _connectivityCheckTimer = null;
+        var states = {};
+        for (var d = 0; d < ids.length; d++) {
+            var existing = byId[ids[d]];
+            states[ids[d]] = {
+                existing: existing,
+                fields: existing ? (await decryptRecord(existing)).fields : {}
+            };
         }
-        // G-9 fix: Remove browser online listener
-        if (_onBrowserOnlineHandler) {
-            window.removeEventListener('online', _onBrowserOnlineHandler);
-            _onBrowserOnlineHandler = null;
+
+        for (var o = 0; o < operations.length; o++) {
+            var op = operations[o];
+            var state = states[op.recordId];
+            state.tableId = op.tableId;
+            var fieldOps = {};
+            fieldOps[op.op] = op.fields;
+            AminoHydration.applyFieldOps(state.fields, fieldOps);
         }
-    }
 
-    // Transition from offline to online mode.
-    // Verifies session, flushes pending mutations, resumes sync.
-    async function transitionToOnline(password) {
-        if (!_offlineMode) return { alreadyOnline: true };
+        var now = new Date().toISOString();
+        var entries = [];
+        for (var e = 0; e < ids.length; e++) {
+            var st = states[ids[e]];
+            var json = JSON.stringify(st.fields);
+            entries.push({
+                id: ids[e],
+                tableId: st.tableId,
+                tableName: (st.existing && st.existing.tableName) || st.tableId,
+                fields: _deferEncryption ? json : await encrypt(_cryptoKey, json),
+                lastSynced: (st.existing && st.existing.lastSynced) || now
+            });
+        }
 
-        // Verify we can actually reach the homeserver
-        var online = await checkConnectivity();
-        if (!online) {
-            throw new Error('Homeserver still unreachable');
+        var sealedEntry = pendingEntry ? await _sealMutation(pendingEntry) : null;
+        var storeNames = pendingEntry ? ['records', 'pending_mutations'] : ['records'];
+        var writeTx = _db.transaction(storeNames, 'readwrite');
+        var recordStore = writeTx.objectStore('records');
+        for (var w = 0; w < entries.length; w++) {
+            await idbPut(recordStore, entries[w]);
+        }
+        if (pendingEntry) {
+            await idbPut(writeTx.objectStore('pending_mutations'), sealedEntry);
         }
+        await idbTxDone(writeTx);
 
-        // Check if the cached access token is still valid
-        var session;
-        try {
-            var raw = localStorage.getItem('amino_synapse_session')
-                   || localStorage.getItem('matrix_session')
-                   || '{}';
-            session = JSON.parse(raw);
-        } catch (e) {
-            throw new Error('No saved session');
+        for (var c = 0; c < entries.length; c++) {
+            cacheRecord({
+                id: entries[c].id,
+                tableId: entries[c].tableId,
+                tableName: entries[c].tableName,
+                fields: states[entries[c].id].fields,
+                lastSynced: entries[c].lastSynced
+            });
+            window.dispatchEvent(new CustomEvent('amino:record-update', {
+                detail: { recordId: entries[c].id, tableId: entries[c].tableId, source: 'offline-local' }
+            }));
         }
+    }
 
-        var tokenValid = false;
-        if (session.accessToken && session.homeserverUrl) {
-            try {
-                var whoami = await fetch(session.homeserverUrl + '/_matrix/client/v3/account/whoami', {
-                    headers: { 'Authorization': 'Bearer ' + session.accessToken }
-                });
-                tokenValid = whoami.ok;
-            } catch (e) {
-                tokenValid = false;
+    // Run a transaction. The callback receives a builder (insert/update/clear)
+    // and may be async; if it throws, nothing is applied. options.undoGroup
+    // records it into that groupUndo().
+    // Returns { transactionId, recordIds: [every touched id, inserts included] }.
+    async function transaction(callback, options) {
+        if (!_db) throw new Error('Database not open');
+        if (typeof callback !== 'function') throw new Error('transaction requires a callback');
+
+        var builder = _createTransactionBuilder();
+        await callback(builder);
+        var operations = builder.operations;
+        if (operations.length === 0) return { transactionId: null, recordIds: [] };
+
+        // Validate every operation up front; one bad value rejects the lot
+        var invalid = [];
+        for (var v = 0; v < operations.length; v++) {
+            var check = await validateMutation(operations[v].tableId, operations[v].fields, operations[v].op);
+            for (var e = 0; e < check.errors.length; e++) {
+                check.errors[e].recordId = operations[v].recordId;
+                invalid.push(check.errors[e]);
             }
         }
+        if (invalid.length) throw _validationError(invalid);
+
+        // Capture bases (for server-side conflict checks) and what each
+        // operation overwrote locally (for rollback).
+        for (var i = 0; i < operations.length; i++) {
+            var op = operations[i];
+            if (op.op === 'INS') continue;
+            op.base = await _captureMutationBase(op.recordId, op.fields);
+        }
+        var undoSteps = _undoReplaying ? [] : await _transactionUndoSteps(operations);
+
+        var txnId = 'txn_' + Date.now() + '_' + Math.random().toString(36).substr(2, 6);
+        var entry = {
+            id: txnId,
+            tableId: operations[0].tableId,
+            recordId: operations[0].recordId,
+            op: 'TXN',
+            operations: operations,
+            timestamp: Date.now(),
+            status: 'pending'
+        };
 
-        if (!tokenValid) {
-            // Token expired or revoked — need full re-login
-            // If password is provided, attempt fresh login
-            if (password && session.homeserverUrl && session.userId) {
-                var localpart = session.userId.split(':')[0].replace(/^@/, '');
-                try {
-                    var loginResult = await MatrixClient.login(session.homeserverUrl, localpart, password);
-                    session.accessToken = loginResult.accessToken;
-                    _accessToken = loginResult.accessToken;
-                } catch (loginErr) {
-                    throw new Error('Re-authentication failed: ' + loginErr.message);
-                }
-            } else {
-                throw new Error('Session expired. Please log in again.');
-            }
-        } else {
-            // Restore Matrix session
-            _accessToken = session.accessToken;
-            if (typeof MatrixClient !== 'undefined' && MatrixClient.setSession) {
-                MatrixClient.setSession(session.homeserverUrl, session.accessToken, session.userId, session.deviceId);
+        await _applyOperationsLocally(operations, entry);
+        _recordUndo('Transaction', undoSteps, options && options.undoGroup);
+
+        for (var t = 0; t < operations.length; t++) {
+            if (operations[t].op === 'ALT') _trackOptimisticWrite(operations[t].recordId, operations[t].fields);
+        }
+
+        var recordIds = [];
+        var seen = {};
+        for (var k = 0; k < operations.length; k++) {
+            if (!seen[operations[k].recordId]) {
+                seen[operations[k].recordId] = true;
+                recordIds.push(operations[k].recordId);
             }
         }
 
-        // Update last online auth timestamp
-        var authTx = _db.transaction('crypto', 'readwrite');
-        await idbPut(authTx.objectStore('crypto'), { key: 'lastOnlineAuth', value: Date.now() });
-        await idbTxDone(authTx);
+        window.dispatchEvent(new CustomEvent('amino:offline-mutation-queued', {
+            detail: {
+                tableId: entry.tableId,
+                recordId: entry.recordId,
+                op: 'TXN',
+                transactionId: txnId,
+                recordIds: recordIds,
+                queueDepth: await getPendingMutationCount()
+            }
+        }));
 
-        // Flush pending mutations
-        var flushResult = await flushPendingMutations();
+        return { transactionId: txnId, recordIds: recordIds };
+    }
 
-        // Resume normal sync
-        _offlineMode = false;
-        stopConnectivityMonitor();
+    // Send a TXN entry to the batch write endpoint. The server applies the
+    // operations atomically; `base` lets it reject stale updates with 409.
+    async function _flushTransaction(entry) {
+        return getTransport().writeMutation({
+            kind: 'batch',
+            transactionId: entry.id,
+            operations: entry.operations
+        });
+    }
 
-        // Incremental sync all tables
-        var syncedRecords = 0;
-        for (var i = 0; i < _tableIds.length; i++) {
-            try {
-                syncedRecords += await syncTable(_tableIds[i]);
-            } catch (err) {
-                console.warn('[AminoData] Sync failed for table', _tableIds[i], 'during online transition:', err.message);
+    // Undo the optimistic local effects of a rejected transaction. Inserted
+    // records are removed; updated fields are restored to their base value,
+    // but only where the local value is still the one this transaction wrote
+    // (later edits to the same field are left alone).
+    async function _rollbackTransaction(entry) {
+        var operations = entry.operations || [];
+        var undo = [];
+        var removals = [];
+        for (var i = operations.length - 1; i >= 0; i--) {
+            var op = operations[i];
+            if (op.op === 'INS') {
+                removals.push(op);
+                continue;
             }
+            var current = (await _readLocalFields(op.recordId)) || {};
+            var names = Array.isArray(op.fields) ? op.fields : Object.keys(op.fields || {});
+            var restore = {};
+            var drop = [];
+            for (var n = 0; n < names.length; n++) {
+                var name = names[n];
+                var written = op.op === 'NUL' ? null : op.fields[name];
+                if (!_fieldValuesEqual(current[name], written)) continue;
+                var base = op.base ? op.base[name] : null;
+                if (base === null || base === undefined) drop.push(name);
+                else restore[name] = base;
+            }
+            if (Object.keys(restore).length) undo.push({ op: 'ALT', tableId: op.tableId, recordId: op.recordId, fields: restore });
+            if (drop.length) undo.push({ op: 'NUL', tableId: op.tableId, recordId: op.recordId, fields: drop });
         }
 
-        // Resume HTTP polling for record updates
-        startPolling();
-
-        console.log('[AminoData] Transitioned to online mode.',
-            'Flushed:', flushResult.flushed, 'mutations.',
-            'Synced:', syncedRecords, 'records.');
+        if (undo.length) await _applyOperationsLocally(undo, null);
+        for (var r = 0; r < removals.length; r++) {
+            await _removeLocalRecord(removals[r].tableId, removals[r].recordId);
+        }
 
-        window.dispatchEvent(new CustomEvent('amino:online-transition', {
-            detail: {
-                flushed: flushResult.flushed,
-                flushFailed: flushResult.failed,
-                syncedRecords: syncedRecords
-            }
+        window.dispatchEvent(new CustomEvent('amino:transaction-rolled-back', {
+            detail: { transactionId: entry.id, operations: operations.length }
         }));
-
-        return {
-            flushed: flushResult.flushed,
-            flushFailed: flushResult.failed,
-            syncedRecords: syncedRecords
-        };
     }
 
-    // ============ Pending Mutations (Offline Write Queue) ============
+    // Delete a record from IndexedDB and every in-memory structure.
+    async function _removeLocalRecord(tableId, recordId) {
+        var tx = _db.transaction('records', 'readwrite');
+        tx.objectStore('records').delete(recordId);
+        await idbTxDone(tx);
 
-    // Queue a mutation for later sync. Applies optimistically to local IndexedDB.
-    async function queueOfflineMutation(tableId, recordId, fields, op) {
+        _evictCachedRecord(tableId, recordId);
+
+        window.dispatchEvent(new CustomEvent('amino:record-update', {
+            detail: { recordId: recordId, tableId: tableId, source: 'offline-local', removed: true }
+        }));
+    }
+
+    // ============ Record Creation & Deletion ============
+    // createRecord mints a temporary local id (see TEMP_RECORD_PREFIX) so the
+    // record is usable offline — it can be linked, edited and searched right
+    // away. Once the server assigns the real id, _reconcileTempId rewrites
+    // every local reference to it. deleteRecord writes a tombstone that stays
+    // until the server confirms the delete.
+
+    // Create a record locally and queue it for the server. The fields are
+    // validated first unless options.validate is false; options.undoGroup
+    // records the create into that groupUndo().
+    // Returns the temporary record id.
+    async function createRecord(tableId, fields, options) {
         if (!_db) throw new Error('Database not open');
+        if (!tableId) throw new Error('createRecord requires a tableId');
+        if (!options || options.validate !== false) await _assertValidMutation(tableId, null, fields || {}, 'CREATE');
 
-        var mutId = 'mut_' + Date.now() + '_' + Math.random().toString(36).substr(2, 6);
-        var tx = _db.transaction('pending_mutations', 'readwrite');
-        await idbPut(tx.objectStore('pending_mutations'), {
-            id: mutId,
+        var recordId = _mintTempRecordId();
+        var now = Date.now();
+        var entry = {
+            id: 'mut_' + now + '_' + Math.random().toString(36).substr(2, 6),
             tableId: tableId,
             recordId: recordId,
-            op: op || 'ALT',
-            fields: fields,
-            timestamp: Date.now(),
+            op: 'CREATE',
+            fields: fields || {},
+            timestamp: now,
             status: 'pending'
-        });
-        await idbTxDone(tx);
-
-        // Apply optimistically to local IndexedDB
-        await applyLocalMutation(tableId, recordId, fields, op);
-
-        var queueDepth = await getPendingMutationCount();
+        };
+        await _applyOperationsLocally([{ op: 'INS', tableId: tableId, recordId: recordId, fields: entry.fields }], entry);
+        _recordUndo('Create record', [{ kind: 'create', tableId: tableId, recordId: recordId, fields: cloneRecord(entry.fields) }], options && options.undoGroup);
 
         window.dispatchEvent(new CustomEvent('amino:offline-mutation-queued', {
-            detail: { tableId: tableId, recordId: recordId, op: op || 'ALT', queueDepth: queueDepth }
+            detail: { tableId: tableId, recordId: recordId, op: 'CREATE', queueDepth: await getPendingMutationCount() }
         }));
-
-        return mutId;
+        return recordId;
     }
 
-    // Apply a mutation directly to the local IndexedDB record (optimistic update)
-    async function applyLocalMutation(tableId, recordId, fields, op) {
-        op = op || 'ALT';
-
-        // Read existing record
-        var readTx = _db.transaction('records', 'readonly');
-        var existing = await idbGet(readTx.objectStore('records'), recordId);
-
-        var currentFields;
-        if (existing) {
-            if (typeof existing.fields === 'string') {
-                currentFields = JSON.parse(existing.fields);
-            } else {
-                currentFields = JSON.parse(await decrypt(_cryptoKey, existing.fields));
-            }
-        } else {
-            currentFields = {};
-        }
-
-        // Apply operation
-        if (op === 'ALT' || op === 'INS') {
-            var keys = Object.keys(fields);
-            for (var i = 0; i < keys.length; i++) {
-                currentFields[keys[i]] = fields[keys[i]];
-            }
-        } else if (op === 'NUL') {
-            var nulKeys = Array.isArray(fields) ? fields : Object.keys(fields);
-            for (var j = 0; j < nulKeys.length; j++) {
-                delete currentFields[nulKeys[j]];
+    // Delete a record. The local copy becomes a tombstone (hidden from all
+    // reads) until the server confirms. Deleting a record that was created
+    // offline and never flushed simply drops it and its queued mutations.
+    // options.undoGroup records the delete into that groupUndo().
+    async function deleteRecord(tableId, recordId, options) {
+        if (!_db) throw new Error('Database not open');
+        if (_tempIdMap[recordId]) recordId = _tempIdMap[recordId];
+
+        var deleted = _undoReplaying ? null : await _readLocalFields(recordId);
+        var undoSteps = deleted ? [{ kind: 'delete', tableId: tableId, recordId: recordId, fields: cloneRecord(deleted) }] : [];
+
+        if (isTempRecordId(recordId)) {
+            // Drop its queued mutations, including its operations inside
+            // transactions (a transaction left with none is dropped whole)
+            var queued = await getPendingMutations();
+            var dropIds = [];
+            var trimmed = [];
+            for (var q = 0; q < queued.length; q++) {
+                var m = queued[q];
+                if (m.op === 'TXN') {
+                    var remaining = (m.operations || []).filter(function(op) { return op.recordId !== recordId; });
+                    if (remaining.length === (m.operations || []).length) continue;
+                    if (remaining.length === 0) {
+                        dropIds.push(m.id);
+                        continue;
+                    }
+                    m.operations = remaining;
+                    m.tableId = remaining[0].tableId;
+                    m.recordId = remaining[0].recordId;
+                    trimmed.push(await _sealMutation(m));
+                } else if (m.recordId === recordId) {
+                    dropIds.push(m.id);
+                }
             }
+            var dropTx = _db.transaction('pending_mutations', 'readwrite');
+            var dropStore = dropTx.objectStore('pending_mutations');
+            dropIds.forEach(function(id) { dropStore.delete(id); });
+            trimmed.forEach(function(entry) { dropStore.put(entry); });
+            await idbTxDone(dropTx);
+            await _removeLocalRecord(tableId, recordId);
+            _recordUndo('Delete record', undoSteps, options && options.undoGroup);
+            return { recordId: recordId, local: true };
         }
 
-        // Write back — plaintext when deferred, encrypted otherwise
-        var storedFields;
-        if (_deferEncryption) {
-            storedFields = JSON.stringify(currentFields);
-        } else {
-            storedFields = await encrypt(_cryptoKey, JSON.stringify(currentFields));
-        }
-        var writeTx = _db.transaction('records', 'readwrite');
-        await idbPut(writeTx.objectStore('records'), {
-            id: recordId,
+        var now = Date.now();
+        var mutation = {
+            id: 'mut_' + now + '_' + Math.random().toString(36).substr(2, 6),
             tableId: tableId,
-            tableName: (existing && existing.tableName) || tableId,
-            fields: storedFields,
-            lastSynced: (existing && existing.lastSynced) || new Date().toISOString()
-        });
-        await idbTxDone(writeTx);
+            recordId: recordId,
+            op: 'DELETE',
+            fields: {},
+            timestamp: now,
+            status: 'pending'
+        };
 
-        cacheRecord({
-            id: recordId,
-            tableId: tableId,
-            tableName: (existing && existing.tableName) || tableId,
-            fields: currentFields,
-            lastSynced: (existing && existing.lastSynced) || new Date().toISOString()
-        });
+        var tombstone = await _tombstoneEntry(tableId, recordId);
+        var sealed = await _sealMutation(mutation);
+        var tx = _db.transaction(['records', 'pending_mutations'], 'readwrite');
+        await idbPut(tx.objectStore('records'), tombstone);
+        await idbPut(tx.objectStore('pending_mutations'), sealed);
+        await idbTxDone(tx);
+
+        _pendingDeletes[recordId] = true;
+        _evictCachedRecord(tableId, recordId);
+        _recordUndo('Delete record', undoSteps, options && options.undoGroup);
 
-        // Emit update event for UI
         window.dispatchEvent(new CustomEvent('amino:record-update', {
-            detail: { recordId: recordId, tableId: tableId, source: 'offline-local' }
+            detail: { recordId: recordId, tableId: tableId, source: 'offline-local', removed: true }
+        }));
+        window.dispatchEvent(new CustomEvent('amino:offline-mutation-queued', {
+            detail: { tableId: tableId, recordId: recordId, op: 'DELETE', queueDepth: await getPendingMutationCount() }
         }));
+        return { recordId: recordId, local: false };
     }
 
-    var MAX_MUTATION_RETRIES = 3;  // G-7 fix: discard after this many permanent failures
-
-    // Flush all pending mutations to the server (oldest first).
-    // G-7 fix: Classifies errors as transient (5xx, network) vs permanent (4xx).
-    // Permanent failures are discarded after MAX_MUTATION_RETRIES attempts.
-    // Returns { flushed, failed, discarded }.
-    async function flushPendingMutations() {
-        if (!_db) return { flushed: 0, failed: 0, discarded: 0 };
-
-        var tx = _db.transaction('pending_mutations', 'readonly');
-        var pending = await idbGetAll(tx.objectStore('pending_mutations'));
-
-        if (pending.length === 0) return { flushed: 0, failed: 0, discarded: 0 };
+    // Rebuild the pending-delete set from the queue (after init/unlock).
+    async function _loadPendingDeletes() {
+        _pendingDeletes = {};
+        var pending = await getPendingMutations();
+        for (var i = 0; i < pending.length; i++) {
+            if (pending[i].op === 'DELETE') _pendingDeletes[pending[i].recordId] = true;
+        }
+    }
 
-        // Sort by timestamp (oldest first) to preserve operation order
-        pending.sort(function(a, b) { return a.timestamp - b.timestamp; });
+    async function _flushCreate(mutation) {
+        var data = await getTransport().writeMutation({
+            kind: 'create',
+            tableId: mutation.tableId,
+            tempId: mutation.recordId,
+            fields: mutation.fields
+        });
+        var realId = data && (data.id || data.recordId || (data.record && data.record.id));
+        if (!realId) throw new Error('Create response did not include a record id');
+        return realId;
+    }
 
-        var flushed = 0;
-        var failed = 0;
-        var discarded = 0;
+    async function _flushDelete(mutation) {
+        // Adapters treat 404 (already gone on the server) as success
+        await getTransport().writeMutation({
+            kind: 'delete',
+            tableId: mutation.tableId,
+            recordId: mutation.recordId
+        });
+    }
 
-        for (var i = 0; i < pending.length; i++) {
-            var mutation = pending[i];
-            try {
-                // Flush via HTTP write webhook (same path as editRecord)
-                var writeUrl = WEBHOOK_BASE_URL + '/amino-write';
-                var writeBody = JSON.stringify({
-                    tableId: mutation.tableId,
-                    recordId: mutation.recordId,
-                    fields: mutation.fields,
-                    access_token: _accessToken
-                });
-                var writeRes = await fetch(
-                    writeUrl + '?access_token=' + encodeURIComponent(_accessToken),
-                    { method: 'PATCH', headers: { 'Content-Type': 'application/json' }, body: writeBody }
-                );
-                if (!writeRes.ok) {
-                    var writeErr = new Error('Server returned ' + writeRes.status);
-                    writeErr.status = writeRes.status;
-                    throw writeErr;
-                }
+    // The stored record entry for a tombstone: the local fields plus
+    // _deleted/_deletedAt, encrypted like any record.
+    async function _tombstoneEntry(tableId, recordId) {
+        var readTx = _db.transaction('records', 'readonly');
+        var existing = await idbGet(readTx.objectStore('records'), recordId);
+        var fields = existing ? (await decryptRecord(existing)).fields : {};
+        fields._deleted = true;
+        fields._deletedAt = new Date().toISOString();
+        var json = JSON.stringify(fields);
+        return {
+            id: recordId,
+            tableId: tableId,
+            tableName: (existing && existing.tableName) || tableId,
+            fields: _deferEncryption ? json : await encrypt(_cryptoKey, json),
+            lastSynced: (existing && existing.lastSynced) || new Date().toISOString()
+        };
+    }
 
-                // Remove from queue on success
-                var delTx = _db.transaction('pending_mutations', 'readwrite');
-                delTx.objectStore('pending_mutations').delete(mutation.id);
-                await idbTxDone(delTx);
+    // Server confirmed the delete — drop the tombstone entirely.
+    async function _confirmDelete(tableId, recordId) {
+        delete _pendingDeletes[recordId];
+        var tx = _db.transaction('records', 'readwrite');
+        tx.objectStore('records').delete(recordId);
+        await idbTxDone(tx);
+        _evictCachedRecord(tableId, recordId);
+    }
 
-                flushed++;
-            } catch (err) {
-                var isPermanent = err.status >= 400 && err.status < 500;
-                var retryCount = (mutation.retryCount || 0) + 1;
+    // Server rejected the delete — bring the record back.
+    async function _restoreTombstone(tableId, recordId) {
+        delete _pendingDeletes[recordId];
+        var readTx = _db.transaction('records', 'readonly');
+        var existing = await idbGet(readTx.objectStore('records'), recordId);
+        if (!existing) return;
+        var record = await decryptRecord(existing);
+        delete record.fields._deleted;
+        delete record.fields._deletedAt;
+        var json = JSON.stringify(record.fields);
+        var tx = _db.transaction('records', 'readwrite');
+        await idbPut(tx.objectStore('records'), {
+            id: recordId,
+            tableId: existing.tableId,
+            tableName: existing.tableName,
+            fields: _deferEncryption ? json : await encrypt(_cryptoKey, json),
+            lastSynced: existing.lastSynced
+        });
+        await idbTxDone(tx);
+        cacheRecord(record);
+        window.dispatchEvent(new CustomEvent('amino:record-update', {
+            detail: { recordId: recordId, tableId: tableId, source: 'offline-local', restored: true }
+        }));
+    }
 
-                if (isPermanent || retryCount >= MAX_MUTATION_RETRIES) {
-                    // G-7 fix: Discard permanently failed mutations
-                    console.warn('[AminoData] Discarding permanently failed mutation:', mutation.id,
-                        '(status:', err.status || 'unknown', ', retries:', retryCount + ')');
-                    var discardTx = _db.transaction('pending_mutations', 'readwrite');
-                    discardTx.objectStore('pending_mutations').delete(mutation.id);
-                    await idbTxDone(discardTx);
-                    discarded++;
+    // Replace every occurrence of `fromId` (as a whole string value) inside a
+    // JSON-like value. Returns { value, changed }.
+    function _replaceIdDeep(value, fromId, toId) {
+        if (value === fromId) return { value: toId, changed: true };
+        if (Array.isArray(value)) {
+            var arrChanged = false;
+            var arr = value.map(function(v) {
+                var r = _replaceIdDeep(v, fromId, toId);
+                if (r.changed) arrChanged = true;
+                return r.value;
+            });
+            return { value: arrChanged ? arr : value, changed: arrChanged };
+        }
+        if (value && typeof value === 'object' && !(value instanceof ArrayBuffer)) {
+            var objChanged = false;
+            var obj = {};
+            for (var k in value) {
+                if (!Object.prototype.hasOwnProperty.call(value, k)) continue;
+                var rr = _replaceIdDeep(value[k], fromId, toId);
+                if (rr.changed) objChanged = true;
+                obj[k] = rr.value;
+            }
+            return { value: objChanged ? obj : value, changed: objChanged };
+        }
+        return { value: value, changed: false };
+    }
 
-                    window.dispatchEvent(new CustomEvent('amino:mutation-discarded', {
-                        detail: {
-                            mutationId: mutation.id,
-                            recordId: mutation.recordId,
-                            tableId: mutation.tableId,
-                            error: err.message,
-                            retryCount: retryCount,
-                            permanent: isPermanent
-                        }
-                    }));
-                } else {
-                    // Transient failure — update retry count and leave in queue
-                    console.error('[AminoData] Transient failure flushing mutation:', mutation.id,
-                        '(retry', retryCount + '/' + MAX_MUTATION_RETRIES + '):', err.message || err);
-                    var updateTx = _db.transaction('pending_mutations', 'readwrite');
-                    mutation.retryCount = retryCount;
-                    mutation.status = 'failed';
-                    await idbPut(updateTx.objectStore('pending_mutations'), mutation);
-                    await idbTxDone(updateTx);
-                    failed++;
+    // Rewrite every local reference from a temporary id to the server id:
+    // the record itself, linked-record fields of other records, queued and
+    // dead-lettered mutations, the caches and search index. `inFlight` holds
+    // mutation objects the current flush still has in memory.
+    async function _reconcileTempId(tempId, realId, inFlight) {
+        if (!tempId || !realId || tempId === realId) return;
+        _tempIdMap[tempId] = realId;
+
+        // 1. Queued and dead-lettered mutations
+        var candidates = {};
+        var stores = ['pending_mutations', 'dead_letters'];
+        for (var s = 0; s < stores.length; s++) {
+            var readTx = _db.transaction(stores[s], 'readonly');
+            var entries = await _openMutations(await idbGetAll(readTx.objectStore(stores[s])), stores[s]);
+            var changedEntries = [];
+            for (var e = 0; e < entries.length; e++) {
+                var r = _replaceIdDeep(entries[e], tempId, realId);
+                if (r.changed) changedEntries.push(await _sealMutation(r.value));
+                if (entries[e].recordId) candidates[entries[e].recordId] = entries[e].tableId;
+                (entries[e].operations || []).forEach(function(op) { candidates[op.recordId] = op.tableId; });
+            }
+            if (changedEntries.length) {
+                var writeTx = _db.transaction(stores[s], 'readwrite');
+                for (var c = 0; c < changedEntries.length; c++) {
+                    await idbPut(writeTx.objectStore(stores[s]), changedEntries[c]);
                 }
+                await idbTxDone(writeTx);
+            }
+        }
+        (inFlight || []).forEach(function(m) {
+            var r = _replaceIdDeep(m, tempId, realId);
+            if (r.changed) {
+                var keys = Object.keys(r.value);
+                for (var k = 0; k < keys.length; k++) m[keys[k]] = r.value[keys[k]];
             }
+            (m.operations || []).forEach(function(op) { candidates[op.recordId] = op.tableId; });
+        });
+
+        // 2. The record itself moves to its real id
+        var recTx = _db.transaction('records', 'readonly');
+        var tempEntry = await idbGet(recTx.objectStore('records'), tempId);
+        if (tempEntry) {
+            var moved = await decryptRecord(tempEntry);
+            var movedJson = JSON.stringify(moved.fields);
+            var moveTx = _db.transaction('records', 'readwrite');
+            var moveStore = moveTx.objectStore('records');
+            moveStore.delete(tempId);
+            await idbPut(moveStore, {
+                id: realId,
+                tableId: tempEntry.tableId,
+                tableName: tempEntry.tableName,
+                fields: _deferEncryption ? movedJson : await encrypt(_cryptoKey, movedJson),
+                lastSynced: tempEntry.lastSynced
+            });
+            await idbTxDone(moveTx);
+            _evictCachedRecord(tempEntry.tableId, tempId);
+            moved.id = realId;
+            cacheRecord(moved);
         }
 
-        if (flushed > 0 || failed > 0 || discarded > 0) {
-            window.dispatchEvent(new CustomEvent('amino:offline-mutations-flushed', {
-                detail: { flushed: flushed, failed: failed, discarded: discarded, remaining: failed }
-            }));
+        // 3. Linked-record fields. References to a temp id can only have been
+        //    written locally, so they live in records touched by the queue or
+        //    in records already in the cache.
+        var cachedIds = Object.keys(_recordCacheById);
+        for (var ci = 0; ci < cachedIds.length; ci++) {
+            var cached = _recordCacheById[cachedIds[ci]];
+            if (_replaceIdDeep(cached.fields, tempId, realId).changed) candidates[cached.id] = cached.tableId;
+        }
+        delete candidates[tempId];
+        var candidateIds = Object.keys(candidates);
+        for (var i = 0; i < candidateIds.length; i++) {
+            var rid = candidateIds[i];
+            var fields = await _readLocalFields(rid);
+            if (!fields) continue;
+            var rewritten = _replaceIdDeep(fields, tempId, realId);
+            if (!rewritten.changed) continue;
+            var tx = _db.transaction('records', 'readonly');
+            var entry = await idbGet(tx.objectStore('records'), rid);
+            var json = JSON.stringify(rewritten.value);
+            var wTx = _db.transaction('records', 'readwrite');
+            await idbPut(wTx.objectStore('records'), {
+                id: rid,
+                tableId: (entry && entry.tableId) || candidates[candidateIds[i]],
+                tableName: (entry && entry.tableName) || candidates[candidateIds[i]],
+                fields: _deferEncryption ? json : await encrypt(_cryptoKey, json),
+                lastSynced: (entry && entry.lastSynced) || new Date().toISOString()
+            });
+            await idbTxDone(wTx);
+            cacheRecord({
+                id: rid,
+                tableId: (entry && entry.tableId) || candidates[candidateIds[i]],
+                tableName: (entry && entry.tableName) || candidates[candidateIds[i]],
+                fields: rewritten.value,
+                lastSynced: (entry && entry.lastSynced) || new Date().toISOString()
+            });
         }
 
-        console.log('[AminoData] Flushed', flushed, 'pending mutations (' + failed + ' failed, ' + discarded + ' discarded)');
-        return { flushed: flushed, failed: failed, discarded: discarded };
+        // 4. Open UI state (profile panel, grid row ids) listens for this
+        window.dispatchEvent(new CustomEvent('amino:record-id-reconciled', {
+            detail: { tempId: tempId, recordId: realId, tableId: tempEntry ? tempEntry.tableId : null }
+        }));
+    }
+
+    // Resolve a possibly-temporary id to the server id assigned this session.
+    function resolveRecordId(recordId) {
+        return _tempIdMap[recordId] || recordId;
     }
 
     // Get count of pending offline mutations
@@ -2170,14 +8371,27 @@ var AminoData = (function() {
     // Get all pending mutations (for UI display)
     async function getPendingMutations() {
         if (!_db) return [];
+        var stored;
         try {
             var tx = _db.transaction('pending_mutations', 'readonly');
-            var all = await idbGetAll(tx.objectStore('pending_mutations'));
-            all.sort(function(a, b) { return a.timestamp - b.timestamp; });
-            return all;
+            stored = await idbGetAll(tx.objectStore('pending_mutations'));
         } catch (e) {
             return [];
         }
+        var all = await _openMutations(stored, 'pending_mutations');
+        all.sort(function(a, b) { return a.timestamp - b.timestamp; });
+        return all;
+    }
+
+    // Ids of every record a queued mutation touches. A TXN entry only
+    // carries its first operation's recordId, so read its operations too.
+    function _pendingRecordIds(pending) {
+        var ids = {};
+        pending.forEach(function(m) {
+            ids[m.recordId] = true;
+            (m.operations || []).forEach(function(op) { ids[op.recordId] = true; });
+        });
+        return ids;
     }
 
     // ============ State Getters ============
@@ -2249,13 +8463,11 @@ var AminoData = (function() {
 
     // ============ Events API (Postgres activity stream) ============
     // On-demand queries for event history — NOT downloaded during hydration.
-    // These hit the /amino-events-* webhook endpoints backed by amino.event_log.
+    // Served by the transport's fetchEvents (n8n: /amino-events-* backed by amino.event_log).
 
     async function fetchEventsForRecord(recordId) {
-        var data = await apiFetch(
-            '/amino-events-record?recordId=' + encodeURIComponent(recordId),
-            'onlineRead'
-        );
+        var data = await getTransport().fetchEvents({ recordId: recordId }, 'onlineRead');
+        await _storeEvents(data.events || [], recordId);
         // Normalize response: add recordId to each event, map createdAt → created_at
         var events = (data.events || []).map(function(e) {
             return {
@@ -2274,10 +8486,12 @@ var AminoData = (function() {
 
     async function fetchEventsSince(since, options) {
         options = options || {};
-        var params = 'since=' + encodeURIComponent(since);
-        if (options.set) params += '&set=' + encodeURIComponent(options.set);
-        if (options.limit) params += '&limit=' + encodeURIComponent(options.limit);
-        var data = await apiFetch('/amino-events-since?' + params, 'onlineRead');
+        var data = await getTransport().fetchEvents({
+            since: since,
+            set: options.set,
+            limit: options.limit
+        }, 'onlineRead');
+        await _storeEvents(data.events || []);
         var events = (data.events || []).map(function(e) {
             return {
                 id: e.id,
@@ -2294,9 +8508,8 @@ var AminoData = (function() {
     }
 
     async function fetchEventsBySet(set, limit) {
-        var params = 'set=' + encodeURIComponent(set);
-        if (limit) params += '&limit=' + encodeURIComponent(limit);
-        var data = await apiFetch('/amino-events-set?' + params, 'onlineRead');
+        var data = await getTransport().fetchEvents({ set: set, limit: limit }, 'onlineRead');
+        await _storeEvents(data.events || []);
         var events = (data.events || []).map(function(e) {
             return {
                 id: e.id,
@@ -2312,6 +8525,594 @@ var AminoData = (function() {
         return { set: data.set, count: data.count, events: events };
     }
 
+    // ============ Local Event Store ============
+    // Event log entries this device has seen — record histories opened in
+    // the UI, fetchEventsSince/BySet results and everything the event-stream
+    // sync reads — are kept in the `events` store, payload encrypted like
+    // records. getRecordAt/getTableAt replay them through applyFieldOps, so
+    // point-in-time views work offline. A reconstruction is only as complete
+    // as the events held: `fromCreation` is false when the record's history
+    // here doesn't start with its INS event.
+
+    // Persist events (transport shape: id, recordId, set, operator, payload,
+    // createdAt). Failures are logged — the store is a cache.
+    async function _storeEvents(events, recordId) {
+        if (!_db || _onlineOnlyMode || !_cryptoKey || !events.length) return 0;
+        var entries = [];
+        var skipped = 0;
+        for (var i = 0; i < events.length; i++) {
+            var event = events[i];
+            var eventRecordId = event.recordId || recordId;
+            if (event.id === undefined || event.id === null || !eventRecordId) continue;
+            // An event with an unreadable createdAt is left out rather
+            // than failing the fetch that returned it
+            try {
+                entries.push({
+                    id: event.id,
+                    recordId: eventRecordId,
+                    tableId: AminoHydration.eventTableId(event),
+                    createdAt: _eventTimestamp(event.createdAt || event.created_at),
+                    payload: { operator: event.operator || null, payload: event.payload || null, uuid: event.uuid || null }
+                });
+            } catch (err) {
+                skipped++;
+            }
+        }
+        if (skipped) console.warn('[AminoData] Not storing', skipped, 'events with unreadable fields locally');
+        if (!entries.length) return 0;
+        try {
+            return await _writeEncrypted('events', 'payload', entries);
+        } catch (err) {
+            console.warn('[AminoData] Could not store', entries.length, 'events locally:', err.message || err);
+            return 0;
+        }
+    }
+
+    // ISO string for a Date, epoch ms or parseable string; null for none.
+    function _eventTimestamp(value) {
+        if (value === undefined || value === null || value === '') return null;
+        var date = value instanceof Date ? value : new Date(value);
+        if (isNaN(date.getTime())) throw new Error('Invalid timestamp: ' + value);
+        return date.toISOString();
+    }
+
+    function _eventFromEntry(entry) {
+        var stored = entry.payload || {};
+        return {
+            id: entry.id,
+            recordId: entry.recordId,
+            set: entry.tableId,
+            createdAt: entry.createdAt,
+            operator: stored.operator,
+            payload: stored.payload,
+            uuid: stored.uuid
+        };
+    }
+
+    async function _readStoredEvents(indexName, key) {
+        if (!_db || _onlineOnlyMode) return [];
+        var entries = await _readDecrypted('events', 'payload', { indexName: indexName, key: key });
+        return entries.map(_eventFromEntry);
+    }
+
+    // Replay one record's events up to `asOf` (inclusive) or through the
+    // event `throughEventId`. Returns null when none of them apply yet.
+    function _replayRecordEvents(events, asOf, throughEventId) {
+        events.sort(AminoHydration.compareEvents);
+        var end = events.length;
+        if (throughEventId !== undefined && throughEventId !== null) {
+            end = -1;
+            for (var t = 0; t < events.length; t++) {
+                if (String(events[t].id) === String(throughEventId)) end = t + 1;
+            }
+            if (end === -1) return null;
+        }
+
+        var snapshot = null;
+        for (var i = 0; i < end; i++) {
+            var event = events[i];
+            if (asOf && event.createdAt && event.createdAt > asOf) break;
+            var fieldOps = AminoHydration.eventFieldOps(event);
+            if (!fieldOps) continue;
+            if (!snapshot) {
+                snapshot = {
+                    id: event.recordId,
+                    tableId: AminoHydration.eventTableId(event),
+                    fields: {},
+                    asOf: asOf,
+                    fromCreation: !!fieldOps.INS,
+                    eventCount: 0,
+                    lastEventId: null,
+                    lastEventAt: null
+                };
+            }
+            AminoHydration.applyFieldOps(snapshot.fields, fieldOps);
+            snapshot.eventCount++;
+            snapshot.lastEventId = event.id;
+            snapshot.lastEventAt = event.createdAt;
+        }
+        return snapshot;
+    }
+
+    // A record as it stood at `timestamp` (Date, ms or ISO string; null for
+    // its latest known state), rebuilt from its events. Online, the record's
+    // history is refreshed from the server first; offline, or when that
+    // fails, the locally stored events are used.
+    // options: { throughEventId, refresh: false to stay local }
+    // Returns { id, tableId, fields, asOf, fromCreation, eventCount,
+    //           lastEventId, lastEventAt } or null.
+    async function getRecordAt(recordId, timestamp, options) {
+        options = options || {};
+        var asOf = _eventTimestamp(timestamp);
+        var fetched = [];
+        var online = typeof navigator === 'undefined' || navigator.onLine !== false;
+        if (options.refresh !== false && !_offlineMode && online) {
+            try {
+                var data = await getTransport().fetchEvents({ recordId: recordId }, 'onlineRead');
+                fetched = data.events || [];
+                await _storeEvents(fetched, recordId);
+            } catch (err) {
+                console.warn('[AminoData] Could not refresh history for ' + recordId + ' — replaying local events:', err.message || err);
+            }
+        }
+
+        var byId = {};
+        var stored = await _readStoredEvents('byRecord', recordId);
+        for (var i = 0; i < stored.length; i++) byId[stored[i].id] = stored[i];
+        // Online-only mode stores nothing, so replay what was just fetched
+        for (var f = 0; f < fetched.length; f++) {
+            if (!byId[fetched[f].id]) {
+                byId[fetched[f].id] = Object.assign({}, fetched[f], {
+                    recordId: recordId,
+                    createdAt: _eventTimestamp(fetched[f].createdAt || fetched[f].created_at)
+                });
+            }
+        }
+        var events = Object.keys(byId).map(function(id) { return byId[id]; });
+        return _replayRecordEvents(events, asOf, options.throughEventId);
+    }
+
+    // Every record of a table with local events, as it stood at `timestamp`.
+    // Local events only — records whose history was never fetched or
+    // streamed to this device are missing.
+    // Returns an array shaped like getRecordAt's result.
+    async function getTableAt(tableId, timestamp) {
+        var asOf = _eventTimestamp(timestamp);
+        var events = await _readStoredEvents('byTable', tableId);
+        var byRecord = {};
+        var order = [];
+        for (var i = 0; i < events.length; i++) {
+            if (!byRecord[events[i].recordId]) {
+                byRecord[events[i].recordId] = [];
+                order.push(events[i].recordId);
+            }
+            byRecord[events[i].recordId].push(events[i]);
+        }
+        var snapshots = [];
+        for (var r = 0; r < order.length; r++) {
+            var snapshot = _replayRecordEvents(byRecord[order[r]], asOf);
+            if (snapshot) snapshots.push(snapshot);
+        }
+        return snapshots;
+    }
+
+    // ============ Point-in-Time Revert ============
+    // Restores a record, or some of its fields, to the state right after an
+    // event in its history. The difference to the current local state goes
+    // through the offline queue like any edit — an ALT for values that
+    // changed or were cleared since, a NUL for fields that appeared since —
+    // so conflict detection and retries apply, and each mutation carries a
+    // provenance note naming the event. Fields starting with '_' (tombstone
+    // markers) are never reverted.
+
+    // Re-key `fields` (an object, or a list of names) to the keys the local
+    // record `current` uses. Events may name a field by id where the record
+    // is keyed by name, or the other way round; a field the record lacks
+    // takes the convention of the record's other fields.
+    function _toLocalFieldKeys(registry, current, fields) {
+        if (!registry) return fields;
+        var byId = Object.keys(current).some(function(key) {
+            var def = registry.byKey[key];
+            return def && def.fieldId === key;
+        });
+        var localKey = function(name) {
+            var def = registry.byKey[name];
+            if (!def) return name;
+            if (def.fieldId && Object.prototype.hasOwnProperty.call(current, def.fieldId)) return def.fieldId;
+            if (def.fieldName && Object.prototype.hasOwnProperty.call(current, def.fieldName)) return def.fieldName;
+            return byId ? (def.fieldId || def.fieldName) : (def.fieldName || def.fieldId);
+        };
+        if (Array.isArray(fields)) return fields.map(localKey);
+        var out = {};
+        for (var name in fields) out[localKey(name)] = fields[name];
+        return out;
+    }
+
+    // { ALT: { name: historical value }, NUL: [name] } turning `current`
+    // into `target`, limited to `fieldNames` when given. Both are keyed the
+    // way `current` is first. Computed and other read-only fields of
+    // `tableId` are left to the server.
+    function _revertFieldOps(current, target, fieldNames, tableId) {
+        var registry = tableId ? _tableFieldDefinitions(tableId) : null;
+        target = _toLocalFieldKeys(registry, current, target);
+        var names = fieldNames && _toLocalFieldKeys(registry, current, fieldNames);
+        if (!names) {
+            var seen = {};
+            names = Object.keys(current).concat(Object.keys(target)).filter(function(name) {
+                if (seen[name]) return false;
+                seen[name] = true;
+                return true;
+            });
+        }
+        var ops = { ALT: {}, NUL: [] };
+        for (var i = 0; i < names.length; i++) {
+            var name = names[i];
+            if (name.charAt(0) === '_') continue;
+            if (registry && registry.byKey[name] && _isReadOnlyFieldDef(registry.byKey[name])) continue;
+            var had = Object.prototype.hasOwnProperty.call(target, name);
+            var has = Object.prototype.hasOwnProperty.call(current, name);
+            if (had) {
+                if (!has || !_fieldValuesEqual(current[name], target[name])) ops.ALT[name] = target[name];
+            } else if (has) {
+                ops.NUL.push(name);
+            }
+        }
+        return ops;
+    }
+
+    // Revert a record to its state as of event `eventId`.
+    // options: { fields: [name] to revert only those, refresh: false to
+    //            rebuild the state from local events without fetching }
+    // Returns { recordId, tableId, eventId, eventAt, altered: [name],
+    //           cleared: [name], mutationIds }.
+    async function revertRecord(recordId, eventId, options) {
+        if (!_db) throw new Error('Database not open');
+        options = options || {};
+        var snapshot = await getRecordAt(recordId, null, { throughEventId: eventId, refresh: options.refresh });
+        if (!snapshot) throw new Error('Event ' + eventId + ' is not in the history of ' + recordId);
+        var current = await _readLocalFields(recordId);
+        if (!current) throw new Error('Record not found locally: ' + recordId);
+
+        var cached = _recordCacheById[recordId];
+        var tableId = (cached && cached.tableId) || snapshot.tableId;
+        var ops = _revertFieldOps(current, snapshot.fields, options.fields, tableId);
+        var provenance = {
+            kind: 'revert',
+            eventId: snapshot.lastEventId,
+            eventAt: snapshot.lastEventAt,
+            note: 'Reverted to event #' + snapshot.lastEventId + (snapshot.lastEventAt ? ' (' + snapshot.lastEventAt + ')' : '')
+        };
+
+        var mutationIds = [];
+        var altered = Object.keys(ops.ALT);
+        await groupUndo(provenance.note, async function(group) {
+            var write = { provenance: provenance, undoGroup: group };
+            if (altered.length) mutationIds.push(await queueOfflineMutation(tableId, recordId, ops.ALT, 'ALT', write));
+            if (ops.NUL.length) mutationIds.push(await queueOfflineMutation(tableId, recordId, ops.NUL, 'NUL', write));
+        });
+
+        if (mutationIds.length) {
+            console.log('[AminoData] ' + provenance.note + ' for ' + recordId + ':', altered.length, 'field(s) restored,', ops.NUL.length, 'cleared');
+            if (!_offlineMode) {
+                try {
+                    await flushPendingMutations();
+                } catch (err) {
+                    console.warn('[AminoData] Revert of ' + recordId + ' queued; flush failed:', err.message || err);
+                }
+            }
+        }
+
+        return {
+            recordId: recordId,
+            tableId: tableId,
+            eventId: snapshot.lastEventId,
+            eventAt: snapshot.lastEventAt,
+            altered: altered,
+            cleared: ops.NUL,
+            mutationIds: mutationIds
+        };
+    }
+
+    // Revert one field to its value as of event `eventId` (cleared if it
+    // had none then).
+    async function revertField(recordId, fieldName, eventId, options) {
+        return revertRecord(recordId, eventId, Object.assign({}, options, { fields: [fieldName] }));
+    }
+
+    // ============ Undo / Redo ============
+    // Session-scoped history of local data changes. Field edits
+    // (queueOfflineMutation, trackUndoableEdit), transactions, creates and
+    // deletes each push an entry describing how to invert them. undo()
+    // applies the inverse through the same write paths — queued, flushed
+    // and conflict-checked like any edit — and moves the entry to the redo
+    // stack; a new change clears the redo stack. A groupUndo() call (a bulk
+    // paste, say) hands its callback a group; writes that pass it as
+    // options.undoGroup become a single entry. Other writes made while the
+    // group is open — a concurrent edit elsewhere — keep their own entries.
+    //
+    // Undoing a delete the server already confirmed, or redoing a create,
+    // makes a new record; older entries follow it through _undoIdMap. Links
+    // other records held to the deleted id are not restored.
+    //
+    // Entry: { label, at, steps: [step] }, each step one of
+    //   { kind: 'fields', tableId, recordId, before: { name: value }, after: { name: value } }
+    //   { kind: 'create', tableId, recordId, fields }
+    //   { kind: 'delete', tableId, recordId, fields }
+    // A field missing from before/after was absent at that point.
+
+    var UNDO_HISTORY_LIMIT = 100;
+    var _undoStack = [];
+    var _redoStack = [];
+    var _openUndoGroups = 0;             // groupUndo() calls still running
+    var _undoReplaying = false;          // true while undo()/redo() writes — nothing is recorded
+    var _undoIdMap = {};                 // record id -> id of the record re-created in its place
+
+    function _undoEditLabel(names) {
+        return names.length === 1 ? 'Edit ' + names[0] : 'Edit ' + names.length + ' fields';
+    }
+
+    // Follow temp -> server and deleted -> re-created ids to the id the
+    // record has now.
+    function _undoRecordId(recordId) {
+        var seen = {};
+        while (!seen[recordId] && (_tempIdMap[recordId] || _undoIdMap[recordId])) {
+            seen[recordId] = true;
+            recordId = _tempIdMap[recordId] || _undoIdMap[recordId];
+        }
+        return recordId;
+    }
+
+    // A 'fields' step for `names` going from `previous` to `next`, or null
+    // when none of them actually changed.
+    function _fieldsUndoStep(tableId, recordId, previous, next, names) {
+        var step = { kind: 'fields', tableId: tableId, recordId: recordId, before: {}, after: {} };
+        var changed = false;
+        for (var i = 0; i < names.length; i++) {
+            var name = names[i];
+            var had = Object.prototype.hasOwnProperty.call(previous, name);
+            var has = Object.prototype.hasOwnProperty.call(next, name);
+            if (had) step.before[name] = cloneRecord(previous[name]);
+            if (has) step.after[name] = cloneRecord(next[name]);
+            if (had !== has || (had && !_fieldValuesEqual(previous[name], next[name]))) changed = true;
+        }
+        return changed ? step : null;
+    }
+
+    // Undo steps for a transaction: a 'create' (with its final fields) per
+    // inserted record and a 'fields' step per updated one.
+    async function _transactionUndoSteps(operations) {
+        var states = {};
+        var order = [];
+        for (var i = 0; i < operations.length; i++) {
+            var op = operations[i];
+            var state = states[op.recordId];
+            if (!state) {
+                var previous = op.op === 'INS' ? {} : await _readLocalFields(op.recordId);
+                if (!previous) continue;
+                state = states[op.recordId] = {
+                    tableId: op.tableId,
+                    inserted: op.op === 'INS',
+                    previous: previous,
+                    fields: cloneRecord(previous),
+                    names: {}
+                };
+                order.push(op.recordId);
+            }
+            var fieldOps = {};
+            fieldOps[op.op] = op.fields;
+            AminoHydration.applyFieldOps(state.fields, fieldOps);
+            var names = Array.isArray(op.fields) ? op.fields : Object.keys(op.fields || {});
+            for (var n = 0; n < names.length; n++) state.names[names[n]] = true;
+        }
+
+        return order.map(function(recordId) {
+            var st = states[recordId];
+            if (st.inserted) return { kind: 'create', tableId: st.tableId, recordId: recordId, fields: st.fields };
+            return _fieldsUndoStep(st.tableId, recordId, st.previous, st.fields, Object.keys(st.names));
+        });
+    }
+
+    // Record steps as one entry — or add them to `group` (options.undoGroup
+    // of the write) while that groupUndo() is still open. Nothing is
+    // recorded while undo()/redo() replays.
+    function _recordUndo(label, steps, group) {
+        steps = steps.filter(Boolean);
+        if (_undoReplaying || steps.length === 0) return;
+        if (group && group.open) {
+            Array.prototype.push.apply(group.steps, steps);
+            return;
+        }
+        _pushUndoEntry({ label: label, at: Date.now(), steps: steps });
+    }
+
+    function _pushUndoEntry(entry) {
+        _undoStack.push(entry);
+        if (_undoStack.length > UNDO_HISTORY_LIMIT) _undoStack.shift();
+        _redoStack = [];
+        _emitUndoStackChanged();
+    }
+
+    function _emitUndoStackChanged() {
+        window.dispatchEvent(new CustomEvent('amino:undo-stack-changed', {
+            detail: {
+                canUndo: _undoStack.length > 0,
+                canRedo: _redoStack.length > 0,
+                undoLabel: _undoStack.length ? _undoStack[_undoStack.length - 1].label : null,
+                redoLabel: _redoStack.length ? _redoStack[_redoStack.length - 1].label : null
+            }
+        }));
+    }
+
+    // Run `callback(group)`, recording the writes it makes with
+    // { undoGroup: group } as one undo entry named `label`. Passing an open
+    // group as options.undoGroup nests the call into that group.
+    async function groupUndo(label, callback, options) {
+        if (typeof callback !== 'function') throw new Error('groupUndo requires a callback');
+        var outer = options && options.undoGroup;
+        if (outer && outer.open) return callback(outer);
+
+        var group = { label: label || 'Edit', at: Date.now(), steps: [], open: true };
+        _openUndoGroups++;
+        try {
+            return await callback(group);
+        } finally {
+            group.open = false;
+            _openUndoGroups--;
+            if (group.steps.length) _pushUndoEntry({ label: group.label, at: group.at, steps: group.steps });
+        }
+    }
+
+    // Record an edit written outside this module's mutation API (the grid
+    // and profile editors PATCH through index.html's editRecord).
+    // `previous` holds the record's fields before the edit, `changes` the
+    // values written. The local copy is brought up to date as well, so an
+    // undo is later queued against the right base. options.undoGroup adds
+    // the edit to that groupUndo().
+    // Returns true when something was recorded.
+    async function trackUndoableEdit(tableId, recordId, previous, changes, label, options) {
+        var names = Object.keys(changes || {});
+        var next = Object.assign({}, previous, changes);
+        var step = _fieldsUndoStep(tableId, recordId, previous || {}, next, names);
+        if (!step) return false;
+
+        if (_db && !_onlineOnlyMode && await _readLocalFields(recordId)) {
+            await applyLocalMutation(tableId, recordId, changes, 'ALT');
+        }
+        _recordUndo(label || _undoEditLabel(names), [step], options && options.undoGroup);
+        return true;
+    }
+
+    // Bring back a deleted record. While the delete is still queued the
+    // queued mutation is dropped and the tombstone lifted; otherwise the
+    // record is created again under a new id. Returns the record's id.
+    async function _reviveRecord(tableId, recordId, fields) {
+        if (_pendingDeletes[recordId]) {
+            var queued = (await getPendingMutations()).filter(function(m) {
+                return m.recordId === recordId && m.op === 'DELETE';
+            });
+            if (queued.length) {
+                var tx = _db.transaction('pending_mutations', 'readwrite');
+                for (var q = 0; q < queued.length; q++) tx.objectStore('pending_mutations').delete(queued[q].id);
+                await idbTxDone(tx);
+                await _restoreTombstone(tableId, recordId);
+                return recordId;
+            }
+        }
+        // Computed values came from the server — don't send them back
+        var registry = _tableFieldDefinitions(tableId);
+        var writable = {};
+        Object.keys(fields).forEach(function(name) {
+            var def = registry && registry.byKey[name];
+            if (name.charAt(0) !== '_' && !(def && _isReadOnlyFieldDef(def))) writable[name] = cloneRecord(fields[name]);
+        });
+        var newId = await createRecord(tableId, writable, { validate: false });
+        _undoIdMap[recordId] = newId;
+        return newId;
+    }
+
+    // Apply one step backwards (undo) or forwards (redo).
+    // Returns { tableId, recordId } of the record it touched.
+    async function _applyUndoStep(step, backwards, provenance) {
+        var tableId = step.tableId;
+        var recordId = _undoRecordId(step.recordId);
+
+        if (step.kind === 'fields') {
+            var current = await _readLocalFields(recordId);
+            if (!current) throw new Error('Record not found locally: ' + recordId);
+            var names = Object.keys(Object.assign({}, step.before, step.after));
+            var ops = _revertFieldOps(current, backwards ? step.before : step.after, names, tableId);
+            var replay = { provenance: provenance, validate: false };
+            if (Object.keys(ops.ALT).length) await queueOfflineMutation(tableId, recordId, ops.ALT, 'ALT', replay);
+            if (ops.NUL.length) await queueOfflineMutation(tableId, recordId, ops.NUL, 'NUL', replay);
+        } else if ((step.kind === 'create') === backwards) {
+            // Undo a create, redo a delete
+            await deleteRecord(tableId, recordId);
+        } else {
+            // Undo a delete, redo a create
+            recordId = await _reviveRecord(tableId, recordId, step.fields);
+        }
+        return { tableId: tableId, recordId: recordId };
+    }
+
+    // Move the newest entry from one stack to the other, applying it.
+    // An entry that fails partway is dropped (the steps already applied
+    // stay) and the error is rethrown.
+    async function _replayUndoEntry(backwards) {
+        if (!_db) throw new Error('Database not open');
+        var from = backwards ? _undoStack : _redoStack;
+        if (_undoReplaying || _openUndoGroups || from.length === 0) return null;
+
+        var entry = from.pop();
+        var provenance = { kind: backwards ? 'undo' : 'redo', note: (backwards ? 'Undo: ' : 'Redo: ') + entry.label };
+        var steps = backwards ? entry.steps.slice().reverse() : entry.steps;
+        var records = [];
+
+        _undoReplaying = true;
+        try {
+            for (var i = 0; i < steps.length; i++) {
+                records.push(await _applyUndoStep(steps[i], backwards, provenance));
+            }
+        } catch (err) {
+            _emitUndoStackChanged();
+            throw err;
+        } finally {
+            _undoReplaying = false;
+        }
+
+        var to = backwards ? _redoStack : _undoStack;
+        to.push(entry);
+        if (to.length > UNDO_HISTORY_LIMIT) to.shift();
+        _emitUndoStackChanged();
+
+        if (!_offlineMode) {
+            try {
+                await flushPendingMutations();
+            } catch (err) {
+                console.warn('[AminoData] ' + provenance.note + ' queued; flush failed:', err.message || err);
+            }
+        }
+
+        return { action: provenance.kind, label: entry.label, records: records };
+    }
+
+    // Undo the most recent change (across all tables).
+    // Returns { action: 'undo', label, records: [{ tableId, recordId }] },
+    // or null when there is nothing to undo.
+    async function undo() {
+        return _replayUndoEntry(true);
+    }
+
+    // Re-apply the most recently undone change. Same result shape as undo().
+    async function redo() {
+        return _replayUndoEntry(false);
+    }
+
+    function canUndo() {
+        return _undoStack.length > 0;
+    }
+
+    function canRedo() {
+        return _redoStack.length > 0;
+    }
+
+    // Newest first: { undo: [{ label, at, steps }], redo: [...] }
+    function getUndoHistory() {
+        function summary(entry) {
+            return { label: entry.label, at: entry.at, steps: entry.steps.length };
+        }
+        return {
+            undo: _undoStack.slice().reverse().map(summary),
+            redo: _redoStack.slice().reverse().map(summary)
+        };
+    }
+
+    function clearUndoHistory() {
+        _undoStack = [];
+        _redoStack = [];
+        _undoIdMap = {};
+        _emitUndoStackChanged();
+    }
+
     // ============ Public API ============
 
     return {
@@ -2329,18 +9130,42 @@ var AminoData = (function() {
         getRecord: getRecord,
         searchRecords: searchRecords,
         searchRecordsFast: searchRecordsFast,
+        searchRanked: searchRanked,
+        parseSearchQuery: parseSearchQuery,
         getSearchIndex: getSearchIndex,
         getTableRecordsCached: getTableRecordsCached,
         getRecordCached: getRecordCached,
         getTables: getTables,
 
+        // Structured query (filter groups, typed comparisons, sort, paging)
+        query: query,
+        matchesQuery: matchesQuery,
+
+        // Field indexes (in-memory equality and range lookups)
+        defineIndex: defineIndex,
+        defineIndexes: defineIndexes,
+        dropIndex: dropIndex,
+        getIndexDefinitions: getIndexDefinitions,
+        findByIndex: findByIndex,
+        findByIndexRange: findByIndexRange,
+        findIdsByIndexCached: findIdsByIndexCached,
+
+        // Live query subscriptions (incremental result diffs)
+        subscribe: subscribe,
+
         // Sync
         syncTable: syncTable,
+        syncEventStream: syncEventStream,
         startPolling: startPolling,
         stopPolling: stopPolling,
+        setActiveTable: setActiveTable,
+        getPollingSchedule: getPollingSchedule,
         triggerAirtableSync: triggerAirtableSync,
         getAirtableSyncStatus: getAirtableSyncStatus,
 
+        // Cross-tab leadership (one tab polls, hydrates and flushes)
+        getLeadershipStatus: getLeadershipStatus,
+
         // Event payload decryption (for reading historical room data in UI)
         decryptEventPayload: decryptEventPayload,
         isEncryptedPayload: isEncryptedPayload,
@@ -2352,6 +9177,15 @@ var AminoData = (function() {
         restoreView: restoreView,
         getViewDeletionHistory: getViewDeletionHistory,
 
+        // Encryption key rotation (resumable; either password finishes it)
+        rotateEncryptionKey: rotateEncryptionKey,
+
+        // Backup & restore (passphrase-encrypted archive of the local database)
+        exportBackup: exportBackup,
+        exportBackupStream: exportBackupStream,
+        importBackup: importBackup,
+        registerBackupSource: registerBackupSource,
+
         // Session lifecycle
         setAccessToken: setAccessToken,
         logout: logout,
@@ -2368,12 +9202,69 @@ var AminoData = (function() {
         getLastSyncTime: getLastSyncTime,
         getLocalRecordCount: getLocalRecordCount,
 
+        // Storage quota & cold-table eviction
+        getStorageEstimate: getStorageEstimate,
+        requestPersistentStorage: requestPersistentStorage,
+        getStorageReport: getStorageReport,
+        getStoragePolicy: getStoragePolicy,
+        setStoragePolicy: setStoragePolicy,
+        setTablePinned: setTablePinned,
+        evictTable: evictTable,
+        rehydrateTable: rehydrateTable,
+        enforceStoragePolicy: enforceStoragePolicy,
+
+        // Offline documents (encrypted attachment / Box file cache)
+        getRecordAttachments: getRecordAttachments,
+        getAttachment: getAttachment,
+        pinRecordAttachments: pinRecordAttachments,
+        unpinRecordAttachments: unpinRecordAttachments,
+        isRecordPinnedOffline: isRecordPinnedOffline,
+        getAttachmentPins: getAttachmentPins,
+        refreshAttachmentPins: refreshAttachmentPins,
+        downloadQueuedAttachments: downloadQueuedAttachments,
+
+        // Schema & data migrations
+        runMigrations: runMigrations,
+        getMigrationStatus: getMigrationStatus,
+
+        // Upstream deletion reconciliation
+        reconcileTable: reconcileTable,
+        getReconciliationStatus: getReconciliationStatus,
+        getRecordTombstone: getRecordTombstone,
+
+        // Mirror integrity (Merkle-style hash comparison with the server)
+        verifyTableIntegrity: verifyTableIntegrity,
+        getIntegrityStatus: getIntegrityStatus,
+
         // Offline write queue
         queueOfflineMutation: queueOfflineMutation,
         flushPendingMutations: flushPendingMutations,
         getPendingMutationCount: getPendingMutationCount,
         getPendingMutations: getPendingMutations,
 
+        // Offline write conflicts (three-way field merge)
+        getConflicts: getConflicts,
+        resolveConflict: resolveConflict,
+        setConflictPolicy: setConflictPolicy,
+        getConflictPolicy: getConflictPolicy,
+
+        // Dead-letter store (discarded mutations)
+        getDeadLetters: getDeadLetters,
+        getDeadLetterCount: getDeadLetterCount,
+        updateDeadLetter: updateDeadLetter,
+        requeueDeadLetter: requeueDeadLetter,
+        deleteDeadLetter: deleteDeadLetter,
+        exportDeadLetters: exportDeadLetters,
+
+        // Atomic multi-record transactions
+        transaction: transaction,
+        isTempRecordId: isTempRecordId,
+
+        // Record creation / deletion (temporary ids, tombstones)
+        createRecord: createRecord,
+        deleteRecord: deleteRecord,
+        resolveRecordId: resolveRecordId,
+
         // State
         isInitialized: isInitialized,
         isOffline: isOffline,
@@ -2390,8 +9281,28 @@ var AminoData = (function() {
         fetchEventsSince: fetchEventsSince,
         fetchEventsBySet: fetchEventsBySet,
 
-        // Constants (read-only access)
-        WEBHOOK_BASE_URL: WEBHOOK_BASE_URL,
-        BOX_DOWNLOAD_WEBHOOK: BOX_DOWNLOAD_WEBHOOK
+        // Point-in-time reconstruction (local event store) and revert
+        getRecordAt: getRecordAt,
+        getTableAt: getTableAt,
+        revertRecord: revertRecord,
+        revertField: revertField,
+
+        // Write validation against field definitions
+        setFieldRegistry: setFieldRegistry,
+        validateMutation: validateMutation,
+
+        // Undo / redo (session history of local edits, creates and deletes)
+        undo: undo,
+        redo: redo,
+        canUndo: canUndo,
+        canRedo: canRedo,
+        groupUndo: groupUndo,
+        trackUndoableEdit: trackUndoableEdit,
+        getUndoHistory: getUndoHistory,
+        clearUndoHistory: clearUndoHistory,
+
+        // Backend transport
+        getTransport: getTransport,
+        setTransport: setTransport
     };
 })();
@@ -63,6 +63,13 @@ var AminoHydration = (function() {
         // Whether to allow parallel table hydration (experimental)
         PARALLEL_TABLES: false,
         PARALLEL_TABLE_CONCURRENCY: 3,
+
+        // Event-stream sync (sync mode 'event-stream', see EVENT STREAM)
+        EVENT_STREAM_PAGE_SIZE: 500,        // Events per request
+        EVENT_STREAM_MAX_PAGES: 10,         // Requests per sync call; the rest waits for the next one
+        EVENT_STREAM_MAX_AGE_MS: 604800000, // 7 days — an older cursor may predate the pruned log
+        EVENT_STREAM_RESTART_MARGIN_MS: 3600000, // 1 hour replayed after a restart (clock skew margin)
+        EVENT_STREAM_MAX_RECORD_FETCHES: 20, // Unknown records fetched singly per call before a table falls back
     };
 
     // ========================================================================
@@ -85,6 +92,10 @@ var AminoHydration = (function() {
         return false;
     }
 
+    function isEventProcessed(eventId) {
+        return !!eventId && !!_processedEventIds[eventId];
+    }
+
     function _pruneProcessedEvents() {
         var ids = Object.keys(_processedEventIds);
         if (ids.length <= config.MAX_PROCESSED_EVENTS) return;
@@ -208,13 +219,16 @@ var AminoHydration = (function() {
                 return existing.lastSynced;
             }
 
-            var syncTx = ctx.db.transaction('sync', 'readwrite');
-            await ctx.idbPut(syncTx.objectStore('sync'), {
+            // Other per-table state (eviction flag, reconciliation time) is
+            // stored on the same entry — carry it over
+            var entry = Object.assign({}, existing || {}, {
                 tableId: tableId,
                 lastSynced: newCursor,
                 cursorSource: source || 'unknown',
                 updatedAt: new Date().toISOString()
             });
+            var syncTx = ctx.db.transaction('sync', 'readwrite');
+            await ctx.idbPut(syncTx.objectStore('sync'), entry);
             await ctx.idbTxDone(syncTx);
 
             console.log('[Hydration] Cursor for', tableId, 'advanced to', newCursor,
@@ -354,7 +368,9 @@ var AminoHydration = (function() {
     }
 
     // Batch-write records to IndexedDB + cache. Handles encryption.
+    // Hosts with an off-main-thread pipeline provide ctx.writeRecords.
     async function writeRecordBatch(ctx, records, tableId) {
+        if (ctx.writeRecords) return ctx.writeRecords(records, tableId);
         var prepared = await ctx.prepareEncryptedRecords(records, tableId);
         var tx = ctx.db.transaction('records', 'readwrite');
         var store = tx.objectStore('records');
@@ -387,8 +403,9 @@ var AminoHydration = (function() {
         var onProgress = options.onProgress || null;
 
         console.log('[Hydration] Tier bulk-download: fetching all records in one request');
+        if (!ctx.boxDownloadUrl) throw new Error('No Box download webhook configured');
         var matrixToken = ctx.getAuthToken();
-        var url = ctx.BOX_DOWNLOAD_WEBHOOK + '?access_token=' + encodeURIComponent(matrixToken);
+        var url = ctx.boxDownloadUrl + '?access_token=' + encodeURIComponent(matrixToken);
 
         var response = await fetch(url, {
             method: 'POST',
@@ -502,7 +519,7 @@ var AminoHydration = (function() {
 
     // Hydrate a single table — full fetch, clear-before-write.
     async function hydrateTableFromPostgres(ctx, tableId) {
-        var data = await ctx.apiFetch('/amino-records?tableId=' + encodeURIComponent(tableId), 'fullBackfill');
+        var data = await ctx.transport.fetchRecords(tableId, null, 'fullBackfill');
         var records = filterDataRecords(data.records || []);
 
         if (ctx.onlineOnlyMode) {
@@ -550,15 +567,15 @@ var AminoHydration = (function() {
         }
 
         // Incremental sync
-        var data = await ctx.apiFetch(
-            '/amino-records-since?tableId=' + encodeURIComponent(tableId) +
-            '&since=' + encodeURIComponent(since),
-            'incrementalBackfill'
-        );
+        var data = await ctx.transport.fetchRecords(tableId, since, 'incrementalBackfill');
         var records = filterDataRecords(data.records || []);
 
         if (records.length > 0) {
-            await writeRecordsBatched(ctx, records, tableId);
+            // Normalize like full hydration — raw JSONB string fields would
+            // otherwise be stored double-encoded
+            await writeRecordsBatched(ctx, records.map(function(rec) {
+                return normalizeRecord(rec, tableId);
+            }), tableId);
         }
 
         // Advance cursor — server-authoritative, never regress
@@ -570,6 +587,202 @@ var AminoHydration = (function() {
         return { count: records.length, cursor: writtenCursor };
     }
 
+    // ========================================================================
+    // EVENT STREAM — One ordered change feed instead of a request per table.
+    //
+    // In 'event-stream' sync mode the host polls the global event log
+    // (transport.fetchEvents({ since })) rather than every table. Events are
+    // applied in (createdAt, id) order through applyFieldOps, routed to their
+    // table by `set`, and the stream position is one cursor in the sync store
+    // under EVENT_STREAM_CURSOR_ID. Re-applying an event is harmless, so a
+    // restart simply replays a margin of the log.
+    //
+    // Gaps fall back to per-table sync (syncTableFromPostgres) by the host:
+    //   gap 'all'    — no stream cursor yet, a cursor older than
+    //                  EVENT_STREAM_MAX_AGE_MS, or a response flagged
+    //                  gap: true by the server (`since` predates its log),
+    //                  or a full page whose events all share one createdAt.
+    //                  The cursor restarts just before now, so every table
+    //                  has to catch up once.
+    //   gapTables    — an event with no usable field ops, or edits to more
+    //                  records this device doesn't hold than
+    //                  EVENT_STREAM_MAX_RECORD_FETCHES (fewer are fetched).
+    // Events for tables outside ctx.tableIds (evicted, unknown) are skipped.
+    // ========================================================================
+
+    var EVENT_STREAM_CURSOR_ID = '_eventStream';
+
+    // Log order: createdAt, then the server's serial id.
+    function compareEvents(a, b) {
+        var ta = a.createdAt || '';
+        var tb = b.createdAt || '';
+        if (ta !== tb) return ta < tb ? -1 : 1;
+        return (a.id || 0) - (b.id || 0);
+    }
+
+    // Table an event belongs to. Events imported from Airtable carry
+    // 'airtable:' + tableId in `set`.
+    function eventTableId(event) {
+        return event.set ? String(event.set).replace(/^airtable:/, '') : null;
+    }
+
+    // { ALT, INS, NUL } for an event, or null when the payload has none.
+    function eventFieldOps(event) {
+        var payload = event.payload || {};
+        if (typeof payload === 'string') {
+            try { payload = JSON.parse(payload); } catch (e) { return null; }
+        }
+        var fieldOps = normalizeFieldOps(payload);
+        if (!fieldOps.ALT && !fieldOps.INS && !fieldOps.NUL && event.operator && payload.fields) {
+            fieldOps = normalizeFieldOps({ op: event.operator, fields: payload.fields });
+        }
+        return fieldOps.ALT || fieldOps.INS || fieldOps.NUL ? fieldOps : null;
+    }
+
+    async function _restartEventStream(ctx, reason, result) {
+        var restartAt = new Date(Date.now() - config.EVENT_STREAM_RESTART_MARGIN_MS).toISOString();
+        var existing = await VersionTracker.readCursor(ctx, EVENT_STREAM_CURSOR_ID);
+        var entry = Object.assign({}, existing || {}, {
+            tableId: EVENT_STREAM_CURSOR_ID,
+            lastSynced: restartAt,
+            cursorSource: 'stream-restart',
+            updatedAt: new Date().toISOString()
+        });
+        var syncTx = ctx.db.transaction('sync', 'readwrite');
+        await ctx.idbPut(syncTx.objectStore('sync'), entry);
+        await ctx.idbTxDone(syncTx);
+        console.log('[Hydration] Event stream restarted at', restartAt, '(' + reason + ') — every table catches up once');
+        result.gap = 'all';
+        result.gapReason = reason;
+        result.cursor = restartAt;
+        return result;
+    }
+
+    // Apply one page of events. Fills result.tables (tableId → changed
+    // record ids) and gapTables. Events count as processed only once the
+    // page is written: if a fetch or write throws, the cursor stays put and
+    // the retry has to apply them again.
+    async function _applyStreamEvents(ctx, events, tableSet, gapTables, budget, result) {
+        var byRecord = {};
+        var recordIds = [];
+        var seen = [];
+        for (var i = 0; i < events.length; i++) {
+            var evt = events[i];
+            var tableId = eventTableId(evt);
+            if (!tableSet[tableId] || gapTables[tableId] || !evt.recordId) continue;
+            if (isEventProcessed('stream:' + evt.id)) continue;
+            seen.push('stream:' + evt.id);
+            var fieldOps = eventFieldOps(evt);
+            if (!fieldOps) {
+                console.warn('[Hydration] Event', evt.id, 'has no field operations — falling back to a table sync for', tableId);
+                gapTables[tableId] = true;
+                continue;
+            }
+            if (!byRecord[evt.recordId]) {
+                byRecord[evt.recordId] = { tableId: tableId, events: [] };
+                recordIds.push(evt.recordId);
+            }
+            byRecord[evt.recordId].events.push({ createdAt: evt.createdAt, fieldOps: fieldOps });
+        }
+        if (!recordIds.length) return;
+
+        var current = {};
+        var local = await ctx.readRecords(recordIds);
+        for (var l = 0; l < local.length; l++) {
+            if (local[l]) current[local[l].id] = local[l];
+        }
+
+        var changed = {};   // tableId -> [record]
+        for (var r = 0; r < recordIds.length; r++) {
+            var recordId = recordIds[r];
+            var entry = byRecord[recordId];
+            if (gapTables[entry.tableId]) continue;
+            var record = current[recordId];
+            // Tombstones belong to deletion reconciliation
+            if (record && record.deleted) continue;
+            if (!record && !entry.events[0].fieldOps.INS) {
+                // Edited upstream but never seen here — fetch it whole
+                if (budget.fetches >= config.EVENT_STREAM_MAX_RECORD_FETCHES) {
+                    gapTables[entry.tableId] = true;
+                    continue;
+                }
+                budget.fetches++;
+                var data = await ctx.transport.fetchRecord(recordId, 'incrementalBackfill');
+                if (!data || !data.record) continue;
+                record = normalizeRecord(data.record, entry.tableId);
+                (changed[entry.tableId] = changed[entry.tableId] || []).push(record);
+                continue;
+            }
+            if (!record) {
+                record = { id: recordId, tableId: entry.tableId, tableName: _getTableName(ctx, entry.tableId), fields: {} };
+            }
+            for (var e = 0; e < entry.events.length; e++) {
+                applyFieldOps(record.fields, entry.events[e].fieldOps);
+                record.lastSynced = entry.events[e].createdAt;
+            }
+            (changed[entry.tableId] = changed[entry.tableId] || []).push(record);
+        }
+
+        for (var changedTable in changed) {
+            await writeRecordsBatched(ctx, changed[changedTable], changedTable);
+            var ids = result.tables[changedTable] || (result.tables[changedTable] = []);
+            for (var c = 0; c < changed[changedTable].length; c++) ids.push(changed[changedTable][c].id);
+        }
+        for (var m = 0; m < seen.length; m++) markEventProcessed(seen[m]);
+    }
+
+    // Pull and apply the event log since the stream cursor.
+    // Returns { events, tables: { tableId: [recordId] }, gap: null|'all',
+    //           gapReason?, gapTables: [tableId], cursor, more }
+    // `more` is set when EVENT_STREAM_MAX_PAGES was reached with events left.
+    async function syncFromEventStream(ctx) {
+        var result = { events: 0, tables: {}, gap: null, gapTables: [], cursor: null, more: false };
+        var cursor = await VersionTracker.readCursor(ctx, EVENT_STREAM_CURSOR_ID);
+        var since = cursor ? cursor.lastSynced : null;
+        if (!since) return _restartEventStream(ctx, 'no-cursor', result);
+        if (Date.now() - new Date(since).getTime() > config.EVENT_STREAM_MAX_AGE_MS) {
+            return _restartEventStream(ctx, 'cursor-expired', result);
+        }
+        result.cursor = since;
+
+        var tableSet = {};
+        for (var t = 0; t < ctx.tableIds.length; t++) tableSet[ctx.tableIds[t]] = true;
+        var gapTables = {};
+        var budget = { fetches: 0 };
+
+        for (var page = 0; page < config.EVENT_STREAM_MAX_PAGES; page++) {
+            var data = await ctx.transport.fetchEvents({ since: since, limit: config.EVENT_STREAM_PAGE_SIZE }, 'incrementalBackfill');
+            if (data && data.gap) return _restartEventStream(ctx, 'server-gap', result);
+            var events = (data && data.events || []).slice().sort(compareEvents);
+            if (!events.length) break;
+
+            var full = events.length >= config.EVENT_STREAM_PAGE_SIZE;
+            if (full) {
+                // `since` is exclusive: a full page may end partway through a
+                // timestamp, so leave that timestamp's events for the next page
+                var lastTs = events[events.length - 1].createdAt;
+                var cut = events.length;
+                while (cut > 0 && events[cut - 1].createdAt === lastTs) cut--;
+                // The whole page shares one timestamp: paging can't get past
+                // it without skipping the rest, so every table catches up
+                if (cut === 0) return _restartEventStream(ctx, 'page-overflow', result);
+                events = events.slice(0, cut);
+            }
+
+            // Keep them for point-in-time views (see Local Event Store in data-layer.js)
+            if (ctx.storeEvents) await ctx.storeEvents(events);
+            await _applyStreamEvents(ctx, events, tableSet, gapTables, budget, result);
+            since = events[events.length - 1].createdAt;
+            result.cursor = await VersionTracker.writeCursor(ctx, EVENT_STREAM_CURSOR_ID, since, 'event-stream');
+            result.events += events.length;
+            if (!full) break;
+            if (page === config.EVENT_STREAM_MAX_PAGES - 1) result.more = true;
+        }
+
+        result.gapTables = Object.keys(gapTables);
+        return result;
+    }
+
     // Hydrate all tables from Postgres, respecting TABLE_ORDER config.
     async function tierPostgres(ctx, options) {
         var onProgress = options.onProgress || null;
@@ -1233,6 +1446,38 @@ var AminoHydration = (function() {
         }
     }
 
+    // ========================================================================
+    // SYNC MODE
+    //
+    // How the host keeps hydrated tables current. Persisted to localStorage.
+    //   'tables'       — Default. Poll every table's incremental endpoint.
+    //   'event-stream' — Poll the global event log once per cycle (see
+    //                    EVENT STREAM); tables are synced one by one only
+    //                    after a gap.
+    // ========================================================================
+
+    var SYNC_MODE_KEY = 'amino_sync_mode';
+    var SYNC_MODES = { 'tables': true, 'event-stream': true };
+
+    function getSyncMode() {
+        try {
+            var mode = localStorage.getItem(SYNC_MODE_KEY);
+            return SYNC_MODES[mode] ? mode : 'tables';
+        } catch (e) {
+            return 'tables';
+        }
+    }
+
+    function setSyncMode(mode) {
+        if (!SYNC_MODES[mode]) throw new Error('Unknown sync mode: ' + mode);
+        try {
+            localStorage.setItem(SYNC_MODE_KEY, mode);
+        } catch (e) {
+            console.warn('[Hydration] Could not persist sync mode:', e);
+        }
+        console.log('[Hydration] Sync mode set to:', mode);
+    }
+
     // Pending CSV file — set by the UI before calling run().
     // Not persisted (File objects can't be serialized).
     var _pendingCSVFile = null;
@@ -1269,6 +1514,8 @@ var AminoHydration = (function() {
         // Hydration source selection
         getHydrationSource: getHydrationSource,
         setHydrationSource: setHydrationSource,
+        getSyncMode: getSyncMode,
+        setSyncMode: setSyncMode,
         getHydrationURL: getHydrationURL,
         setHydrationURL: setHydrationURL,
         setPendingCSVFile: setPendingCSVFile,
@@ -1279,6 +1526,7 @@ var AminoHydration = (function() {
         isOptimisticEcho: isOptimisticEcho,
         trackOptimisticWrite: trackOptimisticWrite,
         pruneOptimisticWrites: pruneOptimisticWrites,
+        looseFieldEqual: _looseFieldEqual,
 
         // Version tracking (used by data-layer for sync cursors)
         VersionTracker: VersionTracker,
@@ -1290,6 +1538,11 @@ var AminoHydration = (function() {
         normalizeFieldOps: normalizeFieldOps,
         applyFieldOps: applyFieldOps,
 
+        // Event log entries (used by data-layer for point-in-time replay)
+        eventFieldOps: eventFieldOps,
+        eventTableId: eventTableId,
+        compareEvents: compareEvents,
+
         // Record pipeline
         normalizeRecord: normalizeRecord,
         writeRecordsBatched: writeRecordsBatched,
@@ -1300,6 +1553,8 @@ var AminoHydration = (function() {
         tierCSV: tierCSV,
         tierURL: tierURL,
         syncTableFromPostgres: syncTableFromPostgres,
+        syncFromEventStream: syncFromEventStream,
+        EVENT_STREAM_CURSOR_ID: EVENT_STREAM_CURSOR_ID,
         hydrateTableFromPostgres: hydrateTableFromPostgres,
 
         // CSV parsing utilities (exposed for direct use)
@@ -1331,13 +1586,10 @@ var AminoHydration = (function() {
 //       tables: _tables,
 //       onlineOnlyMode: _onlineOnlyMode,
 //       deferEncryption: _deferEncryption,
-//       BOX_DOWNLOAD_WEBHOOK: BOX_DOWNLOAD_WEBHOOK,
+//       boxDownloadUrl: getTransport().boxDownloadUrl || null,
 //
 //       // Auth
-//       getAuthToken: function() {
-//           return (typeof MatrixClient !== 'undefined' && MatrixClient.getAccessToken && MatrixClient.getAccessToken())
-//               ? MatrixClient.getAccessToken() : _accessToken;
-//       },
+//       getAuthToken: _getReadToken,
 //
 //       // IDB helpers
 //       idbPut: idbPut,
@@ -1347,16 +1599,21 @@ var AminoHydration = (function() {
 //
 //       // Record pipeline
 //       prepareEncryptedRecords: prepareEncryptedRecords,
+//       writeRecords: writeRecordBatch,   // optional: encrypt + write + cache in the crypto worker
 //       cacheRecord: cacheRecord,
 //       cacheFullTable: cacheFullTable,
 //       deleteTableRecords: deleteTableRecords,
+//       storeEvents: _storeEvents,        // optional: keep stream events for point-in-time views
+//       readRecords: function(ids) {      // event stream: stored records by id, fields decrypted
+//           return _readDecrypted('records', 'fields', { ids: ids });
+//       },
 //
 //       // Encryption
 //       encrypt: function(plaintext) { return encrypt(_cryptoKey, plaintext); },
 //       decrypt: function(ciphertext) { return decrypt(_cryptoKey, ciphertext); },
 //
-//       // API
-//       apiFetch: apiFetch,
+//       // Backend transport (see transport.js)
+//       transport: _transport,
 //
 //       // Events
 //       emitEvent: function(name, detail) {
@@ -1,7 +1,9 @@
-const CACHE_NAME = 'amino-shell-v3';
+const CACHE_NAME = 'amino-shell-v5';
 const PRECACHE_URLS = [
   './',
   './index.html',
+  './transport.js',
+  './crypto-worker.js',
   './hydration.js',
   './data-layer.js',
   './matrix.js',
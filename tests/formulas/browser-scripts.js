@@ -0,0 +1,82 @@
+/**
+ * Loads the app's browser scripts (transport.js, hydration.js,
+ * data-layer.js) into a VM context with the browser globals they use.
+ * Their `var` globals (AminoTransport, AminoHydration, AminoData) end up on
+ * the context.
+ *
+ * IndexedDB comes from the fake-indexeddb package; scripts that don't open
+ * a database load without it.
+ */
+
+import vm from 'vm';
+import { readFileSync } from 'fs';
+import { createRequire } from 'module';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..', '..');
+const require = createRequire(import.meta.url);
+
+// A fresh, empty IndexedDB per context: the data layer always opens the
+// same database name
+function loadIndexedDB() {
+  let fake;
+  try {
+    fake = require('fake-indexeddb');
+  } catch (e) {
+    throw new Error('These tests need the fake-indexeddb package: npm install --no-save fake-indexeddb');
+  }
+  return { indexedDB: new fake.IDBFactory(), IDBKeyRange: fake.IDBKeyRange };
+}
+
+export function loadBrowserScripts(files, options = {}) {
+  class CustomEvent extends Event {
+    constructor(type, init) {
+      super(type);
+      this.detail = init && init.detail;
+    }
+  }
+  const storage = {};
+  const window = new EventTarget();
+  const context = {
+    // The scripts log every step; keep the test output to failures
+    console: { ...console, log() {}, info() {}, debug() {}, warn() {} },
+    setTimeout, clearTimeout, setInterval, clearInterval,
+    Promise, JSON, Math, Date, Uint8Array, ArrayBuffer,
+    TextEncoder, TextDecoder, crypto: globalThis.crypto, btoa, atob, structuredClone,
+    Blob, Response, ReadableStream, WritableStream, AbortController, URLSearchParams,
+    CustomEvent,
+    window,
+    addEventListener: window.addEventListener.bind(window),
+    dispatchEvent: window.dispatchEvent.bind(window),
+    document: { hidden: false, visibilityState: 'visible', addEventListener() {}, removeEventListener() {} },
+    navigator: {},
+    localStorage: {
+      getItem: key => (key in storage ? storage[key] : null),
+      setItem: (key, value) => { storage[key] = String(value); },
+      removeItem: key => { delete storage[key]; }
+    },
+    // Nothing is reachable: all backend traffic goes through the transport
+    fetch: async () => new Response('{}', { status: 404 }),
+    ...(options.indexedDB ? loadIndexedDB() : {})
+  };
+  context.self = context;
+  vm.createContext(context);
+  for (const file of files) {
+    vm.runInContext(readFileSync(join(root, file), 'utf-8'), context, { filename: file });
+  }
+  return context;
+}
+
+// A data layer unlocked against an in-memory backend seeded with `seed`
+// (see AminoTransport.createMemoryAdapter). Returns { context, AminoData,
+// backend }; every call gets its own database.
+export async function openDataLayer(seed, password = 'correct horse') {
+  const context = loadBrowserScripts(['transport.js', 'hydration.js', 'data-layer.js'], { indexedDB: true });
+  const { AminoData, AminoTransport } = context;
+  const backend = AminoTransport.createMemoryAdapter(seed);
+  AminoData.setTransport(backend);
+  await AminoData.init('token', '@test:example.org', password);
+  await AminoData.hydrateAll();
+  return { context, AminoData, backend };
+}
@@ -1,5 +1,7 @@
 /**
- * Test Runner — runs all formula engine tests
+ * Test Runner — runs all formula engine and data layer tests
+ *
+ * The data layer tests need the fake-indexeddb package for IndexedDB.
  *
  * Usage: node --experimental-vm-modules tests/formulas/run-all.js
  */
@@ -15,6 +17,16 @@ const tests = [
   'test-compiler.js',
   'test-eo-ir.js',
   'test-registry.js',
+  'test-offline-conflicts.js',
+  'test-transactions.js',
+  'test-records.js',
+  'test-search.js',
+  'test-unlock.js',
+  'test-backup.js',
+  'test-event-stream.js',
+  'test-history.js',
+  'test-revert.js',
+  'test-validation.js',
 ];
 
 let allPassed = true;
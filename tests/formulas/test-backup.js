@@ -0,0 +1,136 @@
+/**
+ * Tests for backup archives (AMINOBAK): exporting and restoring into
+ * another profile, and rejecting a wrong passphrase or a truncated,
+ * modified or padded archive before any local data is touched.
+ *
+ * Run with: node --experimental-vm-modules tests/formulas/test-backup.js
+ */
+
+import { openDataLayer } from './browser-scripts.js';
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    passed++;
+  } else {
+    failed++;
+    console.error('FAIL:', message);
+  }
+}
+
+const tables = [{ table_id: 'tblClients', table_name: 'Clients' }];
+const PASSPHRASE = 'a long backup passphrase';
+
+async function importError(AminoData, file, passphrase, options) {
+  try {
+    await AminoData.importBackup(file, passphrase, options);
+    return null;
+  } catch (e) {
+    return e;
+  }
+}
+
+// Byte ranges of the archive's frames: 'AMINOBAK' | u32 | header | (u32 | frame)...
+async function frameRanges(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  const view = new DataView(bytes.buffer);
+  let offset = 8 + 4 + view.getUint32(8);
+  const ranges = [];
+  while (offset < bytes.length) {
+    const end = offset + 4 + view.getUint32(offset);
+    ranges.push([offset, end]);
+    offset = end;
+  }
+  return { bytes, ranges };
+}
+
+// ── Source Profile ────────────────────────────────────────────
+
+const source = await openDataLayer({
+  tables,
+  records: {
+    tblClients: [
+      { id: 'recLee', fields: { Name: 'Lee', Phone: '555-0100' } },
+      { id: 'recAna', fields: { Name: 'Ana' } }
+    ]
+  }
+});
+await source.AminoData.queueOfflineMutation('tblClients', 'recLee', { Phone: '555-0199' }, 'ALT');
+const archive = await source.AminoData.exportBackup(PASSPHRASE);
+
+// ── Round Trip ────────────────────────────────────────────────
+
+console.log('=== Backup Round Trip Tests ===');
+
+{
+  const text = new TextDecoder().decode(new Uint8Array(await archive.slice(0, 8).arrayBuffer()));
+  assert(text === 'AMINOBAK', 'the archive starts with the AMINOBAK magic');
+  const { bytes } = await frameRanges(archive);
+  assert(!new TextDecoder().decode(bytes).includes('555-0100'), 'record values are not readable in the archive');
+}
+
+{
+  const { AminoData } = await openDataLayer({ tables, records: { tblClients: [] } });
+  const result = await AminoData.importBackup(archive, PASSPHRASE);
+  assert(result.stores.records === 2, 'the restore reports every record');
+  assert((await AminoData.getRecord('recAna')).fields.Name === 'Ana', 'records are restored');
+  assert((await AminoData.getRecord('recLee')).fields.Phone === '555-0199', 'records keep their unflushed local edits');
+  const pending = await AminoData.getPendingMutations();
+  assert(pending.length === 1 && pending[0].fields.Phone === '555-0199', 'the offline queue is restored');
+}
+
+{
+  const { AminoData } = await openDataLayer({ tables, records: { tblClients: [{ id: 'recOther', fields: { Name: 'Kim' } }] } });
+  const error = await importError(AminoData, archive, PASSPHRASE);
+  assert(error && /not empty/.test(error.message), 'a restore will not mix into existing data');
+  await AminoData.importBackup(archive, PASSPHRASE, { overwrite: true });
+  assert((await AminoData.getRecord('recOther')) === null, 'an overwrite replaces the existing data');
+  assert((await AminoData.getTableRecords('tblClients')).length === 2, 'an overwrite restores the archive');
+}
+
+// ── Rejected Archives ─────────────────────────────────────────
+
+console.log('=== Backup Rejection Tests ===');
+
+{
+  // Each rejected import must leave this profile as it was
+  const { context, AminoData } = await openDataLayer({ tables, records: { tblClients: [{ id: 'recOther', fields: { Name: 'Kim' } }] } });
+  const { Blob } = context;
+  const { bytes, ranges } = await frameRanges(archive);
+  const untouched = async () => (await AminoData.getRecord('recOther')) !== null;
+
+  let error = await importError(AminoData, archive, 'the wrong passphrase', { overwrite: true });
+  assert(error && error.message === 'Wrong backup passphrase', 'a wrong passphrase is reported as such');
+  assert(await untouched(), 'a wrong passphrase leaves local data alone');
+
+  error = await importError(AminoData, archive.slice(0, archive.size - 10), PASSPHRASE, { overwrite: true });
+  assert(error && error.message === 'Backup file is truncated', 'a truncated archive is rejected');
+  assert(await untouched(), 'a truncated archive leaves local data alone');
+
+  const altered = bytes.slice();
+  const [start, end] = ranges[ranges.length - 1];
+  altered[Math.floor((start + end) / 2)] ^= 0xff;
+  error = await importError(AminoData, new Blob([altered]), PASSPHRASE, { overwrite: true });
+  assert(error && error.message === 'Backup file is corrupt or was modified', 'a modified frame is rejected');
+  assert(await untouched(), 'a modified frame leaves local data alone');
+
+  // Dropping a data frame shifts every later frame's position
+  const dropped = new Blob([bytes.slice(0, ranges[0][0]), bytes.slice(ranges[0][1])]);
+  error = await importError(AminoData, dropped, PASSPHRASE, { overwrite: true });
+  assert(error, 'an archive with a frame removed is rejected');
+  assert(await untouched(), 'a removed frame leaves local data alone');
+
+  error = await importError(AminoData, new Blob([bytes, new Uint8Array([1, 2, 3])]), PASSPHRASE, { overwrite: true });
+  assert(error && error.message === 'Backup file has unexpected trailing data', 'bytes after the end frame are rejected');
+  assert(await untouched(), 'trailing data leaves local data alone');
+
+  error = await importError(AminoData, new Blob(['{"records": []}']), PASSPHRASE, { overwrite: true });
+  assert(error && error.message === 'Not an Amino backup file', 'a file without the magic is rejected');
+}
+
+// ── Summary ───────────────────────────────────────────────────
+
+console.log(`\n=== Backup Results: ${passed} passed, ${failed} failed ===`);
+process.exit(failed > 0 ? 1 : 0);
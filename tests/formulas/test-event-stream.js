@@ -0,0 +1,151 @@
+/**
+ * Tests for event-stream sync paging (AminoHydration.syncFromEventStream):
+ * a full page is cut before its last timestamp so `since` (exclusive) can't
+ * skip events, and a full page of one timestamp restarts the stream.
+ * Runs against an in-memory sync store and event log — no IndexedDB.
+ *
+ * Run with: node --experimental-vm-modules tests/formulas/test-event-stream.js
+ */
+
+import { loadBrowserScripts } from './browser-scripts.js';
+
+const { AminoHydration } = loadBrowserScripts(['hydration.js']);
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    passed++;
+  } else {
+    failed++;
+    console.error('FAIL:', message);
+  }
+}
+
+// ── Test Context ──────────────────────────────────────────────
+
+// Timestamps a few minutes ago, so the cursor is never too old
+const now = Date.now();
+function ts(minutesAgo) {
+  return new Date(now - minutesAgo * 60000).toISOString();
+}
+
+let nextEventId = 1;
+function event(createdAt, recordId, fields) {
+  return { id: nextEventId++, recordId, set: 'tblCases', createdAt, payload: { op: 'INS', fields } };
+}
+
+// A host context backed by plain objects. `log` is the server's event log;
+// fetchEvents serves it after `since` (exclusive), `limit` at a time.
+function createContext(log, cursor) {
+  const sync = {};
+  if (cursor) sync[AminoHydration.EVENT_STREAM_CURSOR_ID] = { tableId: AminoHydration.EVENT_STREAM_CURSOR_ID, lastSynced: cursor };
+  const ctx = {
+    tableIds: ['tblCases'],
+    tables: [{ table_id: 'tblCases', table_name: 'Cases' }],
+    fetches: [],
+    written: [],
+    stored: [],
+    db: {
+      transaction() {
+        return { objectStore: () => sync };
+      }
+    },
+    idbGet: async (store, key) => store[key],
+    idbPut: async (store, value) => { store[value.tableId] = value; },
+    idbTxDone: async () => {},
+    readRecords: async () => [],
+    writeRecords: async (records) => { ctx.written.push(...records.map(r => r.id)); return records.length; },
+    storeEvents: async (events) => { ctx.stored.push(...events.map(e => e.id)); },
+    transport: {
+      fetchEvents: async (query) => {
+        ctx.fetches.push(query.since);
+        const events = log.filter(e => e.createdAt > query.since).slice(0, query.limit);
+        return { events };
+      },
+      fetchRecord: async () => null
+    },
+    cursor: () => sync[AminoHydration.EVENT_STREAM_CURSOR_ID]
+  };
+  return ctx;
+}
+
+const config = AminoHydration.config;
+config.EVENT_STREAM_PAGE_SIZE = 3;
+
+// ── Page Cut ──────────────────────────────────────────────────
+
+console.log('=== Page Cut Tests ===');
+
+{
+  // Pages of 3 end partway through ts(9) and then ts(8)
+  const log = [
+    event(ts(10), 'rec1', { Name: 'a' }),
+    event(ts(9), 'rec2', { Name: 'b' }),
+    event(ts(9), 'rec3', { Name: 'c' }),
+    event(ts(8), 'rec4', { Name: 'd' }),
+    event(ts(8), 'rec5', { Name: 'e' }),
+    event(ts(7), 'rec6', { Name: 'f' })
+  ];
+  const ctx = createContext(log, ts(20));
+  const result = await AminoHydration.syncFromEventStream(ctx);
+
+  assert(result.gap === null, 'cutting a page is not a gap');
+  assert(result.events === 6, 'every event is applied once (got ' + result.events + ')');
+  assert(ctx.written.slice().sort().join() === 'rec1,rec2,rec3,rec4,rec5,rec6', 'every record is written');
+  assert(ctx.fetches.join() === [ts(20), ts(10), ts(9), ts(8)].join(), 'each page starts after the last complete timestamp');
+  assert(ctx.cursor().lastSynced === ts(7) && result.cursor === ts(7), 'cursor ends at the last event');
+  assert(ctx.stored.length === 6, 'cut events are stored with the page that applies them');
+}
+
+{
+  // A short page is complete — nothing is held back
+  const log = [event(ts(5), 'rec7', { Name: 'g' }), event(ts(5), 'rec8', { Name: 'h' })];
+  const ctx = createContext(log, ts(20));
+  const result = await AminoHydration.syncFromEventStream(ctx);
+
+  assert(result.events === 2 && ctx.fetches.length === 1, 'a short page is applied whole');
+  assert(ctx.cursor().lastSynced === ts(5), 'cursor moves to its last timestamp');
+}
+
+{
+  // A full page that shares one timestamp can't be paged past
+  const log = [
+    event(ts(4), 'rec9', { Name: 'i' }),
+    event(ts(4), 'rec10', { Name: 'j' }),
+    event(ts(4), 'rec11', { Name: 'k' }),
+    event(ts(4), 'rec12', { Name: 'l' })
+  ];
+  const ctx = createContext(log, ts(20));
+  const result = await AminoHydration.syncFromEventStream(ctx);
+
+  assert(result.gap === 'all' && result.gapReason === 'page-overflow', 'a full page of one timestamp restarts the stream');
+  assert(result.events === 0 && ctx.written.length === 0, 'none of its events are applied');
+  assert(ctx.cursor().cursorSource === 'stream-restart', 'the cursor is restarted');
+  assert(ctx.cursor().lastSynced < new Date(now).toISOString(), 'the restarted cursor is before now');
+}
+
+{
+  const maxPages = config.EVENT_STREAM_MAX_PAGES;
+  config.EVENT_STREAM_MAX_PAGES = 2;
+  const log = [
+    event(ts(3), 'rec13', { Name: 'm' }),
+    event(ts(2), 'rec14', { Name: 'n' }),
+    event(ts(2), 'rec15', { Name: 'o' }),
+    event(ts(1), 'rec16', { Name: 'p' }),
+    event(ts(1), 'rec17', { Name: 'q' }),
+    event(ts(0), 'rec18', { Name: 'r' })
+  ];
+  const ctx = createContext(log, ts(20));
+  const result = await AminoHydration.syncFromEventStream(ctx);
+
+  assert(result.more === true, 'reaching the page limit with events left sets more');
+  assert(result.events === 3 && ctx.cursor().lastSynced === ts(2), 'the cursor stops at the last complete timestamp');
+  config.EVENT_STREAM_MAX_PAGES = maxPages;
+}
+
+// ── Summary ───────────────────────────────────────────────────
+
+console.log(`\n=== Event Stream Results: ${passed} passed, ${failed} failed ===`);
+if (failed > 0) process.exit(1);
@@ -0,0 +1,143 @@
+/**
+ * Tests for point-in-time reads: getRecordAt and getTableAt replaying a
+ * record's events from the in-memory backend and from the local event
+ * store when the backend can't be reached.
+ *
+ * Run with: node --experimental-vm-modules tests/formulas/test-history.js
+ */
+
+import { openDataLayer } from './browser-scripts.js';
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    passed++;
+  } else {
+    failed++;
+    console.error('FAIL:', message);
+  }
+}
+
+function same(actual, expected) {
+  return JSON.stringify(actual) === JSON.stringify(expected);
+}
+
+const T = minute => `2026-03-02T10:${String(minute).padStart(2, '0')}:00.000Z`;
+
+// Events in the memory backend's shape: payload.fields[operator]
+function event(id, recordId, minute, operator, fields) {
+  return { id, recordId, set: 'tblClients', operator, payload: { fields: { [operator]: fields } }, createdAt: T(minute) };
+}
+
+const seed = () => ({
+  tables: [{ table_id: 'tblClients', table_name: 'Clients' }],
+  records: {
+    tblClients: [
+      { id: 'recLee', fields: { Name: 'Lee Park' } },
+      { id: 'recAna', fields: { Name: 'Ana' } },
+      { id: 'recKim', fields: { Name: 'Kim', Status: 'Closed' } }
+    ]
+  },
+  events: [
+    event(1, 'recLee', 1, 'INS', { Name: 'Lee', Phone: '555-0100' }),
+    event(2, 'recLee', 2, 'ALT', { Phone: '555-0199' }),
+    event(3, 'recAna', 3, 'INS', { Name: 'Ana' }),
+    event(4, 'recLee', 4, 'NUL', ['Phone']),
+    event(5, 'recLee', 5, 'ALT', { Name: 'Lee Park' }),
+    // Kim's history here starts after the record was created
+    event(6, 'recKim', 6, 'ALT', { Status: 'Closed' })
+  ]
+});
+
+// Make the backend's event log unreachable; returns a function restoring it
+function cutOff(backend) {
+  const fetchEvents = backend.fetchEvents;
+  backend.fetchEvents = async () => { throw new Error('Backend unreachable'); };
+  return () => { backend.fetchEvents = fetchEvents; };
+}
+
+// ── Record At ─────────────────────────────────────────────────
+
+console.log('=== Record History Tests ===');
+
+{
+  const { AminoData } = await openDataLayer(seed());
+
+  let lee = await AminoData.getRecordAt('recLee', T(1));
+  assert(same(lee.fields, { Name: 'Lee', Phone: '555-0100' }), 'the state right after creation');
+  assert(lee.fromCreation && lee.eventCount === 1 && lee.lastEventId === 1, 'the replay starts from the INS event');
+
+  lee = await AminoData.getRecordAt('recLee', '2026-03-02T10:03:30.000Z');
+  assert(same(lee.fields, { Name: 'Lee', Phone: '555-0199' }), 'a time between events sees the earlier edits');
+  assert(lee.asOf === '2026-03-02T10:03:30.000Z' && lee.lastEventAt === T(2), 'the snapshot names its time and last event');
+
+  lee = await AminoData.getRecordAt('recLee', T(4));
+  assert(same(lee.fields, { Name: 'Lee' }), 'a NUL event clears the field');
+
+  lee = await AminoData.getRecordAt('recLee', null);
+  assert(same(lee.fields, { Name: 'Lee Park' }) && lee.eventCount === 4, 'no time gives the latest known state');
+
+  lee = await AminoData.getRecordAt('recLee', new Date(T(2)).getTime());
+  assert(lee.lastEventId === 2, 'a time may be given in milliseconds');
+
+  lee = await AminoData.getRecordAt('recLee', null, { throughEventId: 2 });
+  assert(same(lee.fields, { Name: 'Lee', Phone: '555-0199' }), 'throughEventId stops after that event');
+
+  assert((await AminoData.getRecordAt('recLee', T(0))) === null, 'nothing before the first event');
+  assert((await AminoData.getRecordAt('recLee', null, { throughEventId: 99 })) === null, 'an event outside the history gives null');
+  assert((await AminoData.getRecordAt('recNone', null)) === null, 'a record without events gives null');
+
+  const kim = await AminoData.getRecordAt('recKim', null);
+  assert(kim && !kim.fromCreation && same(kim.fields, { Status: 'Closed' }), 'a history without its INS is marked incomplete');
+}
+
+// ── Offline Replay ────────────────────────────────────────────
+
+console.log('=== Offline Replay Tests ===');
+
+{
+  const { AminoData, backend } = await openDataLayer(seed());
+  await AminoData.getRecordAt('recLee', null);
+
+  const restore = cutOff(backend);
+  const lee = await AminoData.getRecordAt('recLee', T(2));
+  assert(lee && same(lee.fields, { Name: 'Lee', Phone: '555-0199' }), 'a fetched history replays from the local store when offline');
+  restore();
+
+  // New events reach the replay once fetched again
+  backend._events.push(event(7, 'recLee', 7, 'ALT', { Phone: '555-0142' }));
+  assert(!(await AminoData.getRecordAt('recLee', null, { refresh: false })).fields.Phone, 'refresh: false replays only local events');
+  assert((await AminoData.getRecordAt('recLee', null)).fields.Phone === '555-0142', 'a refresh picks up new events');
+}
+
+// ── Table At ──────────────────────────────────────────────────
+
+console.log('=== Table History Tests ===');
+
+{
+  const { AminoData, backend } = await openDataLayer(seed());
+  await AminoData.getRecordAt('recLee', null);
+  await AminoData.getRecordAt('recAna', null);
+
+  const restore = cutOff(backend);
+  let table = await AminoData.getTableAt('tblClients', T(2));
+  assert(same(table.map(r => r.id), ['recLee']), 'records created later are not in an earlier table');
+  assert(table[0].fields.Phone === '555-0199', 'each record is replayed to that time');
+
+  table = await AminoData.getTableAt('tblClients', null);
+  const byId = Object.fromEntries(table.map(r => [r.id, r.fields]));
+  assert(same(Object.keys(byId).sort(), ['recAna', 'recLee']), 'only records with local events are rebuilt');
+  assert(byId.recLee.Name === 'Lee Park' && byId.recAna.Name === 'Ana', 'the latest table state');
+  restore();
+
+  await AminoData.fetchEventsBySet('tblClients');
+  table = await AminoData.getTableAt('tblClients', null);
+  assert(table.some(r => r.id === 'recKim'), 'events fetched for the table fill in the rest');
+}
+
+// ── Summary ───────────────────────────────────────────────────
+
+console.log(`\n=== History Results: ${passed} passed, ${failed} failed ===`);
+process.exit(failed > 0 ? 1 : 0);
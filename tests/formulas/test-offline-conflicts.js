@@ -0,0 +1,111 @@
+/**
+ * Tests for field-level conflict detection when the offline queue flushes
+ * (AminoData.flushPendingMutations) against the in-memory backend: what is
+ * sent, what is held, and how each conflict policy decides.
+ *
+ * Run with: node --experimental-vm-modules tests/formulas/test-offline-conflicts.js
+ */
+
+import { openDataLayer } from './browser-scripts.js';
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    passed++;
+  } else {
+    failed++;
+    console.error('FAIL:', message);
+  }
+}
+
+// A record both this device and the server edit while it is offline
+async function setup(policy) {
+  const session = await openDataLayer({
+    tables: [{ table_id: 'tblCases', table_name: 'Cases' }],
+    records: { tblCases: [{ id: 'recCase1', fields: { Name: 'Smith', Status: 'Open', Notes: 'old', Judge: 'Lee' } }] }
+  });
+  session.AminoData.setConflictPolicy(policy);
+  await session.AminoData.queueOfflineMutation('tblCases', 'recCase1', { Status: 'Filed', Notes: 'mine', Judge: 'Ortiz' }, 'ALT');
+  await new Promise(resolve => setTimeout(resolve, 5));   // the server edit is strictly later
+  await session.backend.writeMutation({ kind: 'update', tableId: 'tblCases', recordId: 'recCase1', fields: { Notes: 'theirs', Judge: 'Ortiz' } });
+  return session;
+}
+
+function server(backend) {
+  return backend._records.recCase1.fields;
+}
+
+async function local(AminoData) {
+  return (await AminoData.getRecord('recCase1')).fields;
+}
+
+// ── Manual Policy ─────────────────────────────────────────────
+
+console.log('=== Manual Policy Tests ===');
+
+{
+  const { AminoData, backend } = await setup('manual');
+  const result = await AminoData.flushPendingMutations();
+
+  assert(result.conflicts === 1, 'a field changed on both sides holds the mutation');
+  assert(result.flushed === 0, 'a held mutation is not counted as flushed');
+  assert(server(backend).Status === 'Filed', 'fields unchanged on the server since the edit are sent');
+  assert(server(backend).Notes === 'theirs', 'the conflicted field is not sent');
+
+  const conflicts = await AminoData.getConflicts();
+  assert(conflicts.length === 1, 'the held mutation is listed as a conflict');
+  const notes = conflicts[0].conflicts.Notes;
+  assert(notes && notes.base === 'old' && notes.local === 'mine' && notes.server === 'theirs', 'the conflict keeps base, local and server values');
+  assert(!conflicts[0].conflicts.Judge && !conflicts[0].conflicts.Status, 'fields already at the local value do not conflict');
+
+  const resolved = await AminoData.resolveConflict(conflicts[0].id, { Notes: 'client' });
+  assert(resolved.requeued.includes('Notes'), 'resolving for the client requeues the field');
+  const retry = await AminoData.flushPendingMutations();
+  assert(retry.flushed === 1 && retry.conflicts === 0, 'the requeued field flushes cleanly');
+  assert(server(backend).Notes === 'mine', 'the client value reaches the server');
+}
+
+{
+  const { AminoData, backend } = await openDataLayer({
+    tables: [{ table_id: 'tblCases', table_name: 'Cases' }],
+    records: { tblCases: [{ id: 'recCase1', fields: { Name: 'Smith', Status: 'Open' } }] }
+  });
+  await AminoData.queueOfflineMutation('tblCases', 'recCase1', { Status: 'Filed' }, 'ALT');
+  const result = await AminoData.flushPendingMutations();
+  assert(result.flushed === 1 && result.conflicts === 0, 'an edit with no server change flushes');
+  assert(server(backend).Status === 'Filed' && (await AminoData.getPendingMutationCount()) === 0, 'the edit is sent and leaves the queue');
+}
+
+// ── Automatic Policies ────────────────────────────────────────
+
+console.log('\n=== Automatic Policy Tests ===');
+
+{
+  const { AminoData, backend } = await setup('client-wins');
+  const result = await AminoData.flushPendingMutations();
+  assert(result.flushed === 1 && result.conflicts === 0, 'client-wins flushes the whole mutation');
+  assert(server(backend).Notes === 'mine' && server(backend).Status === 'Filed', 'client-wins sends the conflicted field');
+}
+
+{
+  const { AminoData, backend } = await setup('server-wins');
+  const result = await AminoData.flushPendingMutations();
+  assert(result.flushed === 1 && result.conflicts === 0, 'server-wins flushes the rest of the mutation');
+  assert(server(backend).Notes === 'theirs' && server(backend).Status === 'Filed', 'server-wins keeps the server value');
+  assert((await local(AminoData)).Notes === 'theirs', 'server-wins adopts the server value locally');
+}
+
+{
+  // The server edit came after the queued one
+  const { AminoData, backend } = await setup('last-writer');
+  const result = await AminoData.flushPendingMutations();
+  assert(result.conflicts === 0, 'last-writer decides without holding');
+  assert(server(backend).Notes === 'theirs' && (await local(AminoData)).Notes === 'theirs', 'last-writer picks the later server edit');
+}
+
+// ── Summary ───────────────────────────────────────────────────
+
+console.log(`\n=== Offline Conflict Results: ${passed} passed, ${failed} failed ===`);
+process.exit(failed > 0 ? 1 : 0);
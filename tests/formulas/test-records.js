@@ -0,0 +1,176 @@
+/**
+ * Tests for record creation and deletion against the in-memory backend:
+ * temporary ids and their reconciliation, tombstones, and requeueing or
+ * discarding dead-lettered creates and deletes.
+ *
+ * Run with: node --experimental-vm-modules tests/formulas/test-records.js
+ */
+
+import { openDataLayer } from './browser-scripts.js';
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    passed++;
+  } else {
+    failed++;
+    console.error('FAIL:', message);
+  }
+}
+
+const seed = () => ({
+  tables: [
+    { table_id: 'tblClients', table_name: 'Clients' },
+    { table_id: 'tblMatters', table_name: 'Matters' }
+  ],
+  records: {
+    tblClients: [{ id: 'recClient1', fields: { Name: 'Lee' } }],
+    tblMatters: [{ id: 'recMatter1', fields: { Title: 'Lease' } }]
+  }
+});
+
+async function fields(AminoData, recordId) {
+  const record = await AminoData.getRecord(recordId);
+  return record ? record.fields : null;
+}
+
+// Make the backend reject one kind of write with an HTTP status
+function rejectWrites(backend, kind, status) {
+  const write = backend.writeMutation;
+  backend.writeMutation = async request => {
+    if (request.kind === kind) {
+      const err = new Error('Rejected ' + kind);
+      err.status = status;
+      throw err;
+    }
+    return write(request);
+  };
+  return () => { backend.writeMutation = write; };
+}
+
+// ── Temporary Ids ─────────────────────────────────────────────
+
+console.log('=== Temporary Id Tests ===');
+
+{
+  const { AminoData, backend } = await openDataLayer(seed());
+  const tempId = await AminoData.createRecord('tblClients', { Name: 'Ana' });
+  assert(AminoData.isTempRecordId(tempId), 'createRecord returns a temporary id');
+  assert((await fields(AminoData, tempId)).Name === 'Ana', 'the new record is readable right away');
+
+  // Queued against the temporary id before the create is flushed
+  await AminoData.queueOfflineMutation('tblMatters', 'recMatter1', { Client: [tempId] }, 'ALT');
+  await AminoData.queueOfflineMutation('tblClients', tempId, { Phone: '555-0100' }, 'ALT');
+  assert((await AminoData.getPendingMutationCount()) === 3, 'the create and both edits are queued');
+
+  const flush = await AminoData.flushPendingMutations();
+  const realId = AminoData.resolveRecordId(tempId);
+  assert(flush.flushed === 3 && flush.failed === 0, 'the create and the edits after it flush');
+  assert(!AminoData.isTempRecordId(realId) && backend._records[realId], 'the server assigns the real id');
+  assert(backend._records[realId].fields.Phone === '555-0100', 'a queued edit of the new record is sent under its real id');
+  assert(backend._records.recMatter1.fields.Client[0] === realId, 'a queued link to the new record is sent with its real id');
+  assert((await fields(AminoData, 'recMatter1')).Client[0] === realId, 'local links are rewritten to the real id');
+  assert((await fields(AminoData, realId)).Name === 'Ana', 'the local record moves to its real id');
+  assert((await AminoData.getTableRecords('tblClients')).every(r => !AminoData.isTempRecordId(r.id)), 'no record is left under the temporary id');
+}
+
+{
+  const { AminoData, backend } = await openDataLayer(seed());
+  const tempId = await AminoData.createRecord('tblClients', { Name: 'Ana' });
+  await AminoData.queueOfflineMutation('tblClients', tempId, { Phone: '555-0100' }, 'ALT');
+  const result = await AminoData.deleteRecord('tblClients', tempId);
+  assert(result.local === true, 'deleting an unflushed record is local');
+  assert((await AminoData.getPendingMutationCount()) === 0, 'its queued create and edits are dropped');
+  assert((await fields(AminoData, tempId)) === null, 'the record is gone');
+  await AminoData.flushPendingMutations();
+  assert(Object.keys(backend._records).length === 2, 'nothing reaches the server');
+}
+
+// ── Tombstones ────────────────────────────────────────────────
+
+console.log('\n=== Tombstone Tests ===');
+
+{
+  const { AminoData, backend } = await openDataLayer(seed());
+  const result = await AminoData.deleteRecord('tblMatters', 'recMatter1');
+  assert(result.local === false, 'deleting a server record is queued');
+  assert((await fields(AminoData, 'recMatter1')) === null, 'the tombstoned record is hidden from reads');
+  assert((await AminoData.getTableRecords('tblMatters')).length === 0, 'the tombstoned record is left out of its table');
+
+  await AminoData.syncTable('tblMatters');
+  assert((await fields(AminoData, 'recMatter1')) === null, 'a sync does not bring the record back while the delete is queued');
+
+  await AminoData.flushPendingMutations();
+  assert(!backend._records.recMatter1, 'the delete reaches the server');
+  assert((await fields(AminoData, 'recMatter1')) === null && (await AminoData.getPendingMutationCount()) === 0, 'the confirmed delete drops the tombstone');
+}
+
+{
+  const { AminoData, backend } = await openDataLayer(seed());
+  rejectWrites(backend, 'delete', 404);
+  await AminoData.deleteRecord('tblMatters', 'recMatter1');
+  await AminoData.flushPendingMutations();
+  assert((await fields(AminoData, 'recMatter1')).Title === 'Lease', 'a rejected delete restores the record with its fields');
+  assert((await AminoData.getTableRecords('tblMatters')).length === 1, 'the restored record is back in its table');
+}
+
+// ── Dead-Lettered Creates and Deletes ─────────────────────────
+
+console.log('\n=== Dead Letter Tests ===');
+
+{
+  const { AminoData, backend } = await openDataLayer(seed());
+  const accept = rejectWrites(backend, 'create', 422);
+  const tempId = await AminoData.createRecord('tblClients', { Name: 'Ana' });
+  const flush = await AminoData.flushPendingMutations();
+  assert(flush.discarded === 1, 'a rejected create is discarded');
+
+  const [dead] = await AminoData.getDeadLetters();
+  assert(dead && dead.op === 'CREATE' && dead.recordId === tempId, 'the create moves to the dead-letter store');
+  await AminoData.updateDeadLetter(dead.id, { Name: 'Ana Garcia' });
+  await AminoData.requeueDeadLetter(dead.id);
+  assert((await fields(AminoData, tempId)).Name === 'Ana Garcia', 'a requeued create applies its edited fields locally');
+
+  accept();
+  await AminoData.flushPendingMutations();
+  const realId = AminoData.resolveRecordId(tempId);
+  assert(!AminoData.isTempRecordId(realId) && backend._records[realId].fields.Name === 'Ana Garcia', 'the requeued create reaches the server');
+}
+
+{
+  const { AminoData, backend } = await openDataLayer(seed());
+  rejectWrites(backend, 'create', 422);
+  const tempId = await AminoData.createRecord('tblClients', { Name: 'Ana' });
+  await AminoData.flushPendingMutations();
+  const [dead] = await AminoData.getDeadLetters();
+  await AminoData.deleteDeadLetter(dead.id);
+  assert((await AminoData.getDeadLetterCount()) === 0, 'the discarded create leaves the dead-letter store');
+  assert((await fields(AminoData, tempId)) === null, 'discarding a create removes its temporary record');
+  assert((await AminoData.getTableRecords('tblClients')).length === 1, 'no ghost record is left in the table');
+}
+
+{
+  const { AminoData, backend } = await openDataLayer(seed());
+  const accept = rejectWrites(backend, 'delete', 403);
+  await AminoData.deleteRecord('tblClients', 'recClient1');
+  const flush = await AminoData.flushPendingMutations();
+  assert(flush.discarded === 1, 'a rejected delete is discarded');
+  assert((await fields(AminoData, 'recClient1')).Name === 'Lee', 'a rejected delete brings the record back');
+
+  const [dead] = await AminoData.getDeadLetters();
+  await AminoData.requeueDeadLetter(dead.id);
+  assert((await fields(AminoData, 'recClient1')) === null, 'a requeued delete hides the record again');
+  assert((await AminoData.getTableRecords('tblClients')).length === 0, 'the requeued delete does not count as live');
+
+  accept();
+  await AminoData.flushPendingMutations();
+  assert(!backend._records.recClient1, 'the requeued delete reaches the server');
+  assert((await fields(AminoData, 'recClient1')) === null, 'the record stays gone once confirmed');
+}
+
+// ── Summary ───────────────────────────────────────────────────
+
+console.log(`\n=== Record Results: ${passed} passed, ${failed} failed ===`);
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,143 @@
+/**
+ * Tests for point-in-time revert: revertRecord and revertField queue the
+ * difference to an earlier state of the record as ordinary edits, with
+ * provenance, against the in-memory backend.
+ *
+ * Run with: node --experimental-vm-modules tests/formulas/test-revert.js
+ */
+
+import { openDataLayer } from './browser-scripts.js';
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    passed++;
+  } else {
+    failed++;
+    console.error('FAIL:', message);
+  }
+}
+
+function same(actual, expected) {
+  return JSON.stringify(actual) === JSON.stringify(expected);
+}
+
+const T = minute => `2026-03-02T10:${String(minute).padStart(2, '0')}:00.000Z`;
+
+function event(id, recordId, minute, operator, fields) {
+  return { id, recordId, set: 'tblClients', operator, payload: { fields: { [operator]: fields } }, createdAt: T(minute) };
+}
+
+const seed = () => ({
+  tables: [{ table_id: 'tblClients', table_name: 'Clients' }],
+  records: {
+    tblClients: [
+      { id: 'recLee', fields: { Name: 'Lee Park', Phone: '555-0142', Status: 'Open' } }
+    ]
+  },
+  events: [
+    event(1, 'recLee', 1, 'INS', { Name: 'Lee', Phone: '555-0100' }),
+    event(2, 'recLee', 2, 'ALT', { Name: 'Lee Park', Phone: '555-0142' }),
+    event(3, 'recLee', 3, 'ALT', { Status: 'Open' })
+  ]
+});
+
+async function fields(AminoData, recordId) {
+  return (await AminoData.getRecord(recordId)).fields;
+}
+
+// ── Revert Record ─────────────────────────────────────────────
+
+console.log('=== Revert Record Tests ===');
+
+{
+  const { AminoData, backend } = await openDataLayer(seed());
+  const sent = [];
+  const write = backend.writeMutation;
+  backend.writeMutation = async request => { sent.push(request); return write(request); };
+
+  const result = await AminoData.revertRecord('recLee', 1);
+  assert(same(result.altered.sort(), ['Name', 'Phone']), 'fields changed since the event are restored');
+  assert(same(result.cleared, ['Status']), 'fields added since the event are cleared');
+  assert(result.eventId === 1 && result.eventAt === T(1), 'the result names the event');
+  assert(same(await fields(AminoData, 'recLee'), { Name: 'Lee', Phone: '555-0100' }), 'the local record is back at the event');
+  assert(same(backend._records.recLee.fields, { Name: 'Lee', Phone: '555-0100' }), 'the revert reaches the server');
+  assert(sent.length === 2 && sent.every(r => r.provenance && r.provenance.kind === 'revert' && r.provenance.eventId === 1),
+    'each write carries revert provenance');
+
+  await AminoData.undo();
+  assert(same(await fields(AminoData, 'recLee'), { Name: 'Lee Park', Phone: '555-0142', Status: 'Open' }), 'one undo takes back the whole revert');
+}
+
+{
+  const { AminoData } = await openDataLayer(seed());
+  const result = await AminoData.revertRecord('recLee', 3);
+  assert(result.altered.length === 0 && result.cleared.length === 0 && result.mutationIds.length === 0,
+    'reverting to the current state queues nothing');
+
+  let error = null;
+  try {
+    await AminoData.revertRecord('recLee', 99);
+  } catch (e) {
+    error = e;
+  }
+  assert(error && /not in the history/.test(error.message), 'an event outside the history is refused');
+}
+
+// ── Revert Field ──────────────────────────────────────────────
+
+console.log('=== Revert Field Tests ===');
+
+{
+  const { AminoData, backend } = await openDataLayer(seed());
+  const result = await AminoData.revertField('recLee', 'Phone', 1);
+  assert(same(result.altered, ['Phone']) && result.cleared.length === 0, 'only the named field is reverted');
+  assert(same(await fields(AminoData, 'recLee'), { Name: 'Lee Park', Phone: '555-0100', Status: 'Open' }), 'other fields keep their values');
+  assert(backend._records.recLee.fields.Phone === '555-0100', 'the field reaches the server');
+
+  const cleared = await AminoData.revertField('recLee', 'Status', 2);
+  assert(same(cleared.cleared, ['Status']), 'a field that had no value then is cleared');
+  assert(!('Status' in backend._records.recLee.fields), 'the clear reaches the server');
+}
+
+// ── Field Registry ────────────────────────────────────────────
+
+console.log('=== Revert Field Key Tests ===');
+
+const registry = [
+  { fieldId: 'fldName', fieldName: 'Name', fieldType: 'singleLineText' },
+  { fieldId: 'fldPhone', fieldName: 'Phone', fieldType: 'phoneNumber' },
+  { fieldId: 'fldStatus', fieldName: 'Status', fieldType: 'singleLineText' },
+  { fieldId: 'fldUpdated', fieldName: 'Updated', fieldType: 'lastModifiedTime' }
+];
+
+{
+  // The record is keyed by field name, its events by field id
+  const { AminoData, backend } = await openDataLayer({
+    tables: [{ table_id: 'tblClients', table_name: 'Clients' }],
+    records: { tblClients: [{ id: 'recLee', fields: { Name: 'Lee Park', Status: 'Open', Updated: T(3) } }] },
+    events: [
+      event(1, 'recLee', 1, 'INS', { fldName: 'Lee', fldPhone: '555-0100', fldUpdated: T(1) }),
+      event(2, 'recLee', 2, 'NUL', ['fldPhone']),
+      event(3, 'recLee', 3, 'ALT', { fldName: 'Lee Park', fldStatus: 'Open', fldUpdated: T(3) })
+    ]
+  });
+  AminoData.setFieldRegistry(() => registry);
+
+  const result = await AminoData.revertRecord('recLee', 1);
+  assert(same(result.altered.sort(), ['Name', 'Phone']), 'event fields map to the names the record uses');
+  assert(same(result.cleared, ['Status']), 'a field the record has by name is cleared, not re-added by id');
+  assert(same(await fields(AminoData, 'recLee'), { Name: 'Lee', Updated: T(3), Phone: '555-0100' }),
+    'no id-keyed duplicates are written and read-only fields are left alone');
+  assert(!Object.keys(backend._records.recLee.fields).some(key => key.startsWith('fld')), 'the server gets name-keyed fields');
+
+  const field = await AminoData.revertField('recLee', 'fldName', 3);
+  assert(same(field.altered, ['Name']), 'revertField accepts a field id for a name-keyed record');
+}
+
+// ── Summary ───────────────────────────────────────────────────
+
+console.log(`\n=== Revert Results: ${passed} passed, ${failed} failed ===`);
+process.exit(failed > 0 ? 1 : 0);
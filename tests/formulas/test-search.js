@@ -0,0 +1,138 @@
+/**
+ * Tests for ranked search: the query syntax parsed by parseSearchQuery and
+ * the matching, typo tolerance and ordering of searchRanked.
+ *
+ * Run with: node --experimental-vm-modules tests/formulas/test-search.js
+ */
+
+import { openDataLayer } from './browser-scripts.js';
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    passed++;
+  } else {
+    failed++;
+    console.error('FAIL:', message);
+  }
+}
+
+const seed = () => ({
+  tables: [{ table_id: 'tblClients', table_name: 'Clients', primary_field: 'Name' }],
+  records: {
+    tblClients: [
+      { id: 'recMaria', fields: { Name: 'Maria Garcia', Status: 'In Review', Notes: 'Referred by Lee' } },
+      { id: 'recTom', fields: { Name: 'Tom Lee', Status: 'Closed', Notes: 'Garcia family friend' } },
+      { id: 'recJose', fields: { Name: 'José Ruiz', Status: 'Open', 'Case Type': 'Asylum' } },
+      { id: 'recAnn', fields: { Name: 'Ann Park', Status: 'In Progress', Notes: 'Review pending' } }
+    ]
+  }
+});
+
+const { AminoData } = await openDataLayer(seed());
+
+async function ids(query, options) {
+  return (await AminoData.searchRanked('tblClients', query, options)).map(result => result.record.id);
+}
+
+function same(actual, expected) {
+  return JSON.stringify(actual) === JSON.stringify(expected);
+}
+
+// ── Query Syntax ──────────────────────────────────────────────
+
+console.log('=== Search Query Syntax Tests ===');
+
+{
+  const terms = AminoData.parseSearchQuery('garcia');
+  assert(same(terms, [{ field: null, text: 'garcia', phrase: false, negate: false }]), 'a bare word is one unscoped term');
+}
+
+{
+  const [term] = AminoData.parseSearchQuery('"In Review"');
+  assert(term.phrase && term.text === 'in review' && term.field === null, 'a quoted phrase is one folded phrase term');
+}
+
+{
+  const [term] = AminoData.parseSearchQuery('status:"in review"');
+  assert(term.field === 'status' && term.phrase && term.text === 'in review', 'field: scopes a quoted phrase');
+}
+
+{
+  const [term] = AminoData.parseSearchQuery('"case type":asylum');
+  assert(term.field === 'case type' && term.text === 'asylum' && !term.phrase, 'a quoted field name may contain spaces');
+}
+
+{
+  const terms = AminoData.parseSearchQuery('garcia -closed -status:open');
+  assert(terms.length === 3, 'each word is its own term');
+  assert(!terms[0].negate && terms[1].negate && terms[1].text === 'closed', 'a leading - excludes the word');
+  assert(terms[2].negate && terms[2].field === 'status' && terms[2].text === 'open', 'a leading - also excludes a scoped word');
+}
+
+{
+  const [term] = AminoData.parseSearchQuery('José');
+  assert(term.text === 'jose', 'case and diacritics are folded');
+}
+
+{
+  const terms = AminoData.parseSearchQuery('10:30');
+  assert(terms.length === 1 && terms[0].field === null && terms[0].text === '10:30', 'a time is not read as a field prefix');
+}
+
+assert(AminoData.parseSearchQuery('   ').length === 0, 'a blank query has no terms');
+assert(AminoData.parseSearchQuery('status:').length === 0, 'a field prefix with no word has no terms');
+
+// ── Matching ──────────────────────────────────────────────────
+
+console.log('=== Search Matching Tests ===');
+
+assert(same(await ids('"in review"'), ['recMaria']), 'a phrase matches only the words in order');
+assert(same(await ids('status:"in review"'), ['recMaria']), 'a scoped phrase matches in that field only');
+assert(same(await ids('notes:garcia'), ['recTom']), 'a scoped word ignores other fields');
+assert(same(await ids('garcia -closed'), ['recMaria']), 'an excluded word drops records containing it');
+assert(same(await ids('garcia -status:closed'), ['recMaria']), 'a scoped exclusion drops records with it in that field');
+assert(same(await ids('jose'), ['recJose']), 'an unaccented query matches accented text');
+assert(same(await ids('"case type":asylum'), ['recJose']), 'a field name with spaces scopes the term');
+assert(same(await ids('type:asylum'), ['recJose']), 'a partial field name finds the field containing it');
+assert(same(await ids('garcia ruiz'), []), 'every positive term has to match');
+
+{
+  const [result] = await AminoData.searchRanked('tblClients', 'garcia');
+  const match = result.matches.find(m => m.field === 'Name');
+  assert(match && match.text === 'Maria Garcia' && same(match.ranges, [[6, 12]]), 'matches carry highlight ranges into the display text');
+}
+
+// ── Typo Tolerance ────────────────────────────────────────────
+
+console.log('=== Search Typo Tolerance Tests ===');
+
+assert(same((await ids('garica')).sort(), ['recMaria', 'recTom']), 'a transposed letter still matches');
+assert(same((await ids('garcai')).sort(), ['recMaria', 'recTom']), 'one edit is tolerated from four letters');
+assert(same(await ids('lea'), []), 'words under four letters must match exactly');
+assert(same(await ids('"garica"'), []), 'a quoted word is not typo-tolerant');
+
+{
+  const [exact] = await AminoData.searchRanked('tblClients', 'maria');
+  const [fuzzy] = await AminoData.searchRanked('tblClients', 'mraia');
+  assert(exact.record.id === 'recMaria' && fuzzy.record.id === 'recMaria', 'exact and fuzzy queries find the same record');
+  assert(fuzzy.score < exact.score, 'a typo match scores below an exact match');
+}
+
+// ── Ordering ──────────────────────────────────────────────────
+
+console.log('=== Search Ordering Tests ===');
+
+assert(same(await ids('garcia'), ['recMaria', 'recTom']), 'a match in the primary field ranks first');
+assert(same(await ids('lee'), ['recTom', 'recMaria']), 'the primary field outweighs other fields');
+assert(same(await ids('review'), ['recMaria', 'recAnn']), 'fields of equal weight keep table order');
+assert(same(await ids('lee', { fieldWeights: { Notes: 10 } }), ['recMaria', 'recTom']), 'fieldWeights overrides the default weights');
+assert(same(await ids('lee', { primaryField: 'Notes' }), ['recMaria', 'recTom']), 'primaryField moves the extra weight');
+assert(same(await ids('garcia', { limit: 1 }), ['recMaria']), 'limit keeps the best matches');
+
+// ── Summary ───────────────────────────────────────────────────
+
+console.log(`\n=== Search Results: ${passed} passed, ${failed} failed ===`);
+process.exit(failed > 0 ? 1 : 0);
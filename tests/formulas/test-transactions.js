@@ -0,0 +1,129 @@
+/**
+ * Tests for atomic multi-record transactions (AminoData.transaction) against
+ * the in-memory backend: local apply, one queued batch, temporary ids
+ * rewritten on flush, and rollback when the server rejects the batch.
+ *
+ * Run with: node --experimental-vm-modules tests/formulas/test-transactions.js
+ */
+
+import { openDataLayer } from './browser-scripts.js';
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    passed++;
+  } else {
+    failed++;
+    console.error('FAIL:', message);
+  }
+}
+
+const seed = () => ({
+  tables: [
+    { table_id: 'tblClients', table_name: 'Clients' },
+    { table_id: 'tblMatters', table_name: 'Matters' }
+  ],
+  records: {
+    tblClients: [],
+    tblMatters: [{ id: 'recMatter1', fields: { Title: 'Lease', Status: 'Open', Notes: 'keep' } }]
+  }
+});
+
+async function fields(AminoData, recordId) {
+  const record = await AminoData.getRecord(recordId);
+  return record ? record.fields : null;
+}
+
+// ── Local Apply ───────────────────────────────────────────────
+
+console.log('=== Local Apply Tests ===');
+
+{
+  const { AminoData, backend } = await openDataLayer(seed());
+  let clientId, matterId;
+  const result = await AminoData.transaction(async tx => {
+    clientId = tx.insert('tblClients', { Name: 'Ana Garcia' });
+    matterId = tx.insert('tblMatters', { Title: 'Estate', Client: [clientId] });
+    tx.update('tblMatters', 'recMatter1', { Status: 'Filed' });
+    tx.clear('tblMatters', 'recMatter1', ['Notes']);
+  });
+
+  assert(AminoData.isTempRecordId(clientId) && AminoData.isTempRecordId(matterId), 'inserts get temporary ids');
+  assert(result.recordIds.join() === [clientId, matterId, 'recMatter1'].join(), 'the result lists every touched record once');
+  assert((await fields(AminoData, clientId)).Name === 'Ana Garcia', 'inserted records are readable right away');
+  const matter = await fields(AminoData, 'recMatter1');
+  assert(matter.Status === 'Filed' && !('Notes' in matter), 'updates and clears apply locally');
+  assert((await AminoData.getPendingMutationCount()) === 1, 'the whole transaction is one queued entry');
+  assert(Object.keys(backend._records).length === 1, 'nothing reaches the server before the flush');
+
+  // ── Flush ──
+  const flush = await AminoData.flushPendingMutations();
+  assert(flush.flushed === 1 && (await AminoData.getPendingMutationCount()) === 0, 'the batch flushes as one entry');
+
+  const realClient = AminoData.resolveRecordId(clientId);
+  const realMatter = AminoData.resolveRecordId(matterId);
+  assert(!AminoData.isTempRecordId(realClient) && !AminoData.isTempRecordId(realMatter), 'temporary ids resolve to server ids');
+  assert(backend._records[realMatter].fields.Client[0] === realClient, 'links inside the batch use the server ids');
+  assert((await fields(AminoData, realMatter)).Client[0] === realClient, 'local links are rewritten to the server ids');
+  assert((await fields(AminoData, realClient)).Name === 'Ana Garcia', 'the local record moves to its server id');
+  assert(backend._records.recMatter1.fields.Status === 'Filed' && !('Notes' in backend._records.recMatter1.fields), 'updates and clears reach the server');
+}
+
+{
+  const { AminoData } = await openDataLayer(seed());
+  let threw = false;
+  try {
+    await AminoData.transaction(async tx => {
+      tx.update('tblMatters', 'recMatter1', { Status: 'Never' });
+      throw new Error('changed my mind');
+    });
+  } catch (e) {
+    threw = e.message === 'changed my mind';
+  }
+  assert(threw, 'an error in the callback rejects the transaction');
+  assert((await fields(AminoData, 'recMatter1')).Status === 'Open', 'nothing from a failed callback is applied');
+  assert((await AminoData.getPendingMutationCount()) === 0, 'nothing from a failed callback is queued');
+
+  const empty = await AminoData.transaction(async () => {});
+  assert(empty.transactionId === null && empty.recordIds.length === 0, 'an empty transaction queues nothing');
+}
+
+// ── Rollback ──────────────────────────────────────────────────
+
+console.log('\n=== Rollback Tests ===');
+
+{
+  const { AminoData, backend } = await openDataLayer(seed());
+  const write = backend.writeMutation;
+  backend.writeMutation = async request => {
+    if (request.kind === 'batch') {
+      const err = new Error('Stale base for recMatter1');
+      err.status = 409;
+      throw err;
+    }
+    return write(request);
+  };
+
+  let clientId;
+  await AminoData.transaction(async tx => {
+    clientId = tx.insert('tblClients', { Name: 'Ana Garcia' });
+    tx.update('tblMatters', 'recMatter1', { Status: 'Filed', Client: [clientId] });
+    tx.clear('tblMatters', 'recMatter1', ['Notes']);
+  });
+  const flush = await AminoData.flushPendingMutations();
+
+  assert(flush.discarded === 1 && flush.flushed === 0, 'a rejected batch is discarded');
+  assert((await fields(AminoData, clientId)) === null, 'records inserted by the batch are removed');
+  const matter = await fields(AminoData, 'recMatter1');
+  assert(matter.Status === 'Open' && matter.Notes === 'keep' && !('Client' in matter), 'updated and cleared fields get their old values back');
+  const deadLetters = await AminoData.getDeadLetters();
+  assert(deadLetters.length === 1 && deadLetters[0].op === 'TXN', 'the batch moves to the dead-letter store');
+  assert((await AminoData.getPendingMutationCount()) === 0, 'the batch leaves the queue');
+}
+
+// ── Summary ───────────────────────────────────────────────────
+
+console.log(`\n=== Transaction Results: ${passed} passed, ${failed} failed ===`);
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,110 @@
+/**
+ * Tests for unlocking a device whose local data was sealed under another
+ * password: the data layer starts clean instead of failing on entries it
+ * cannot decrypt.
+ *
+ * Run with: node --experimental-vm-modules tests/formulas/test-unlock.js
+ */
+
+import { openDataLayer } from './browser-scripts.js';
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    passed++;
+  } else {
+    failed++;
+    console.error('FAIL:', message);
+  }
+}
+
+const seed = () => ({
+  tables: [{ table_id: 'tblClients', table_name: 'Clients' }],
+  records: { tblClients: [{ id: 'recClient1', fields: { Name: 'Lee' } }] }
+});
+
+// ── Password Changed Elsewhere ────────────────────────────────
+
+console.log('=== Unlock Tests ===');
+
+{
+  const { context, AminoData } = await openDataLayer(seed(), 'old password');
+  await AminoData.queueOfflineMutation('tblClients', 'recClient1', { Name: 'Lee Park' }, 'ALT');
+  await AminoData.deleteRecord('tblClients', 'recClient1');
+  await AminoData.logout(false);
+
+  const reports = [];
+  context.window.addEventListener('amino:mutations-unreadable', e => reports.push(e.detail));
+  let error = null;
+  try {
+    await AminoData.init('token', '@test:example.org', 'new password');
+  } catch (e) {
+    error = e;
+  }
+  assert(!error, 'init succeeds with a new password after logout sealed the queue' + (error ? ': ' + error.message : ''));
+  assert((await AminoData.getPendingMutations()).length === 0, 'queue entries sealed under the old key are removed');
+  assert(reports.length === 1 && reports[0].storeName === 'pending_mutations' && reports[0].removed && reports[0].mutationIds.length === 2,
+    'the removed entries are reported');
+  await AminoData.hydrateAll();
+  assert((await AminoData.getRecord('recClient1')).fields.Name === 'Lee', 'records re-hydrate from the server');
+}
+
+// ── Interrupted Key Rotation ──────────────────────────────────
+
+console.log('=== Interrupted Key Rotation Tests ===');
+
+// Stands in for the tab closing mid-rotation: encryption starts failing
+// once the records store has moved to the new key
+function crashAfterFirstStore(context) {
+  let crashed = false;
+  const subtle = globalThis.crypto.subtle;
+  context.crypto = {
+    getRandomValues: array => globalThis.crypto.getRandomValues(array),
+    subtle: new Proxy(subtle, {
+      get(target, name) {
+        if (name === 'encrypt' && crashed) return async () => { throw new Error('Tab closed'); };
+        return target[name].bind(target);
+      }
+    })
+  };
+  context.window.addEventListener('amino:key-rotation-progress', e => {
+    if (e.detail.storeName === 'records') crashed = true;
+  });
+  return () => { context.crypto = globalThis.crypto; };
+}
+
+{
+  const { context, AminoData } = await openDataLayer(seed(), 'old password');
+  await AminoData.queueOfflineMutation('tblClients', 'recClient1', { Name: 'Lee Park' }, 'ALT');
+  // Logout encrypts everything at rest, so the rotation has work to do
+  await AminoData.logout(false);
+  await AminoData.init('token', '@test:example.org', 'old password');
+
+  const restore = crashAfterFirstStore(context);
+  let crash = null;
+  try {
+    await AminoData.rotateEncryptionKey('new password');
+  } catch (e) {
+    crash = e;
+  }
+  restore();
+  assert(crash && crash.message === 'Tab closed', 'the rotation stops part way');
+
+  let error = null;
+  try {
+    await AminoData.init('token', '@test:example.org', 'some other password');
+  } catch (e) {
+    error = e;
+  }
+  assert(error && error.code === 'key-mismatch', 'a password that fits neither side of the rotation is refused');
+
+  await AminoData.init('token', '@test:example.org', 'new password');
+  const pending = await AminoData.getPendingMutations();
+  assert(pending.length === 1 && pending[0].fields.Name === 'Lee Park', 'the new password still finishes the rotation, queue intact');
+  assert((await AminoData.getRecord('recClient1')).fields.Name === 'Lee Park', 'records are readable once the rotation finishes');
+}
+
+console.log(`\n=== Unlock Results: ${passed} passed, ${failed} failed ===`);
+process.exit(failed > 0 ? 1 : 0);
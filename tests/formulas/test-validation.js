@@ -0,0 +1,145 @@
+/**
+ * Tests for write validation against the field registry: validateMutation
+ * results per field, and the data layer refusing invalid writes before
+ * they touch local data or the offline queue.
+ *
+ * Run with: node --experimental-vm-modules tests/formulas/test-validation.js
+ */
+
+import { openDataLayer } from './browser-scripts.js';
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    passed++;
+  } else {
+    failed++;
+    console.error('FAIL:', message);
+  }
+}
+
+function same(actual, expected) {
+  return JSON.stringify(actual) === JSON.stringify(expected);
+}
+
+function codes(result) {
+  return result.errors.map(e => e.field + ':' + e.code).sort();
+}
+
+const { AminoData, backend } = await openDataLayer({
+  tables: [
+    { table_id: 'tblCases', table_name: 'Cases' },
+    { table_id: 'tblClients', table_name: 'Clients' }
+  ],
+  records: {
+    tblCases: [{ id: 'recCase1', fields: { Name: 'Smith', Age: 40 } }],
+    tblClients: [{ id: 'recClient1', fields: { Name: 'Lee' } }]
+  }
+});
+
+AminoData.setFieldRegistry(function(tableId) {
+  if (tableId !== 'tblCases') return null;
+  return [
+    { fieldId: 'fldName', fieldName: 'Name', fieldType: 'singleLineText', required: true },
+    { fieldId: 'fldAge', fieldName: 'Age', fieldType: 'number' },
+    { fieldId: 'fldFee', fieldName: 'Fee', fieldType: 'currency' },
+    { fieldId: 'fldEmail', fieldName: 'Email', fieldType: 'email' },
+    { fieldId: 'fldUrgent', fieldName: 'Urgent', fieldType: 'checkbox' },
+    { fieldId: 'fldStatus', fieldName: 'Status', fieldType: 'singleSelect', options: { choices: ['Open', { id: 'selClosed', name: 'Closed' }] } },
+    { fieldId: 'fldTags', fieldName: 'Tags', fieldType: 'multipleSelects', options: { choices: ['Asylum', 'Family'] } },
+    { fieldId: 'fldFiled', fieldName: 'Filed', fieldType: 'date' },
+    { fieldId: 'fldClient', fieldName: 'Client', fieldType: 'multipleRecordLinks', options: { linkedTableId: 'tblClients' } },
+    { fieldId: 'fldTotal', fieldName: 'Total', fieldType: 'formula' },
+    { fieldId: 'fldLocked', fieldName: 'Locked', fieldType: 'singleLineText', readOnly: true }
+  ];
+});
+
+// ── Field Values ──────────────────────────────────────────────
+
+console.log('=== Validation Tests ===');
+
+{
+  const ok = await AminoData.validateMutation('tblCases', {
+    Name: 'Smith', fldAge: 42, Fee: 10.5, Email: 'a@example.org', Urgent: false,
+    Status: 'Closed', Tags: ['Asylum'], Filed: '2024-01-02', Client: ['recClient1']
+  }, 'ALT');
+  assert(ok.valid && ok.errors.length === 0, 'valid values by name and by field id pass');
+  assert((await AminoData.validateMutation('tblCases', { Status: 'selClosed' }, 'ALT')).valid, 'a select choice may be given by its id');
+  assert((await AminoData.validateMutation('tblOther', { Anything: {} }, 'ALT')).valid, 'a table without definitions is not validated');
+  assert((await AminoData.validateMutation('tblCases', { Client: ['recElsewhere'] }, 'ALT')).valid, 'links to records not stored here pass');
+}
+
+{
+  const result = await AminoData.validateMutation('tblCases', {
+    Age: '42', Fee: Infinity, Email: 'not-an-email', Urgent: 'yes', Status: 'Pending', Tags: 'Asylum',
+    Filed: 'someday', Client: ['recCase1'], Total: 5, Locked: 'x', Bogus: 1
+  }, 'ALT');
+  assert(!result.valid, 'bad values are rejected');
+  assert(same(codes(result), [
+    'Age:invalid-type', 'Bogus:unknown-field', 'Client:invalid-link', 'Email:invalid-type', 'Fee:invalid-type',
+    'Filed:invalid-type', 'Locked:read-only', 'Status:invalid-choice', 'Tags:invalid-type', 'Total:read-only',
+    'Urgent:invalid-type'
+  ]), 'each bad field gets its own error code');
+
+  const age = result.errors.find(e => e.field === 'Age');
+  assert(age.fieldId === 'fldAge' && age.fieldName === 'Age' && age.tableId === 'tblCases', 'an error names the field id, name and table');
+  assert(age.message === 'Age expects a number', 'an error message starts with the field name');
+}
+
+// ── Required Fields ───────────────────────────────────────────
+
+console.log('=== Required Field Tests ===');
+
+{
+  const cleared = await AminoData.validateMutation('tblCases', ['Name', 'Age'], 'NUL');
+  assert(same(codes(cleared), ['Name:required']), 'clearing a required field is rejected, clearing an optional one is not');
+
+  const emptied = await AminoData.validateMutation('tblCases', { Name: '' }, 'ALT');
+  assert(same(codes(emptied), ['Name:required']), 'setting a required field to empty is rejected');
+
+  const created = await AminoData.validateMutation('tblCases', { Age: 3 }, 'CREATE');
+  assert(same(codes(created), ['Name:required']), 'a create without a required field is rejected');
+
+  assert((await AminoData.validateMutation('tblCases', { fldName: 'Smith' }, 'INS')).valid, 'a required field given by its id satisfies a create');
+  assert((await AminoData.validateMutation('tblCases', { Age: 3 }, 'ALT')).valid, 'an edit need not repeat required fields');
+}
+
+// ── Rejected Writes ───────────────────────────────────────────
+
+console.log('=== Rejected Write Tests ===');
+
+async function writeError(write) {
+  try {
+    await write();
+    return null;
+  } catch (e) {
+    return e;
+  }
+}
+
+{
+  let error = await writeError(() => AminoData.queueOfflineMutation('tblCases', 'recCase1', { Age: 'forty', Total: 1 }, 'ALT'));
+  assert(error && error.code === 'validation', 'an invalid edit is refused with code validation');
+  assert(error && same(error.validationErrors.map(e => e.field + ':' + e.recordId).sort(), ['Age:recCase1', 'Total:recCase1']),
+    'the error lists every bad field with the record');
+  assert((await AminoData.getRecord('recCase1')).fields.Age === 40, 'a refused edit leaves the local record alone');
+  assert((await AminoData.getPendingMutationCount()) === 0, 'a refused edit is not queued');
+
+  error = await writeError(() => AminoData.createRecord('tblCases', { Age: 3 }));
+  assert(error && error.code === 'validation' && error.validationErrors[0].code === 'required', 'a create missing a required field is refused');
+  assert((await AminoData.getTableRecords('tblCases')).length === 1, 'a refused create adds no record');
+
+  await AminoData.queueOfflineMutation('tblCases', 'recCase1', { Age: 'forty' }, 'ALT', { validate: false });
+  assert((await AminoData.getPendingMutationCount()) === 1, 'validate: false skips the check');
+
+  await AminoData.queueOfflineMutation('tblCases', 'recCase1', { Age: 41 }, 'ALT');
+  await AminoData.flushPendingMutations();
+  assert(backend._records.recCase1.fields.Age === 41, 'a valid edit goes through');
+}
+
+// ── Summary ───────────────────────────────────────────────────
+
+console.log(`\n=== Validation Results: ${passed} passed, ${failed} failed ===`);
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,812 @@
+// ============================================================================
+// Amino Backend Transport — Pluggable Adapters
+//
+// Extracted from data-layer.js so the client can be pointed at a different
+// backend (staging, self-hosted, automated tests) without editing source.
+// Every network call the data layer makes for record data goes through one
+// adapter implementing the Transport interface below.
+//
+// ADAPTERS:
+//   n8n        — Production n8n webhooks (/amino-* endpoints). Default.
+//   memory     — In-process store. For tests and offline demos.
+//   local-http — Plain REST server (e.g. a self-hosted Postgres proxy).
+//
+// SELECTION: AminoData.setTransport(adapter) at runtime, or persist a config
+// to localStorage (see TRANSPORT_CONFIG_KEY) that is read on startup:
+//   localStorage.setItem('amino_transport_config',
+//       JSON.stringify({ type: 'local-http', baseUrl: 'http://localhost:8787' }));
+//
+// TRANSPORT INTERFACE (all methods async):
+//   listTables(intent)                       → { tables: [...] }
+//   fetchRecords(tableId, since, intent)     → { records: [...], next_since? }
+//                                              (since = null → full table)
+//   fetchRecord(recordId, intent)            → { record } (record null if missing)
+//   fetchRecordIds(tableId, options, intent) → { count, hash, ids?, merged? }
+//       hash = hashRecordIds(every live id in the table). options.hashOnly
+//       asks for { count, hash } alone. merged maps ids merged away upstream
+//       to the id they were merged into.
+//   fetchIntegrity(tableId, options, intent) → { count, tableHash, buckets: [hex] }
+//       options.buckets = [index, ...] → { records: { recordId: hex } } for
+//       just those buckets. Hashes follow buildIntegrityTree below.
+//   writeMutation(request)                   → parsed response body
+//       request.kind: 'update' { tableId, recordId, fields, provenance? }
+//                     'create' { tableId, tempId, fields }     → { id }
+//                     'delete' { tableId, recordId }
+//                     'batch'  { transactionId, operations }   → { idMap? }
+//       provenance (e.g. { kind: 'revert', eventId, eventAt, note }) says
+//       why the edit was made; backends may record it with the event.
+//       Failures throw an Error with .status and .responseBody.
+//   fetchEvents(query, intent)               → { events: [...], gap?, ... }
+//       query: { recordId } | { since, set?, limit? } | { set, limit? }
+//       `since` is exclusive. gap: true means the log no longer reaches
+//       back to `since`, so the caller has to resync tables instead.
+//   triggerSync()                            → { ok, status }
+//   fetchAttachment(ref, intent)             → { data: ArrayBuffer, mimeType, size }
+//       ref: { boxFileId } | { url }. Optional — without it attachments
+//       can't be cached for offline use.
+// ============================================================================
+
+var AminoTransport = (function() {
+    'use strict';
+
+    var TRANSPORT_CONFIG_KEY = 'amino_transport_config';
+
+    // Production n8n endpoints, used for any URL an n8n config leaves out
+    var N8N_DEFAULTS = {
+        baseUrl: 'https://n8n.intelechia.com/webhook',
+        syncWebhookUrl: 'https://n8n.intelechia.com/webhook/c875f674-9228-45ae-b6ec-10870df8a403',
+        boxDownloadUrl: 'https://n8n.intelechia.com/webhook/box-download'
+    };
+
+    // Intents guard reads: APIs are for keeping local IndexedDB in
+    // sync/mirror mode, not for ad-hoc context lookups at read time.
+    var ALLOWED_INTENTS = {
+        metadataSync: true,
+        fullBackfill: true,
+        incrementalBackfill: true,
+        onlineRead: true
+    };
+
+    function _assertIntent(intent) {
+        if (!ALLOWED_INTENTS[intent]) {
+            throw new Error('Transport reads require a sync intent (metadataSync/fullBackfill/incrementalBackfill/onlineRead)');
+        }
+    }
+
+    function _httpError(message, status, body) {
+        var err = new Error(message);
+        err.status = status;
+        if (body) err.responseBody = body.substring(0, 2000);
+        return err;
+    }
+
+    // Server back-off hint (Retry-After: seconds or an HTTP date) in ms,
+    // or null when the response has none.
+    function _retryAfterMs(response) {
+        var header = response.headers && response.headers.get('Retry-After');
+        if (!header) return null;
+        var seconds = Number(header);
+        if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+        var date = Date.parse(header);
+        return isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+
+    // Attach the response's Retry-After hint (if any) as err.retryAfterMs
+    // so the poll scheduler can honour it.
+    function _withRetryAfter(err, response) {
+        var retryAfterMs = _retryAfterMs(response);
+        if (retryAfterMs !== null) err.retryAfterMs = retryAfterMs;
+        return err;
+    }
+
+    async function _throwIfNotOk(response, label) {
+        if (response.ok) return;
+        var body = '';
+        try { body = await response.text(); } catch (e) { /* ignore */ }
+        throw _withRetryAfter(_httpError(label + ' returned ' + response.status, response.status, body), response);
+    }
+
+    async function _parseBody(response) {
+        var text = await response.text();
+        return text && text.trim() ? JSON.parse(text) : {};
+    }
+
+    async function _fileBody(response) {
+        var data = await response.arrayBuffer();
+        var mimeType = (response.headers && response.headers.get('Content-Type')) || 'application/octet-stream';
+        return { data: data, mimeType: mimeType.split(';')[0].trim(), size: data.byteLength };
+    }
+
+    // Order-independent digest of a table's record ids: SHA-256 (hex) of
+    // the ids sorted by code unit and joined with '\n'. The server computes
+    // the same digest (ORDER BY id COLLATE "C") for fetchRecordIds.
+    async function hashRecordIds(ids) {
+        return _sha256Hex(ids.slice().sort().join('\n'));
+    }
+
+    async function _sha256Hex(text) {
+        var digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+        var bytes = new Uint8Array(digest);
+        var hex = '';
+        for (var i = 0; i < bytes.length; i++) hex += (bytes[i] < 16 ? '0' : '') + bytes[i].toString(16);
+        return hex;
+    }
+
+    // ========================================================================
+    // INTEGRITY HASHES — shared by the client and the integrity endpoint
+    //
+    //   canonical(fields) = JSON with object keys sorted by code unit at every
+    //                       depth, no whitespace; top-level keys starting
+    //                       with '_' (local bookkeeping) are left out
+    //   record hash       = sha256hex(id + '\n' + canonical(fields))
+    //   bucket            = first byte of sha256(id) % INTEGRITY_BUCKETS
+    //                       (SQL: get_byte(sha256(convert_to(id, 'UTF8')), 0) % 64)
+    //   bucket hash       = sha256hex(record hashes in id order, joined '\n')
+    //   table hash        = sha256hex(all bucket hashes in order, joined '\n')
+    //
+    // Only data records (ids starting 'rec') are covered.
+    // ========================================================================
+
+    var INTEGRITY_BUCKETS = 64;
+
+    function canonicalJson(value) {
+        if (Array.isArray(value)) {
+            return '[' + value.map(function(v) { return canonicalJson(v === undefined ? null : v); }).join(',') + ']';
+        }
+        if (value && typeof value === 'object') {
+            return '{' + Object.keys(value).sort().filter(function(key) {
+                return value[key] !== undefined;
+            }).map(function(key) {
+                return JSON.stringify(key) + ':' + canonicalJson(value[key]);
+            }).join(',') + '}';
+        }
+        return JSON.stringify(value);
+    }
+
+    function _canonicalFields(fields) {
+        var out = {};
+        for (var key in fields || {}) {
+            if (key.charAt(0) !== '_') out[key] = fields[key];
+        }
+        return canonicalJson(out);
+    }
+
+    /**
+     * Merkle-style summary of a table.
+     * @param {Array<{id: string, fields: Object}>} records
+     * @returns {Promise<{count: number, tableHash: string, buckets: string[],
+     *           records: Object<string, {bucket: number, hash: string}>}>}
+     */
+    async function buildIntegrityTree(records) {
+        var byBucket = [];
+        for (var b = 0; b < INTEGRITY_BUCKETS; b++) byBucket.push([]);
+        var perRecord = {};
+        var count = 0;
+        for (var i = 0; i < records.length; i++) {
+            var id = records[i].id;
+            if (typeof id !== 'string' || id.indexOf('rec') !== 0) continue;
+            var idDigest = new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(id)));
+            var bucket = idDigest[0] % INTEGRITY_BUCKETS;
+            var hash = await _sha256Hex(id + '\n' + _canonicalFields(records[i].fields));
+            perRecord[id] = { bucket: bucket, hash: hash };
+            byBucket[bucket].push(id);
+            count++;
+        }
+        var buckets = [];
+        for (var k = 0; k < INTEGRITY_BUCKETS; k++) {
+            buckets.push(await _sha256Hex(byBucket[k].sort().map(function(recordId) {
+                return perRecord[recordId].hash;
+            }).join('\n')));
+        }
+        return { count: count, tableHash: await _sha256Hex(buckets.join('\n')), buckets: buckets, records: perRecord };
+    }
+
+    function _integrityQueryString(tableId, opts) {
+        var qs = 'tableId=' + encodeURIComponent(tableId);
+        if (opts && opts.buckets) qs += '&buckets=' + opts.buckets.join(',');
+        return qs;
+    }
+
+    function _eventQueryString(query) {
+        var params = [];
+        var keys = ['recordId', 'since', 'set', 'limit'];
+        for (var i = 0; i < keys.length; i++) {
+            if (query[keys[i]] !== undefined && query[keys[i]] !== null && query[keys[i]] !== '') {
+                params.push(keys[i] + '=' + encodeURIComponent(query[keys[i]]));
+            }
+        }
+        return params.join('&');
+    }
+
+    // ========================================================================
+    // N8N ADAPTER — production webhooks
+    // ========================================================================
+
+    /**
+     * @param {Object} options
+     * @param {string} options.baseUrl - Webhook base, e.g. https://n8n.example.com/webhook
+     * @param {string} options.syncWebhookUrl - Airtable sync trigger webhook
+     * @param {string} [options.boxDownloadUrl] - Box file download webhook
+     * @param {Function} options.getAuthToken - Token for reads (live Matrix token preferred)
+     * @param {Function} options.getAccessToken - Session token for writes
+     */
+    function createN8nAdapter(options) {
+        var baseUrl = options.baseUrl;
+
+        // GET with access_token query param (n8n webhooks default to GET),
+        // falling back to header auth on CORS/401, retrying 5xx.
+        async function get(path, intent) {
+            if (!options.getAccessToken()) {
+                throw new Error('Not authenticated');
+            }
+            _assertIntent(intent);
+            var token = options.getAuthToken();
+
+            var MAX_RETRIES = 2;
+            var lastErr = null;
+
+            for (var attempt = 0; attempt <= MAX_RETRIES; attempt++) {
+                if (attempt > 0) {
+                    var delay = attempt === 1 ? 1000 : 3000;
+                    console.log('[Transport] Retry ' + attempt + '/' + MAX_RETRIES + ' for ' + path + ' (waiting ' + delay + 'ms)');
+                    await new Promise(function(r) { setTimeout(r, delay); });
+                }
+
+                var separator = path.indexOf('?') === -1 ? '?' : '&';
+                var url = baseUrl + path + separator + 'access_token=' + encodeURIComponent(token);
+
+                var response;
+                try {
+                    response = await fetch(url);
+                } catch (fetchErr) {
+                    // Network / CORS failure — try header auth as last resort
+                    console.warn('[Transport] GET fetch failed (' + fetchErr.message + '), retrying with header auth for ' + path);
+                    try {
+                        response = await fetch(baseUrl + path, {
+                            headers: { 'Authorization': 'Bearer ' + token }
+                        });
+                    } catch (headerErr) {
+                        lastErr = new Error('API unreachable (CORS/network): ' + headerErr.message);
+                        continue;
+                    }
+                }
+
+                if (response.status === 401) {
+                    // Token may not have been picked up — retry with header auth
+                    console.warn('[Transport] 401, retrying with header auth for ' + path);
+                    try {
+                        response = await fetch(baseUrl + path, {
+                            headers: { 'Authorization': 'Bearer ' + token }
+                        });
+                    } catch (headerErr) {
+                        throw _httpError('Authentication expired (CORS/network)', 401);
+                    }
+                    if (response.status === 401) {
+                        throw _httpError('Authentication expired', 401);
+                    }
+                }
+
+                // Retry on 5xx server errors (transient failures, n8n overload, etc.)
+                if (response.status >= 500) {
+                    var errBody = '';
+                    try { errBody = await response.text(); } catch (e) {}
+                    console.warn('[Transport] Server error ' + response.status + ' for ' + path + (errBody ? ' — body: ' + errBody.substring(0, 200) : ''));
+                    lastErr = _withRetryAfter(_httpError('API error: ' + response.status + (errBody ? ' (' + errBody.substring(0, 100) + ')' : ''), response.status), response);
+                    // The server named a wait — leave retrying to the caller
+                    if (lastErr.retryAfterMs !== undefined) throw lastErr;
+                    continue;
+                }
+
+                if (!response.ok) {
+                    var errMsg = 'API error: ' + response.status;
+                    try {
+                        var body = await response.json();
+                        if (body.error) errMsg = body.error;
+                    } catch (e) { /* ignore parse errors */ }
+                    throw _withRetryAfter(_httpError(errMsg, response.status), response);
+                }
+
+                var text = await response.text();
+                if (!text || !text.trim()) {
+                    console.log('[Transport] Empty response for ' + path + ' — treating as empty result set');
+                    return { records: [] };
+                }
+                return JSON.parse(text);
+            }
+
+            // All retries exhausted
+            throw lastErr || new Error('API failed after ' + (MAX_RETRIES + 1) + ' attempts');
+        }
+
+        // Writes carry the token in the query string and the body; if the
+        // request fails outright (CORS preflight), retry with header auth.
+        async function send(method, path, payload, label) {
+            var token = options.getAccessToken();
+            if (!token) {
+                throw new Error('Not authenticated');
+            }
+            payload.access_token = token;
+            var body = JSON.stringify(payload);
+            var response;
+            try {
+                response = await fetch(
+                    baseUrl + path + '?access_token=' + encodeURIComponent(token),
+                    { method: method, headers: { 'Content-Type': 'application/json' }, body: body }
+                );
+            } catch (fetchErr) {
+                console.warn('[Transport] ' + method + ' failed (' + fetchErr.message + '), retrying with header auth for ' + path);
+                response = await fetch(baseUrl + path, {
+                    method: method,
+                    headers: { 'Authorization': 'Bearer ' + token, 'Content-Type': 'application/json' },
+                    body: body
+                });
+            }
+            await _throwIfNotOk(response, label);
+            return _parseBody(response);
+        }
+
+        return {
+            type: 'n8n',
+            baseUrl: baseUrl,
+            boxDownloadUrl: options.boxDownloadUrl || null,
+
+            listTables: function(intent) {
+                return get('/amino-tables', intent || 'metadataSync');
+            },
+
+            fetchRecords: function(tableId, since, intent) {
+                if (since) {
+                    return get('/amino-records-since?tableId=' + encodeURIComponent(tableId) +
+                        '&since=' + encodeURIComponent(since), intent || 'incrementalBackfill');
+                }
+                return get('/amino-records?tableId=' + encodeURIComponent(tableId), intent || 'fullBackfill');
+            },
+
+            fetchRecord: function(recordId, intent) {
+                return get('/amino-record?recordId=' + encodeURIComponent(recordId), intent || 'onlineRead');
+            },
+
+            fetchRecordIds: function(tableId, opts, intent) {
+                return get('/amino-record-ids?tableId=' + encodeURIComponent(tableId) +
+                    (opts && opts.hashOnly ? '&hashOnly=1' : ''), intent || 'incrementalBackfill');
+            },
+
+            fetchIntegrity: function(tableId, opts, intent) {
+                return get('/amino-integrity?' + _integrityQueryString(tableId, opts), intent || 'incrementalBackfill');
+            },
+
+            writeMutation: async function(request) {
+                if (request.kind === 'update') {
+                    var body = { tableId: request.tableId, recordId: request.recordId, fields: request.fields };
+                    if (request.provenance) body.provenance = request.provenance;
+                    return send('PATCH', '/amino-write', body, 'Server');
+                }
+                if (request.kind === 'create') {
+                    return send('POST', '/amino-write', {
+                        tableId: request.tableId, tempId: request.tempId, op: 'INS', fields: request.fields
+                    }, 'Server');
+                }
+                if (request.kind === 'delete') {
+                    try {
+                        return await send('DELETE', '/amino-write', {
+                            tableId: request.tableId, recordId: request.recordId, op: 'NUL'
+                        }, 'Server');
+                    } catch (err) {
+                        // 404: already gone on the server — the delete is confirmed either way
+                        if (err.status === 404) return {};
+                        throw err;
+                    }
+                }
+                if (request.kind === 'batch') {
+                    return send('POST', '/amino-write-batch', {
+                        transactionId: request.transactionId, operations: request.operations
+                    }, 'Batch write');
+                }
+                throw new Error('Unknown mutation kind: ' + request.kind);
+            },
+
+            fetchEvents: function(query, intent) {
+                intent = intent || 'onlineRead';
+                if (query.recordId) {
+                    return get('/amino-events-record?recordId=' + encodeURIComponent(query.recordId), intent);
+                }
+                if (query.since) {
+                    return get('/amino-events-since?' + _eventQueryString({ since: query.since, set: query.set, limit: query.limit }), intent);
+                }
+                return get('/amino-events-set?' + _eventQueryString({ set: query.set, limit: query.limit }), intent);
+            },
+
+            triggerSync: async function() {
+                var response = await fetch(options.syncWebhookUrl, { method: 'GET' });
+                return { ok: response.ok, status: response.status };
+            },
+
+            // Box files go through the box-download webhook (the browser has
+            // no Box credentials); plain attachment URLs are fetched directly.
+            fetchAttachment: async function(ref, intent) {
+                if (!options.getAccessToken()) {
+                    throw new Error('Not authenticated');
+                }
+                _assertIntent(intent || 'onlineRead');
+                var url = ref.url;
+                if (ref.boxFileId) {
+                    if (!options.boxDownloadUrl) throw new Error('No Box download webhook configured');
+                    url = options.boxDownloadUrl + '?file_id=' + encodeURIComponent(ref.boxFileId) +
+                        '&access_token=' + encodeURIComponent(options.getAuthToken());
+                }
+                var response = await fetch(url, { method: 'GET' });
+                await _throwIfNotOk(response, 'Attachment download');
+                return _fileBody(response);
+            }
+        };
+    }
+
+    // ========================================================================
+    // LOCAL-HTTP ADAPTER — plain REST backend
+    //
+    //   GET  {base}/tables
+    //   GET  {base}/records?tableId=X[&since=CURSOR]
+    //   GET  {base}/records/{recordId}
+    //   GET  {base}/record-ids?tableId=X[&hashOnly=1]
+    //   GET  {base}/integrity?tableId=X[&buckets=1,2,...]
+    //   POST {base}/mutations        body: the writeMutation request
+    //   GET  {base}/events?recordId=|since=|set=|limit=
+    //   POST {base}/sync
+    //   GET  {base}/attachments/box/{fileId}   (attachment bytes)
+    //
+    // Auth: Bearer token header. Response bodies use the n8n shapes.
+    // ========================================================================
+
+    /**
+     * @param {Object} options
+     * @param {string} options.baseUrl - e.g. http://localhost:8787
+     * @param {Function} [options.getAuthToken] - Bearer token provider
+     */
+    function createLocalHttpAdapter(options) {
+        var baseUrl = String(options.baseUrl || '').replace(/\/+$/, '');
+
+        function headers(extra) {
+            var h = extra || {};
+            var token = options.getAuthToken ? options.getAuthToken() : null;
+            if (token) h['Authorization'] = 'Bearer ' + token;
+            return h;
+        }
+
+        async function get(path, intent) {
+            _assertIntent(intent);
+            var response = await fetch(baseUrl + path, { headers: headers() });
+            await _throwIfNotOk(response, 'GET ' + path);
+            return _parseBody(response);
+        }
+
+        return {
+            type: 'local-http',
+            baseUrl: baseUrl,
+
+            listTables: function(intent) {
+                return get('/tables', intent || 'metadataSync');
+            },
+
+            fetchRecords: function(tableId, since, intent) {
+                var path = '/records?tableId=' + encodeURIComponent(tableId);
+                if (since) path += '&since=' + encodeURIComponent(since);
+                return get(path, intent || (since ? 'incrementalBackfill' : 'fullBackfill'));
+            },
+
+            fetchRecord: function(recordId, intent) {
+                return get('/records/' + encodeURIComponent(recordId), intent || 'onlineRead');
+            },
+
+            fetchRecordIds: function(tableId, opts, intent) {
+                return get('/record-ids?tableId=' + encodeURIComponent(tableId) +
+                    (opts && opts.hashOnly ? '&hashOnly=1' : ''), intent || 'incrementalBackfill');
+            },
+
+            fetchIntegrity: function(tableId, opts, intent) {
+                return get('/integrity?' + _integrityQueryString(tableId, opts), intent || 'incrementalBackfill');
+            },
+
+            writeMutation: async function(request) {
+                var response = await fetch(baseUrl + '/mutations', {
+                    method: 'POST',
+                    headers: headers({ 'Content-Type': 'application/json' }),
+                    body: JSON.stringify(request)
+                });
+                if (request.kind === 'delete' && response.status === 404) return {};
+                await _throwIfNotOk(response, 'Server');
+                return _parseBody(response);
+            },
+
+            fetchEvents: function(query, intent) {
+                return get('/events?' + _eventQueryString(query), intent || 'onlineRead');
+            },
+
+            triggerSync: async function() {
+                var response = await fetch(baseUrl + '/sync', { method: 'POST', headers: headers() });
+                return { ok: response.ok, status: response.status };
+            },
+
+            fetchAttachment: async function(ref, intent) {
+                _assertIntent(intent || 'onlineRead');
+                var response = ref.boxFileId
+                    ? await fetch(baseUrl + '/attachments/box/' + encodeURIComponent(ref.boxFileId), { headers: headers() })
+                    : await fetch(ref.url);
+                await _throwIfNotOk(response, 'Attachment download');
+                return _fileBody(response);
+            }
+        };
+    }
+
+    // ========================================================================
+    // MEMORY ADAPTER — in-process backend for tests and demos
+    //
+    // Seed: { tables: [{ table_id, table_name }],
+    //         records: { tableId: [{ id, fields }] },
+    //         events: [{ id, recordId, set, operator, payload, createdAt }],
+    //         attachments: { 'box:<fileId>' | url: string | ArrayBuffer
+    //                        | { data, mimeType } } }
+    // Writes are applied to the store and appended to the event log, so
+    // incremental sync and event queries behave like the real backend.
+    // ========================================================================
+
+    function createMemoryAdapter(seed) {
+        seed = seed || {};
+        var tables = (seed.tables || []).slice();
+        var records = {};     // recordId -> { id, tableId, fields, last_synced }
+        var merged = {};      // recordId merged away -> surviving recordId
+        var events = (seed.events || []).slice();
+        var attachments = seed.attachments || {};
+        var clock = 0;
+        var idSeq = 0;
+
+        // Strictly increasing timestamps so `since` cursors never miss a write
+        function tick() {
+            clock = Math.max(clock + 1, Date.now());
+            return new Date(clock).toISOString();
+        }
+
+        function clone(value) {
+            return JSON.parse(JSON.stringify(value));
+        }
+
+        var seedTables = Object.keys(seed.records || {});
+        for (var t = 0; t < seedTables.length; t++) {
+            var list = seed.records[seedTables[t]];
+            for (var r = 0; r < list.length; r++) {
+                records[list[r].id] = {
+                    id: list[r].id,
+                    tableId: seedTables[t],
+                    fields: clone(list[r].fields || {}),
+                    last_synced: list[r].last_synced || tick()
+                };
+            }
+        }
+
+        function logEvent(recordId, tableId, operator, fields) {
+            var payload = { fields: {} };
+            payload.fields[operator] = fields;
+            events.push({
+                id: events.length + 1,
+                recordId: recordId,
+                set: tableId,
+                operator: operator,
+                payload: payload,
+                createdAt: tick()
+            });
+        }
+
+        function applyWrite(op, tableId, recordId, fields) {
+            var rec = records[recordId];
+            var ts = tick();
+            if (op === 'INS' && !rec) {
+                rec = records[recordId] = { id: recordId, tableId: tableId, fields: {}, last_synced: ts };
+            }
+            if (!rec) throw _httpError('Record not found: ' + recordId, 404);
+            if (op === 'NUL') {
+                var names = Array.isArray(fields) ? fields : Object.keys(fields || {});
+                for (var i = 0; i < names.length; i++) delete rec.fields[names[i]];
+            } else {
+                var keys = Object.keys(fields || {});
+                for (var k = 0; k < keys.length; k++) rec.fields[keys[k]] = clone(fields[keys[k]]);
+            }
+            rec.last_synced = ts;
+            logEvent(recordId, rec.tableId, op, fields);
+        }
+
+        function newRecordId() {
+            idSeq++;
+            return 'recMEM' + String(idSeq).padStart(11, '0');
+        }
+
+        return {
+            type: 'memory',
+
+            // Direct access for tests
+            _records: records,
+            _events: events,
+            _merged: merged,
+
+            listTables: async function() {
+                return { tables: clone(tables) };
+            },
+
+            fetchRecords: async function(tableId, since) {
+                var out = [];
+                var ids = Object.keys(records);
+                for (var i = 0; i < ids.length; i++) {
+                    var rec = records[ids[i]];
+                    if (rec.tableId !== tableId) continue;
+                    if (since && !(rec.last_synced > since)) continue;
+                    out.push(clone(rec));
+                }
+                return { records: out, next_since: new Date(clock || Date.now()).toISOString() };
+            },
+
+            fetchRecord: async function(recordId) {
+                return { record: records[recordId] ? clone(records[recordId]) : null };
+            },
+
+            fetchRecordIds: async function(tableId, opts) {
+                var ids = Object.keys(records).filter(function(id) { return records[id].tableId === tableId; });
+                var result = { count: ids.length, hash: await hashRecordIds(ids) };
+                if (!(opts && opts.hashOnly)) {
+                    result.ids = ids;
+                    result.merged = clone(merged);
+                }
+                return result;
+            },
+
+            fetchIntegrity: async function(tableId, opts) {
+                var tableRecords = Object.keys(records).filter(function(id) {
+                    return records[id].tableId === tableId;
+                }).map(function(id) { return records[id]; });
+                var tree = await buildIntegrityTree(tableRecords);
+                if (!(opts && opts.buckets)) {
+                    return { count: tree.count, tableHash: tree.tableHash, buckets: tree.buckets };
+                }
+                var out = {};
+                for (var id in tree.records) {
+                    if (opts.buckets.indexOf(tree.records[id].bucket) !== -1) out[id] = tree.records[id].hash;
+                }
+                return { records: out };
+            },
+
+            writeMutation: async function(request) {
+                if (request.kind === 'update') {
+                    applyWrite(Array.isArray(request.fields) ? 'NUL' : 'ALT', request.tableId, request.recordId, request.fields);
+                    return {};
+                }
+                if (request.kind === 'create') {
+                    var id = newRecordId();
+                    applyWrite('INS', request.tableId, id, request.fields);
+                    return { id: id };
+                }
+                if (request.kind === 'delete') {
+                    delete records[request.recordId];
+                    return {};
+                }
+                if (request.kind === 'batch') {
+                    var idMap = {};
+                    var ops = clone(request.operations || []);
+                    for (var o = 0; o < ops.length; o++) {
+                        var op = ops[o];
+                        if (op.op === 'INS' && !records[op.recordId]) {
+                            idMap[op.recordId] = idMap[op.recordId] || newRecordId();
+                        }
+                    }
+                    var mapped = JSON.parse(JSON.stringify(ops), function(key, value) {
+                        return typeof value === 'string' && idMap[value] ? idMap[value] : value;
+                    });
+                    for (var m = 0; m < mapped.length; m++) {
+                        applyWrite(mapped[m].op, mapped[m].tableId, mapped[m].recordId, mapped[m].fields);
+                    }
+                    return { idMap: idMap };
+                }
+                throw new Error('Unknown mutation kind: ' + request.kind);
+            },
+
+            fetchEvents: async function(query) {
+                var out = events.filter(function(e) {
+                    if (query.recordId && e.recordId !== query.recordId) return false;
+                    if (query.since && !(e.createdAt > query.since)) return false;
+                    if (query.set && e.set !== query.set) return false;
+                    return true;
+                });
+                if (query.limit) out = out.slice(0, query.limit);
+                return {
+                    recordId: query.recordId,
+                    since: query.since,
+                    set: query.set,
+                    count: out.length,
+                    events: clone(out)
+                };
+            },
+
+            triggerSync: async function() {
+                return { ok: true, status: 200 };
+            },
+
+            fetchAttachment: async function(ref) {
+                var key = ref.boxFileId ? 'box:' + ref.boxFileId : ref.url;
+                var file = attachments[key];
+                if (file === undefined) throw _httpError('Attachment download returned 404', 404);
+                if (typeof file === 'string' || file instanceof ArrayBuffer) file = { data: file };
+                var data = typeof file.data === 'string' ? new TextEncoder().encode(file.data).buffer : file.data.slice(0);
+                return { data: data, mimeType: file.mimeType || 'application/octet-stream', size: data.byteLength };
+            }
+        };
+    }
+
+    // ========================================================================
+    // CONFIGURATION — build an adapter from a persisted/plain config object.
+    // ========================================================================
+
+    // Read the persisted transport config, or null for the default (n8n).
+    function getStoredConfig() {
+        try {
+            var raw = localStorage.getItem(TRANSPORT_CONFIG_KEY);
+            return raw ? JSON.parse(raw) : null;
+        } catch (e) {
+            console.warn('[Transport] Ignoring unreadable transport config:', e);
+            return null;
+        }
+    }
+
+    function setStoredConfig(config) {
+        try {
+            if (config) localStorage.setItem(TRANSPORT_CONFIG_KEY, JSON.stringify(config));
+            else localStorage.removeItem(TRANSPORT_CONFIG_KEY);
+        } catch (e) {
+            console.warn('[Transport] Could not persist transport config:', e);
+        }
+    }
+
+    /**
+     * Create an adapter from a config object.
+     *
+     * @param {Object} config - { type: 'n8n'|'memory'|'local-http', ...adapter options }
+     * @param {Object} auth - token providers supplied by the data layer
+     *                        ({ getAuthToken, getAccessToken })
+     */
+    function createFromConfig(config, auth) {
+        config = config || {};
+        var type = config.type || 'n8n';
+        if (type === 'memory') {
+            return createMemoryAdapter(config.seed);
+        }
+        if (type === 'local-http') {
+            return createLocalHttpAdapter({
+                baseUrl: config.baseUrl,
+                getAuthToken: auth.getAuthToken
+            });
+        }
+        if (type !== 'n8n') {
+            console.warn('[Transport] Unknown transport type "' + type + '", using n8n');
+        }
+        return createN8nAdapter({
+            baseUrl: config.baseUrl || N8N_DEFAULTS.baseUrl,
+            syncWebhookUrl: config.syncWebhookUrl || N8N_DEFAULTS.syncWebhookUrl,
+            boxDownloadUrl: config.boxDownloadUrl || N8N_DEFAULTS.boxDownloadUrl,
+            getAuthToken: auth.getAuthToken,
+            getAccessToken: auth.getAccessToken
+        });
+    }
+
+    // ========================================================================
+    // EXPORTS
+    // ========================================================================
+
+    return {
+        createN8nAdapter: createN8nAdapter,
+        createLocalHttpAdapter: createLocalHttpAdapter,
+        createMemoryAdapter: createMemoryAdapter,
+        createFromConfig: createFromConfig,
+        hashRecordIds: hashRecordIds,
+        canonicalJson: canonicalJson,
+        buildIntegrityTree: buildIntegrityTree,
+        INTEGRITY_BUCKETS: INTEGRITY_BUCKETS,
+        getStoredConfig: getStoredConfig,
+        setStoredConfig: setStoredConfig
+    };
+
+})();